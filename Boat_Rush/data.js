@@ -1 +1 @@
-{"project":["Boat Rush","Menu",[[0,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[1,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[2,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[3,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[4,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[5,false,true,true,true,true,true,true,true,false,false,false,false,true,true],[10,false,true,true,true,true,true,true,true,true,false,false,false,true,true],[11,false,true,true,false,true,true,true,true,true,false,false,false,true,false],[15,false,true,true,true,true,true,true,true,true,false,false,false,true,false],[16,true,false,false,false,false,false,false,false,false,false,false,false,false,false]],[["Audio",0,false,[],0,0,null,null,[],false,false,703835992537536,[],null,0,null,[0,0,false,0,1,1,600,600,10000,1]],["Keyboard",1,false,[],0,0,null,null,[],false,false,982284275774552,[],null,1,null,[]],["Browser",2,false,[],0,0,null,null,[],false,false,586428651729562,[],null,2,null,[]],["Touch",3,false,[],0,0,null,null,[],false,false,568071144861069,[],null,3,null,[true]],["WebStorage",4,false,[],0,0,null,null,[],false,false,266744846993302,[],null,4,null,[]],["MenuBoat",5,false,[],1,0,null,[["Default",5,false,1,0,false,748342507361449,[["images/shared-0-sheet2.png",160103,65,172,61,79,1,0.508197,0.506329,[],[],0]]]],[["Sine",6,695732861555258,5]],false,false,514213692774421,[],null,6,null],["Tittle",5,false,[],1,0,null,[["Default",5,false,1,0,false,189071511381377,[["images/shared-0-sheet0.png",1350642,1,1579,520,270,1,0.501923,0.5,[],[-0.4910238,-0.49305556,-0.0032849999999999824,-0.350694,0.432682,0.458333,-0.0032849999999999824,0.5,-0.501923,0.5],0]]]],[["Sine",6,688968521480459,5]],false,false,439644814397830,[],null,7,null],["PlayButton",5,false,[],3,0,null,[["Default",5,true,1,0,false,889087384108530,[["images/shared-0-sheet1.png",747276,1,521,180,74,5,0.505556,0.662162,[],[-0.505556,-0.662162,-0.007823000000000024,-0.662162,0.494444,0.33783799999999997,-0.007823000000000024,0.33783799999999997,-0.505556,0.33783799999999997],0]]]],[["Sine",6,393114419136118,5],["Fade",7,459513346463144,8],["LiteTween",8,462060252971922,9]],false,false,357643349626426,[],null,10,null],["MoreGamesButton",5,false,[],3,0,null,[["Default",5,false,1,0,false,524514004746364,[["images/shared-0-sheet1.png",747276,257,664,180,74,1,0.511111,0.554054,[],[-0.511111,-0.554054,-0.013002999999999987,-0.554054,0.488889,0.44594599999999995,-0.013002999999999987,0.44594599999999995,-0.511111,0.44594599999999995],0]]]],[["Sine",6,463877133019275,5],["Fade",7,212555801990438,8],["LiteTween",8,335238721444711,9]],false,false,963094074560375,[],null,11,null],["ShopButton",5,false,[],3,0,null,[["Default",5,false,1,0,false,611281079889679,[["images/shared-0-sheet1.png",747276,257,769,180,74,1,0.511111,0.5,[],[-0.511111,-0.5,-0.013002999999999987,-0.5,0.488889,0.5,-0.013002999999999987,0.5,-0.511111,0.5],0]]]],[["Sine",6,552263490949791,5],["Fade",7,758212719253176,8],["LiteTween",8,889084258075890,9]],false,false,169861659307519,[],null,12,null],["Tittle2",5,false,[],1,0,null,[["Default",5,false,1,0,false,835515018144555,[["images/shared-0-sheet0.png",1350642,523,1762,520,270,1,0.501923,0.5,[],[-0.4910238,-0.49305556,-0.0032849999999999824,-0.350694,0.432682,0.458333,-0.0032849999999999824,0.5,-0.501923,0.5],0]]]],[["Pin",9,520073121125343,13]],false,false,991343001076175,[],null,14,null],["Background",10,false,[],0,0,["images/background-sheet0.png",531989,0,0,0,480,800],null,[],false,false,862928435387453,[],null,15,[1,1]],["Foreground",10,false,[],0,0,["images/foreground-sheet0.png",66824,0,0,0,480,800],null,[],false,false,912521776675091,[],null,16,[1,1]],["Particles",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,33,97,23,30],null,[["Bullet",12,788865463218005,17]],false,false,491243774209932,[],null,18,null],["Particles11",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,1,65,22,34],null,[["Pin",9,701186203331973,13]],false,false,730428463600385,[],null,19,null],["Particles12",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,33,1,22,34],null,[["Pin",9,699907147169258,13]],false,false,846383889312937,[],null,20,null],["Particles13",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,1,1,22,34],null,[["Pin",9,143935088446358,13]],false,false,652225207470388,[],null,21,null],["Particles3",11,false,[],1,0,["images/shared-0-sheet2.png",160103,0,183,449,45,45],null,[["Bullet",12,338224862847783,17]],false,false,133990326390281,[],null,22,null],["Particles4",11,false,[],1,0,["images/shared-0-sheet2.png",160103,0,230,449,45,45],null,[["Bullet",12,756450600761003,17]],false,false,210959117085707,[],null,23,null],["PlayerBoat",5,false,[],1,0,null,[["bote1",5,false,1,0,false,289691990516780,[["images/shared-0-sheet2.png",160103,1,172,61,79,1,0.508197,0.506329,[],[-0.01639400000000002,-0.506329,0.34426199999999996,-0.26582300000000003,0.360656,0.367089,-0.4344265,0.386076,-0.4426232,-0.27848100000000003],0]]],["bote2",5,false,1,0,false,979831182175745,[["images/shared-0-sheet2.png",160103,166,129,68,95,1,0.514706,0.505263,[],[-0.102941,-0.505263,0.25,-0.368421,0.294118,0.33157899999999996,-0.4264708,0.31579,-0.367647,-0.368421],0]]],["bote3",5,false,1,0,false,571065668351118,[["images/shared-0-sheet1.png",747276,1,897,88,112,1,0.511364,0.508929,[],[-0.056819000000000064,-0.508929,0.295454,-0.20535799999999998,0.295454,0.29464200000000007,-0.403409,0.285714,-0.397728,-0.20535699999999996],0]]],["bote4",5,false,1,0,false,328506521708266,[["images/shared-0-sheet2.png",160103,84,1,80,116,1,0.5125,0.508621,[],[-0.03749999999999998,-0.508621,0.2875000000000001,-0.232759,0.23750000000000004,0.43103400000000003,-0.33124999999999993,0.435345,-0.39999999999999997,-0.232759],0]]],["bote5",5,false,1,0,false,306287450496362,[["images/shared-0-sheet2.png",160103,1,1,81,116,1,0.506173,0.508621,[],[-0.24691399999999997,-0.508621,0.16049400000000003,-0.508621,0.34567900000000007,-0.172414,0.19135800000000003,0.418103,-0.280864,0.40301699999999996,-0.43209889999999995,-0.181035],0]]]],[["Sine",6,861320916281507,5]],false,false,350007313237023,[],null,24,null],["Laser",5,false,[],0,0,null,[["Default",20,true,1,0,false,349916196142656,[["images/shared-0-sheet0.png",1350642,1927,1251,80,788,1,0.5,0.5,[],[-0.0625,-0.4746193,0.09999999999999998,-0.4746193,0.08750000000000002,0.46954300000000004,-0.08750000000000002,0.467005],0],["images/shared-0-sheet0.png",1350642,1927,461,80,788,1,0.5,0.5,[],[-0.0625,-0.4746193,0.09999999999999998,-0.4746193,0.08750000000000002,0.46954300000000004,-0.08750000000000002,0.467005],0]]]],[],false,false,128702478641108,[],null,25,null],["Shield",5,false,[],1,0,null,[["Default",5,false,1,0,false,365926939960345,[["images/shared-0-sheet1.png",747276,1,353,166,166,1,0.5,0.5,[],[-0.313253,-0.313253,0,-0.4457831,0.313253,-0.313253,0.44578300000000004,0,0.313253,0.313253,0,0.439759,-0.313253,0.313253,-0.439759,0],0]]]],[["Pin",9,940564979988824,13]],false,false,561923414761729,[],null,26,null],["FireEffect",5,false,[],0,0,null,[["Default",30,true,1,0,false,832675582964412,[["images/fireeffect-sheet0.png",908118,566,1537,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1,1537,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1131,1537,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,566,1025,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1,1025,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1131,1025,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1025,513,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1,513,563,454,1,0.500888,0.5,[],[],0]]]],[],false,false,178461688432663,[],null,27,null],["Camera",5,false,[],1,0,null,[["medium",5,false,1,0,false,840985101440858,[["images/shared-0-sheet2.png",160103,83,449,51,51,1,0.529412,0.529412,[],[-0.20162799999999997,-0.380845,0.35849200000000003,-0.248114,0.029227000000000003,0.344645,-0.35109199999999996,0.148567],0]]]],[["ScrollTo",13,992020191762281,28]],false,false,697734000802763,[],null,29,null],["WaveEffect1",5,false,[],1,0,null,[["Default",30,true,1,0,true,163450832167169,[["images/shared-0-sheet2.png",160103,257,321,118,30,1,0.5,0.5,[],[],0],["images/shared-0-sheet2.png",160103,1,417,118,27,1,0.5,0.518519,[],[],0],["images/shared-0-sheet2.png",160103,1,385,118,29,1,0.5,0.517241,[],[],0],["images/shared-0-sheet2.png",160103,1,321,118,31,1,0.5,0.516129,[],[],0],["images/shared-0-sheet2.png",160103,257,353,116,29,1,0.5,0.517241,[],[],0]]]],[["Pin",9,282048686560141,13]],false,false,390233178689551,[],null,30,null],["WaveEffect2",5,false,[],1,0,null,[["Default",30,true,1,0,true,784581916605310,[["images/shared-0-sheet2.png",160103,385,321,118,30,1,0.5,0.5,[],[0.5,0.5,-0.5,0.5,-0.5,-0.5,0.5,-0.5],0],["images/shared-0-sheet2.png",160103,121,417,118,27,1,0.5,0.518519,[],[0.5,0.48148100000000005,-0.5,0.48148100000000005,-0.5,-0.518519,0.5,-0.518519],0],["images/shared-0-sheet2.png",160103,121,385,118,29,1,0.5,0.517241,[],[0.5,0.48275900000000005,-0.5,0.48275900000000005,-0.5,-0.517241,0.5,-0.517241],0],["images/shared-0-sheet2.png",160103,129,321,118,31,1,0.5,0.516129,[],[0.5,0.48387100000000005,-0.5,0.48387100000000005,-0.5,-0.516129,0.5,-0.516129],0],["images/shared-0-sheet2.png",160103,385,353,116,29,1,0.5,0.517241,[],[0.5,0.48275900000000005,-0.5,0.48275900000000005,-0.5,-0.517241,0.5,-0.517241],0]]]],[["Pin",9,672250909431575,13]],false,false,130424582060220,[],null,31,null],["Coin",5,false,[],1,0,null,[["Default",5,false,1,0,false,353119714348754,[["images/shared-0-sheet2.png",160103,193,257,35,49,1,0.542857,0.510204,[],[-0.542857,-0.510204,0.45714299999999997,-0.510204,0.45714299999999997,0.16326600000000002,-0.5428569962747101,0.12244900000000003],0]]]],[["CustomMovement",14,675299183697928,32]],false,false,319829055017866,[],null,33,null],["ShootButton",5,false,[],0,0,null,[["Default",5,false,1,0,false,695364705930606,[["images/shared-0-sheet2.png",160103,262,90,82,90,1,0.5,0.5,[],[],0]]]],[],false,false,410000420329829,[],null,34,null],["ExplosionEffect",5,false,[],0,0,null,[["Default",50,true,1,0,false,237675759176144,[["images/explosioneffect-sheet0.png",351093,769,1,250,250,1,0.5,0.5,[],[],0],["images/explosioneffect-sheet1.png",41432,193,449,52,53,1,0.75,0.132075,[],[],0],["images/explosioneffect-sheet1.png",41432,190,257,65,67,1,0.707692,0.19403,[],[],0],["images/explosioneffect-sheet1.png",41432,1,385,79,81,1,0.670886,0.222222,[],[],0],["images/explosioneffect-sheet1.png",41432,96,257,92,96,1,0.652174,0.25,[],[],0],["images/explosioneffect-sheet1.png",41432,129,129,107,111,1,0.635514,0.27027,[],[],0],["images/explosioneffect-sheet1.png",41432,1,257,93,99,1,0.666667,0.282828,[],[],0],["images/explosioneffect-sheet1.png",41432,96,385,80,84,1,0.675,0.297619,[],[],0],["images/explosioneffect-sheet1.png",41432,1,129,109,111,1,0.623853,0.36036,[],[],0],["images/explosioneffect-sheet0.png",351093,849,1537,146,144,1,0.582192,0.409722,[],[],0],["images/explosioneffect-sheet0.png",351093,817,1793,179,171,1,0.564246,0.438596,[],[],0],["images/explosioneffect-sheet0.png",351093,605,1793,210,196,1,0.547619,0.464286,[],[],0],["images/explosioneffect-sheet0.png",351093,605,1537,242,221,1,0.533058,0.484163,[],[],0],["images/explosioneffect-sheet0.png",351093,745,338,277,249,1,0.523466,0.502008,[],[],0],["images/explosioneffect-sheet0.png",351093,305,1537,298,267,1,0.516779,0.509363,[],[],0],["images/explosioneffect-sheet0.png",351093,1,1537,302,274,1,0.513245,0.507299,[],[],0],["images/explosioneffect-sheet0.png",351093,1,1025,308,280,1,0.50974,0.507143,[],[],0],["images/explosioneffect-sheet0.png",351093,346,1025,313,287,1,0.507987,0.505226,[],[],0],["images/explosioneffect-sheet0.png",351093,683,1025,320,295,1,0.509375,0.505085,[],[],0],["images/explosioneffect-sheet0.png",351093,683,668,328,301,1,0.509146,0.504983,[],[],0],["images/explosioneffect-sheet0.png",351093,346,668,335,308,1,0.510448,0.503247,[],[],0],["images/explosioneffect-sheet0.png",351093,1,668,343,314,1,0.510204,0.503185,[],[],0],["images/explosioneffect-sheet0.png",351093,1,345,352,321,1,0.508523,0.501558,[],[],0],["images/explosioneffect-sheet0.png",351093,382,338,361,328,1,0.506925,0.5,[],[],0],["images/explosioneffect-sheet0.png",351093,382,1,369,335,1,0.504065,0.501493,[],[],0],["images/explosioneffect-sheet0.png",351093,1,1,379,342,1,0.501319,0.5,[],[],0]]]],[],false,false,986265113848733,[],null,35,null],["Bullets",5,false,[],1,0,null,[["Default",5,false,1,0,false,880141078803579,[["images/shared-0-sheet2.png",160103,449,449,33,36,1,0.515152,0.5,[],[],0]]]],[["Bullet",12,165423223380247,17]],false,false,747757514238944,[],null,36,null],["EndRoundHud",5,false,[],1,0,null,[["Default",5,false,1,0,false,363554532183083,[["images/shared-0-sheet0.png",1350642,1537,1,507,458,1,0.502959,0.5,[],[-0.49205980000000005,-0.49305556,-0.004321000000000019,-0.350694,0.431646,0.458333,-0.004321000000000019,0.5,-0.502959,0.5],0]]]],[["LiteTween",8,197283570715677,9]],false,false,355002961700946,[],null,37,null],["ShopBackground",5,false,[],0,0,null,[["Default",5,false,1,0,false,850902071552261,[["images/shared-0-sheet0.png",1350642,1,1,514,802,1,0.5,0.5,[],[0.498055,-0.5,0.498055,0.5,-0.49805447,0.5,-0.49805447,-0.5],0]]]],[],false,false,422698805929368,[],null,38,null],["ShopButtonGame",5,false,[],1,0,null,[["Default",5,false,1,0,false,364401786425622,[["images/shared-0-sheet1.png",747276,439,769,121,110,1,0.504132,0.518182,[],[-0.355372,-0.37272700000000003,0.04355299999999995,-0.518182,0.429752,-0.14545500000000006,0.19231299999999996,0.427273,-0.38016500000000003,0.281818],0]]]],[["Pin",9,491326992739597,13]],false,false,534277965705338,[],null,39,null],["RestartButton",5,false,[],1,0,null,[["Default",5,false,1,0,false,273479110312108,[["images/shared-0-sheet1.png",747276,1,769,121,110,1,0.504132,0.518182,[],[-0.504132,-0.518182,-0.006034000000000039,-0.5091536,0.495868,0.48181799999999997,-0.006034000000000039,0.48181799999999997,-0.504132,0.48181799999999997],0]]]],[["Pin",9,137869330742398,13]],false,false,382119695878357,[],null,40,null],["Rocks",5,false,[739936713725718],0,0,null,[["Default",5,false,1,0,false,918851682696415,[["images/shared-0-sheet1.png",747276,613,655,131,118,1,0.51145,0.508475,[],[0.23658400000000002,-0.271187,0.39694700000000005,0.013853000000000004,0.215916,0.11810500000000002,-0.10332799999999998,0.16339099999999995,-0.3518089999999999,0.042430999999999996,-0.46564849999999997,-0.13391600000000004,-0.38046499999999994,-0.24600100000000003,-0.26977699999999993,-0.184346,-0.07338599999999995,-0.4661021],0]]]],[],false,false,250394213646869,[],null,41,null],["Mines",5,false,[489950058507883],0,0,null,[["Default",5,false,1,0,false,137367202900062,[["images/shared-0-sheet2.png",160103,262,1,91,87,1,0.516484,0.517241,[],[0.19184999999999997,-0.405172,0.42138299999999995,-0.13290299999999994,0.013202999999999965,0.11691800000000008,-0.24252500000000005,0.035560000000000036,-0.41403400000000007,-0.16846299999999997,-0.23315000000000008,-0.34482699999999994,0.0897659999999999,-0.4741369],0]]]],[],false,false,200490569466313,[],null,42,null],["Laser1",5,false,[],0,0,null,[["Default",30,true,1,0,false,720655035150909,[["images/shared-0-sheet1.png",747276,124,897,225,55,1,0.502222,0.509091,[],[-0.41333309999999995,-0.25454599999999994,-0.004443999999999948,-0.12727299999999997,0.3866670000000001,-0.290909,0.431111,0.054545000000000066,0.3822230000000001,0.34545400000000004,-0.004443999999999948,0,-0.41777759999999997,0.381818,-0.47111089999999994,0.01818200000000003],0],["images/shared-0-sheet1.png",747276,124,961,225,55,1,0.502222,0.509091,[],[-0.41333309999999995,-0.25454599999999994,-0.004443999999999948,-0.12727299999999997,0.3866670000000001,-0.290909,0.431111,0.054545000000000066,0.3822230000000001,0.34545400000000004,-0.004443999999999948,0,-0.41777759999999997,0.381818,-0.47111089999999994,0.01818200000000003],0]]]],[],false,false,839831438036798,[],null,43,null],["Laser2",5,false,[],0,0,null,[["Default",30,true,1,0,false,312699800703686,[["images/shared-0-sheet1.png",747276,1,602,304,60,1,0.503289,0.516667,[],[-0.4325288,-0.15151599999999998,-0.005510999999999988,-0.134849,0.41279299999999997,-0.23484899999999997,0.446214,0.007574999999999998,0.41083400000000003,0.290909,-0.005510999999999988,-0.007576000000000027,-0.4371486,0.30757500000000004,-0.46923929999999997,0.04090899999999997],0],["images/shared-0-sheet1.png",747276,307,602,304,60,1,0.503289,0.516667,[],[-0.4325288,-0.15151599999999998,-0.005510999999999988,-0.134849,0.41279299999999997,-0.23484899999999997,0.446214,0.007574999999999998,0.41083400000000003,0.290909,-0.005510999999999988,-0.007576000000000027,-0.4371486,0.30757500000000004,-0.46923929999999997,0.04090899999999997],0]]]],[],false,false,878911741078030,[],null,44,null],["BulletItem",5,false,[],1,0,null,[["Default",5,false,1,0,false,680479206549477,[["images/shared-0-sheet2.png",160103,1,257,70,60,1,0.542857,0.516667,[],[-0.542857,-0.516667,0.45714299999999997,-0.516667,0.45714299999999997,0.15680300000000003,-0.5428569962747101,0.11598600000000003],0]]]],[["Sine",6,942504330143744,5]],false,false,623366531058905,[],null,45,null],["ExplisionEffect2",5,false,[],0,0,null,[["Default",45,false,1,0,false,898832577146845,[["images/explisioneffect2-sheet0.png",221228,769,824,173,179,1,0.468208,0.424581,[],[],0],["images/explisioneffect2-sheet0.png",221228,513,824,186,184,1,0.467742,0.413043,[],[],0],["images/explisioneffect2-sheet0.png",221228,257,821,198,188,1,0.469697,0.404255,[],[],0],["images/explisioneffect2-sheet0.png",221228,1,821,211,201,1,0.469194,0.41791,[],[],0],["images/explisioneffect2-sheet1.png",325110,769,769,223,216,1,0.470852,0.439815,[],[],0],["images/explisioneffect2-sheet1.png",325110,771,257,236,231,1,0.470339,0.454545,[],[],0],["images/explisioneffect2-sheet1.png",325110,761,513,258,249,1,0.472868,0.473896,[],[],0],["images/explisioneffect2-sheet1.png",325110,1,738,294,277,1,0.479592,0.509025,[],[],0],["images/explisioneffect2-sheet2.png",92042,1,513,329,318,1,0.483283,0.515723,[],[],0],["images/explisioneffect2-sheet2.png",92042,1,1,349,339,1,0.487106,0.516224,[],[],0],["images/explisioneffect2-sheet1.png",325110,1,386,358,350,1,0.488827,0.514286,[],[],0],["images/explisioneffect2-sheet1.png",325110,391,513,368,361,1,0.491848,0.509695,[],[],0],["images/explisioneffect2-sheet1.png",325110,391,1,378,372,1,0.494709,0.508065,[],[],0],["images/explisioneffect2-sheet1.png",325110,1,1,388,383,1,0.497423,0.506527,[],[],0],["images/explisioneffect2-sheet0.png",221228,1,426,397,393,1,0.498741,0.503817,[],[],0],["images/explisioneffect2-sheet0.png",221228,513,418,407,404,1,0.501229,0.502475,[],[],0],["images/explisioneffect2-sheet0.png",221228,513,1,417,415,1,0.503597,0.498795,[],[],0],["images/explisioneffect2-sheet0.png",221228,1,1,458,423,1,0.5,0.501182,[],[],0]]]],[],false,false,313120283435550,[],null,46,null],["ExplosionEffect3",5,false,[],0,0,null,[["Default",30,false,1,0,false,872183889636313,[["images/explosioneffect3-sheet1.png",18535,1,98,88,79,1,0.306818,0.139241,[],[],0],["images/explosioneffect3-sheet1.png",18535,1,1,111,95,1,0.369369,0.231579,[],[],0],["images/explosioneffect3-sheet0.png",301288,866,1921,137,114,1,0.408759,0.307018,[],[],0],["images/explosioneffect3-sheet0.png",301288,699,1793,165,134,1,0.442424,0.365672,[],[],0],["images/explosioneffect3-sheet0.png",301288,769,1281,196,157,1,0.464286,0.407643,[],[],0],["images/explosioneffect3-sheet0.png",301288,769,1025,231,183,1,0.480519,0.437158,[],[],0],["images/explosioneffect3-sheet0.png",301288,733,769,268,211,1,0.492537,0.464455,[],[],0],["images/explosioneffect3-sheet0.png",301288,699,1537,308,241,1,0.5,0.485477,[],[],0],["images/explosioneffect3-sheet0.png",301288,335,1537,326,256,1,0.503067,0.492188,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,1537,332,262,1,0.503012,0.496183,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,1025,338,269,1,0.502959,0.498141,[],[],0],["images/explosioneffect3-sheet0.png",301288,353,1025,344,277,1,0.502907,0.501805,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,513,350,283,1,0.502857,0.5053,[],[],0],["images/explosioneffect3-sheet0.png",301288,370,513,355,290,1,0.501408,0.506897,[],[],0],["images/explosioneffect3-sheet0.png",301288,513,1,361,298,1,0.501385,0.506711,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,1,367,310,1,0.501362,0.5,[],[],0],["images/explosioneffect3-sheet1.png",18535,65,193,59,59,1,1.05085,2.59322,[],[],0]]]],[],false,false,834420713204968,[],null,47,null],["Hole",5,false,[],0,0,null,[["Default",5,false,1,0,false,657336486180034,[["images/shared-0-sheet1.png",747276,1,664,150,100,1,0.513333,0.51,[],[-0.21333300000000005,-0.12,-0.040000000000000036,-0.22000000000000003,0.18000099999999997,-0.16999999999999998,0.266667,0.010000000000000009,0.18666699999999992,0.17000000000000004,-0.006666000000000061,0.22999999999999998,-0.18000000000000005,0.17999999999999994,-0.26000000000000006,0.020000000000000018],0]]]],[],false,false,574567302240018,[],null,48,null],["Bridge1",5,false,[],0,0,null,[["Default",5,false,1,0,false,923766967716166,[["images/shared-0-sheet0.png",1350642,1322,1793,275,211,1,1.02182,0.511848,[],[-0.5204629999999999,0.469036,-0.9556228999999999,0.363633,-0.9563655,-0.292493,-0.526291,-0.4595955],0]]]],[],false,false,729082933129822,[],null,49,null],["Bridge2",5,false,[],0,0,null,[["Default",5,false,1,0,false,734713618620674,[["images/shared-0-sheet0.png",1350642,1045,1793,275,211,1,-0.0218182,0.511848,[],[0.5262892,-0.4595955,0.9563642,-0.292493,0.9556212000000001,0.363633,0.5204612,0.469036],0]]]],[],false,false,977466869759024,[],null,50,null],["Door1",5,false,[997044618987258],0,0,null,[["Default",5,false,1,0,false,875248102177963,[["images/shared-0-sheet1.png",747276,851,897,139,74,1,0.517986,0.513514,[],[-0.28057599999999994,-0.175676,-0.014388999999999985,-0.391892,0.46762500000000007,-0.486487,0.46043100000000003,0.405405,-0.49640329999999994,0.405405,-0.3956839999999999,-0.013514000000000026],0]]]],[],false,false,791504227282765,[],null,51,null],["Door2",5,false,[239030315679216],0,0,null,[["Default",5,false,1,0,false,504623731185044,[["images/shared-0-sheet1.png",747276,351,897,139,74,1,0.482014,0.513514,[],[0.39568299999999995,-0.013514000000000026,0.496403,0.405405,-0.4604313,0.405405,-0.4676259,-0.486487,0.014388999999999985,-0.391892,0.280576,-0.175676],0]]]],[],false,false,672319845666726,[],null,52,null],["Ramp",5,false,[],0,0,null,[["Default",5,false,1,0,false,347209470395473,[["images/shared-0-sheet1.png",747276,636,502,146,151,1,0.513699,0.509934,[],[0.27798500000000004,0.27451499999999995,-0.32876700000000003,0.276288,-0.331056,-0.369303,0.27368000000000003,-0.374846],0]]]],[],false,false,710426163482374,[],null,53,null],["EnemyHeli",5,false,[213506963843420],1,0,null,[["Default",20,true,1,0,false,259039692148733,[["images/shared-0-sheet1.png",747276,232,300,200,300,1,0.5,0.5,[],[-0.020000000000000018,-0.18333300000000002,0.245,-0.016666999999999987,-0.025000000000000022,0.18000000000000005,-0.3,-0.023332999999999993],0],["images/shared-0-sheet1.png",747276,434,300,200,300,1,0.5,0.5,[],[-0.020000000000000018,-0.18333300000000002,0.245,-0.016666999999999987,-0.025000000000000022,0.18000000000000005,-0.3,-0.023332999999999993],0]]]],[["Sine",6,794599628671498,5]],false,false,894641547991286,[],null,54,null],["Missile",5,false,[],1,0,null,[["Default",30,true,1,0,false,622571664179455,[["images/shared-0-sheet1.png",747276,925,1,65,266,1,0.507692,0.511278,[],[-0.021196000000000048,0.113228,0.23076999999999992,0.185894,0.25044299999999997,0.352144,-0.03803200000000001,0.473684,-0.309531,0.351658,-0.26153800000000005,0.18250699999999997],0],["images/shared-0-sheet1.png",747276,940,269,65,266,1,0.507692,0.5,[],[-0.021196000000000048,0.124506,0.23076999999999992,0.19717200000000001,0.25044299999999997,0.363422,-0.03803200000000001,0.484962,-0.309531,0.36293600000000004,-0.26153800000000005,0.19378499999999999],0],["images/shared-0-sheet1.png",747276,936,537,65,266,1,0.507692,0.5,[],[-0.021196000000000048,0.124506,0.23076999999999992,0.19717200000000001,0.25044299999999997,0.363422,-0.03803200000000001,0.484962,-0.309531,0.36293600000000004,-0.26153800000000005,0.19378499999999999],0],["images/shared-0-sheet1.png",747276,784,650,65,266,1,0.507692,0.5,[],[-0.021196000000000048,0.124506,0.23076999999999992,0.19717200000000001,0.25044299999999997,0.363422,-0.03803200000000001,0.484962,-0.309531,0.36293600000000004,-0.26153800000000005,0.19378499999999999],0]]]],[["Sine",6,817627102467546,5]],false,false,384297974786038,[],null,55,null],["EnemyBoat",5,false,[783465792434422],2,0,null,[["Default",20,true,1,0,false,455668563367369,[["images/shared-0-sheet1.png",747276,641,775,88,143,1,0.5,0.503497,[],[-0.011363999999999985,-0.22377599999999997,0.340909,0.17482399999999998,-0.022726999999999997,0.461538,-0.4090909,0.15384600000000004],0]]]],[["Sine",6,901556924571426,5],["Sine2",6,798959433876064,56]],false,false,469760326483472,[],null,57,null],["PowerUpsObj",5,false,[],1,0,null,[["Default",25,true,1,0,false,336179944584815,[["images/powerupsobj-sheet0.png",62295,193,193,48,53,1,0.5,0.509434,[],[],0],["images/powerupsobj-sheet0.png",62295,65,129,59,59,1,0.508475,0.508475,[],[],0],["images/powerupsobj-sheet0.png",62295,65,65,49,55,1,0.510204,0.509091,[],[],0],["images/powerupsobj-sheet0.png",62295,129,65,49,54,1,0.510204,0.5,[],[],0],["images/powerupsobj-sheet0.png",62295,193,65,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,193,129,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,129,129,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,1,193,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,129,193,50,51,1,0.5,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,65,193,51,49,1,0.509804,0.510204,[],[],0]]]],[["Sine",6,660248073079953,5]],false,false,570486689144388,[],null,58,null],["ShopHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,399473309626714,[["images/shared-0-sheet0.png",1350642,1025,1,506,469,1,0.5,0.501066,[],[],0]]]],[],false,false,807306277841874,[],null,59,null],["PowerPick",5,false,[],2,0,null,[["a1",25,true,1,0,false,562300044947910,[["images/powerpick-sheet0.png",62295,193,193,48,53,1,0.5,0.509434,[],[],0]]],["a2",25,true,1,0,false,283960422788336,[["images/powerpick-sheet0.png",62295,65,129,59,59,1,0.508475,0.508475,[],[],0]]],["a3",25,true,1,0,false,480122148850863,[["images/powerpick-sheet0.png",62295,65,65,49,55,1,0.510204,0.509091,[],[],0]]],["a4",25,true,1,0,false,960036139866256,[["images/powerpick-sheet0.png",62295,129,65,49,54,1,0.510204,0.5,[],[],0]]],["a5",25,true,1,0,false,365971853563448,[["images/powerpick-sheet0.png",62295,193,65,51,51,1,0.509804,0.509804,[],[],0]]],["a6",25,true,1,0,false,798319176919551,[["images/powerpick-sheet0.png",62295,193,129,51,51,1,0.509804,0.509804,[],[],0]]],["a7",25,true,1,0,false,702337357412131,[["images/powerpick-sheet0.png",62295,129,129,51,51,1,0.509804,0.509804,[],[],0]]],["a8",25,true,1,0,false,698840138961278,[["images/powerpick-sheet0.png",62295,1,193,51,51,1,0.509804,0.509804,[],[],0]]],["a9",25,true,1,0,false,527720268726814,[["images/powerpick-sheet0.png",62295,129,193,50,51,1,0.5,0.509804,[],[],0]]],["a10",25,true,1,0,false,907010438037835,[["images/powerpick-sheet0.png",62295,65,193,51,49,1,0.509804,0.510204,[],[],0]]]],[["Fade",7,372198469223984,8],["Sine",6,898555294914357,5]],false,false,534406501206644,[],null,60,null],["GameStar",5,false,[],1,0,null,[["Default",5,false,1,0,false,149526373428297,[["images/shared-0-sheet2.png",160103,449,257,60,60,1,0.55,0.516667,[],[-0.55,-0.516667,0.44999999999999996,-0.516667,0.44999999999999996,0.15680300000000003,-0.5499999962747101,0.11598600000000003],0]]]],[["Sine",6,587158202132326,5]],false,false,486791306241488,[],null,61,null],["CoinSwitch",5,false,[],0,0,null,[["Default",5,false,1,0,false,355280961035400,[["images/shared-0-sheet2.png",160103,386,449,35,49,1,0.542857,0.510204,[],[-0.542857,-0.510204,0.45714299999999997,-0.510204,0.45714299999999997,0.16326600000000002,-0.5428569962747101,0.12244900000000003],0]]]],[],false,false,992170087387502,[],null,62,null],["HomeButton",5,false,[],1,0,null,[["Default",5,false,1,0,false,477821847634402,[["images/shared-0-sheet1.png",747276,513,897,121,110,1,0.504132,0.518182,[],[-0.355372,-0.37272700000000003,0.04355299999999995,-0.518182,0.429752,-0.14545500000000006,0.19231299999999996,0.427273,-0.38016500000000003,0.281818],0]]]],[["Pin",9,314409330650470,13]],false,false,585065178498506,[],null,63,null],["BoatSelector",5,false,[],0,0,null,[["a1",5,false,1,0,false,961944176877943,[["images/shared-0-sheet1.png",747276,232,1,229,297,1,0.502183,0.501683,[],[],0]]],["a2",5,false,1,0,false,305908873541922,[["images/shared-0-sheet1.png",747276,463,1,229,297,1,0.502183,0.501683,[],[],0]]],["a3",5,false,1,0,false,679047708345151,[["images/shared-0-sheet1.png",747276,694,1,229,297,1,0.502183,0.501683,[],[],0]]],["a4",5,false,1,0,false,952905008554866,[["images/shared-0-sheet1.png",747276,1,1,229,350,1,0.502183,0.502857,[],[],0]]],["a5",5,false,1,0,false,192515845620947,[["images/shared-0-sheet0.png",1350642,1641,513,229,350,1,0.502183,0.502857,[],[],0]]]],[],false,false,849593772614796,[],null,64,null],["Buybutton1",5,false,[],0,0,null,[["Default",5,false,1,0,false,940822637307880,[["images/shared-0-sheet2.png",160103,241,385,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,796389880892324,[],null,65,null],["Buybutton2",5,false,[],0,0,null,[["Default",5,false,1,0,false,823351493223824,[["images/shared-0-sheet2.png",160103,323,385,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,348760258713892,[],null,66,null],["Buybutton3",5,false,[],0,0,null,[["Default",5,false,1,0,false,901417821778179,[["images/shared-0-sheet2.png",160103,405,385,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,411983431468892,[],null,67,null],["Buybutton4",5,false,[],0,0,null,[["Default",5,false,1,0,false,128120680695156,[["images/shared-0-sheet2.png",160103,1,449,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,394076752712050,[],null,68,null],["CoinsFont",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,643,988,640,256],null,[],false,false,223152545788292,[],null,69,null],["CoinsFont2",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,1285,1504,640,256],null,[],false,false,807352866060344,[],null,70,null],["StarsFont",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,1,805,640,256],null,[],false,false,452786619121927,[],null,71,null],["GameoverCoinsfont",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,999,730,640,256],null,[["Pin",9,430257022603728,13]],false,false,510177786136340,[],null,72,null],["Highscorefont",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,999,472,640,256],null,[["Pin",9,137227499051186,13]],false,false,163536785679196,[],null,73,null],["Price1",5,false,[],0,0,null,[["Default",5,false,1,0,false,860472777568176,[["images/shared-0-sheet2.png",160103,1,119,134,51,1,0.5,0.509804,[],[-0.44776119999999997,-0.372549,0,-0.27451000000000003,0.41791,-0.29411800000000005,0.492537,-0.019608000000000014,0.44029799999999997,0.333333,0,0.372549,-0.44776119999999997,0.35294099999999995,-0.5,-0.019608000000000014],0]]]],[],false,false,780302797976170,[],null,74,null],["Price2",5,false,[],0,0,null,[["Default",5,false,1,0,false,285445237334480,[["images/shared-0-sheet2.png",160103,346,129,140,51,1,0.5,0.509804,[],[-0.44776119999999997,-0.372549,0,-0.27451000000000003,0.41791,-0.29411800000000005,0.492537,-0.019608000000000014,0.44029799999999997,0.333333,0,0.372549,-0.44776119999999997,0.35294099999999995,-0.5,-0.019608000000000014],0]]]],[],false,false,222850297624881,[],null,75,null],["Price3",5,false,[],0,0,null,[["Default",5,false,1,0,false,979754370212690,[["images/shared-0-sheet2.png",160103,355,1,145,51,1,0.503448,0.509804,[],[-0.4512092,-0.372549,-0.0034480000000000066,-0.27451000000000003,0.414462,-0.29411800000000005,0.489089,-0.019608000000000014,0.43684999999999996,0.333333,-0.0034480000000000066,0.372549,-0.4512092,0.35294099999999995,-0.503448,-0.019608000000000014],0]]]],[],false,false,782008186565896,[],null,76,null],["Price4",5,false,[],0,0,null,[["Default",5,false,1,0,false,394988054979745,[["images/shared-0-sheet2.png",160103,355,65,145,51,1,0.503448,0.509804,[],[-0.4512092,-0.372549,-0.0034480000000000066,-0.27451000000000003,0.414462,-0.29411800000000005,0.489089,-0.019608000000000014,0.43684999999999996,0.333333,-0.0034480000000000066,0.372549,-0.4512092,0.35294099999999995,-0.503448,-0.019608000000000014],0]]]],[],false,false,823645602250393,[],null,77,null],["ScoreFont",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,643,1504,640,256],null,[],false,false,237483453162187,[],null,78,null],["ScoreFont2",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,1,1321,640,256],null,[],false,false,299098827956918,[],null,79,null],["ScoreFont3",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,1285,1246,640,256],null,[["Pin",9,218578982162805,13]],false,false,944505995676526,[],null,80,null],["ScoreFont4",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,643,1246,640,256],null,[["Pin",9,606365068748172,13]],false,false,915375239395949,[],null,81,null],["ScoreFont5",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,1,1063,640,256],null,[["Pin",9,829796997349578,13]],false,false,169051518787792,[],null,82,null],["ScoreFont6",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,1285,988,640,256],null,[["Pin",9,298365838392440,13]],false,false,258563119751754,[],null,83,null],["ScoreFontGameOver",15,false,[],1,0,["images/shared-1-sheet0.png",14871,0,0,0,640,256],null,[["Pin",9,294952280014478,13]],false,false,875354594556284,[],null,84,null],["shop1",5,false,[],0,0,null,[["Default",5,false,1,0,false,351577390261258,[["images/shared-0-sheet1.png",747276,153,664,102,146,1,0.5,0.5,[],[],0]]]],[],false,false,171776334916759,[],null,85,null],["shop2",5,false,[],0,0,null,[["Default",5,false,1,0,false,338560431852884,[["images/shared-0-sheet1.png",747276,784,502,150,146,1,0.5,0.5,[],[],0]]]],[],false,false,898407844121712,[],null,86,null],["shop3",5,false,[],0,0,null,[["Default",5,false,1,0,false,482040387571816,[["images/shared-0-sheet1.png",747276,636,300,150,200,1,0.5,0.5,[],[],0]]]],[],false,false,764489559195348,[],null,87,null],["shop4",5,false,[],0,0,null,[["Default",5,false,1,0,false,542833930306893,[["images/shared-0-sheet1.png",747276,788,300,150,200,1,0.5,0.5,[],[],0]]]],[],false,false,810396635655941,[],null,88,null],["HowToPlayHud",5,false,[],1,0,null,[["Default",5,false,1,0,false,801208996961777,[["images/shared-0-sheet0.png",1350642,1599,1762,214,259,1,0.5,0.50193,[],[],0]]]],[["Fade",7,178684989242455,8]],false,false,947497245735769,[],null,89,null],["DefaultButton",5,false,[],0,0,null,[["Default",5,false,1,0,false,104138974609508,[["images/shared-0-sheet2.png",160103,346,193,164,40,1,0.5,0.5,[],[-0.47560979999999997,-0.4,0,-0.425,0.481707,-0.425,0.463415,0.35,0,0.30000000000000004,-0.4817073,0.42500000000000004,-0.49390244,0],0]]]],[],false,false,745811410115387,[],null,90,null],["StarHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,128618489367128,[["images/shared-0-sheet2.png",160103,257,182,69,67,1,0.507246,0.507463,[],[-0.01449199999999995,-0.507463,0.43478300000000003,-0.014925999999999995,0.333334,0.32835800000000004,-0.01449199999999995,0.358209,-0.34782599999999997,0.32835800000000004,-0.449275,-0.014925999999999995],0]]]],[],false,false,481337410714254,[],null,91,null],["LevelUpEffect",5,false,[],1,0,null,[["Default",5,false,1,0,false,742716361873150,[["images/shared-0-sheet0.png",1350642,517,1,480,800,1,0.5,0.5,[],[],0]]]],[["Fade",7,687285112059560,8]],false,false,491393539049738,[],null,92,null],["CoinHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,984266003583220,[["images/shared-0-sheet2.png",160103,136,449,45,47,1,0.511111,0.510638,[],[],0]]]],[],false,false,531027435374079,[],null,93,null],["FullScreenButton",5,false,[],0,0,null,[["Default",5,false,1,0,false,550542705706582,[["images/shared-0-sheet2.png",160103,166,1,94,94,1,0.5,0.5,[],[],0]]]],[],false,false,873874846285348,[],null,94,null],["BulletsHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,200082977905838,[["images/shared-0-sheet2.png",160103,319,481,65,29,1,0.523077,0.517241,[],[],0]]]],[],false,false,639012175665415,[],null,95,null],["SoundHud",5,false,[],0,0,null,[["unmute",5,false,1,0,false,640464335916188,[["images/shared-0-sheet2.png",160103,257,257,69,56,1,0.521739,0.535714,[],[-0.521739,-0.535714,-0.0164669999999999,-0.535714,0.47826100000000005,0.464286,-0.0164669999999999,0.464286,-0.521739,0.464286],0]]],["mute",5,false,1,0,false,251147533513709,[["images/shared-0-sheet2.png",160103,378,257,69,56,1,0.521739,0.535714,[],[-0.521739,-0.535714,-0.0164669999999999,-0.535714,0.47826100000000005,0.464286,-0.0164669999999999,0.464286,-0.521739,0.464286],0]]]],[],false,false,276404523586270,[],null,96,null],["DistanceHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,855383093341497,[["images/shared-0-sheet2.png",160103,277,449,40,50,1,0.5,0.5,[],[],0]]]],[],false,false,748484810281636,[],null,97,null],["AJAX",16,false,[],0,0,null,null,[],false,false,519336738261081,[],null,98,null,[]],["Family1",5,true,[],0,0,null,null,[],false,false,254161385785736,[],null,99,null],["Family2",5,true,[],0,0,null,null,[],false,false,770830218525952,[],null,100,null],["Family3",5,true,[],0,0,null,null,[],false,false,787608281011735,[],null,101,null]],[[91,42,43,38,26,54,44,45,49,53,41,36,37,35,48,50,46,34],[92,20,36,37],[93,42,43,44,45,49,35,48,34]],[["Level1",530,900,false,"Gameplay",183090545245534,[["Background0",0,278177697870304,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,16,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,24,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,1,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,167515066128231,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,106,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,107,[],[],[false,"Default",0,true]],[[1295,297,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,56,[],[],[true,"Default",0,true]],[[168,-5920,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,154,[],[],[true,"Default",0,true]],[[312,-5920,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,155,[],[],[true,"Default",0,true]],[[192,-9600,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,188,[],[],[true,"Default",0,true]],[[183,-15360,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,253,[],[],[true,"Default",0,true]],[[303,-15360,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,254,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,500874151598868,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[1032,31,0,45.047515869,36.560302734,0,0,1,0.521739,0.535714,0,0,[],null,null,null],88,84,[],[],[true,"unmute",0,true]],[[144,-832,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,9,[],[[0,5,false]],[true,"Default",0,true]],[[144,-896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,11,[],[[0,5,false]],[true,"Default",0,true]],[[144,-960,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,14,[],[[0,5,false]],[true,"Default",0,true]],[[144,-1024,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,17,[],[[0,5,false]],[true,"Default",0,true]],[[144,-1088,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,19,[],[[0,5,false]],[true,"Default",0,true]],[[192,-832,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,22,[],[[0,5,false]],[true,"Default",0,true]],[[192,-896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,34,[],[[0,5,false]],[true,"Default",0,true]],[[192,-960,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,39,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1024,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,40,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1088,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,45,[],[[0,5,false]],[true,"Default",0,true]],[[776,201,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,42,[],[[0,5,false]],[true,"Default",0,true]],[[835,198,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,46,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[1394,385,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,58,[],[],[true,"Default",0,true]],[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,94,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,95,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,97,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,98,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,99,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[288,-1440,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,31,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1504,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,33,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,108,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,109,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,112,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1440,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,113,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1504,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,115,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,116,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,117,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,118,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2400,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,122,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2464,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,123,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,124,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2400,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,125,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2464,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,126,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,127,[],[[0,5,false]],[true,"Default",0,true]],[[144,-3008,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,131,[],[[0,5,false]],[true,"Default",0,true]],[[144,-3072,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,132,[],[[0,5,false]],[true,"Default",0,true]],[[144,-3136,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,133,[],[[0,5,false]],[true,"Default",0,true]],[[192,-3520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,136,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,137,[],[[0,5,false]],[true,"Default",0,true]],[[288,-3520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,138,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3808,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,140,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3872,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,141,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3936,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,142,[],[[0,5,false]],[true,"Default",0,true]],[[336,-5056,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,147,[],[[0,5,false]],[true,"Default",0,true]],[[336,-4992,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,148,[],[[0,5,false]],[true,"Default",0,true]],[[336,-4928,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,149,[],[[0,5,false]],[true,"Default",0,true]],[[288,-5152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,150,[],[[0,5,false]],[true,"Default",0,true]],[[240,-5184,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,151,[],[[0,5,false]],[true,"Default",0,true]],[[192,-5216,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,152,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6048,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,156,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6112,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,157,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6176,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,158,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,159,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,160,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6048,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,161,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6112,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,162,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6176,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,163,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,164,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,165,[],[[0,5,false]],[true,"Default",0,true]],[[940,-12,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,60,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-4544,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,139,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-8992,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,182,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]]],[],0,true],["Game",3,465242237050654,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,8,[],[],[true,0,1,1,0,0,1,1,0]],[[563,544,0,33,36,0,0,1,0.515152,0.5,0,0,[],null,null,null],29,0,[],[[0,0,-800,false,false,false,true]],[true,"Default",0,true]],[[927,256,0,109.092803955,112.876365662,0,0,1,0.468208,0.424581,0,0,[],null,null,null],39,47,[],[],[true,"Default",0,true]],[[1034,242,0,88,79,0,0,1,0.306818,0.139241,0,0,[],null,null,null],40,49,[],[],[true,"Default",0,true]],[[838,671,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,54,[[3]],[],[true,"Default",0,true]],[[986,672,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,55,[[3]],[],[true,"Default",0,true]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,13,[],[[false]],[true,"Default",0,true]],[[1053,-50,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,100,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-5664,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,144,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,105,[],[[false]],[false,"Default",0,true]],[[603,189,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,37,[[3]],[],[true,"Default",0,true]],[[360,-10144,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,187,[[3]],[],[true,"Default",0,true]],[[312,-10208,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,192,[[3]],[],[true,"Default",0,true]],[[264,-10272,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,193,[[3]],[],[true,"Default",0,true]],[[216,-10336,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,194,[[3]],[],[true,"Default",0,true]],[[120,-10496,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,195,[[3]],[],[true,"Default",0,true]],[[168,-10560,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,196,[[3]],[],[true,"Default",0,true]],[[216,-10624,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,197,[[3]],[],[true,"Default",0,true]],[[264,-10688,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,198,[[3]],[],[true,"Default",0,true]],[[336,-12544,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,226,[[3]],[],[true,"Default",0,true]],[[144,-12544,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,227,[[3]],[],[true,"Default",0,true]],[[240,-12704,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,228,[[3]],[],[true,"Default",0,true]],[[336,-12864,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,229,[[3]],[],[true,"Default",0,true]],[[144,-12864,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,230,[[3]],[],[true,"Default",0,true]],[[336,-15040,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,251,[[3]],[],[true,"Default",0,true]],[[144,-15040,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,252,[[3]],[],[true,"Default",0,true]],[[707,126,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,2,[[3]],[],[true,"Default",0,true]],[[312,-1856,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,119,[[3]],[],[true,"Default",0,true]],[[168,-2112,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,120,[[3]],[],[true,"Default",0,true]],[[240,-2432,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,121,[[3]],[],[true,"Default",0,true]],[[240,-5056,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,145,[[3]],[],[true,"Default",0,true]],[[168,-5120,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,146,[[3]],[],[true,"Default",0,true]],[[336,-5248,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,153,[[3]],[],[true,"Default",0,true]],[[192,-9824,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,185,[[3]],[],[true,"Default",0,true]],[[672,256,0,225,55,0,0,1,0.502222,0.509091,0,0,[],null,null,null],36,41,[],[],[true,"Default",0,true]],[[192,-1344,0,225,55,0,0.925998211,1,0.502222,0.509091,0,0,[],null,null,null],36,129,[],[],[true,"Default",0,true]],[[184,-7595,0,225,55,0,5.274271194179587,1,0.502222,0.509091,0,0,[],null,null,null],36,170,[],[],[true,"Default",0,true]],[[317,-7892,0,225,55,0,1.096421361,1,0.502222,0.509091,0,0,[],null,null,null],36,171,[],[],[true,"Default",0,true]],[[170,-8172,0,225,55,0,5.1663867871795865,1,0.502222,0.509091,0,0,[],null,null,null],36,172,[],[],[true,"Default",0,true]],[[120,-11072,0,225,55,0,5.760729615179586,1,0.502222,0.509091,0,0,[],null,null,null],36,203,[],[],[true,"Default",0,true]],[[703,338,0,304,60,0,0,1,0.503289,0.516667,0,0,[],null,null,null],37,43,[],[],[true,"Default",0,true]],[[264,-3040,0,304,60,0,1.048931241,1,0.503289,0.516667,0,0,[],null,null,null],37,130,[],[],[true,"Default",0,true]],[[360,-11264,0,304,60,0,0.654058039,1,0.503289,0.516667,0,0,[],null,null,null],37,204,[],[],[true,"Default",0,true]],[[240,-11712,0,304,60,0,1.566715479,1,0.503289,0.516667,0,0,[],null,null,null],37,205,[],[],[true,"Default",0,true]],[[192,-12064,0,304,60,0,5.492362086179586,1,0.503289,0.516667,0,0,[],null,null,null],37,207,[],[],[true,"Default",0,true]],[[120,-15776,0,304,60,0,1.566715479,1,0.503289,0.516667,0,0,[],null,null,null],37,265,[],[],[true,"Default",0,true]],[[360,-15776,0,304,60,0,1.566715479,1,0.503289,0.516667,0,0,[],null,null,null],37,266,[],[],[true,"Default",0,true]],[[856,113,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,51,[],[],[true,"Default",0,true]],[[192,-2720,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,128,[],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,288067269085417,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,3,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[924,491,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,52,[],[],[true,"Default",0,true]],[[248.389007568,-3587.100585938,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,134,[],[],[true,"Default",0,true]],[[246,-6519,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,166,[],[],[true,"Default",0,true]],[[251,-13479,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,231,[],[],[true,"Default",0,true]],[[244,-13759,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,233,[],[],[true,"Default",0,true]],[[250.378753662,-16294.927734375,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,267,[],[],[true,"Default",0,true]],[[910,491,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,53,[],[],[true,"Default",0,true]],[[234.389007568,-3587.100585938,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,135,[],[],[true,"Default",0,true]],[[232,-6519,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,167,[],[],[true,"Default",0,true]],[[237,-13479,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,232,[],[],[true,"Default",0,true]],[[230,-13759,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,234,[],[],[true,"Default",0,true]],[[236.378753662,-16294.927734375,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,268,[],[],[true,"Default",0,true]],[[1110,106,0,40.604225159,166.164978027,0,0,1,0.507692,0.511278,0,0,[],null,null,null],48,32,[],[[0,0,1,0,0,0,10,0,true]],[true,"Default",0,true]]],[],0,true],["UI",5,426982796492539,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,88,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,21,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,25,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,29,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,61,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,62,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,65,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,67,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[818,-5,0,65.103691101,71.885322571,0,0,1,0.5,0.509434,0,0,[],null,null,null],52,103,[],[[0,0,1,true,true],[5,0,2,0,0,0,100,0,true]],[true,"a1",0,true]],[[717,-5,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,104,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4160,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,143,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[146,-7082,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,168,[],[],[true,"Default",0,true]],[[335,-7082,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,169,[],[],[true,"Default",0,true]],[[216,-6784,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,173,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,174,[],[[0,5,false]],[true,"Default",0,true]],[[216,-7040,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,175,[],[[0,5,false]],[true,"Default",0,true]],[[264,-7168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,176,[],[[0,5,false]],[true,"Default",0,true]],[[216,-7296,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,177,[],[[0,5,false]],[true,"Default",0,true]],[[264,-7424,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,178,[],[[0,5,false]],[true,"Default",0,true]],[[312,-7712,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,179,[],[[0,5,false]],[true,"Default",0,true]],[[192,-8000,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,180,[],[[0,5,false]],[true,"Default",0,true]],[[312,-8256,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,181,[],[[0,5,false]],[true,"Default",0,true]],[[240,-8640,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,183,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-9312,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,184,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[192,-9696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,190,[],[[0,5,false]],[true,"Default",0,true]],[[192,-9760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,191,[],[[0,5,false]],[true,"Default",0,true]],[[134,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,199,[],[[0,5,false]],[true,"Default",0,true]],[[206,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,200,[],[[0,5,false]],[true,"Default",0,true]],[[278,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,201,[],[[0,5,false]],[true,"Default",0,true]],[[350,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,202,[],[[0,5,false]],[true,"Default",0,true]],[[312,-11200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,210,[],[[0,5,false]],[true,"Default",0,true]],[[240,-11200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,211,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,212,[],[[0,5,false]],[true,"Default",0,true]],[[312,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,213,[],[[0,5,false]],[true,"Default",0,true]],[[240,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,214,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,215,[],[[0,5,false]],[true,"Default",0,true]],[[312,-11904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,216,[],[[0,5,false]],[true,"Default",0,true]],[[240,-11904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,217,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,225,[],[[0,5,false]],[true,"Default",0,true]],[[312,-13624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,235,[],[[0,5,false]],[true,"Default",0,true]],[[240,-13624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,236,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,237,[],[[0,5,false]],[true,"Default",0,true]],[[239,-14496,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,238,[],[],[true,"Default",0,true]],[[144,-14240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,239,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14336,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,240,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,241,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,242,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,243,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,244,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,245,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14336,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,246,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,247,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,248,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,249,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,250,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15488,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,255,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15552,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,256,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15616,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,257,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15680,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,258,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15744,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,259,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15488,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,260,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15552,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,261,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15616,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,262,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15680,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,263,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15744,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,264,[],[[0,5,false]],[true,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,269,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,270,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,271,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,272,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,273,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,274,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,57,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,63,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,15,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,48,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,64,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,91,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,86,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,87,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,66,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,93,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[240,-10912,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,275,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[244,416,0,214,259,0,0,1,0.5,0.50193,0,0,[],null,null,null],81,208,[],[[0,2,1,true,true]],[true,"Default",0,true]],[[241,-62,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],55,282,[],[[false]],[true,"Default",0,true]],[[1200,-32,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,30,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Level2",530,900,false,"Gameplay",607283762922285,[["Background0",0,765152399363872,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,276,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,277,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,281,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,671884686220583,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,284,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,285,[],[],[false,"Default",0,true]],[[168,-3520,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,331,[],[],[true,"Default",0,true]],[[312,-3520,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,335,[],[],[true,"Default",0,true]],[[240,-12224,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,434,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,938595742854351,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,310,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,311,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,312,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,313,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,314,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[120,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,290,[],[[0,5,false]],[true,"Default",0,true]],[[168,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,291,[],[[0,5,false]],[true,"Default",0,true]],[[216,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,293,[],[[0,5,false]],[true,"Default",0,true]],[[264,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,294,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,295,[],[[0,5,false]],[true,"Default",0,true]],[[360,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,296,[],[[0,5,false]],[true,"Default",0,true]],[[168,-1568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,317,[],[[0,5,false]],[true,"Default",0,true]],[[240,-1632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,318,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,319,[],[[0,5,false]],[true,"Default",0,true]],[[216,-1920,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,320,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1984,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,321,[],[[0,5,false]],[true,"Default",0,true]],[[288,-2304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,322,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,323,[],[[0,5,false]],[true,"Default",0,true]],[[349,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,324,[],[[0,5,false]],[true,"Default",0,true]],[[277,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,325,[],[[0,5,false]],[true,"Default",0,true]],[[205,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,326,[],[[0,5,false]],[true,"Default",0,true]],[[133,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,327,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2976,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,328,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3040,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,329,[],[[0,5,false]],[true,"Default",0,true]],[[192,-3104,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,330,[],[[0,5,false]],[true,"Default",0,true]],[[288,-3136,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,332,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,333,[],[[0,5,false]],[true,"Default",0,true]],[[336,-3264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,334,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3744,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,337,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3808,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,338,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3872,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,339,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3936,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,340,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3648,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,341,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3712,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,342,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3776,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,343,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3840,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,344,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,345,[],[[0,5,false]],[true,"Default",0,true]]],[],0,true],["Game",3,585516418356554,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,364,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,365,[],[],[true,0,1,1,0,0,1,1,0]],[[563,544,0,33,36,0,0,1,0.515152,0.5,0,0,[],null,null,null],29,366,[],[[0,0,-800,false,false,false,true]],[true,"Default",0,true]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,376,[],[[false]],[true,"Default",0,true]],[[252,-1347,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,283,[],[],[true,"Default",0,true]],[[238,-1347,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,287,[],[],[true,"Default",0,true]],[[178,-1276,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,288,[[3]],[],[true,"Default",0,true]],[[310,-1276,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,289,[[3]],[],[true,"Default",0,true]],[[306.805389404,-7406.502929688,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,405,[[3]],[],[true,"Default",0,true]],[[309.601196289,-7708.477539063,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,409,[[3]],[],[true,"Default",0,true]],[[174.805389404,-7406.502929688,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,404,[[3]],[],[true,"Default",0,true]],[[177.601196289,-7708.477539063,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,408,[[3]],[],[true,"Default",0,true]],[[234.805389404,-7477.502929688,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,389,[],[],[true,"Default",0,true]],[[237.601196289,-7779.477539063,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,407,[],[],[true,"Default",0,true]],[[234,-13955,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,452,[],[],[true,"Default",0,true]],[[248.805389404,-7477.502929688,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,388,[],[],[true,"Default",0,true]],[[251.601196289,-7779.477539063,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,406,[],[],[true,"Default",0,true]],[[248,-13955,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,451,[],[],[true,"Default",0,true]],[[288,-1536,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,297,[[3]],[],[true,"Default",0,true]],[[168,-1696,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,298,[[3]],[],[true,"Default",0,true]],[[312,-1984,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,299,[[3]],[],[true,"Default",0,true]],[[216,-2368,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,300,[[3]],[],[true,"Default",0,true]],[[264,-2720,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,301,[[3]],[],[true,"Default",0,true]],[[240,-2848,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,302,[[3]],[],[true,"Default",0,true]],[[336,-3008,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,315,[[3]],[],[true,"Default",0,true]],[[144,-3296,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,316,[[3]],[],[true,"Default",0,true]],[[168,-3648,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,336,[[3]],[],[true,"Default",0,true]],[[240,-11040,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,423,[[3]],[],[true,"Default",0,true]],[[264,-11360,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,427,[[3]],[],[true,"Default",0,true]],[[360,-12192,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,435,[[3]],[],[true,"Default",0,true]],[[360,-12288,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,436,[[3]],[],[true,"Default",0,true]],[[360,-12384,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,437,[[3]],[],[true,"Default",0,true]],[[120,-12192,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,438,[[3]],[],[true,"Default",0,true]],[[120,-12288,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,439,[[3]],[],[true,"Default",0,true]],[[120,-12384,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,440,[[3]],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,620157683405546,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",5,151239523594504,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,390,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,392,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,393,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,396,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,397,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,398,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,399,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,400,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,403,[],[[false]],[false,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,485,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,486,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,487,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,488,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,489,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,490,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,492,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,493,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,494,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,495,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,496,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,497,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,498,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,499,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,500,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,501,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[240,-4672,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,347,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4224,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,348,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4384,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,349,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-5088,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,350,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[144,-5632,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,309,[],[],[true,"Default",0,true]],[[336,-6624,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,351,[],[],[true,"Default",0,true]],[[312,-5536,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,352,[[3]],[],[true,"Default",0,true]],[[312,-5664,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,353,[[3]],[],[true,"Default",0,true]],[[312,-5792,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,354,[[3]],[],[true,"Default",0,true]],[[312,-5920,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,355,[[3]],[],[true,"Default",0,true]],[[312,-5408,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,356,[[3]],[],[true,"Default",0,true]],[[312,-5280,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,357,[[3]],[],[true,"Default",0,true]],[[168,-6560,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,358,[[3]],[],[true,"Default",0,true]],[[168,-6688,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,359,[[3]],[],[true,"Default",0,true]],[[168,-6816,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,360,[[3]],[],[true,"Default",0,true]],[[168,-6944,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,361,[[3]],[],[true,"Default",0,true]],[[168,-6432,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,362,[[3]],[],[true,"Default",0,true]],[[168,-6304,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,363,[[3]],[],[true,"Default",0,true]],[[216,-5344,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,378,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5472,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,379,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5600,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,380,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,381,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5856,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,382,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,383,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6496,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,384,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,385,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6752,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,386,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6880,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,387,[],[[0,5,false]],[true,"Default",0,true]],[[240,-8418,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,410,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[243,-8802,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,411,[],[],[true,"Default",0,true]],[[264,-8929,0,225,55,0,0.673692465,1,0.502222,0.509091,0,0,[],null,null,null],36,412,[],[],[true,"Default",0,true]],[[187,-9265,0,304,60,0,5.842407111179586,1,0.503289,0.516667,0,0,[],null,null,null],37,413,[],[],[true,"Default",0,true]],[[243,-9752,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,414,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[241,-10367,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,415,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-10651,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,416,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[171,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,417,[],[[0,5,false]],[true,"Default",0,true]],[[219,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,418,[],[[0,5,false]],[true,"Default",0,true]],[[267,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,419,[],[[0,5,false]],[true,"Default",0,true]],[[315,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,420,[],[[0,5,false]],[true,"Default",0,true]],[[192,-11136,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,421,[],[],[true,"Default",0,true]],[[240,-11520,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,422,[[3]],[],[true,"Default",0,true]],[[240,-12000,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,424,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[264,-11264,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,425,[],[],[true,"Default",0,true]],[[240,-11744,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,426,[],[],[true,"Default",0,true]],[[336,-11808,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,428,[[3]],[],[true,"Default",0,true]],[[144,-11392,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,429,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,430,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,431,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11584,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,432,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11648,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,433,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12384,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,441,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12448,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,442,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12512,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,443,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12576,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,444,[],[[0,5,false]],[true,"Default",0,true]],[[144,-13120,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,445,[],[],[true,"Default",0,true]],[[216,-13120,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,446,[],[],[true,"Default",0,true]],[[288,-13120,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,447,[],[],[true,"Default",0,true]],[[336,-12992,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,448,[],[[0,5,false]],[true,"Default",0,true]],[[336,-13088,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,449,[],[[0,5,false]],[true,"Default",0,true]],[[336,-13184,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,450,[],[[0,5,false]],[true,"Default",0,true]],[[244,-15246,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,453,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-14786,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,454,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[237,-14326,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,455,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-14451,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,456,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[172,-15552,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,457,[[3]],[],[true,"Default",0,true]],[[329,-15866,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,458,[[3]],[],[true,"Default",0,true]],[[172,-16163,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,459,[[3]],[],[true,"Default",0,true]],[[312,-15584,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,460,[],[[0,5,false]],[true,"Default",0,true]],[[168,-15872,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,461,[],[[0,5,false]],[true,"Default",0,true]],[[312,-16160,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,462,[],[[0,5,false]],[true,"Default",0,true]],[[240,-224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,373,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Level3",530,900,false,"Gameplay",216865497866942,[["Background0",0,338994394660612,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,463,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,464,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,468,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,475490907695786,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,470,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,471,[],[],[false,"Default",0,true]],[[175,-5029,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,531,[],[],[true,"Default",0,true]],[[310,-5433,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,533,[],[],[true,"Default",0,true]],[[177,-5877,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,534,[],[],[true,"Default",0,true]],[[240,-13024,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,632,[],[],[true,"Default",0,true]],[[168,-3136,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,524,[],[],[true,"Default",0,true]],[[312,-3296,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,525,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,844557391344128,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,482,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,483,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,484,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,502,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,503,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[239,-6215,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,532,[[3]],[],[true,"Default",0,true]],[[191,-6271,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,535,[[3]],[],[true,"Default",0,true]],[[143,-6331,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,536,[[3]],[],[true,"Default",0,true]],[[302,-6472,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,537,[[3]],[],[true,"Default",0,true]],[[208,-6595,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,538,[[3]],[],[true,"Default",0,true]],[[164,-6748,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,539,[[3]],[],[true,"Default",0,true]],[[321,-6826,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,540,[[3]],[],[true,"Default",0,true]],[[336,-12192,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,633,[[3]],[],[true,"Default",0,true]]],[],0,true],["Game",3,405572073932320,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,546,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,547,[],[],[true,0,1,1,0,0,1,1,0]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,558,[],[[false]],[true,"Default",0,true]],[[240,-1408,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,504,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[237,-3643,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,527,[],[],[true,"Default",0,true]],[[236,-8433,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,607,[],[],[true,"Default",0,true]],[[234,-9252,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,611,[],[],[true,"Default",0,true]],[[251,-3643,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,526,[],[],[true,"Default",0,true]],[[250,-8433,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,606,[],[],[true,"Default",0,true]],[[248,-9252,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,610,[],[],[true,"Default",0,true]],[[176,-8362,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,608,[[3]],[],[true,"Default",0,true]],[[174,-9181,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,612,[[3]],[],[true,"Default",0,true]],[[308,-8362,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,609,[[3]],[],[true,"Default",0,true]],[[306,-9181,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,613,[[3]],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,215674106663956,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",5,485184174842268,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,564,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,566,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,567,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,570,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,571,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,572,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,573,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,574,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,577,[],[[false]],[false,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,578,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,579,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,580,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,581,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,582,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,583,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,585,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,586,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,587,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,588,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,589,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,590,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,591,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,592,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,593,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,594,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[247,-1056,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,473,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-832,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,474,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[144,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,505,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,506,[],[[0,5,false]],[true,"Default",0,true]],[[240,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,507,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,508,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,509,[],[[0,5,false]],[true,"Default",0,true]],[[144,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,510,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,511,[],[[0,5,false]],[true,"Default",0,true]],[[240,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,512,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,513,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,514,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1856,0,225,55,0,5.840684477179586,1,0.502222,0.509091,0,0,[],null,null,null],36,515,[],[],[true,"Default",0,true]],[[288,-2240,0,225,55,0,0.456402391,1,0.502222,0.509091,0,0,[],null,null,null],36,516,[],[],[true,"Default",0,true]],[[240,-2720,0,304,60,0,5.1849369441795865,1,0.503289,0.516667,0,0,[],null,null,null],37,517,[],[],[true,"Default",0,true]],[[144,-2176,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,518,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2272,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,519,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,520,[],[[0,5,false]],[true,"Default",0,true]],[[360,-2720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,521,[],[[0,5,false]],[true,"Default",0,true]],[[360,-2816,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,522,[],[[0,5,false]],[true,"Default",0,true]],[[360,-2912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,523,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3929,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,528,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[238,-4286,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,529,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[238,-4697,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,530,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[168,-5152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,541,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5216,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,542,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5280,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,543,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5344,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,544,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5408,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,560,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,561,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,562,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,563,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,595,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5824,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,596,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,597,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,598,[],[[0,5,false]],[true,"Default",0,true]],[[216,-6432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,599,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6496,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,600,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,601,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6688,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,602,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6752,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,603,[],[[0,5,false]],[true,"Default",0,true]],[[240,-7520,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,604,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-7904,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,605,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-8764,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,614,[],[[0,5,false]],[true,"Default",0,true]],[[242,-8828,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,615,[],[[0,5,false]],[true,"Default",0,true]],[[242,-8892,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,616,[],[[0,5,false]],[true,"Default",0,true]],[[242,-9677,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,617,[],[[0,5,false]],[true,"Default",0,true]],[[242,-9741,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,618,[],[[0,5,false]],[true,"Default",0,true]],[[242,-9805,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,619,[],[[0,5,false]],[true,"Default",0,true]],[[192,-10368,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,620,[],[],[true,"Default",0,true]],[[264,-10944,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,621,[],[],[true,"Default",0,true]],[[144,-10304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,622,[],[[0,5,false]],[true,"Default",0,true]],[[144,-10368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,623,[],[[0,5,false]],[true,"Default",0,true]],[[144,-10432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,624,[],[[0,5,false]],[true,"Default",0,true]],[[336,-10912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,625,[],[[0,5,false]],[true,"Default",0,true]],[[336,-10976,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,626,[],[[0,5,false]],[true,"Default",0,true]],[[336,-11040,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,627,[],[[0,5,false]],[true,"Default",0,true]],[[173,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,628,[],[[0,5,false]],[true,"Default",0,true]],[[221,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,629,[],[[0,5,false]],[true,"Default",0,true]],[[269,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,630,[],[[0,5,false]],[true,"Default",0,true]],[[317,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,631,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11968,0,225,55,0,5.462916020179586,1,0.502222,0.509091,0,0,[],null,null,null],36,634,[],[],[true,"Default",0,true]],[[312,-13312,0,304,60,0,0.893964648,1,0.503289,0.516667,0,0,[],null,null,null],37,635,[],[],[true,"Default",0,true]],[[240,-12672,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,636,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-12416,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,637,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-12832,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,638,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[144,-13728,0,304,60,0,5.151888315179586,1,0.503289,0.516667,0,0,[],null,null,null],37,639,[],[],[true,"Default",0,true]],[[240,-14016,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,640,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[168,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,641,[],[[0,5,false]],[true,"Default",0,true]],[[216,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,642,[],[[0,5,false]],[true,"Default",0,true]],[[264,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,643,[],[[0,5,false]],[true,"Default",0,true]],[[312,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,644,[],[[0,5,false]],[true,"Default",0,true]],[[246,-14528,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,645,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[174,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,646,[],[[0,5,false]],[true,"Default",0,true]],[[222,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,647,[],[[0,5,false]],[true,"Default",0,true]],[[270,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,648,[],[[0,5,false]],[true,"Default",0,true]],[[318,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,649,[],[[0,5,false]],[true,"Default",0,true]],[[240,-14848,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,650,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-7200,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,651,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-9536,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,652,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-15232,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,653,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,555,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Level4",530,900,false,"Gameplay",486537720691940,[["Background0",0,412953830528431,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,654,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,655,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,659,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,988082679431805,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,661,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,662,[],[],[false,"Default",0,true]],[[168,-12928,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,803,[],[],[true,"Default",0,true]],[[312,-13248,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,817,[],[],[true,"Default",0,true]],[[240,-7808,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,783,[],[],[true,"Default",0,true]],[[242,-14336,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,823,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,306353999550643,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,671,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,672,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,673,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,674,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,675,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[168,-1245,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,676,[],[],[true,"Default",0,true]],[[228,-1246,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,724,[],[],[true,"Default",0,true]],[[312,-2368,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,740,[[3]],[],[true,"Default",0,true]],[[144,-2592,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,741,[[3]],[],[true,"Default",0,true]],[[336,-2816,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,742,[[3]],[],[true,"Default",0,true]],[[288,-2912,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,743,[[3]],[],[true,"Default",0,true]],[[168,-3264,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,744,[[3]],[],[true,"Default",0,true]],[[168,-9216,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,788,[[3]],[],[true,"Default",0,true]],[[312,-9344,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,790,[[3]],[],[true,"Default",0,true]],[[216,-13024,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,804,[[3]],[],[true,"Default",0,true]],[[192,-6272,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,763,[[3]],[],[true,"Default",0,true]],[[288,-6016,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,764,[[3]],[],[true,"Default",0,true]],[[192,-5952,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,765,[[3]],[],[true,"Default",0,true]],[[360,-5792,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,766,[[3]],[],[true,"Default",0,true]],[[120,-5408,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,767,[[3]],[],[true,"Default",0,true]],[[312,-6880,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,768,[[3]],[],[true,"Default",0,true]],[[291,-10511,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,797,[[3]],[],[true,"Default",0,true]],[[211,-10649,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,799,[[3]],[],[true,"Default",0,true]],[[120,-12000,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,805,[[3]],[],[true,"Default",0,true]],[[240,-11840,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,816,[[3]],[],[true,"Default",0,true]],[[362,-14304,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,824,[[3]],[],[true,"Default",0,true]],[[362,-14400,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,825,[[3]],[],[true,"Default",0,true]],[[362,-14496,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,826,[[3]],[],[true,"Default",0,true]],[[122,-14304,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,827,[[3]],[],[true,"Default",0,true]],[[122,-14400,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,828,[[3]],[],[true,"Default",0,true]],[[122,-14496,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,829,[[3]],[],[true,"Default",0,true]]],[],0,true],["Game",3,775818173073855,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,677,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,678,[],[],[true,0,1,1,0,0,1,1,0]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,689,[],[[false]],[true,"Default",0,true]],[[253,-995,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,691,[],[],[true,"Default",0,true]],[[248,-7476,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,749,[],[],[true,"Default",0,true]],[[249,-9885,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,791,[],[],[true,"Default",0,true]],[[251,-12303,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,810,[],[],[true,"Default",0,true]],[[239,-995,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,723,[],[],[true,"Default",0,true]],[[234,-7476,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,750,[],[],[true,"Default",0,true]],[[235,-9885,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,792,[],[],[true,"Default",0,true]],[[237,-12303,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,811,[],[],[true,"Default",0,true]],[[174,-7405,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,751,[[3]],[],[true,"Default",0,true]],[[306,-7405,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,752,[[3]],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,411099167828621,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",5,836603971008402,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,692,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,694,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,695,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,698,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,699,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,700,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,701,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,702,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,705,[],[[false]],[false,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,706,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,707,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,708,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,709,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,710,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,711,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,713,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,714,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,715,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,716,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,717,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,718,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,719,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,720,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,721,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,722,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[312,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,725,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1216,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,726,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1280,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,727,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1344,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,728,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1408,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,729,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1920,0,225,55,0,0,1,0.502222,0.509091,0,0,[],null,null,null],36,730,[],[],[true,"Default",0,true]],[[192,-2240,0,225,55,0,0,1,0.502222,0.509091,0,0,[],null,null,null],36,731,[],[],[true,"Default",0,true]],[[312,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,732,[],[[0,5,false]],[true,"Default",0,true]],[[264,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,733,[],[[0,5,false]],[true,"Default",0,true]],[[168,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,734,[],[[0,5,false]],[true,"Default",0,true]],[[216,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,735,[],[[0,5,false]],[true,"Default",0,true]],[[312,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,736,[],[[0,5,false]],[true,"Default",0,true]],[[264,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,737,[],[[0,5,false]],[true,"Default",0,true]],[[168,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,738,[],[[0,5,false]],[true,"Default",0,true]],[[216,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,739,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3680,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,745,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-2720,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,746,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-3104,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,747,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,748,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[213,-4939,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,753,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5003,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,754,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5067,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,755,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5131,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,756,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5195,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,757,[],[[0,5,false]],[true,"Default",0,true]],[[269,-4939,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,758,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5003,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,759,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5067,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,760,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5131,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,761,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5195,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,762,[],[[0,5,false]],[true,"Default",0,true]],[[240,-5504,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,769,[],[[0,5,false]],[true,"Default",0,true]],[[240,-5600,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,770,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,771,[],[[0,5,false]],[true,"Default",0,true]],[[264,-5856,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,772,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5920,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,773,[],[[0,5,false]],[true,"Default",0,true]],[[336,-6272,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,774,[],[[0,5,false]],[true,"Default",0,true]],[[288,-6368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,775,[],[[0,5,false]],[true,"Default",0,true]],[[192,-6720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,776,[],[[0,5,false]],[true,"Default",0,true]],[[144,-6816,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,777,[],[[0,5,false]],[true,"Default",0,true]],[[192,-6912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,778,[],[[0,5,false]],[true,"Default",0,true]],[[168,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,779,[],[[0,5,false]],[true,"Default",0,true]],[[216,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,780,[],[[0,5,false]],[true,"Default",0,true]],[[264,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,781,[],[[0,5,false]],[true,"Default",0,true]],[[312,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,782,[],[[0,5,false]],[true,"Default",0,true]],[[144,-7968,0,304,60,0,0,1,0.503289,0.516667,0,0,[],null,null,null],37,784,[],[],[true,"Default",0,true]],[[240,-7680,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,785,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-8512,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,786,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-8320,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,787,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-9056,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,789,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[177,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,793,[],[[0,5,false]],[true,"Default",0,true]],[[225,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,794,[],[[0,5,false]],[true,"Default",0,true]],[[273,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,795,[],[[0,5,false]],[true,"Default",0,true]],[[321,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,796,[],[[0,5,false]],[true,"Default",0,true]],[[183,-10361,0,304,60,0,5.598185185179586,1,0.503289,0.516667,0,0,[],null,null,null],37,798,[],[],[true,"Default",0,true]],[[313,-10848,0,304,60,0,0.824760497,1,0.503289,0.516667,0,0,[],null,null,null],37,800,[],[],[true,"Default",0,true]],[[246,-11402,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,801,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[239,-11161,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,802,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[336,-13696,0,225,55,0,0.709024787,1,0.502222,0.509091,0,0,[],null,null,null],36,806,[],[],[true,"Default",0,true]],[[336,-12480,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,807,[],[[0,5,false]],[true,"Default",0,true]],[[174,-12627,0,304,60,0,5.673472229179586,1,0.503289,0.516667,0,0,[],null,null,null],37,808,[],[],[true,"Default",0,true]],[[240,-12096,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,809,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-13440,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,812,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[336,-12544,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,813,[],[[0,5,false]],[true,"Default",0,true]],[[336,-12608,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,814,[],[[0,5,false]],[true,"Default",0,true]],[[336,-12672,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,815,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13792,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,818,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13856,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,819,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13920,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,820,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13984,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,821,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14112,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,822,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-14496,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,830,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,831,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,832,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14688,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,833,[],[[0,5,false]],[true,"Default",0,true]],[[146,-15232,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,834,[],[],[true,"Default",0,true]],[[218,-15232,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,835,[],[],[true,"Default",0,true]],[[290,-15232,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,836,[],[],[true,"Default",0,true]],[[338,-15104,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,837,[],[[0,5,false]],[true,"Default",0,true]],[[338,-15200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,838,[],[[0,5,false]],[true,"Default",0,true]],[[338,-15296,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,839,[],[[0,5,false]],[true,"Default",0,true]],[[240,-224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,686,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Menu",480,800,false,"Menu",348638176457426,[["Background0",0,339447244929493,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[0,-800,0,480,1600,0,0,1,0,0,0,0,[],null,null,null],11,6,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,346140862120238,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["Background2",2,925155324488847,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[562,164,0,94,94,0,0,1,0.5,0.5,0,0,[],null,null,null],86,206,[],[],[true,"Default",0,true]],[[242,393,0,180,74,0,0,1,0.511111,0.5,0,0,[],null,null,null],9,10,[],[[1,0,1.5,0,0,0,5,0,true],[0,0,1,true,false],[0,0,26,"160,393",0,2.5,1]],[true,"Default",0,true]],[[231,617,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,219,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[255,617,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,220,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[217.755279541,603.524902344,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,221,[],[[false]],[true,"Default",0,true]],[[267.264801025,603.215454102,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,222,[],[[false]],[true,"Default",0,true]],[[230,583,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,223,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[252,583,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,224,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]]],[],0,true],["Game",3,796396707842961,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,607,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],5,218,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"Default",0,true]]],[],0,true],["UI",4,913933830107033,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[63,39,0,53.810180664,43.672031403,0,0,1,0.521739,0.535714,0,0,[],null,null,null],88,20,[],[],[true,"unmute",0,true]],[[242,472,0,180,74,0,0,1,0.511111,0.554054,0,0,[],null,null,null],8,23,[],[[1,0,1.5,0,0,0,5,0,true],[0,0,1,true,false],[0,0,26,"320,472",0,2.5,1]],[true,"Default",0,true]],[[242,330,0,180,74,0,0,1,0.505556,0.662162,0,0,[],null,null,null],7,36,[],[[1,0,1.5,0,0,0,5,0,true],[0,0,1,true,false],[0,0,26,"320,330",0,2.5,1]],[true,"Default",0,true]],[[0,-800,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,50,[],[],[true,0,1,1,0,0,1,1,0]],[[236,152,0,387.110290527,200.999572754,0,0,1,0.501923,0.5,0,0,[],null,null,null],6,12,[],[[1,0,2,0,0,0,10,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Shop",480,800,false,"Shop",637050755545848,[["Background0",0,629249775431692,true,[255,255,255],false,1,1,1,false,false,1,0,0,[],[],0,true],["Background1",1,901618673766631,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["Background2",2,709454663797113,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[240.75,399.4375,0,483,801,0,0,1,0.5,0.5,0,0,[],null,null,null],31,96,[],[],[true,"Default",0,true]],[[33,30,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,110,[],[],[true,"Default",0,true]],[[52,9,0,223,50,0,0,1,0,0,0,0,[],null,null,null],61,111,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[70,735,0,120.243080139,109.311897278,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,35,[],[[false]],[true,"Default",0,true]],[[240.019332886,420.231384277,0,472.277099609,437.743011475,0,0,1,0.5,0.501066,0,0,[],null,null,null],51,38,[],[],[true,"Default",0,true]],[[239,117,0,279.58807373,145.170730591,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,68,[],[[false]],[true,"Default",0,true]],[[240,378,0,153.173400879,198.657196045,0,0,1,0.502183,0.501683,0,0,[],null,null,null],56,69,[],[],[true,"a1",0,true]],[[63.408782959,481.145874023,0,64.63596344,92.5181427,0,0,1,0.5,0.5,0,0,[],null,null,null],77,70,[],[],[true,"Default",0,true]],[[141.332351685,572.680419922,0,98.719573975,96.087051392,0,0,1,0.5,0.5,0,0,[],null,null,null],78,71,[],[],[true,"Default",0,true]],[[337.793945313,568.657348633,0,89.76839447,119.691200256,0,0,1,0.5,0.5,0,0,[],null,null,null],79,72,[],[],[true,"Default",0,true]],[[413.044708252,482.716766357,0,87.523902893,116.698539734,0,0,1,0.5,0.5,0,0,[],null,null,null],80,73,[],[],[true,"Default",0,true]],[[241.079025269,494.804351807,0,117.30700683599999,28.611465454,0,0,1,0.5,0.5,0,0,[],null,null,null],82,74,[],[],[true,"Default",0,true]],[[65.548324585,428.522766113,0,106.658958435,40.594081879,0,0,1,0.5,0.509804,0,0,[],null,null,null],66,75,[],[],[true,"Default",0,true]],[[139.755874634,518.090332031,0,112.314704895,40.914642334,0,0,1,0.5,0.509804,0,0,[],null,null,null],67,76,[],[],[true,"Default",0,true]],[[334.26449585,521.226501465,0,112.863716125,39.696895599,0,0,1,0.503448,0.509804,0,0,[],null,null,null],68,77,[],[],[true,"Default",0,true]],[[410.522705078,426.643951416,0,109.13465881300002,38.385295868,0,0,1,0.503448,0.509804,0,0,[],null,null,null],69,78,[],[],[true,"Default",0,true]],[[54.078689575,536.736755371,0,64.955612183,32.477806091,0,0,1,0.5,0.5,0,0,[],null,null,null],57,79,[],[],[true,"Default",0,true]],[[140.826751709,624.66003418,0,64.956001282,32.478000641,0,0,1,0.5,0.5,0,0,[],null,null,null],58,80,[],[],[true,"Default",0,true]],[[341.427062988,624.411621094,0,64.956001282,32.478000641,0,0,1,0.5,0.5,0,0,[],null,null,null],59,81,[],[],[true,"Default",0,true]],[[427.077453613,532.998718262,0,64.956001282,32.478000641,0,0,1,0.5,0.5,0,0,[],null,null,null],60,82,[],[],[true,"Default",0,true]],[[447,28,0,42.983161926,41.73727417,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,89,[],[],[true,"Default",0,true]],[[311,9,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,90,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]]],[],0,true],["Game",3,980812239341882,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",4,953563411736669,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[36,82,0,49.056255341,39.813774109,0,0,1,0.521739,0.535714,0,0,[],null,null,null],88,102,[],[],[true,"unmute",0,true]]],[],0,true]],[],[]]],[["Gameplay",[[1,"PowerupCode",0,0,false,false,712315470160136,false,102],[1,"Ramp",0,0,false,false,439987320427205,false,53],[1,"GameSpeed",0,5,false,false,914691302681319,false,103],[1,"Coinsx2",0,0,false,false,750030343896456,false,104],[1,"StarsX2",0,0,false,false,911203334819685,false,105],[1,"Revive",0,0,false,false,716403920287321,false,106],[1,"Multiplicator",0,0,false,false,523552286265012,false,107],[1,"Magnet",0,0,false,false,982343569033459,false,108],[1,"Shield",0,0,false,false,774994252799309,false,26],[1,"Rushspeed",0,0,false,false,101888420648447,false,109],[1,"Stars",0,0,false,false,114990966943872,false,110],[1,"Highscore",0,0,false,false,475290502781283,false,111],[1,"Bullets",0,3,false,false,609458658532067,false,36],[1,"Wait",0,0,false,false,821667372156925,false,112],[1,"Double",0,0,false,false,492761586040086,false,113],[1,"Touching",0,0,false,false,336921237771097,false,114],[1,"Gamecomplete",0,0,false,false,594691244777202,false,115],[1,"Levels",0,1,false,false,923645807963571,false,116],[1,"Hit",0,0,false,false,204359752232729,false,117],[1,"Lives",0,3,false,false,657221331841276,false,118],[1,"BoatSkin",0,1,false,false,408120817217550,false,119],[1,"Upgrade4",0,0,false,false,997448899771375,false,120],[1,"Upgrade3",0,0,false,false,535500257047332,false,121],[1,"Upgrade2",0,0,false,false,295110877971894,false,122],[1,"Upgrade1",0,0,false,false,600304802481832,false,123],[1,"Coins",0,0,false,false,467070957062384,false,124],[1,"Score",0,0,false,false,523766778002534,false,125],[1,"GameOver",0,0,false,false,704942166073897,false,126],[1,"GameStart",0,0,false,false,408730246676727,false,127],[1,"token",1,"\"\"",false,false,311767116821369,false,128],[1,"jsonResponse",0,0,false,false,950825077668886,false,129],[1,"redirect_url",1,"\"\"",false,false,723842150099225,false,130],[1,"campaign_id",0,0,false,false,927020049252173,false,131],[1,"jsonBody",1,"\"\"",false,false,194227671128220,false,132],[1,"gameKey",1,"\"\"",false,false,849758265050117,false,133],[0,0,false,null,804463861864580,1,[[-1,17,null,0,false,false,false,256993338714552,null]],[[19,18,null,584386556249862,0,null,[[5,[2,"Layer 0"]]]],[34,18,null,262291077172188,0,null,[[5,[2,"Game"]]]],[35,18,null,607330254943874,0,null,[[5,[2,"Game"]]]],[36,18,null,526979562287214,0,null,[[5,[2,"Game"]]]],[37,18,null,688591474606739,0,null,[[5,[2,"Game"]]]],[41,18,null,111997242267500,0,null,[[5,[2,"Game"]]]],[42,18,null,313462061501498,0,null,[[5,[2,"Layer 0"]]]],[43,18,null,998938168795075,0,null,[[5,[2,"Layer 0"]]]],[47,18,null,247001825562985,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,833671974169320,2,[[-1,19,null,1,false,false,false,660541073738533,null]],[[-1,20,null,222095084980303,0,null,[[4,84],[5,[2,"UI"]],[0,[1,240]],[0,[1,400]],[16,false]]]]],[0,0,false,null,943103531357674,3,[[-1,19,null,1,false,false,false,669557554060549,null],[-1,21,null,0,false,false,false,181623147056126,null,[[11,"Score"],[8,2],[7,[1,50]]]]],[[0,22,null,293291970497218,0,null],[0,23,null,258478186016529,0,null,[[2,["gameplaymusic",false]],[3,1],[0,[1,0]],[1,[2,""]]]],[-1,24,null,413528834479539,0,null,[[11,"token"],[7,[20,2,25,true,null,[[2,"token"]]]]]],[2,26,null,305509570044435,0,null,[[3,0],[7,[23,"token"]]]],[-1,24,null,730070593058751,0,null,[[11,"redirect_url"],[7,[20,2,25,true,null,[[2,"redirect_url"]]]]]],[-1,24,null,830006033751604,0,null,[[11,"gameKey"],[7,[20,2,25,true,null,[[2,"game_id"]]]]]],[-1,24,null,890869402785624,0,null,[[11,"campaign_id"],[7,[20,2,25,true,null,[[2,"campaign_id"]]]]]]]],[0,0,false,null,538718138730498,4,[[-1,17,null,0,false,false,false,866591151525141,null]],[[11,27,null,161662410409934,0,null,[[0,[4,[20,11,28,false,null],[23,"GameSpeed"]]]]],[12,27,null,989079452120991,0,null,[[0,[4,[4,[20,12,28,false,null],[23,"GameSpeed"]],[1,1]]]]]]],[0,0,false,null,336382515856917,5,[[11,29,null,0,false,false,false,440188812076932,null,[[8,5],[0,[1,0]]]]],[[11,27,null,808720776565155,0,null,[[0,[3,[1,800]]]]]]],[0,0,false,null,502865486723678,6,[[12,29,null,0,false,false,false,749123738137437,null,[[8,5],[0,[1,0]]]]],[[12,27,null,242607300770914,0,null,[[0,[3,[1,800]]]]]]],[0,0,false,null,550363268391482,7,[[-1,21,null,0,false,false,false,596930655508277,null,[[11,"GameOver"],[8,0],[7,[1,1]]]],[-1,30,null,0,false,false,false,717786988176032,null]],[[90,31,null,736124933141145,0,null,[[1,[2,"Content-Type"]],[1,[2,"application/json"]]]],[90,31,null,814339145111462,0,null,[[1,[2,"Authorization"]],[1,[23,"token"]]]],[-1,24,null,240103528241384,0,null,[[11,"jsonBody"],[7,[10,[10,[10,[10,[10,[10,[10,[10,[10,[10,[10,[10,[2,"{\r\n  \"gameKey\": "],[23,"gameKey"]],[2,",\r\n  \"campaign_id\": "]],[23,"campaign_id"]],[2,",\r\n  \"level\": 1,\r\n  \"score\": "]],[23,"Highscore"]],[2,",\r\n  \"timestamp\": \""]],[20,2,32,false,null,[[2,"new Date().toISOString()"]]]],[2,"\",\r\n  \"metadata\": {\r\n    \"platform\": \""]],[20,2,33,true,null]],[2,"\",\r\n    \"device\": \""]],[20,2,32,false,null,[[2,"\r\n      let ua = navigator.userAgent;\r\n      if (/Android/.test(ua)) {\r\n          let match = ua.match(/SM-[A-Z0-9]+|ONEPLUS [A-Z0-9]+|M2007J3SG|Redmi Note [0-9]+|Mi [A-Z0-9]+/i);\r\n          return match ? match[0] : 'Unknown Android';\r\n      } else if (/iPhone/.test(ua)) {\r\n          return 'iPhone (Exact model hidden by Apple)';\r\n      } else {\r\n          return 'Unknown Device';\r\n      }\r\n    "]]]],[2,"\"\r\n  }\r\n}"]]]]],[90,34,null,505637040122513,1,null,[[1,[2,"high_score"]],[1,[2,"https://13.61.182.4/api/userScore"]],[1,[23,"jsonBody"]],[1,[2,"POST"]]]],[2,35,null,970334735508603,0,null,[[1,[23,"redirect_url"]],[3,1]]],[4,36,null,782424264163687,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]],[4,36,null,578956811470565,0,null,[[1,[2,"highscore"]],[7,[23,"Highscore"]]]],[4,36,null,836708666222460,0,null,[[1,[2,"stars"]],[7,[23,"Stars"]]]]]],[0,0,false,null,223714793305992,8,[[-1,19,null,1,false,false,false,411686424711166,null]],[[32,37,"Pin",588212282361946,0,null,[[4,30],[3,1]]],[33,37,"Pin",963693722611667,0,null,[[4,30],[3,1]]],[55,37,"Pin",540496784857920,0,null,[[4,30],[3,1]]],[10,37,"Pin",237308774218041,0,null,[[4,30],[3,1]]],[72,37,"Pin",267819431987048,0,null,[[4,30],[3,1]]],[73,37,"Pin",345714211237369,0,null,[[4,30],[3,1]]],[74,37,"Pin",870754023285237,0,null,[[4,30],[3,1]]],[75,37,"Pin",463251563352392,0,null,[[4,30],[3,1]]],[14,37,"Pin",424244149288337,0,null,[[4,19],[3,0]]],[15,37,"Pin",305377779870984,0,null,[[4,19],[3,0]]],[16,37,"Pin",582494484670043,0,null,[[4,19],[3,0]]],[24,37,"Pin",867354605770286,0,null,[[4,19],[3,0]]],[25,37,"Pin",221411812931007,0,null,[[4,19],[3,0]]],[21,37,"Pin",944725548445745,0,null,[[4,19],[3,1]]],[-1,24,null,699537993952684,0,null,[[11,"GameStart"],[7,[1,1]]]]]],[0,0,false,null,211743901109324,9,[[48,38,null,1,false,false,false,915172663618793,null]],[[48,18,null,915583415557378,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,116901459367154,10,[[3,39,null,1,false,false,false,700512504140517,null,[[4,33]]]],[[-1,40,null,350916867068734,2,null,[[0,[1,1]]]],[0,22,null,278418849679161,0,null],[-1,24,null,380785937033793,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,596280147554470,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,964088935261881,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,389680726569602,0,null,[[11,"Shield"],[7,[1,0]]]],[-1,24,null,317474293301390,0,null,[[11,"Rushspeed"],[7,[1,0]]]],[-1,24,null,896023381891909,0,null,[[11,"Coinsx2"],[7,[1,0]]]],[-1,24,null,890589914365431,0,null,[[11,"Magnet"],[7,[1,0]]]],[-1,24,null,542810686631203,0,null,[[11,"Revive"],[7,[1,0]]]],[-1,24,null,619144978513737,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,637809358438239,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,337139221253566,0,null,[[11,"Bullets"],[7,[1,3]]]],[-1,41,null,814831393320381,0,null]]],[0,0,false,null,979831189255616,11,[[3,39,null,1,false,false,false,632212684250072,null,[[4,55]]]],[[0,22,null,855544025241660,0,null],[-1,24,null,383750088569763,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,701358411000044,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,437991819083771,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,168543711961371,0,null,[[11,"Shield"],[7,[1,0]]]],[-1,24,null,768735852672516,0,null,[[11,"Rushspeed"],[7,[1,0]]]],[-1,24,null,726676314618601,0,null,[[11,"Coinsx2"],[7,[1,0]]]],[-1,24,null,570566046512718,0,null,[[11,"Magnet"],[7,[1,0]]]],[-1,24,null,271339022427993,0,null,[[11,"Revive"],[7,[1,0]]]],[-1,24,null,732549309455017,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,209571537441641,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,42,null,408976800721371,0,null,[[6,"Menu"]]]]],[0,0,false,null,398740837163039,12,[[3,39,null,1,false,false,false,239136566052041,null,[[4,32]]]],[[0,22,null,765624934150611,0,null],[-1,24,null,161429468028970,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,175246168829119,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,172439010058576,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,684438888893627,0,null,[[11,"Shield"],[7,[1,0]]]],[-1,24,null,762116364091792,0,null,[[11,"Rushspeed"],[7,[1,0]]]],[-1,24,null,813035948776013,0,null,[[11,"Coinsx2"],[7,[1,0]]]],[-1,24,null,527191182663811,0,null,[[11,"Magnet"],[7,[1,0]]]],[-1,24,null,298461117717568,0,null,[[11,"Revive"],[7,[1,0]]]],[-1,24,null,948247663639503,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,466429806749888,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,42,null,806363078634147,0,null,[[6,"Shop"]]]]],[0,0,false,null,820310138066576,13,[[3,39,null,1,false,false,false,970168853844632,null,[[4,32]]]],[[0,22,null,959957405161073,0,null],[-1,24,null,754629636811633,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,348604440425289,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,848532860577601,0,null,[[11,"Gamecomplete"],[7,[1,0]]]],[-1,24,null,897144226053260,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,714059173248300,0,null,[[11,"Lives"],[7,[1,3]]]],[-1,24,null,339539000808457,0,null,[[11,"Hit"],[7,[1,0]]]],[-1,42,null,237094746408904,0,null,[[6,"Shop"]]]]],[0,0,false,null,390277014523323,14,[[-1,17,null,0,false,false,false,430100009615127,null]],[[70,43,null,235612744263520,0,null,[[7,[23,"Score"]]]],[61,43,null,846669426188925,0,null,[[7,[23,"Coins"]]]],[62,43,null,767702534854039,0,null,[[7,[23,"Bullets"]]]],[72,43,null,920733545107333,0,null,[[7,[23,"Score"]]]],[74,43,null,263649519284928,0,null,[[7,[23,"Coins"]]]],[73,43,null,597264796174801,0,null,[[7,[23,"Highscore"]]]],[63,43,null,772632410398709,0,null,[[7,[23,"Stars"]]]],[75,43,null,257333250890296,0,null,[[7,[23,"Stars"]]]]]],[0,0,false,null,932176195978044,15,[[-1,21,null,0,false,false,false,757817544058217,null,[[11,"GameOver"],[8,0],[7,[1,1]]]],[-1,30,null,0,false,false,false,638988578340288,null]],[[30,44,"LiteTween",729048233248053,0,null,[[3,0],[3,0]]]]],[0,0,false,null,917820907246835,16,[[3,45,null,1,false,false,false,289827662322673,null]],[[-1,24,null,861156593321311,0,null,[[11,"GameStart"],[7,[1,1]]]]]],[0,0,false,null,857727449536155,17,[[19,46,null,0,false,false,false,625680845050142,null,[[4,26]]],[-1,21,null,0,false,false,false,471156953838609,null,[[11,"Coinsx2"],[8,0],[7,[1,0]]]]],[[26,47,null,732416429925262,0,null],[-1,48,null,312721102336763,0,null,[[11,"Coins"],[7,[19,49,[[1,1],[1,2],[1,3],[1,4],[1,5],[1,6],[1,7],[1,8],[1,9],[1,10],[1,11],[1,12],[1,13],[1,14],[1,15],[1,16],[1,17],[1,18],[1,19],[1,20]]]]]],[0,23,null,224231662851235,0,null,[[2,["starsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,514022612061556,18,[[19,46,null,0,false,false,false,427376541919681,null,[[4,26]]],[-1,21,null,0,false,false,false,394028664682426,null,[[11,"Coinsx2"],[8,0],[7,[1,1]]]]],[[26,47,null,264236303345995,0,null],[-1,48,null,629278284379711,0,null,[[11,"Coins"],[7,[19,49,[[1,15],[1,16],[1,17],[1,18],[1,19],[1,20]]]]]],[0,23,null,594488350902510,0,null,[[2,["starsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,674049264376253,19,[[19,46,null,0,false,false,false,753715223289656,null,[[4,38]]]],[[38,47,null,809386980158802,0,null],[-1,48,null,241050807988807,0,null,[[11,"Bullets"],[7,[1,3]]]]]],[0,0,false,null,346486514508194,20,[[19,46,null,0,false,false,false,427119531870640,null,[[4,53]]],[-1,21,null,0,false,false,false,550665501680249,null,[[11,"StarsX2"],[8,0],[7,[1,0]]]]],[[53,47,null,693275500876091,0,null],[-1,48,null,302905212062483,0,null,[[11,"Stars"],[7,[1,1]]]],[0,23,null,303239103543313,0,null,[[2,["coinsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,560648857894028,21,[[19,46,null,0,false,false,false,903347871637594,null,[[4,53]]],[-1,21,null,0,false,false,false,433381290465207,null,[[11,"StarsX2"],[8,0],[7,[1,1]]]]],[[53,47,null,225313469081985,0,null],[-1,48,null,488246262195785,0,null,[[11,"Stars"],[7,[1,2]]]],[0,23,null,624156584587712,0,null,[[2,["coinsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,880155764787016,22,[[19,46,null,0,false,false,false,193990905157565,null,[[4,50]]]],[[50,50,null,360642400759185,0,null,[[4,52],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[50,47,null,434905109936946,0,null],[0,23,null,478129052969449,0,null,[[2,["itempick",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,155115883432064,23,[[-1,21,null,0,false,false,false,850938769353860,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,51,null,0,false,false,false,725451482119673,null,[[0,[1,0.1]]]]],[[-1,48,null,590947366553879,0,null,[[11,"Score"],[7,[1,1]]]]]],[0,0,false,null,933319108286150,24,[[-1,21,null,0,false,false,false,501433097796293,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,697146965254931,null,[[11,"Rushspeed"],[8,0],[7,[1,0]]]]],[[26,52,null,939048998151722,0,null,[[0,[4,[20,26,53,false,null],[23,"GameSpeed"]]]]],[34,52,null,969055067061721,0,null,[[0,[4,[20,34,53,false,null],[23,"GameSpeed"]]]]],[35,52,null,927216966875438,0,null,[[0,[4,[20,35,53,false,null],[23,"GameSpeed"]]]]],[36,52,null,230949437803761,0,null,[[0,[4,[20,36,53,false,null],[23,"GameSpeed"]]]]],[37,52,null,701868386032152,0,null,[[0,[4,[20,37,53,false,null],[23,"GameSpeed"]]]]],[38,52,null,321934969584673,0,null,[[0,[4,[20,38,53,false,null],[23,"GameSpeed"]]]]],[41,52,null,958231014037503,0,null,[[0,[4,[20,41,53,false,null],[23,"GameSpeed"]]]]],[42,52,null,906184625763731,0,null,[[0,[4,[20,42,53,false,null],[23,"GameSpeed"]]]]],[43,52,null,986538064030091,0,null,[[0,[4,[20,43,53,false,null],[23,"GameSpeed"]]]]],[44,52,null,669948413516560,0,null,[[0,[4,[20,44,53,false,null],[23,"GameSpeed"]]]]],[45,52,null,295568143224649,0,null,[[0,[4,[20,45,53,false,null],[23,"GameSpeed"]]]]],[46,52,null,158961492273184,0,null,[[0,[4,[20,46,53,false,null],[23,"GameSpeed"]]]]],[48,52,null,957659842111350,0,null,[[0,[4,[20,48,53,false,null],[23,"GameSpeed"]]]]],[20,52,null,381519509050344,0,null,[[0,[4,[20,20,53,false,null],[23,"GameSpeed"]]]]],[49,52,null,479441916454904,0,null,[[0,[4,[20,49,53,false,null],[23,"GameSpeed"]]]]],[50,52,null,649361762213222,0,null,[[0,[4,[20,50,53,false,null],[23,"GameSpeed"]]]]],[53,52,null,869821066678941,0,null,[[0,[4,[20,53,53,false,null],[23,"GameSpeed"]]]]],[54,52,null,841521399601894,0,null,[[0,[4,[20,54,53,false,null],[23,"GameSpeed"]]]]]]],[0,0,false,null,243835408954444,25,[[-1,21,null,0,false,false,false,699928659377727,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,878250847175842,null,[[11,"Rushspeed"],[8,0],[7,[1,1]]]]],[[26,52,null,264043359367160,0,null,[[0,[4,[4,[20,26,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[34,52,null,787496456019638,0,null,[[0,[4,[4,[20,34,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[35,52,null,577626592115289,0,null,[[0,[4,[4,[20,35,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[36,52,null,147879954044642,0,null,[[0,[4,[4,[20,36,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[37,52,null,829933714791792,0,null,[[0,[4,[4,[20,37,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[38,52,null,107277252960332,0,null,[[0,[4,[4,[20,38,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[41,52,null,830118914938800,0,null,[[0,[4,[4,[20,41,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[42,52,null,699914854763433,0,null,[[0,[4,[4,[20,42,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[43,52,null,877679907504293,0,null,[[0,[4,[4,[20,43,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[44,52,null,649430518571377,0,null,[[0,[4,[4,[20,44,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[45,52,null,767670521263591,0,null,[[0,[4,[4,[20,45,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[46,52,null,485794307957107,0,null,[[0,[4,[4,[20,46,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[48,52,null,582386780790212,0,null,[[0,[4,[4,[20,48,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[20,52,null,500809250366312,0,null,[[0,[4,[4,[20,20,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[49,52,null,697918213682864,0,null,[[0,[4,[4,[20,49,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[50,52,null,882999811030133,0,null,[[0,[4,[4,[20,50,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[53,52,null,202379852312696,0,null,[[0,[4,[4,[20,53,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[54,52,null,572085648569309,0,null,[[0,[4,[4,[20,54,53,false,null],[23,"GameSpeed"]],[1,1]]]]]]],[0,0,false,null,774578745027562,26,[[29,54,null,0,false,false,false,322686121527368,null]],[[29,47,null,377978354648006,0,null]]],[0,0,false,null,522896754559510,27,[[1,55,null,1,false,false,false,437722746144848,null,[[9,32]]],[-1,21,null,0,false,false,false,720557319638257,null,[[11,"Bullets"],[8,5],[7,[1,1]]]]],[[0,23,null,800114637063650,0,null,[[2,["shootsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,56,null,727629173739799,0,null,[[11,"Bullets"],[7,[1,1]]]],[19,50,null,109075723332614,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,456355135381805,2,null,[[0,[1,0.2]]]],[19,50,null,242641836655353,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,275755994958879,2,null,[[0,[1,0.2]]]],[19,50,null,572087565569064,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,253938821577464,2,null,[[0,[1,0.2]]]],[19,50,null,262425364713863,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,936732981812628,2,null,[[0,[1,0.2]]]],[19,50,null,330596354135970,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]]]],[0,0,false,null,393172784982942,28,[[3,57,null,1,false,false,false,434920175777371,null,[[4,27]]],[-1,21,null,0,false,false,false,455000260447356,null,[[11,"Bullets"],[8,5],[7,[1,1]]]]],[[0,23,null,398760098596232,0,null,[[2,["shootsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,56,null,685102934779366,0,null,[[11,"Bullets"],[7,[1,1]]]],[19,50,null,286442019870308,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,297280462530129,2,null,[[0,[1,0.2]]]],[19,50,null,510185977465049,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,282839935256043,2,null,[[0,[1,0.2]]]],[19,50,null,284508144475515,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,520893793196621,2,null,[[0,[1,0.2]]]],[19,50,null,248979639765919,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,729834517697816,2,null,[[0,[1,0.2]]]],[19,50,null,132928693740035,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]]]],[0,0,false,null,640564875166753,29,[[39,58,null,1,false,false,false,429710645647701,null,[[1,[2,"Default"]]]]],[[39,47,null,272754160190220,0,null]]],[0,0,false,null,445170174107477,30,[[40,58,null,1,false,false,false,426605699171500,null,[[1,[2,"Default"]]]]],[[40,47,null,149653085851052,0,null]]],[0,0,false,null,376423001233771,31,[[-1,21,null,0,false,false,false,680892374835940,null,[[11,"Score"],[8,4],[7,[23,"Highscore"]]]]],[[-1,24,null,550945224227037,0,null,[[11,"Highscore"],[7,[23,"Score"]]]]]],[0,0,false,null,218329253843136,32,[[91,59,null,0,false,false,false,884895446175901,null,[[8,4],[0,[1,1250]]]]],[[91,47,null,650021078526194,0,null]]],[0,0,false,null,358459867983620,33,[[-1,21,null,0,false,false,false,830536490533534,null,[[11,"Shield"],[8,0],[7,[1,1]]]]],[[21,60,null,404163959758613,0,null,[[3,1]]]]],[0,0,false,null,183867992640496,34,[[-1,21,null,0,false,false,false,239255921499517,null,[[11,"Shield"],[8,0],[7,[1,0]]]]],[[21,60,null,289788843109099,0,null,[[3,0]]]]],[0,0,false,null,685680970737928,35,[[-1,21,null,0,false,false,false,212170281765052,null,[[11,"Rushspeed"],[8,0],[7,[1,0]]]]],[[22,60,null,520399045884109,0,null,[[3,0]]]]],[0,0,false,null,226154287761758,36,[[-1,21,null,0,false,false,false,218817833230589,null,[[11,"Rushspeed"],[8,0],[7,[1,1]]]]],[[22,60,null,989745033866087,0,null,[[3,1]]]]],[0,0,false,null,510232263107561,37,[[-1,21,null,0,false,false,false,463935537649847,null,[[11,"Magnet"],[8,0],[7,[1,1]]]],[26,59,null,0,false,false,false,901429931312661,null,[[8,4],[0,[1,400]]]]],[[26,61,"CustomMovement",165448142241442,0,null,[[0,[1,2000]],[0,[20,19,62,false,null]],[0,[20,19,53,false,null]]]]]],[0,0,false,null,356127570609714,38,[[19,46,null,0,false,false,false,353861684180684,null,[[4,92]]],[-1,21,null,0,false,false,false,827102171968036,null,[[11,"Revive"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,780527632931001,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,886657212917976,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[19,47,null,361551745596877,0,null],[19,50,null,907037820610260,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,125105706548316,0,null,[[2,["raysound",false]],[3,0],[0,[3,[1,4]]],[1,[2,""]]]],[0,23,null,175743630014073,0,null,[[2,["explosionsound",false]],[3,0],[0,[3,[1,25]]],[1,[2,""]]]],[-1,24,null,577534904388786,0,null,[[11,"GameOver"],[7,[1,1]]]],[14,63,null,886646549661653,0,null,[[3,0]]],[15,63,null,640457511646644,0,null,[[3,0]]],[16,63,null,261012530792048,0,null,[[3,0]]],[24,60,null,284554120154133,0,null,[[3,0]]],[25,60,null,447350192173914,0,null,[[3,0]]]]],[0,0,false,null,772760094649778,39,[[19,46,null,0,false,false,false,465430209300651,null,[[4,93]]],[-1,21,null,0,false,false,false,744489799480993,null,[[11,"Revive"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,164777688861767,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,727985974682957,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[19,47,null,266432693808361,0,null],[19,50,null,523994475110413,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,937022394878374,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,24,null,835465885522693,0,null,[[11,"GameOver"],[7,[1,1]]]],[14,63,null,756700604588533,0,null,[[3,0]]],[15,63,null,428190905456094,0,null,[[3,0]]],[16,63,null,569511239665092,0,null,[[3,0]]],[24,60,null,862610376960707,0,null,[[3,0]]],[25,60,null,958874149681986,0,null,[[3,0]]]]],[0,0,false,null,103743122492702,40,[[19,46,null,0,false,false,false,339274662594254,null,[[4,92]]],[-1,21,null,0,false,false,false,365225256235618,null,[[11,"Revive"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,375935195812114,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,364197574852962,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[14,63,null,371881558643646,0,null,[[3,0]]],[15,63,null,312430051125079,0,null,[[3,0]]],[16,63,null,696705310318357,0,null,[[3,0]]],[24,60,null,871517630010350,0,null,[[3,0]]],[25,60,null,344573681720654,0,null,[[3,0]]],[19,47,null,304821530204129,0,null],[19,50,null,510918901930797,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,630396634178940,0,null,[[2,["raysound",false]],[3,0],[0,[3,[1,4]]],[1,[2,""]]]],[0,23,null,791880383228590,0,null,[[2,["explosionsound",false]],[3,0],[0,[3,[1,25]]],[1,[2,""]]]],[-1,40,null,140080475277422,2,null,[[0,[1,1]]]],[-1,20,null,865013378208790,0,null,[[4,19],[5,[2,"Game"]],[0,[1,244]],[0,[1,641]],[16,false]]],[-1,24,null,561260687392517,0,null,[[11,"Revive"],[7,[1,0]]]],[14,63,null,164071025060350,0,null,[[3,1]]],[15,63,null,804527966804607,0,null,[[3,1]]],[16,63,null,687443166372381,0,null,[[3,1]]],[24,60,null,216268119648650,0,null,[[3,1]]],[25,60,null,738930610258734,0,null,[[3,1]]]]],[0,0,false,null,247408594897993,41,[[19,46,null,0,false,false,false,750694414043988,null,[[4,93]]],[-1,21,null,0,false,false,false,851295673499678,null,[[11,"Revive"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,443921931437941,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,454851985683510,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[14,63,null,965595215673336,0,null,[[3,0]]],[15,63,null,537511417198294,0,null,[[3,0]]],[16,63,null,677780730919879,0,null,[[3,0]]],[24,60,null,330468332580336,0,null,[[3,0]]],[25,60,null,874084161821433,0,null,[[3,0]]],[19,47,null,500380428801476,0,null],[19,50,null,474967297801438,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,138041952483763,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,7]]],[1,[2,""]]]],[-1,40,null,372174983995013,2,null,[[0,[1,1]]]],[-1,20,null,759881336294594,0,null,[[4,19],[5,[2,"Game"]],[0,[1,244]],[0,[1,641]],[16,false]]],[-1,24,null,500683113311404,0,null,[[11,"Revive"],[7,[1,0]]]],[14,63,null,195188631907959,0,null,[[3,1]]],[15,63,null,208990191103073,0,null,[[3,1]]],[16,63,null,685347858980979,0,null,[[3,1]]],[24,60,null,698325866736408,0,null,[[3,1]]],[25,60,null,922517482358040,0,null,[[3,1]]]]],[0,0,false,null,658699230832833,42,[[29,46,null,0,false,false,false,549094040070889,null,[[4,34]]]],[[29,50,null,772752317284863,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,584897644209545,0,null],[34,64,null,699370654904657,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,359320321188810,43,[[29,46,null,0,false,false,false,678713350166659,null,[[4,35]]]],[[29,50,null,563775625441901,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,146056891781587,0,null],[35,64,null,925646566903134,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,283742123371185,44,[[29,46,null,0,false,false,false,271210550923533,null,[[4,44]]]],[[29,50,null,321280651257624,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,826931222152996,0,null],[44,64,null,819550791072690,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,556651717979863,45,[[29,46,null,0,false,false,false,352997118006595,null,[[4,45]]]],[[29,50,null,181674570369135,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,208882364094217,0,null],[45,64,null,393605893119823,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,335458472079121,46,[[29,46,null,0,false,false,false,439882392348434,null,[[4,47]]]],[[29,50,null,558192696515270,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,452750254597661,0,null],[47,64,null,125690767683629,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,451949691908491,47,[[29,46,null,0,false,false,false,291273304284095,null,[[4,49]]]],[[29,50,null,423295811576034,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,887620123024850,0,null],[49,64,null,535528200591882,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,376509920748130,48,[[34,65,null,0,false,false,false,241906356746369,null,[[10,0],[8,3],[7,[1,0]]]]],[[34,50,null,792332128014098,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[34,47,null,814233568037704,0,null],[0,23,null,855279099018050,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,562361547903296,49,[[35,65,null,0,false,false,false,350590143675917,null,[[10,0],[8,3],[7,[1,0]]]]],[[35,50,null,791964029826963,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[35,47,null,728536443661248,0,null],[0,23,null,522753948799499,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,263391721259682,50,[[49,65,null,0,false,false,false,123376358883309,null,[[10,0],[8,3],[7,[1,0]]]]],[[49,50,null,190302269084080,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[49,47,null,539241686418031,0,null],[0,23,null,738844950278817,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,934437459777626,51,[[47,65,null,0,false,false,false,146933878937990,null,[[10,0],[8,3],[7,[1,0]]]]],[[47,50,null,151119193265914,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[47,47,null,791600411439916,0,null],[0,23,null,395276429713168,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,363976445733949,52,[[44,65,null,0,false,false,false,449121466810168,null,[[10,0],[8,3],[7,[1,0]]]]],[[44,50,null,700851950711154,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[44,47,null,796733194583843,0,null],[0,23,null,762280514076300,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,925191483014568,53,[[45,65,null,0,false,false,false,311745163879820,null,[[10,0],[8,3],[7,[1,0]]]]],[[45,50,null,627535697209925,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[45,47,null,201542566436006,0,null],[0,23,null,335148669383202,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,556133599968794,54,[[19,46,null,0,false,false,false,113169202223902,null,[[4,41]]]],[[19,50,null,905908257046498,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[19,47,null,333775734375957,0,null],[-1,24,null,717841144907709,0,null,[[11,"GameOver"],[7,[1,1]]]]]],[0,0,false,null,859599972897898,55,[[19,46,null,0,false,false,false,124620798147568,null,[[4,46]]],[-1,30,null,0,false,false,false,308602949487882,null]],[[-1,24,null,208202795906447,0,null,[[11,"Ramp"],[7,[1,1]]]],[19,66,null,973754968161456,0,null,[[0,[1,1.05]]]],[-1,40,null,287651652128163,2,null,[[0,[1,0.05]]]],[19,66,null,397018477879151,0,null,[[0,[1,1.1]]]],[-1,40,null,297715218306974,2,null,[[0,[1,0.05]]]],[19,66,null,399055772584486,0,null,[[0,[1,1.15]]]],[-1,40,null,722669270911201,2,null,[[0,[1,0.05]]]],[19,66,null,776994034064276,0,null,[[0,[1,1.2]]]],[-1,40,null,385159965129346,2,null,[[0,[1,0.05]]]],[19,66,null,322302740215417,0,null,[[0,[1,1.25]]]],[-1,40,null,755420097324150,2,null,[[0,[1,0.05]]]],[19,66,null,452730896598576,0,null,[[0,[1,1.3]]]],[-1,40,null,300410643619435,2,null,[[0,[1,0.05]]]],[19,66,null,114909890229971,0,null,[[0,[1,1.35]]]],[-1,40,null,578036718229772,2,null,[[0,[1,0.05]]]],[19,66,null,740724693622869,0,null,[[0,[1,1.4]]]],[-1,40,null,823628288748181,2,null,[[0,[1,0.05]]]],[19,66,null,812942723333802,0,null,[[0,[1,1.45]]]],[-1,40,null,761087232742183,2,null,[[0,[1,0.05]]]],[19,66,null,890257873872511,0,null,[[0,[1,1.5]]]],[-1,40,null,890477247317756,2,null,[[0,[1,0.5]]]],[19,66,null,253795889000947,0,null,[[0,[1,1.45]]]],[-1,40,null,382861064797682,2,null,[[0,[1,0.05]]]],[19,66,null,127941124522629,0,null,[[0,[1,1.4]]]],[-1,40,null,605660356502398,2,null,[[0,[1,0.05]]]],[19,66,null,558313600807043,0,null,[[0,[1,1.35]]]],[-1,40,null,672633131765772,2,null,[[0,[1,0.05]]]],[19,66,null,623871216702880,0,null,[[0,[1,1.3]]]],[-1,40,null,727743532037769,2,null,[[0,[1,0.05]]]],[19,66,null,759826940102028,0,null,[[0,[1,1.25]]]],[-1,40,null,461782585556091,2,null,[[0,[1,0.05]]]],[19,66,null,653615653042671,0,null,[[0,[1,1.2]]]],[-1,40,null,146685584255588,2,null,[[0,[1,0.05]]]],[19,66,null,183574175727010,0,null,[[0,[1,1.15]]]],[-1,40,null,338732773802798,2,null,[[0,[1,0.05]]]],[19,66,null,563236061046987,0,null,[[0,[1,1]]]],[-1,40,null,923071582156814,2,null,[[0,[1,1]]]],[-1,24,null,163665214966184,0,null,[[11,"Ramp"],[7,[1,0]]]]]],[0,0,false,null,941584807853134,56,[[19,46,null,0,false,false,false,368433627487927,null,[[4,54]]],[-1,67,null,0,false,false,false,746369472133013,null,[[7,[19,68]],[8,0],[7,[2,"Level1"]]]]],[[-1,69,null,574157688980651,0,null,[[1,[19,49,[[2,"Level2"],[2,"Level3"],[2,"Level4"]]]]]]]],[0,0,false,null,930909254161294,57,[[19,46,null,0,false,false,false,748230462278422,null,[[4,54]]],[-1,67,null,0,false,false,false,862039311066893,null,[[7,[19,68]],[8,0],[7,[2,"Level2"]]]]],[[-1,69,null,708011284513117,0,null,[[1,[19,49,[[2,"Level1"],[2,"Level3"],[2,"Level4"]]]]]]]],[0,0,false,null,256468387313176,58,[[19,46,null,0,false,false,false,712511008870744,null,[[4,54]]],[-1,67,null,0,false,false,false,616415866902010,null,[[7,[19,68]],[8,0],[7,[2,"Level3"]]]]],[[-1,69,null,341896895742002,0,null,[[1,[19,49,[[2,"Level1"],[2,"Level2"],[2,"Level4"]]]]]]]],[0,0,false,null,178251159917901,59,[[19,46,null,0,false,false,false,917453311384789,null,[[4,54]]],[-1,67,null,0,false,false,false,278905704429004,null,[[7,[19,68]],[8,0],[7,[2,"Level4"]]]]],[[-1,69,null,208383650213423,0,null,[[1,[19,49,[[2,"Level1"],[2,"Level2"],[2,"Level3"]]]]]]]],[0,0,false,null,402771008471400,60,[[-1,21,null,0,false,false,false,422090855611657,null,[[11,"GameOver"],[8,0],[7,[1,1]]]]],[[-1,24,null,674730897204701,0,null,[[11,"GameStart"],[7,[1,0]]]],[91,47,null,372421949456444,0,null],[92,47,null,956750028154371,0,null],[93,47,null,500901224158321,0,null]]],[0,0,false,null,353857779485813,61,[[-1,17,null,0,false,false,false,538610976591182,null],[47,59,null,0,false,false,false,141344804311674,null,[[8,2],[0,[1,180]]]]],[[47,52,null,322408661435903,0,null,[[0,[4,[20,47,53,false,null],[1,5]]]]]]],[0,0,false,null,398830865988877,62,[[47,70,null,0,false,false,false,878512835234994,null],[-1,51,null,0,false,false,false,784434601080360,null,[[0,[1,2.5]]]]],[[47,50,null,786021968491072,0,null,[[4,48],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[0,23,null,210770315852647,0,null,[[2,["misilesound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,559209825602487,63,[[-1,21,null,0,false,false,false,216145032557439,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,51,null,0,false,false,false,598635748046897,null,[[0,[1,5]]]]],[[-1,48,null,601390440958801,0,null,[[11,"GameSpeed"],[7,[1,0.05]]]]]],[0,0,false,null,192710596594302,64,[[-1,21,null,0,false,false,false,693111167378318,null,[[11,"BoatSkin"],[8,0],[7,[1,0]]]]],[[19,71,null,567890203984691,0,null,[[1,[2,"bote1"]],[3,1]]]]],[0,0,false,null,197566742890075,65,[[-1,21,null,0,false,false,false,770913187719894,null,[[11,"BoatSkin"],[8,0],[7,[1,1]]]]],[[19,71,null,942396291751406,0,null,[[1,[2,"bote2"]],[3,1]]]]],[0,0,false,null,965263142806263,66,[[-1,21,null,0,false,false,false,786092398640001,null,[[11,"BoatSkin"],[8,0],[7,[1,2]]]]],[[19,71,null,484799564813575,0,null,[[1,[2,"bote3"]],[3,1]]]]],[0,0,false,null,469388277882620,67,[[-1,21,null,0,false,false,false,710613074142917,null,[[11,"BoatSkin"],[8,0],[7,[1,3]]]]],[[19,71,null,915333369779227,0,null,[[1,[2,"bote4"]],[3,1]]]]],[0,0,false,null,204885741669461,68,[[-1,21,null,0,false,false,false,743175629287499,null,[[11,"BoatSkin"],[8,0],[7,[1,4]]]]],[[19,71,null,773006603392505,0,null,[[1,[2,"bote5"]],[3,1]]]]],[0,0,false,null,833325387934627,69,[[19,38,null,1,false,false,false,109933281666822,null]],[[19,18,null,228193095457362,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,555346859801523,70,[[34,38,null,1,false,false,false,452868598598611,null]],[[34,18,null,566127830517334,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,799657717334301,71,[[35,38,null,1,false,false,false,542997435565356,null]],[[35,18,null,207127209748524,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,451436268830807,72,[[36,38,null,1,false,false,false,842840058776247,null]],[[36,18,null,989666127160953,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,814649995522989,73,[[37,38,null,1,false,false,false,879763208208058,null]],[[37,18,null,256033579203200,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,512905115147201,74,[[41,38,null,1,false,false,false,550610979769907,null]],[[41,18,null,823299251195491,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,793481478578818,75,[[42,38,null,1,false,false,false,569750678604609,null]],[[42,18,null,490522331476172,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,139278889491584,76,[[43,38,null,1,false,false,false,614490326598053,null]],[[43,18,null,446539475991285,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,261613989673034,77,[[47,38,null,1,false,false,false,643865561989384,null]],[[47,18,null,736358742514984,0,null,[[5,[2,"Layer 0"]]]]]],[3,[true,"Boat Movement"],false,null,898777292911524,78,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"Boat Movement"]]]]],[],[[0,0,false,null,763769753164283,79,[[3,73,null,0,false,true,false,470062313053726,null],[19,70,null,0,false,false,false,975702719125819,null]],[[19,74,null,354419198907955,0,null,[[0,[1,0]]]]]],[3,[true,"bote1"],false,null,222356531468412,80,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote1"]]]]],[],[[0,0,false,null,751232599382784,81,[[1,75,null,0,false,false,false,498003005996023,null,[[9,39]]],[19,70,null,0,false,false,false,736282563667742,null],[19,76,null,0,false,false,false,783981551234134,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,436188280788809,null,[[8,3],[0,[1,380]]]]],[[19,78,null,757747748929018,0,null,[[0,[4,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,945067316473563,0,null,[[0,[1,10]]]]]],[0,0,false,null,846600637313764,82,[[1,75,null,0,false,false,false,620834575442719,null,[[9,37]]],[19,70,null,0,false,false,false,387340488667741,null],[19,76,null,0,false,false,false,401818551925523,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,263907054590425,null,[[8,5],[0,[1,102]]]]],[[19,78,null,411849992425097,0,null,[[0,[5,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,270992921314974,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,367912472804523,83,[[3,73,null,0,false,false,false,872291348646026,null],[-1,67,null,0,false,false,false,720131266406827,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,187340536340613,null],[19,76,null,0,false,false,false,460282090430099,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,710487078453401,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,298651298938750,null,[[4,27]]]],[[19,78,null,999534387334658,0,null,[[0,[4,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,573965671860164,0,null,[[0,[1,10]]]]]],[0,0,false,null,989710127669499,84,[[3,73,null,0,false,false,false,778466768159045,null],[-1,67,null,0,false,false,false,686238772838671,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,313283977000168,null],[19,76,null,0,false,false,false,520976131980091,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,313781931307277,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,173062507658982,null,[[4,27]]]],[[19,78,null,809751313800170,0,null,[[0,[5,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,643695334965206,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote2"],false,null,213251522952473,85,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote2"]]]]],[],[[0,0,false,null,724245949684751,86,[[1,75,null,0,false,false,false,723637135892710,null,[[9,39]]],[19,70,null,0,false,false,false,596228529433019,null],[19,76,null,0,false,false,false,679531516803477,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,148211274374351,null,[[8,3],[0,[1,380]]]]],[[19,78,null,423586063631287,0,null,[[0,[4,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,375952605756707,0,null,[[0,[1,10]]]]]],[0,0,false,null,140410119554986,87,[[1,75,null,0,false,false,false,316914785973801,null,[[9,37]]],[19,70,null,0,false,false,false,883089179393351,null],[19,76,null,0,false,false,false,232124002314589,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,415439794570992,null,[[8,5],[0,[1,102]]]]],[[19,78,null,283347416117974,0,null,[[0,[5,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,863302285532118,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,116671490745016,88,[[3,73,null,0,false,false,false,887861863434582,null],[-1,67,null,0,false,false,false,320769126993383,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,939792357576657,null],[19,76,null,0,false,false,false,464353473106359,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,909967330498527,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,399470281365172,null,[[4,27]]]],[[19,78,null,514018421370612,0,null,[[0,[4,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,355676913361358,0,null,[[0,[1,10]]]]]],[0,0,false,null,270263992965506,89,[[3,73,null,0,false,false,false,167444440926478,null],[-1,67,null,0,false,false,false,680436285148185,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,864633039503627,null],[19,76,null,0,false,false,false,175121066808047,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,887379236577115,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,894915612702527,null,[[4,27]]]],[[19,78,null,252099613067269,0,null,[[0,[5,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,968725212447558,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote3"],false,null,628374012284737,90,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote3"]]]]],[],[[0,0,false,null,817756094048166,91,[[1,75,null,0,false,false,false,115599783267081,null,[[9,39]]],[19,70,null,0,false,false,false,400140144390473,null],[19,76,null,0,false,false,false,741043090304978,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,154371816850375,null,[[8,3],[0,[1,380]]]]],[[19,78,null,215906749338097,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,162522097733104,0,null,[[0,[1,10]]]]]],[0,0,false,null,785822383394118,92,[[1,75,null,0,false,false,false,875127501849710,null,[[9,37]]],[19,70,null,0,false,false,false,618966992224950,null],[19,76,null,0,false,false,false,980887630916105,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,717109041733216,null,[[8,5],[0,[1,102]]]]],[[19,78,null,979222209602697,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,547344981180154,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,731538732073881,93,[[3,73,null,0,false,false,false,659538409451131,null],[-1,67,null,0,false,false,false,263533911745510,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,930508996166077,null],[19,76,null,0,false,false,false,288203810853483,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,584640168190045,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,419376854777802,null,[[4,27]]]],[[19,78,null,875240884165218,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,245931271483615,0,null,[[0,[1,10]]]]]],[0,0,false,null,633202842413607,94,[[3,73,null,0,false,false,false,334536573204486,null],[-1,67,null,0,false,false,false,114926801808411,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,522739047259368,null],[19,76,null,0,false,false,false,429435127507730,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,120044670446937,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,548287374156238,null,[[4,27]]]],[[19,78,null,742088866349406,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,835094931211137,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote4"],false,null,237243156494486,95,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote4"]]]]],[],[[0,0,false,null,748279349111214,96,[[1,75,null,0,false,false,false,508764739799745,null,[[9,39]]],[19,70,null,0,false,false,false,788608407416587,null],[19,76,null,0,false,false,false,334229491069749,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,600653823953848,null,[[8,3],[0,[1,380]]]]],[[19,78,null,806092676014791,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,843296358078636,0,null,[[0,[1,10]]]]]],[0,0,false,null,640353173599763,97,[[1,75,null,0,false,false,false,981399493552458,null,[[9,37]]],[19,70,null,0,false,false,false,917942633262477,null],[19,76,null,0,false,false,false,145993611153009,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,228017912823351,null,[[8,5],[0,[1,102]]]]],[[19,78,null,206910171874606,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,745843860149882,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,916322341697646,98,[[3,73,null,0,false,false,false,598275589941560,null],[-1,67,null,0,false,false,false,978422264648212,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,312363803666243,null],[19,76,null,0,false,false,false,301740380064327,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,609671337473084,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,254946595220480,null,[[4,27]]]],[[19,78,null,824794844129296,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,447616288673138,0,null,[[0,[1,10]]]]]],[0,0,false,null,686910431760175,99,[[3,73,null,0,false,false,false,283365576584114,null],[-1,67,null,0,false,false,false,850918460334761,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,661805365040806,null],[19,76,null,0,false,false,false,213489611132308,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,643724289398189,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,439826355164181,null,[[4,27]]]],[[19,78,null,686929777473268,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,632720776763844,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote5"],false,null,287901041938628,100,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote5"]]]]],[],[[0,0,false,null,529867000686455,101,[[1,75,null,0,false,false,false,167113064103218,null,[[9,39]]],[19,70,null,0,false,false,false,760053279015755,null],[19,76,null,0,false,false,false,816967242867619,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,549075355360363,null,[[8,3],[0,[1,380]]]]],[[19,78,null,715400528947021,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,744544233608279,0,null,[[0,[1,10]]]]]],[0,0,false,null,840000729703913,102,[[1,75,null,0,false,false,false,656780521472683,null,[[9,37]]],[19,70,null,0,false,false,false,719146851848747,null],[19,76,null,0,false,false,false,772797037246170,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,203958104839023,null,[[8,5],[0,[1,102]]]]],[[19,78,null,633239837342668,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,550730587134106,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,793745710689744,103,[[3,73,null,0,false,false,false,374004847846777,null],[-1,67,null,0,false,false,false,837989472341383,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,737698381407593,null],[19,76,null,0,false,false,false,668628261463541,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,380957684513196,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,816139442945817,null,[[4,27]]]],[[19,78,null,699126302685330,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,423244530488045,0,null,[[0,[1,10]]]]]],[0,0,false,null,694728534425066,104,[[3,73,null,0,false,false,false,865247068394687,null],[-1,67,null,0,false,false,false,983797936893175,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,230320002027797,null],[19,76,null,0,false,false,false,151467690706739,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,380853986548097,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,847919512038766,null,[[4,27]]]],[[19,78,null,713678571339791,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,226473946690568,0,null,[[0,[3,[1,10]]]]]]]]]]],[3,[true,"PowerUpcode"],false,null,413600158178149,105,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"PowerUpcode"]]]]],[],[[0,0,false,null,157447494178740,106,[[52,38,null,1,false,false,false,270088669343077,null],[52,70,null,0,false,false,false,888292573597779,null]],[[52,71,null,183271235110070,0,null,[[1,[19,49,[[2,"a1"],[2,"a2"],[2,"a3"],[2,"a4"],[2,"a5"],[2,"a6"],[2,"a7"],[2,"a8"],[2,"a9"],[2,"a10"]]]],[3,1]]]]],[0,0,false,null,739768158907968,107,[[52,38,null,1,false,false,false,245198393461340,null],[52,76,null,0,false,false,false,247898957915630,null,[[1,[2,"a1"]]]],[52,70,null,0,false,false,false,573638192843110,null]],[[-1,24,null,625736909876753,0,null,[[11,"Shield"],[7,[1,1]]]],[-1,40,null,832680182315365,2,null,[[0,[1,10]]]],[-1,24,null,575163901782445,0,null,[[11,"Shield"],[7,[1,0]]]]]],[0,0,false,null,273990601838150,108,[[52,38,null,1,false,false,false,259233117619062,null],[52,76,null,0,false,false,false,283042439244860,null,[[1,[2,"a2"]]]],[52,70,null,0,false,false,false,153493741418780,null]],[[-1,24,null,490303339906860,0,null,[[11,"Revive"],[7,[1,1]]]]]],[0,0,false,null,333590440658940,109,[[52,38,null,1,false,false,false,745807464662810,null],[52,76,null,0,false,false,false,144410785848828,null,[[1,[2,"a3"]]]],[52,70,null,0,false,false,false,593334323397463,null]],[[-1,24,null,961724600029096,0,null,[[11,"Rushspeed"],[7,[1,1]]]],[-1,40,null,416983866070812,2,null,[[0,[1,5]]]],[-1,24,null,656004933383787,0,null,[[11,"Rushspeed"],[7,[1,0]]]]]],[0,0,false,null,159544178400959,110,[[52,38,null,1,false,false,false,657299661319133,null],[52,76,null,0,false,false,false,162147543527387,null,[[1,[2,"a4"]]]],[52,70,null,0,false,false,false,659322359456373,null]],[[-1,24,null,948107491587909,0,null,[[11,"Magnet"],[7,[1,1]]]],[-1,40,null,883301053882813,2,null,[[0,[1,15]]]],[-1,24,null,736577556252826,0,null,[[11,"Magnet"],[7,[1,0]]]]]],[0,0,false,null,825894823978667,111,[[52,38,null,1,false,false,false,545046070410941,null],[52,76,null,0,false,false,false,853307202335750,null,[[1,[2,"a5"]]]],[52,70,null,0,false,false,false,405803140358530,null]],[[-1,24,null,247956513162148,0,null,[[11,"Coinsx2"],[7,[1,1]]]],[-1,40,null,231554128626432,2,null,[[0,[1,15]]]],[-1,24,null,834156190175320,0,null,[[11,"Coinsx2"],[7,[1,0]]]]]],[0,0,false,null,795027254364080,112,[[52,38,null,1,false,false,false,355388643210307,null],[52,76,null,0,false,false,false,776322696247702,null,[[1,[2,"a6"]]]],[52,70,null,0,false,false,false,312137888925835,null]],[[-1,48,null,523716262660602,0,null,[[11,"Coins"],[7,[1,100]]]]]],[0,0,false,null,310012923926907,113,[[52,38,null,1,false,false,false,836167996950415,null],[52,76,null,0,false,false,false,154387680515273,null,[[1,[2,"a7"]]]],[52,70,null,0,false,false,false,945823564065380,null]],[[-1,48,null,985757237665695,0,null,[[11,"Coins"],[7,[1,200]]]]]],[0,0,false,null,564914129342794,114,[[52,38,null,1,false,false,false,277453057555865,null],[52,76,null,0,false,false,false,156044780062731,null,[[1,[2,"a8"]]]],[52,70,null,0,false,false,false,238492779131754,null]],[[-1,48,null,928518619227150,0,null,[[11,"Coins"],[7,[1,500]]]]]],[0,0,false,null,435401232653600,115,[[52,38,null,1,false,false,false,767018762358127,null],[52,76,null,0,false,false,false,584569542750320,null,[[1,[2,"a9"]]]],[52,70,null,0,false,false,false,843922916377065,null]],[[-1,24,null,566850459128738,0,null,[[11,"Rushspeed"],[7,[1,1]]]],[-1,40,null,602660799911404,2,null,[[0,[1,5]]]],[-1,24,null,319846134423451,0,null,[[11,"Rushspeed"],[7,[1,0]]]]]],[0,0,false,null,765477451270107,116,[[52,38,null,1,false,false,false,714472419703306,null],[52,76,null,0,false,false,false,990287250386093,null,[[1,[2,"a10"]]]],[52,70,null,0,false,false,false,899763067685210,null]],[[-1,24,null,969590586612125,0,null,[[11,"StarsX2"],[7,[1,1]]]],[-1,40,null,541772376972189,2,null,[[0,[1,15]]]],[-1,24,null,487739426092947,0,null,[[11,"StarsX2"],[7,[1,0]]]]]]]]]],["Menu",[[3,[true,"ButtonMenu"],false,null,606514649957867,1,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"ButtonMenu"]]]]],[]],[0,0,false,null,691743386123618,2,[[3,39,null,1,false,false,false,542380063098966,null,[[4,8]]]],[]],[0,0,false,null,513345735539551,3,[[3,39,null,1,false,false,false,807525751112850,null,[[4,86]]],[2,81,null,0,false,true,false,633743371766428,null]],[[2,82,null,350997482487149,0,null,[[3,0],[3,0]]]]],[0,0,false,null,249820122986974,4,[[3,39,null,1,false,false,false,421860012722864,null,[[4,86]]],[2,81,null,0,false,false,false,530455674191952,null]],[[2,83,null,879285644242891,0,null]]],[0,0,false,null,105173308576542,5,[[3,39,null,1,false,false,false,463650826261381,null,[[4,88]]],[88,76,null,0,false,false,false,172994207684130,null,[[1,[2,"unmute"]]]]],[[0,84,null,793344942837273,0,null,[[3,0]]],[-1,40,null,379295475421489,2,null,[[0,[1,0.1]]]],[88,71,null,850989348533624,0,null,[[1,[2,"mute"]],[3,1]]]]],[0,0,false,null,244439567862675,6,[[3,39,null,1,false,false,false,191959645887222,null,[[4,88]]],[88,76,null,0,false,false,false,595969149354121,null,[[1,[2,"mute"]]]]],[[0,84,null,910254547994210,0,null,[[3,1]]],[-1,40,null,110561974907342,2,null,[[0,[1,0.1]]]],[88,71,null,426658862268969,0,null,[[1,[2,"unmute"]],[3,1]]]]],[0,0,false,null,594145616377368,7,[[-1,19,null,1,false,false,false,279058709487966,null]],[[0,22,null,959114203551764,0,null],[0,23,null,506301447659593,0,null,[[2,["gameplaymusic",false]],[3,0],[0,[1,0]],[1,[2,""]]]]]],[0,0,false,null,629454484420793,8,[[-1,19,null,1,false,false,false,513204845660731,null],[4,85,null,0,false,false,false,396751463814681,null,[[1,[2,"Coins"]]]]],[[-1,24,null,113520524091908,0,null,[[11,"Coins"],[7,[20,4,86,true,null,[[2,"Coins"]]]]]]]],[0,0,false,null,903801684814520,9,[[-1,19,null,1,false,false,false,728001962078137,null],[4,85,null,0,false,false,false,590486641354739,null,[[1,[2,"highscore"]]]]],[[-1,24,null,405674126970988,0,null,[[11,"Highscore"],[7,[20,4,86,true,null,[[2,"highscore"]]]]]]]],[0,0,false,null,286861242312923,10,[[-1,19,null,1,false,false,false,252261060242757,null],[4,85,null,0,false,false,false,463134283065895,null,[[1,[2,"stars"]]]]],[[-1,24,null,870465154825259,0,null,[[11,"Stars"],[7,[20,4,86,true,null,[[2,"stars"]]]]]]]],[0,0,false,null,222912189684507,11,[[-1,19,null,1,false,false,false,437185843980292,null],[4,85,null,0,false,false,false,235078381221334,null,[[1,[2,"Upgrade1"]]]]],[[-1,24,null,916657034764370,0,null,[[11,"Upgrade1"],[7,[20,4,86,true,null,[[2,"Upgrade1"]]]]]]]],[0,0,false,null,474917147348521,12,[[-1,19,null,1,false,false,false,139024257994828,null],[4,85,null,0,false,false,false,280292859883612,null,[[1,[2,"Upgrade2"]]]]],[[-1,24,null,850089037720881,0,null,[[11,"Upgrade2"],[7,[20,4,86,true,null,[[2,"Upgrade2"]]]]]]]],[0,0,false,null,509735202996451,13,[[-1,19,null,1,false,false,false,496741380342267,null],[4,85,null,0,false,false,false,658520122776225,null,[[1,[2,"Upgrade3"]]]]],[[-1,24,null,947563797318687,0,null,[[11,"Upgrade3"],[7,[20,4,86,true,null,[[2,"Upgrade3"]]]]]]]],[0,0,false,null,900957056187657,14,[[-1,19,null,1,false,false,false,330874904483951,null],[4,85,null,0,false,false,false,836063204699077,null,[[1,[2,"Upgrade4"]]]]],[[-1,24,null,364302972287128,0,null,[[11,"Upgrade4"],[7,[20,4,86,true,null,[[2,"Upgrade4"]]]]]]]],[0,0,false,null,862986798129742,15,[[-1,19,null,1,false,false,false,369210039622453,null],[4,85,null,0,false,false,false,504309616547168,null,[[1,[2,"skin"]]]]],[[-1,24,null,199247924316278,0,null,[[11,"BoatSkin"],[7,[20,4,86,true,null,[[2,"skin"]]]]]]]],[0,0,false,null,459956496752719,16,[[3,39,null,1,false,false,false,275094936594010,null,[[4,7]]]],[[-1,42,null,292133839831399,0,null,[[6,"Level1"]]],[-1,24,null,247838009764054,0,null,[[11,"Bullets"],[7,[1,3]]]]]],[0,0,false,null,248924843020034,17,[[3,39,null,1,false,false,false,647071589916718,null,[[4,9]]]],[[-1,42,null,716055849201696,0,null,[[6,"Shop"]]]]],[0,0,false,null,194591335041575,18,[[-1,17,null,0,false,false,false,366178700980350,null]],[[11,27,null,400684967886098,0,null,[[0,[4,[20,11,28,false,null],[1,4]]]]],[12,27,null,848812630214702,0,null,[[0,[4,[20,12,28,false,null],[1,5]]]]]]],[0,0,false,null,460787215820196,19,[[11,29,null,0,false,false,false,802505891563905,null,[[8,5],[0,[1,0]]]]],[[11,27,null,655420054969741,0,null,[[0,[3,[1,800]]]]]]],[0,0,false,null,550138829377252,20,[[12,29,null,0,false,false,false,760935250137105,null,[[8,5],[0,[1,0]]]]],[[12,27,null,510249075386450,0,null,[[0,[3,[1,800]]]]]]]]],["Shop",[[0,0,false,null,775298730830008,1,[[3,39,null,1,false,false,false,339686205492729,null,[[4,57]]],[-1,21,null,0,false,false,false,484057326981323,null,[[11,"Upgrade1"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,772625087490776,null,[[11,"Coins"],[8,5],[7,[1,1000]]]]],[[-1,56,null,618907003459917,0,null,[[11,"Coins"],[7,[1,1000]]]],[-1,24,null,797796962256970,0,null,[[11,"Upgrade1"],[7,[1,1]]]],[4,36,null,825330869770358,0,null,[[1,[2,"Upgrade1"]],[7,[23,"Upgrade1"]]]],[4,36,null,713929424725599,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,732142344848022,2,[[3,39,null,1,false,false,false,969817680023653,null,[[4,58]]],[-1,21,null,0,false,false,false,304849674382367,null,[[11,"Upgrade2"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,431476627684266,null,[[11,"Coins"],[8,5],[7,[1,3500]]]]],[[-1,56,null,813701123205467,0,null,[[11,"Coins"],[7,[1,3500]]]],[-1,24,null,466145032180547,0,null,[[11,"Upgrade2"],[7,[1,1]]]],[4,36,null,484627616415296,0,null,[[1,[2,"Upgrade2"]],[7,[23,"Upgrade2"]]]],[4,36,null,403839833650375,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,855961770065636,3,[[3,39,null,1,false,false,false,740464696974433,null,[[4,59]]],[-1,21,null,0,false,false,false,381736039362562,null,[[11,"Upgrade3"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,449092086756377,null,[[11,"Coins"],[8,5],[7,[1,7300]]]]],[[-1,56,null,522631785071131,0,null,[[11,"Coins"],[7,[1,7300]]]],[-1,24,null,626812318664311,0,null,[[11,"Upgrade3"],[7,[1,1]]]],[4,36,null,568723705878141,0,null,[[1,[2,"Upgrade3"]],[7,[23,"Upgrade3"]]]],[4,36,null,726977760413717,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,897835523236459,4,[[3,39,null,1,false,false,false,847034797962511,null,[[4,60]]],[-1,21,null,0,false,false,false,937906235391672,null,[[11,"Upgrade4"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,624754319336732,null,[[11,"Coins"],[8,5],[7,[1,9999]]]]],[[-1,56,null,366894524228235,0,null,[[11,"Coins"],[7,[1,9999]]]],[-1,24,null,347412168778674,0,null,[[11,"Upgrade4"],[7,[1,1]]]],[4,36,null,806017914285622,0,null,[[1,[2,"Upgrade4"]],[7,[23,"Upgrade4"]]]],[4,36,null,167422166073577,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,930807989534381,5,[[3,39,null,1,false,false,false,773461779567417,null,[[4,82]]]],[[-1,24,null,866650799850615,0,null,[[11,"BoatSkin"],[7,[1,0]]]],[4,36,null,102802037450449,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,801098425466096,6,[[3,39,null,1,false,false,false,738467083059869,null,[[4,77]]],[-1,21,null,0,false,false,false,879083555425269,null,[[11,"Upgrade1"],[8,0],[7,[1,1]]]]],[[-1,24,null,565674931822497,0,null,[[11,"BoatSkin"],[7,[1,1]]]],[4,36,null,751979711860830,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,306046706988129,7,[[3,39,null,1,false,false,false,762489404274284,null,[[4,78]]],[-1,21,null,0,false,false,false,811004209059444,null,[[11,"Upgrade2"],[8,0],[7,[1,1]]]]],[[-1,24,null,919255000547815,0,null,[[11,"BoatSkin"],[7,[1,2]]]],[4,36,null,655778880833368,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,281375469935230,8,[[3,39,null,1,false,false,false,973055611169660,null,[[4,79]]],[-1,21,null,0,false,false,false,380013041575015,null,[[11,"Upgrade3"],[8,0],[7,[1,1]]]]],[[-1,24,null,916625308907139,0,null,[[11,"BoatSkin"],[7,[1,3]]]],[4,36,null,384934638313275,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,294927033040456,9,[[3,39,null,1,false,false,false,240688520632420,null,[[4,80]]],[-1,21,null,0,false,false,false,174691869461785,null,[[11,"Upgrade4"],[8,0],[7,[1,1]]]]],[[-1,24,null,365227484987480,0,null,[[11,"BoatSkin"],[7,[1,4]]]],[4,36,null,248001362760177,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,552864240913822,10,[[3,39,null,1,false,false,false,694598084556462,null,[[4,33]]]],[[-1,24,null,613686442398128,0,null,[[11,"Bullets"],[7,[1,3]]]],[-1,42,null,828213983791006,0,null,[[6,"Level1"]]]]],[0,0,false,null,899041803065143,11,[[3,39,null,1,false,false,false,490967925511998,null,[[4,88]]],[88,76,null,0,false,false,false,466480933579912,null,[[1,[2,"unmute"]]]]],[[0,84,null,992106938524674,0,null,[[3,0]]],[-1,40,null,571039313042104,2,null,[[0,[1,0.1]]]],[88,71,null,302051766895126,0,null,[[1,[2,"mute"]],[3,1]]]]],[0,0,false,null,749443952759857,12,[[3,39,null,1,false,false,false,422044030381393,null,[[4,88]]],[88,76,null,0,false,false,false,911467168788007,null,[[1,[2,"mute"]]]]],[[0,84,null,152017250749039,0,null,[[3,1]]],[-1,40,null,186604284333558,2,null,[[0,[1,0.1]]]],[88,71,null,549940004056887,0,null,[[1,[2,"unmute"]],[3,1]]]]],[0,0,false,null,606002804069263,13,[[-1,17,null,0,false,false,false,565120651485295,null]],[[61,43,null,100284265332917,0,null,[[7,[23,"Coins"]]]],[63,43,null,873594522374918,0,null,[[7,[23,"Stars"]]]]]],[0,0,false,null,805646663638833,14,[[-1,21,null,0,false,false,false,350291545026646,null,[[11,"Upgrade1"],[8,0],[7,[1,1]]]]],[[57,47,null,265422094415124,0,null],[66,47,null,840209692768644,0,null]]],[0,0,false,null,287867431858806,15,[[-1,21,null,0,false,false,false,626916517850431,null,[[11,"Upgrade2"],[8,0],[7,[1,1]]]]],[[58,47,null,936516214735759,0,null],[67,47,null,902451310052515,0,null]]],[0,0,false,null,384369682120455,16,[[-1,21,null,0,false,false,false,359832504041541,null,[[11,"Upgrade3"],[8,0],[7,[1,1]]]]],[[59,47,null,895293159286682,0,null],[68,47,null,871113567997430,0,null]]],[0,0,false,null,596397559423944,17,[[-1,21,null,0,false,false,false,227744685540116,null,[[11,"Upgrade4"],[8,0],[7,[1,1]]]]],[[60,47,null,512815850943976,0,null],[69,47,null,804800544941496,0,null]]],[0,0,false,null,971971101402455,18,[[-1,21,null,0,false,false,false,245887641104746,null,[[11,"BoatSkin"],[8,0],[7,[1,0]]]]],[[56,71,null,849945739383203,0,null,[[1,[2,"a1"]],[3,1]]]]],[0,0,false,null,991356823585352,19,[[-1,21,null,0,false,false,false,179072273339496,null,[[11,"BoatSkin"],[8,0],[7,[1,1]]]]],[[56,71,null,939788150184696,0,null,[[1,[2,"a2"]],[3,1]]]]],[0,0,false,null,316210877417208,20,[[-1,21,null,0,false,false,false,275117660642725,null,[[11,"BoatSkin"],[8,0],[7,[1,2]]]]],[[56,71,null,851283056456233,0,null,[[1,[2,"a3"]],[3,1]]]]],[0,0,false,null,869203617090501,21,[[-1,21,null,0,false,false,false,328298344985622,null,[[11,"BoatSkin"],[8,0],[7,[1,3]]]]],[[56,71,null,714190195349646,0,null,[[1,[2,"a4"]],[3,1]]]]],[0,0,false,null,637309924546211,22,[[-1,21,null,0,false,false,false,972695748550675,null,[[11,"BoatSkin"],[8,0],[7,[1,4]]]]],[[56,71,null,737868286672543,0,null,[[1,[2,"a5"]],[3,1]]]]],[0,0,false,null,107048961811234,23,[[-1,19,null,1,false,false,false,845142168726591,null]],[[0,22,null,147733384843901,0,null],[0,23,null,345980920310465,0,null,[[2,["shopmusic",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]]]]],[["coinsound",[["audio/ogg; codecs=vorbis",".ogg",12420],["audio/mp4",".m4a",10973]],false],["raysound",[["audio/ogg; codecs=vorbis",".ogg",12501],["audio/mp4",".m4a",11003]],false],["starsound",[["audio/ogg; codecs=vorbis",".ogg",8556],["audio/mp4",".m4a",6631]],false],["explosionsound",[["audio/ogg; codecs=vorbis",".ogg",12426],["audio/mp4",".m4a",12859]],false],["explosionsound2",[["audio/ogg; codecs=vorbis",".ogg",18961],["audio/mp4",".m4a",18371]],false],["itempick",[["audio/ogg; codecs=vorbis",".ogg",9145],["audio/mp4",".m4a",7097]],false],["misilesound",[["audio/ogg; codecs=vorbis",".ogg",11970],["audio/mp4",".m4a",13175]],false],["shopmusic",[["audio/ogg; codecs=vorbis",".ogg",397728],["audio/mp4",".m4a",541668]],false],["shootsound",[["audio/ogg; codecs=vorbis",".ogg",13209],["audio/mp4",".m4a",13021]],false],["gameplaymusic",[["audio/ogg; codecs=vorbis",".ogg",286838],["audio/mp4",".m4a",377384]],false]],"media/",false,480,800,4,true,true,true,"1.0",true,false,0,1,840,false,true,1,true,false,[],"icons/",[],true,"mq4njje893h0","fonts/",[],"high-performance",[],"standard","vsync","com.boatrush","loading-logo.png",false,0]}
\ No newline at end of file
+{"project":["Boat Rush","Menu",[[0,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[1,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[2,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[3,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[4,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[5,false,true,true,true,true,true,true,true,false,false,false,false,true,true],[10,false,true,true,true,true,true,true,true,true,false,false,false,true,true],[11,false,true,true,false,true,true,true,true,true,false,false,false,true,false],[15,false,true,true,true,true,true,true,true,true,false,false,false,true,false],[16,true,false,false,false,false,false,false,false,false,false,false,false,false,false]],[["Audio",0,false,[],0,0,null,null,[],false,false,703835992537536,[],null,0,null,[0,0,false,0,1,1,600,600,10000,1]],["Keyboard",1,false,[],0,0,null,null,[],false,false,982284275774552,[],null,1,null,[]],["Browser",2,false,[],0,0,null,null,[],false,false,586428651729562,[],null,2,null,[]],["Touch",3,false,[],0,0,null,null,[],false,false,568071144861069,[],null,3,null,[true]],["WebStorage",4,false,[],0,0,null,null,[],false,false,266744846993302,[],null,4,null,[]],["MenuBoat",5,false,[],1,0,null,[["Default",5,false,1,0,false,748342507361449,[["images/shared-0-sheet2.png",160103,65,172,61,79,1,0.508197,0.506329,[],[],0]]]],[["Sine",6,695732861555258,5]],false,false,514213692774421,[],null,6,null],["Tittle",5,false,[],1,0,null,[["Default",5,false,1,0,false,189071511381377,[["images/shared-0-sheet0.png",1350642,1,1579,520,270,1,0.501923,0.5,[],[-0.4910238,-0.49305556,-0.0032849999999999824,-0.350694,0.432682,0.458333,-0.0032849999999999824,0.5,-0.501923,0.5],0]]]],[["Sine",6,688968521480459,5]],false,false,439644814397830,[],null,7,null],["PlayButton",5,false,[],3,0,null,[["Default",5,true,1,0,false,889087384108530,[["images/shared-0-sheet1.png",747276,1,521,180,74,5,0.505556,0.662162,[],[-0.505556,-0.662162,-0.007823000000000024,-0.662162,0.494444,0.33783799999999997,-0.007823000000000024,0.33783799999999997,-0.505556,0.33783799999999997],0]]]],[["Sine",6,393114419136118,5],["Fade",7,459513346463144,8],["LiteTween",8,462060252971922,9]],false,false,357643349626426,[],null,10,null],["MoreGamesButton",5,false,[],3,0,null,[["Default",5,false,1,0,false,524514004746364,[["images/shared-0-sheet1.png",747276,257,664,180,74,1,0.511111,0.554054,[],[-0.511111,-0.554054,-0.013002999999999987,-0.554054,0.488889,0.44594599999999995,-0.013002999999999987,0.44594599999999995,-0.511111,0.44594599999999995],0]]]],[["Sine",6,463877133019275,5],["Fade",7,212555801990438,8],["LiteTween",8,335238721444711,9]],false,false,963094074560375,[],null,11,null],["ShopButton",5,false,[],3,0,null,[["Default",5,false,1,0,false,611281079889679,[["images/shared-0-sheet1.png",747276,257,769,180,74,1,0.511111,0.5,[],[-0.511111,-0.5,-0.013002999999999987,-0.5,0.488889,0.5,-0.013002999999999987,0.5,-0.511111,0.5],0]]]],[["Sine",6,552263490949791,5],["Fade",7,758212719253176,8],["LiteTween",8,889084258075890,9]],false,false,169861659307519,[],null,12,null],["Tittle2",5,false,[],1,0,null,[["Default",5,false,1,0,false,835515018144555,[["images/shared-0-sheet0.png",1350642,523,1762,520,270,1,0.501923,0.5,[],[-0.4910238,-0.49305556,-0.0032849999999999824,-0.350694,0.432682,0.458333,-0.0032849999999999824,0.5,-0.501923,0.5],0]]]],[["Pin",9,520073121125343,13]],false,false,991343001076175,[],null,14,null],["Background",10,false,[],0,0,["images/background-sheet0.png",531989,0,0,0,480,800],null,[],false,false,862928435387453,[],null,15,[1,1]],["Foreground",10,false,[],0,0,["images/foreground-sheet0.png",66824,0,0,0,480,800],null,[],false,false,912521776675091,[],null,16,[1,1]],["Particles",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,33,97,23,30],null,[["Bullet",12,788865463218005,17]],false,false,491243774209932,[],null,18,null],["Particles11",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,1,65,22,34],null,[["Pin",9,701186203331973,13]],false,false,730428463600385,[],null,19,null],["Particles12",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,33,1,22,34],null,[["Pin",9,699907147169258,13]],false,false,846383889312937,[],null,20,null],["Particles13",11,false,[],1,0,["images/shared-0-sheet3.png",2080,0,1,1,22,34],null,[["Pin",9,143935088446358,13]],false,false,652225207470388,[],null,21,null],["Particles3",11,false,[],1,0,["images/shared-0-sheet2.png",160103,0,183,449,45,45],null,[["Bullet",12,338224862847783,17]],false,false,133990326390281,[],null,22,null],["Particles4",11,false,[],1,0,["images/shared-0-sheet2.png",160103,0,230,449,45,45],null,[["Bullet",12,756450600761003,17]],false,false,210959117085707,[],null,23,null],["PlayerBoat",5,false,[],1,0,null,[["bote1",5,false,1,0,false,289691990516780,[["images/shared-0-sheet2.png",160103,1,172,61,79,1,0.508197,0.506329,[],[-0.01639400000000002,-0.506329,0.34426199999999996,-0.26582300000000003,0.360656,0.367089,-0.4344265,0.386076,-0.4426232,-0.27848100000000003],0]]],["bote2",5,false,1,0,false,979831182175745,[["images/shared-0-sheet2.png",160103,166,129,68,95,1,0.514706,0.505263,[],[-0.102941,-0.505263,0.25,-0.368421,0.294118,0.33157899999999996,-0.4264708,0.31579,-0.367647,-0.368421],0]]],["bote3",5,false,1,0,false,571065668351118,[["images/shared-0-sheet1.png",747276,1,897,88,112,1,0.511364,0.508929,[],[-0.056819000000000064,-0.508929,0.295454,-0.20535799999999998,0.295454,0.29464200000000007,-0.403409,0.285714,-0.397728,-0.20535699999999996],0]]],["bote4",5,false,1,0,false,328506521708266,[["images/shared-0-sheet2.png",160103,84,1,80,116,1,0.5125,0.508621,[],[-0.03749999999999998,-0.508621,0.2875000000000001,-0.232759,0.23750000000000004,0.43103400000000003,-0.33124999999999993,0.435345,-0.39999999999999997,-0.232759],0]]],["bote5",5,false,1,0,false,306287450496362,[["images/shared-0-sheet2.png",160103,1,1,81,116,1,0.506173,0.508621,[],[-0.24691399999999997,-0.508621,0.16049400000000003,-0.508621,0.34567900000000007,-0.172414,0.19135800000000003,0.418103,-0.280864,0.40301699999999996,-0.43209889999999995,-0.181035],0]]]],[["Sine",6,861320916281507,5]],false,false,350007313237023,[],null,24,null],["Laser",5,false,[],0,0,null,[["Default",20,true,1,0,false,349916196142656,[["images/shared-0-sheet0.png",1350642,1927,1251,80,788,1,0.5,0.5,[],[-0.0625,-0.4746193,0.09999999999999998,-0.4746193,0.08750000000000002,0.46954300000000004,-0.08750000000000002,0.467005],0],["images/shared-0-sheet0.png",1350642,1927,461,80,788,1,0.5,0.5,[],[-0.0625,-0.4746193,0.09999999999999998,-0.4746193,0.08750000000000002,0.46954300000000004,-0.08750000000000002,0.467005],0]]]],[],false,false,128702478641108,[],null,25,null],["Shield",5,false,[],1,0,null,[["Default",5,false,1,0,false,365926939960345,[["images/shared-0-sheet1.png",747276,1,353,166,166,1,0.5,0.5,[],[-0.313253,-0.313253,0,-0.4457831,0.313253,-0.313253,0.44578300000000004,0,0.313253,0.313253,0,0.439759,-0.313253,0.313253,-0.439759,0],0]]]],[["Pin",9,940564979988824,13]],false,false,561923414761729,[],null,26,null],["FireEffect",5,false,[],0,0,null,[["Default",30,true,1,0,false,832675582964412,[["images/fireeffect-sheet0.png",908118,566,1537,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1,1537,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1131,1537,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,566,1025,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1,1025,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1131,1025,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1025,513,563,454,1,0.500888,0.5,[],[],0],["images/fireeffect-sheet0.png",908118,1,513,563,454,1,0.500888,0.5,[],[],0]]]],[],false,false,178461688432663,[],null,27,null],["Camera",5,false,[],1,0,null,[["medium",5,false,1,0,false,840985101440858,[["images/shared-0-sheet2.png",160103,83,449,51,51,1,0.529412,0.529412,[],[-0.20162799999999997,-0.380845,0.35849200000000003,-0.248114,0.029227000000000003,0.344645,-0.35109199999999996,0.148567],0]]]],[["ScrollTo",13,992020191762281,28]],false,false,697734000802763,[],null,29,null],["WaveEffect1",5,false,[],1,0,null,[["Default",30,true,1,0,true,163450832167169,[["images/shared-0-sheet2.png",160103,257,321,118,30,1,0.5,0.5,[],[],0],["images/shared-0-sheet2.png",160103,1,417,118,27,1,0.5,0.518519,[],[],0],["images/shared-0-sheet2.png",160103,1,385,118,29,1,0.5,0.517241,[],[],0],["images/shared-0-sheet2.png",160103,1,321,118,31,1,0.5,0.516129,[],[],0],["images/shared-0-sheet2.png",160103,257,353,116,29,1,0.5,0.517241,[],[],0]]]],[["Pin",9,282048686560141,13]],false,false,390233178689551,[],null,30,null],["WaveEffect2",5,false,[],1,0,null,[["Default",30,true,1,0,true,784581916605310,[["images/shared-0-sheet2.png",160103,385,321,118,30,1,0.5,0.5,[],[0.5,0.5,-0.5,0.5,-0.5,-0.5,0.5,-0.5],0],["images/shared-0-sheet2.png",160103,121,417,118,27,1,0.5,0.518519,[],[0.5,0.48148100000000005,-0.5,0.48148100000000005,-0.5,-0.518519,0.5,-0.518519],0],["images/shared-0-sheet2.png",160103,121,385,118,29,1,0.5,0.517241,[],[0.5,0.48275900000000005,-0.5,0.48275900000000005,-0.5,-0.517241,0.5,-0.517241],0],["images/shared-0-sheet2.png",160103,129,321,118,31,1,0.5,0.516129,[],[0.5,0.48387100000000005,-0.5,0.48387100000000005,-0.5,-0.516129,0.5,-0.516129],0],["images/shared-0-sheet2.png",160103,385,353,116,29,1,0.5,0.517241,[],[0.5,0.48275900000000005,-0.5,0.48275900000000005,-0.5,-0.517241,0.5,-0.517241],0]]]],[["Pin",9,672250909431575,13]],false,false,130424582060220,[],null,31,null],["Coin",5,false,[],1,0,null,[["Default",5,false,1,0,false,353119714348754,[["images/shared-0-sheet2.png",160103,193,257,35,49,1,0.542857,0.510204,[],[-0.542857,-0.510204,0.45714299999999997,-0.510204,0.45714299999999997,0.16326600000000002,-0.5428569962747101,0.12244900000000003],0]]]],[["CustomMovement",14,675299183697928,32]],false,false,319829055017866,[],null,33,null],["ShootButton",5,false,[],0,0,null,[["Default",5,false,1,0,false,695364705930606,[["images/shared-0-sheet2.png",160103,262,90,82,90,1,0.5,0.5,[],[],0]]]],[],false,false,410000420329829,[],null,34,null],["ExplosionEffect",5,false,[],0,0,null,[["Default",50,true,1,0,false,237675759176144,[["images/explosioneffect-sheet0.png",351093,769,1,250,250,1,0.5,0.5,[],[],0],["images/explosioneffect-sheet1.png",41432,193,449,52,53,1,0.75,0.132075,[],[],0],["images/explosioneffect-sheet1.png",41432,190,257,65,67,1,0.707692,0.19403,[],[],0],["images/explosioneffect-sheet1.png",41432,1,385,79,81,1,0.670886,0.222222,[],[],0],["images/explosioneffect-sheet1.png",41432,96,257,92,96,1,0.652174,0.25,[],[],0],["images/explosioneffect-sheet1.png",41432,129,129,107,111,1,0.635514,0.27027,[],[],0],["images/explosioneffect-sheet1.png",41432,1,257,93,99,1,0.666667,0.282828,[],[],0],["images/explosioneffect-sheet1.png",41432,96,385,80,84,1,0.675,0.297619,[],[],0],["images/explosioneffect-sheet1.png",41432,1,129,109,111,1,0.623853,0.36036,[],[],0],["images/explosioneffect-sheet0.png",351093,849,1537,146,144,1,0.582192,0.409722,[],[],0],["images/explosioneffect-sheet0.png",351093,817,1793,179,171,1,0.564246,0.438596,[],[],0],["images/explosioneffect-sheet0.png",351093,605,1793,210,196,1,0.547619,0.464286,[],[],0],["images/explosioneffect-sheet0.png",351093,605,1537,242,221,1,0.533058,0.484163,[],[],0],["images/explosioneffect-sheet0.png",351093,745,338,277,249,1,0.523466,0.502008,[],[],0],["images/explosioneffect-sheet0.png",351093,305,1537,298,267,1,0.516779,0.509363,[],[],0],["images/explosioneffect-sheet0.png",351093,1,1537,302,274,1,0.513245,0.507299,[],[],0],["images/explosioneffect-sheet0.png",351093,1,1025,308,280,1,0.50974,0.507143,[],[],0],["images/explosioneffect-sheet0.png",351093,346,1025,313,287,1,0.507987,0.505226,[],[],0],["images/explosioneffect-sheet0.png",351093,683,1025,320,295,1,0.509375,0.505085,[],[],0],["images/explosioneffect-sheet0.png",351093,683,668,328,301,1,0.509146,0.504983,[],[],0],["images/explosioneffect-sheet0.png",351093,346,668,335,308,1,0.510448,0.503247,[],[],0],["images/explosioneffect-sheet0.png",351093,1,668,343,314,1,0.510204,0.503185,[],[],0],["images/explosioneffect-sheet0.png",351093,1,345,352,321,1,0.508523,0.501558,[],[],0],["images/explosioneffect-sheet0.png",351093,382,338,361,328,1,0.506925,0.5,[],[],0],["images/explosioneffect-sheet0.png",351093,382,1,369,335,1,0.504065,0.501493,[],[],0],["images/explosioneffect-sheet0.png",351093,1,1,379,342,1,0.501319,0.5,[],[],0]]]],[],false,false,986265113848733,[],null,35,null],["Bullets",5,false,[],1,0,null,[["Default",5,false,1,0,false,880141078803579,[["images/shared-0-sheet2.png",160103,449,449,33,36,1,0.515152,0.5,[],[],0]]]],[["Bullet",12,165423223380247,17]],false,false,747757514238944,[],null,36,null],["EndRoundHud",5,false,[],1,0,null,[["Default",5,false,1,0,false,363554532183083,[["images/shared-0-sheet0.png",1350642,1537,1,507,458,1,0.502959,0.5,[],[-0.49205980000000005,-0.49305556,-0.004321000000000019,-0.350694,0.431646,0.458333,-0.004321000000000019,0.5,-0.502959,0.5],0]]]],[["LiteTween",8,197283570715677,9]],false,false,355002961700946,[],null,37,null],["ShopBackground",5,false,[],0,0,null,[["Default",5,false,1,0,false,850902071552261,[["images/shared-0-sheet0.png",1350642,1,1,514,802,1,0.5,0.5,[],[0.498055,-0.5,0.498055,0.5,-0.49805447,0.5,-0.49805447,-0.5],0]]]],[],false,false,422698805929368,[],null,38,null],["ShopButtonGame",5,false,[],1,0,null,[["Default",5,false,1,0,false,364401786425622,[["images/shared-0-sheet1.png",747276,439,769,121,110,1,0.504132,0.518182,[],[-0.355372,-0.37272700000000003,0.04355299999999995,-0.518182,0.429752,-0.14545500000000006,0.19231299999999996,0.427273,-0.38016500000000003,0.281818],0]]]],[["Pin",9,491326992739597,13]],false,false,534277965705338,[],null,39,null],["RestartButton",5,false,[],1,0,null,[["Default",5,false,1,0,false,273479110312108,[["images/shared-0-sheet1.png",747276,1,769,121,110,1,0.504132,0.518182,[],[-0.504132,-0.518182,-0.006034000000000039,-0.5091536,0.495868,0.48181799999999997,-0.006034000000000039,0.48181799999999997,-0.504132,0.48181799999999997],0]]]],[["Pin",9,137869330742398,13]],false,false,382119695878357,[],null,40,null],["Rocks",5,false,[739936713725718],0,0,null,[["Default",5,false,1,0,false,918851682696415,[["images/shared-0-sheet1.png",747276,613,655,131,118,1,0.51145,0.508475,[],[0.23658400000000002,-0.271187,0.39694700000000005,0.013853000000000004,0.215916,0.11810500000000002,-0.10332799999999998,0.16339099999999995,-0.3518089999999999,0.042430999999999996,-0.46564849999999997,-0.13391600000000004,-0.38046499999999994,-0.24600100000000003,-0.26977699999999993,-0.184346,-0.07338599999999995,-0.4661021],0]]]],[],false,false,250394213646869,[],null,41,null],["Mines",5,false,[489950058507883],0,0,null,[["Default",5,false,1,0,false,137367202900062,[["images/shared-0-sheet2.png",160103,262,1,91,87,1,0.516484,0.517241,[],[0.19184999999999997,-0.405172,0.42138299999999995,-0.13290299999999994,0.013202999999999965,0.11691800000000008,-0.24252500000000005,0.035560000000000036,-0.41403400000000007,-0.16846299999999997,-0.23315000000000008,-0.34482699999999994,0.0897659999999999,-0.4741369],0]]]],[],false,false,200490569466313,[],null,42,null],["Laser1",5,false,[],0,0,null,[["Default",30,true,1,0,false,720655035150909,[["images/shared-0-sheet1.png",747276,124,897,225,55,1,0.502222,0.509091,[],[-0.41333309999999995,-0.25454599999999994,-0.004443999999999948,-0.12727299999999997,0.3866670000000001,-0.290909,0.431111,0.054545000000000066,0.3822230000000001,0.34545400000000004,-0.004443999999999948,0,-0.41777759999999997,0.381818,-0.47111089999999994,0.01818200000000003],0],["images/shared-0-sheet1.png",747276,124,961,225,55,1,0.502222,0.509091,[],[-0.41333309999999995,-0.25454599999999994,-0.004443999999999948,-0.12727299999999997,0.3866670000000001,-0.290909,0.431111,0.054545000000000066,0.3822230000000001,0.34545400000000004,-0.004443999999999948,0,-0.41777759999999997,0.381818,-0.47111089999999994,0.01818200000000003],0]]]],[],false,false,839831438036798,[],null,43,null],["Laser2",5,false,[],0,0,null,[["Default",30,true,1,0,false,312699800703686,[["images/shared-0-sheet1.png",747276,1,602,304,60,1,0.503289,0.516667,[],[-0.4325288,-0.15151599999999998,-0.005510999999999988,-0.134849,0.41279299999999997,-0.23484899999999997,0.446214,0.007574999999999998,0.41083400000000003,0.290909,-0.005510999999999988,-0.007576000000000027,-0.4371486,0.30757500000000004,-0.46923929999999997,0.04090899999999997],0],["images/shared-0-sheet1.png",747276,307,602,304,60,1,0.503289,0.516667,[],[-0.4325288,-0.15151599999999998,-0.005510999999999988,-0.134849,0.41279299999999997,-0.23484899999999997,0.446214,0.007574999999999998,0.41083400000000003,0.290909,-0.005510999999999988,-0.007576000000000027,-0.4371486,0.30757500000000004,-0.46923929999999997,0.04090899999999997],0]]]],[],false,false,878911741078030,[],null,44,null],["BulletItem",5,false,[],1,0,null,[["Default",5,false,1,0,false,680479206549477,[["images/shared-0-sheet2.png",160103,1,257,70,60,1,0.542857,0.516667,[],[-0.542857,-0.516667,0.45714299999999997,-0.516667,0.45714299999999997,0.15680300000000003,-0.5428569962747101,0.11598600000000003],0]]]],[["Sine",6,942504330143744,5]],false,false,623366531058905,[],null,45,null],["ExplisionEffect2",5,false,[],0,0,null,[["Default",45,false,1,0,false,898832577146845,[["images/explisioneffect2-sheet0.png",221228,769,824,173,179,1,0.468208,0.424581,[],[],0],["images/explisioneffect2-sheet0.png",221228,513,824,186,184,1,0.467742,0.413043,[],[],0],["images/explisioneffect2-sheet0.png",221228,257,821,198,188,1,0.469697,0.404255,[],[],0],["images/explisioneffect2-sheet0.png",221228,1,821,211,201,1,0.469194,0.41791,[],[],0],["images/explisioneffect2-sheet1.png",325110,769,769,223,216,1,0.470852,0.439815,[],[],0],["images/explisioneffect2-sheet1.png",325110,771,257,236,231,1,0.470339,0.454545,[],[],0],["images/explisioneffect2-sheet1.png",325110,761,513,258,249,1,0.472868,0.473896,[],[],0],["images/explisioneffect2-sheet1.png",325110,1,738,294,277,1,0.479592,0.509025,[],[],0],["images/explisioneffect2-sheet2.png",92042,1,513,329,318,1,0.483283,0.515723,[],[],0],["images/explisioneffect2-sheet2.png",92042,1,1,349,339,1,0.487106,0.516224,[],[],0],["images/explisioneffect2-sheet1.png",325110,1,386,358,350,1,0.488827,0.514286,[],[],0],["images/explisioneffect2-sheet1.png",325110,391,513,368,361,1,0.491848,0.509695,[],[],0],["images/explisioneffect2-sheet1.png",325110,391,1,378,372,1,0.494709,0.508065,[],[],0],["images/explisioneffect2-sheet1.png",325110,1,1,388,383,1,0.497423,0.506527,[],[],0],["images/explisioneffect2-sheet0.png",221228,1,426,397,393,1,0.498741,0.503817,[],[],0],["images/explisioneffect2-sheet0.png",221228,513,418,407,404,1,0.501229,0.502475,[],[],0],["images/explisioneffect2-sheet0.png",221228,513,1,417,415,1,0.503597,0.498795,[],[],0],["images/explisioneffect2-sheet0.png",221228,1,1,458,423,1,0.5,0.501182,[],[],0]]]],[],false,false,313120283435550,[],null,46,null],["ExplosionEffect3",5,false,[],0,0,null,[["Default",30,false,1,0,false,872183889636313,[["images/explosioneffect3-sheet1.png",18535,1,98,88,79,1,0.306818,0.139241,[],[],0],["images/explosioneffect3-sheet1.png",18535,1,1,111,95,1,0.369369,0.231579,[],[],0],["images/explosioneffect3-sheet0.png",301288,866,1921,137,114,1,0.408759,0.307018,[],[],0],["images/explosioneffect3-sheet0.png",301288,699,1793,165,134,1,0.442424,0.365672,[],[],0],["images/explosioneffect3-sheet0.png",301288,769,1281,196,157,1,0.464286,0.407643,[],[],0],["images/explosioneffect3-sheet0.png",301288,769,1025,231,183,1,0.480519,0.437158,[],[],0],["images/explosioneffect3-sheet0.png",301288,733,769,268,211,1,0.492537,0.464455,[],[],0],["images/explosioneffect3-sheet0.png",301288,699,1537,308,241,1,0.5,0.485477,[],[],0],["images/explosioneffect3-sheet0.png",301288,335,1537,326,256,1,0.503067,0.492188,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,1537,332,262,1,0.503012,0.496183,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,1025,338,269,1,0.502959,0.498141,[],[],0],["images/explosioneffect3-sheet0.png",301288,353,1025,344,277,1,0.502907,0.501805,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,513,350,283,1,0.502857,0.5053,[],[],0],["images/explosioneffect3-sheet0.png",301288,370,513,355,290,1,0.501408,0.506897,[],[],0],["images/explosioneffect3-sheet0.png",301288,513,1,361,298,1,0.501385,0.506711,[],[],0],["images/explosioneffect3-sheet0.png",301288,1,1,367,310,1,0.501362,0.5,[],[],0],["images/explosioneffect3-sheet1.png",18535,65,193,59,59,1,1.05085,2.59322,[],[],0]]]],[],false,false,834420713204968,[],null,47,null],["Hole",5,false,[],0,0,null,[["Default",5,false,1,0,false,657336486180034,[["images/shared-0-sheet1.png",747276,1,664,150,100,1,0.513333,0.51,[],[-0.21333300000000005,-0.12,-0.040000000000000036,-0.22000000000000003,0.18000099999999997,-0.16999999999999998,0.266667,0.010000000000000009,0.18666699999999992,0.17000000000000004,-0.006666000000000061,0.22999999999999998,-0.18000000000000005,0.17999999999999994,-0.26000000000000006,0.020000000000000018],0]]]],[],false,false,574567302240018,[],null,48,null],["Bridge1",5,false,[],0,0,null,[["Default",5,false,1,0,false,923766967716166,[["images/shared-0-sheet0.png",1350642,1322,1793,275,211,1,1.02182,0.511848,[],[-0.5204629999999999,0.469036,-0.9556228999999999,0.363633,-0.9563655,-0.292493,-0.526291,-0.4595955],0]]]],[],false,false,729082933129822,[],null,49,null],["Bridge2",5,false,[],0,0,null,[["Default",5,false,1,0,false,734713618620674,[["images/shared-0-sheet0.png",1350642,1045,1793,275,211,1,-0.0218182,0.511848,[],[0.5262892,-0.4595955,0.9563642,-0.292493,0.9556212000000001,0.363633,0.5204612,0.469036],0]]]],[],false,false,977466869759024,[],null,50,null],["Door1",5,false,[997044618987258],0,0,null,[["Default",5,false,1,0,false,875248102177963,[["images/shared-0-sheet1.png",747276,851,897,139,74,1,0.517986,0.513514,[],[-0.28057599999999994,-0.175676,-0.014388999999999985,-0.391892,0.46762500000000007,-0.486487,0.46043100000000003,0.405405,-0.49640329999999994,0.405405,-0.3956839999999999,-0.013514000000000026],0]]]],[],false,false,791504227282765,[],null,51,null],["Door2",5,false,[239030315679216],0,0,null,[["Default",5,false,1,0,false,504623731185044,[["images/shared-0-sheet1.png",747276,351,897,139,74,1,0.482014,0.513514,[],[0.39568299999999995,-0.013514000000000026,0.496403,0.405405,-0.4604313,0.405405,-0.4676259,-0.486487,0.014388999999999985,-0.391892,0.280576,-0.175676],0]]]],[],false,false,672319845666726,[],null,52,null],["Ramp",5,false,[],0,0,null,[["Default",5,false,1,0,false,347209470395473,[["images/shared-0-sheet1.png",747276,636,502,146,151,1,0.513699,0.509934,[],[0.27798500000000004,0.27451499999999995,-0.32876700000000003,0.276288,-0.331056,-0.369303,0.27368000000000003,-0.374846],0]]]],[],false,false,710426163482374,[],null,53,null],["EnemyHeli",5,false,[213506963843420],1,0,null,[["Default",20,true,1,0,false,259039692148733,[["images/shared-0-sheet1.png",747276,232,300,200,300,1,0.5,0.5,[],[-0.020000000000000018,-0.18333300000000002,0.245,-0.016666999999999987,-0.025000000000000022,0.18000000000000005,-0.3,-0.023332999999999993],0],["images/shared-0-sheet1.png",747276,434,300,200,300,1,0.5,0.5,[],[-0.020000000000000018,-0.18333300000000002,0.245,-0.016666999999999987,-0.025000000000000022,0.18000000000000005,-0.3,-0.023332999999999993],0]]]],[["Sine",6,794599628671498,5]],false,false,894641547991286,[],null,54,null],["Missile",5,false,[],1,0,null,[["Default",30,true,1,0,false,622571664179455,[["images/shared-0-sheet1.png",747276,925,1,65,266,1,0.507692,0.511278,[],[-0.021196000000000048,0.113228,0.23076999999999992,0.185894,0.25044299999999997,0.352144,-0.03803200000000001,0.473684,-0.309531,0.351658,-0.26153800000000005,0.18250699999999997],0],["images/shared-0-sheet1.png",747276,940,269,65,266,1,0.507692,0.5,[],[-0.021196000000000048,0.124506,0.23076999999999992,0.19717200000000001,0.25044299999999997,0.363422,-0.03803200000000001,0.484962,-0.309531,0.36293600000000004,-0.26153800000000005,0.19378499999999999],0],["images/shared-0-sheet1.png",747276,936,537,65,266,1,0.507692,0.5,[],[-0.021196000000000048,0.124506,0.23076999999999992,0.19717200000000001,0.25044299999999997,0.363422,-0.03803200000000001,0.484962,-0.309531,0.36293600000000004,-0.26153800000000005,0.19378499999999999],0],["images/shared-0-sheet1.png",747276,784,650,65,266,1,0.507692,0.5,[],[-0.021196000000000048,0.124506,0.23076999999999992,0.19717200000000001,0.25044299999999997,0.363422,-0.03803200000000001,0.484962,-0.309531,0.36293600000000004,-0.26153800000000005,0.19378499999999999],0]]]],[["Sine",6,817627102467546,5]],false,false,384297974786038,[],null,55,null],["EnemyBoat",5,false,[783465792434422],2,0,null,[["Default",20,true,1,0,false,455668563367369,[["images/shared-0-sheet1.png",747276,641,775,88,143,1,0.5,0.503497,[],[-0.011363999999999985,-0.22377599999999997,0.340909,0.17482399999999998,-0.022726999999999997,0.461538,-0.4090909,0.15384600000000004],0]]]],[["Sine",6,901556924571426,5],["Sine2",6,798959433876064,56]],false,false,469760326483472,[],null,57,null],["PowerUpsObj",5,false,[],1,0,null,[["Default",25,true,1,0,false,336179944584815,[["images/powerupsobj-sheet0.png",62295,193,193,48,53,1,0.5,0.509434,[],[],0],["images/powerupsobj-sheet0.png",62295,65,129,59,59,1,0.508475,0.508475,[],[],0],["images/powerupsobj-sheet0.png",62295,65,65,49,55,1,0.510204,0.509091,[],[],0],["images/powerupsobj-sheet0.png",62295,129,65,49,54,1,0.510204,0.5,[],[],0],["images/powerupsobj-sheet0.png",62295,193,65,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,193,129,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,129,129,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,1,193,51,51,1,0.509804,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,129,193,50,51,1,0.5,0.509804,[],[],0],["images/powerupsobj-sheet0.png",62295,65,193,51,49,1,0.509804,0.510204,[],[],0]]]],[["Sine",6,660248073079953,5]],false,false,570486689144388,[],null,58,null],["ShopHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,399473309626714,[["images/shared-0-sheet0.png",1350642,1025,1,506,469,1,0.5,0.501066,[],[],0]]]],[],false,false,807306277841874,[],null,59,null],["PowerPick",5,false,[],2,0,null,[["a1",25,true,1,0,false,562300044947910,[["images/powerpick-sheet0.png",62295,193,193,48,53,1,0.5,0.509434,[],[],0]]],["a2",25,true,1,0,false,283960422788336,[["images/powerpick-sheet0.png",62295,65,129,59,59,1,0.508475,0.508475,[],[],0]]],["a3",25,true,1,0,false,480122148850863,[["images/powerpick-sheet0.png",62295,65,65,49,55,1,0.510204,0.509091,[],[],0]]],["a4",25,true,1,0,false,960036139866256,[["images/powerpick-sheet0.png",62295,129,65,49,54,1,0.510204,0.5,[],[],0]]],["a5",25,true,1,0,false,365971853563448,[["images/powerpick-sheet0.png",62295,193,65,51,51,1,0.509804,0.509804,[],[],0]]],["a6",25,true,1,0,false,798319176919551,[["images/powerpick-sheet0.png",62295,193,129,51,51,1,0.509804,0.509804,[],[],0]]],["a7",25,true,1,0,false,702337357412131,[["images/powerpick-sheet0.png",62295,129,129,51,51,1,0.509804,0.509804,[],[],0]]],["a8",25,true,1,0,false,698840138961278,[["images/powerpick-sheet0.png",62295,1,193,51,51,1,0.509804,0.509804,[],[],0]]],["a9",25,true,1,0,false,527720268726814,[["images/powerpick-sheet0.png",62295,129,193,50,51,1,0.5,0.509804,[],[],0]]],["a10",25,true,1,0,false,907010438037835,[["images/powerpick-sheet0.png",62295,65,193,51,49,1,0.509804,0.510204,[],[],0]]]],[["Fade",7,372198469223984,8],["Sine",6,898555294914357,5]],false,false,534406501206644,[],null,60,null],["GameStar",5,false,[],1,0,null,[["Default",5,false,1,0,false,149526373428297,[["images/shared-0-sheet2.png",160103,449,257,60,60,1,0.55,0.516667,[],[-0.55,-0.516667,0.44999999999999996,-0.516667,0.44999999999999996,0.15680300000000003,-0.5499999962747101,0.11598600000000003],0]]]],[["Sine",6,587158202132326,5]],false,false,486791306241488,[],null,61,null],["CoinSwitch",5,false,[],0,0,null,[["Default",5,false,1,0,false,355280961035400,[["images/shared-0-sheet2.png",160103,386,449,35,49,1,0.542857,0.510204,[],[-0.542857,-0.510204,0.45714299999999997,-0.510204,0.45714299999999997,0.16326600000000002,-0.5428569962747101,0.12244900000000003],0]]]],[],false,false,992170087387502,[],null,62,null],["HomeButton",5,false,[],1,0,null,[["Default",5,false,1,0,false,477821847634402,[["images/shared-0-sheet1.png",747276,513,897,121,110,1,0.504132,0.518182,[],[-0.355372,-0.37272700000000003,0.04355299999999995,-0.518182,0.429752,-0.14545500000000006,0.19231299999999996,0.427273,-0.38016500000000003,0.281818],0]]]],[["Pin",9,314409330650470,13]],false,false,585065178498506,[],null,63,null],["BoatSelector",5,false,[],0,0,null,[["a1",5,false,1,0,false,961944176877943,[["images/shared-0-sheet1.png",747276,232,1,229,297,1,0.502183,0.501683,[],[],0]]],["a2",5,false,1,0,false,305908873541922,[["images/shared-0-sheet1.png",747276,463,1,229,297,1,0.502183,0.501683,[],[],0]]],["a3",5,false,1,0,false,679047708345151,[["images/shared-0-sheet1.png",747276,694,1,229,297,1,0.502183,0.501683,[],[],0]]],["a4",5,false,1,0,false,952905008554866,[["images/shared-0-sheet1.png",747276,1,1,229,350,1,0.502183,0.502857,[],[],0]]],["a5",5,false,1,0,false,192515845620947,[["images/shared-0-sheet0.png",1350642,1641,513,229,350,1,0.502183,0.502857,[],[],0]]]],[],false,false,849593772614796,[],null,64,null],["Buybutton1",5,false,[],0,0,null,[["Default",5,false,1,0,false,940822637307880,[["images/shared-0-sheet2.png",160103,241,385,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,796389880892324,[],null,65,null],["Buybutton2",5,false,[],0,0,null,[["Default",5,false,1,0,false,823351493223824,[["images/shared-0-sheet2.png",160103,323,385,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,348760258713892,[],null,66,null],["Buybutton3",5,false,[],0,0,null,[["Default",5,false,1,0,false,901417821778179,[["images/shared-0-sheet2.png",160103,405,385,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,411983431468892,[],null,67,null],["Buybutton4",5,false,[],0,0,null,[["Default",5,false,1,0,false,128120680695156,[["images/shared-0-sheet2.png",160103,1,449,80,40,1,0.5,0.5,[],[-0.45,-0.4,0.42500000000000004,-0.35,0.38749999999999996,0,0.35,0.19999999999999996,0,0.4,-0.45,0.4,-0.5,0],0]]]],[],false,false,394076752712050,[],null,68,null],["CoinsFont",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,643,988,640,256],null,[],false,false,223152545788292,[],null,69,null],["CoinsFont2",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,1285,1504,640,256],null,[],false,false,807352866060344,[],null,70,null],["StarsFont",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,1,805,640,256],null,[],false,false,452786619121927,[],null,71,null],["GameoverCoinsfont",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,999,730,640,256],null,[["Pin",9,430257022603728,13]],false,false,510177786136340,[],null,72,null],["Highscorefont",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,999,472,640,256],null,[["Pin",9,137227499051186,13]],false,false,163536785679196,[],null,73,null],["Price1",5,false,[],0,0,null,[["Default",5,false,1,0,false,860472777568176,[["images/shared-0-sheet2.png",160103,1,119,134,51,1,0.5,0.509804,[],[-0.44776119999999997,-0.372549,0,-0.27451000000000003,0.41791,-0.29411800000000005,0.492537,-0.019608000000000014,0.44029799999999997,0.333333,0,0.372549,-0.44776119999999997,0.35294099999999995,-0.5,-0.019608000000000014],0]]]],[],false,false,780302797976170,[],null,74,null],["Price2",5,false,[],0,0,null,[["Default",5,false,1,0,false,285445237334480,[["images/shared-0-sheet2.png",160103,346,129,140,51,1,0.5,0.509804,[],[-0.44776119999999997,-0.372549,0,-0.27451000000000003,0.41791,-0.29411800000000005,0.492537,-0.019608000000000014,0.44029799999999997,0.333333,0,0.372549,-0.44776119999999997,0.35294099999999995,-0.5,-0.019608000000000014],0]]]],[],false,false,222850297624881,[],null,75,null],["Price3",5,false,[],0,0,null,[["Default",5,false,1,0,false,979754370212690,[["images/shared-0-sheet2.png",160103,355,1,145,51,1,0.503448,0.509804,[],[-0.4512092,-0.372549,-0.0034480000000000066,-0.27451000000000003,0.414462,-0.29411800000000005,0.489089,-0.019608000000000014,0.43684999999999996,0.333333,-0.0034480000000000066,0.372549,-0.4512092,0.35294099999999995,-0.503448,-0.019608000000000014],0]]]],[],false,false,782008186565896,[],null,76,null],["Price4",5,false,[],0,0,null,[["Default",5,false,1,0,false,394988054979745,[["images/shared-0-sheet2.png",160103,355,65,145,51,1,0.503448,0.509804,[],[-0.4512092,-0.372549,-0.0034480000000000066,-0.27451000000000003,0.414462,-0.29411800000000005,0.489089,-0.019608000000000014,0.43684999999999996,0.333333,-0.0034480000000000066,0.372549,-0.4512092,0.35294099999999995,-0.503448,-0.019608000000000014],0]]]],[],false,false,823645602250393,[],null,77,null],["ScoreFont",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,643,1504,640,256],null,[],false,false,237483453162187,[],null,78,null],["ScoreFont2",15,false,[],0,0,["images/shared-0-sheet0.png",1350642,0,1,1321,640,256],null,[],false,false,299098827956918,[],null,79,null],["ScoreFont3",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,1285,1246,640,256],null,[["Pin",9,218578982162805,13]],false,false,944505995676526,[],null,80,null],["ScoreFont4",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,643,1246,640,256],null,[["Pin",9,606365068748172,13]],false,false,915375239395949,[],null,81,null],["ScoreFont5",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,1,1063,640,256],null,[["Pin",9,829796997349578,13]],false,false,169051518787792,[],null,82,null],["ScoreFont6",15,false,[],1,0,["images/shared-0-sheet0.png",1350642,0,1285,988,640,256],null,[["Pin",9,298365838392440,13]],false,false,258563119751754,[],null,83,null],["ScoreFontGameOver",15,false,[],1,0,["images/shared-1-sheet0.png",14871,0,0,0,640,256],null,[["Pin",9,294952280014478,13]],false,false,875354594556284,[],null,84,null],["shop1",5,false,[],0,0,null,[["Default",5,false,1,0,false,351577390261258,[["images/shared-0-sheet1.png",747276,153,664,102,146,1,0.5,0.5,[],[],0]]]],[],false,false,171776334916759,[],null,85,null],["shop2",5,false,[],0,0,null,[["Default",5,false,1,0,false,338560431852884,[["images/shared-0-sheet1.png",747276,784,502,150,146,1,0.5,0.5,[],[],0]]]],[],false,false,898407844121712,[],null,86,null],["shop3",5,false,[],0,0,null,[["Default",5,false,1,0,false,482040387571816,[["images/shared-0-sheet1.png",747276,636,300,150,200,1,0.5,0.5,[],[],0]]]],[],false,false,764489559195348,[],null,87,null],["shop4",5,false,[],0,0,null,[["Default",5,false,1,0,false,542833930306893,[["images/shared-0-sheet1.png",747276,788,300,150,200,1,0.5,0.5,[],[],0]]]],[],false,false,810396635655941,[],null,88,null],["HowToPlayHud",5,false,[],1,0,null,[["Default",5,false,1,0,false,801208996961777,[["images/shared-0-sheet0.png",1350642,1599,1762,214,259,1,0.5,0.50193,[],[],0]]]],[["Fade",7,178684989242455,8]],false,false,947497245735769,[],null,89,null],["DefaultButton",5,false,[],0,0,null,[["Default",5,false,1,0,false,104138974609508,[["images/shared-0-sheet2.png",160103,346,193,164,40,1,0.5,0.5,[],[-0.47560979999999997,-0.4,0,-0.425,0.481707,-0.425,0.463415,0.35,0,0.30000000000000004,-0.4817073,0.42500000000000004,-0.49390244,0],0]]]],[],false,false,745811410115387,[],null,90,null],["StarHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,128618489367128,[["images/shared-0-sheet2.png",160103,257,182,69,67,1,0.507246,0.507463,[],[-0.01449199999999995,-0.507463,0.43478300000000003,-0.014925999999999995,0.333334,0.32835800000000004,-0.01449199999999995,0.358209,-0.34782599999999997,0.32835800000000004,-0.449275,-0.014925999999999995],0]]]],[],false,false,481337410714254,[],null,91,null],["LevelUpEffect",5,false,[],1,0,null,[["Default",5,false,1,0,false,742716361873150,[["images/shared-0-sheet0.png",1350642,517,1,480,800,1,0.5,0.5,[],[],0]]]],[["Fade",7,687285112059560,8]],false,false,491393539049738,[],null,92,null],["CoinHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,984266003583220,[["images/shared-0-sheet2.png",160103,136,449,45,47,1,0.511111,0.510638,[],[],0]]]],[],false,false,531027435374079,[],null,93,null],["FullScreenButton",5,false,[],0,0,null,[["Default",5,false,1,0,false,550542705706582,[["images/shared-0-sheet2.png",160103,166,1,94,94,1,0.5,0.5,[],[],0]]]],[],false,false,873874846285348,[],null,94,null],["BulletsHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,200082977905838,[["images/shared-0-sheet2.png",160103,319,481,65,29,1,0.523077,0.517241,[],[],0]]]],[],false,false,639012175665415,[],null,95,null],["SoundHud",5,false,[],0,0,null,[["unmute",5,false,1,0,false,640464335916188,[["images/shared-0-sheet2.png",160103,257,257,69,56,1,0.521739,0.535714,[],[-0.521739,-0.535714,-0.0164669999999999,-0.535714,0.47826100000000005,0.464286,-0.0164669999999999,0.464286,-0.521739,0.464286],0]]],["mute",5,false,1,0,false,251147533513709,[["images/shared-0-sheet2.png",160103,378,257,69,56,1,0.521739,0.535714,[],[-0.521739,-0.535714,-0.0164669999999999,-0.535714,0.47826100000000005,0.464286,-0.0164669999999999,0.464286,-0.521739,0.464286],0]]]],[],false,false,276404523586270,[],null,96,null],["DistanceHud",5,false,[],0,0,null,[["Default",5,false,1,0,false,855383093341497,[["images/shared-0-sheet2.png",160103,277,449,40,50,1,0.5,0.5,[],[],0]]]],[],false,false,748484810281636,[],null,97,null],["AJAX",16,false,[],0,0,null,null,[],false,false,519336738261081,[],null,98,null,[]],["Family1",5,true,[],0,0,null,null,[],false,false,254161385785736,[],null,99,null],["Family2",5,true,[],0,0,null,null,[],false,false,770830218525952,[],null,100,null],["Family3",5,true,[],0,0,null,null,[],false,false,787608281011735,[],null,101,null]],[[91,42,43,38,26,54,44,45,49,53,41,36,37,35,48,50,46,34],[92,20,36,37],[93,42,43,44,45,49,35,48,34]],[["Level1",530,900,false,"Gameplay",183090545245534,[["Background0",0,278177697870304,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,16,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,24,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,1,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,167515066128231,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,106,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,107,[],[],[false,"Default",0,true]],[[1295,297,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,56,[],[],[true,"Default",0,true]],[[168,-5920,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,154,[],[],[true,"Default",0,true]],[[312,-5920,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,155,[],[],[true,"Default",0,true]],[[192,-9600,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,188,[],[],[true,"Default",0,true]],[[183,-15360,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,253,[],[],[true,"Default",0,true]],[[303,-15360,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,254,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,500874151598868,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[1032,31,0,45.047515869,36.560302734,0,0,1,0.521739,0.535714,0,0,[],null,null,null],88,84,[],[],[true,"unmute",0,true]],[[144,-832,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,9,[],[[0,5,false]],[true,"Default",0,true]],[[144,-896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,11,[],[[0,5,false]],[true,"Default",0,true]],[[144,-960,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,14,[],[[0,5,false]],[true,"Default",0,true]],[[144,-1024,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,17,[],[[0,5,false]],[true,"Default",0,true]],[[144,-1088,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,19,[],[[0,5,false]],[true,"Default",0,true]],[[192,-832,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,22,[],[[0,5,false]],[true,"Default",0,true]],[[192,-896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,34,[],[[0,5,false]],[true,"Default",0,true]],[[192,-960,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,39,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1024,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,40,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1088,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,45,[],[[0,5,false]],[true,"Default",0,true]],[[776,201,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,42,[],[[0,5,false]],[true,"Default",0,true]],[[835,198,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,46,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[1394,385,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,58,[],[],[true,"Default",0,true]],[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,94,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,95,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,97,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,98,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,99,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[288,-1440,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,31,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1504,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,33,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,108,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,109,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,112,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1440,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,113,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1504,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,115,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,116,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,117,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,118,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2400,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,122,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2464,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,123,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,124,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2400,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,125,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2464,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,126,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,127,[],[[0,5,false]],[true,"Default",0,true]],[[144,-3008,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,131,[],[[0,5,false]],[true,"Default",0,true]],[[144,-3072,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,132,[],[[0,5,false]],[true,"Default",0,true]],[[144,-3136,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,133,[],[[0,5,false]],[true,"Default",0,true]],[[192,-3520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,136,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,137,[],[[0,5,false]],[true,"Default",0,true]],[[288,-3520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,138,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3808,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,140,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3872,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,141,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3936,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,142,[],[[0,5,false]],[true,"Default",0,true]],[[336,-5056,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,147,[],[[0,5,false]],[true,"Default",0,true]],[[336,-4992,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,148,[],[[0,5,false]],[true,"Default",0,true]],[[336,-4928,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,149,[],[[0,5,false]],[true,"Default",0,true]],[[288,-5152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,150,[],[[0,5,false]],[true,"Default",0,true]],[[240,-5184,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,151,[],[[0,5,false]],[true,"Default",0,true]],[[192,-5216,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,152,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6048,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,156,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6112,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,157,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6176,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,158,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,159,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,160,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6048,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,161,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6112,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,162,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6176,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,163,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,164,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,165,[],[[0,5,false]],[true,"Default",0,true]],[[940,-12,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,60,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-4544,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,139,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-8992,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,182,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]]],[],0,true],["Game",3,465242237050654,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,8,[],[],[true,0,1,1,0,0,1,1,0]],[[563,544,0,33,36,0,0,1,0.515152,0.5,0,0,[],null,null,null],29,0,[],[[0,0,-800,false,false,false,true]],[true,"Default",0,true]],[[927,256,0,109.092803955,112.876365662,0,0,1,0.468208,0.424581,0,0,[],null,null,null],39,47,[],[],[true,"Default",0,true]],[[1034,242,0,88,79,0,0,1,0.306818,0.139241,0,0,[],null,null,null],40,49,[],[],[true,"Default",0,true]],[[838,671,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,54,[[3]],[],[true,"Default",0,true]],[[986,672,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,55,[[3]],[],[true,"Default",0,true]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,13,[],[[false]],[true,"Default",0,true]],[[1053,-50,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,100,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-5664,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,144,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,105,[],[[false]],[false,"Default",0,true]],[[603,189,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,37,[[3]],[],[true,"Default",0,true]],[[360,-10144,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,187,[[3]],[],[true,"Default",0,true]],[[312,-10208,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,192,[[3]],[],[true,"Default",0,true]],[[264,-10272,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,193,[[3]],[],[true,"Default",0,true]],[[216,-10336,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,194,[[3]],[],[true,"Default",0,true]],[[120,-10496,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,195,[[3]],[],[true,"Default",0,true]],[[168,-10560,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,196,[[3]],[],[true,"Default",0,true]],[[216,-10624,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,197,[[3]],[],[true,"Default",0,true]],[[264,-10688,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,198,[[3]],[],[true,"Default",0,true]],[[336,-12544,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,226,[[3]],[],[true,"Default",0,true]],[[144,-12544,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,227,[[3]],[],[true,"Default",0,true]],[[240,-12704,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,228,[[3]],[],[true,"Default",0,true]],[[336,-12864,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,229,[[3]],[],[true,"Default",0,true]],[[144,-12864,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,230,[[3]],[],[true,"Default",0,true]],[[336,-15040,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,251,[[3]],[],[true,"Default",0,true]],[[144,-15040,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,252,[[3]],[],[true,"Default",0,true]],[[707,126,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,2,[[3]],[],[true,"Default",0,true]],[[312,-1856,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,119,[[3]],[],[true,"Default",0,true]],[[168,-2112,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,120,[[3]],[],[true,"Default",0,true]],[[240,-2432,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,121,[[3]],[],[true,"Default",0,true]],[[240,-5056,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,145,[[3]],[],[true,"Default",0,true]],[[168,-5120,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,146,[[3]],[],[true,"Default",0,true]],[[336,-5248,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,153,[[3]],[],[true,"Default",0,true]],[[192,-9824,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,185,[[3]],[],[true,"Default",0,true]],[[672,256,0,225,55,0,0,1,0.502222,0.509091,0,0,[],null,null,null],36,41,[],[],[true,"Default",0,true]],[[192,-1344,0,225,55,0,0.925998211,1,0.502222,0.509091,0,0,[],null,null,null],36,129,[],[],[true,"Default",0,true]],[[184,-7595,0,225,55,0,5.274271194179587,1,0.502222,0.509091,0,0,[],null,null,null],36,170,[],[],[true,"Default",0,true]],[[317,-7892,0,225,55,0,1.096421361,1,0.502222,0.509091,0,0,[],null,null,null],36,171,[],[],[true,"Default",0,true]],[[170,-8172,0,225,55,0,5.1663867871795865,1,0.502222,0.509091,0,0,[],null,null,null],36,172,[],[],[true,"Default",0,true]],[[120,-11072,0,225,55,0,5.760729615179586,1,0.502222,0.509091,0,0,[],null,null,null],36,203,[],[],[true,"Default",0,true]],[[703,338,0,304,60,0,0,1,0.503289,0.516667,0,0,[],null,null,null],37,43,[],[],[true,"Default",0,true]],[[264,-3040,0,304,60,0,1.048931241,1,0.503289,0.516667,0,0,[],null,null,null],37,130,[],[],[true,"Default",0,true]],[[360,-11264,0,304,60,0,0.654058039,1,0.503289,0.516667,0,0,[],null,null,null],37,204,[],[],[true,"Default",0,true]],[[240,-11712,0,304,60,0,1.566715479,1,0.503289,0.516667,0,0,[],null,null,null],37,205,[],[],[true,"Default",0,true]],[[192,-12064,0,304,60,0,5.492362086179586,1,0.503289,0.516667,0,0,[],null,null,null],37,207,[],[],[true,"Default",0,true]],[[120,-15776,0,304,60,0,1.566715479,1,0.503289,0.516667,0,0,[],null,null,null],37,265,[],[],[true,"Default",0,true]],[[360,-15776,0,304,60,0,1.566715479,1,0.503289,0.516667,0,0,[],null,null,null],37,266,[],[],[true,"Default",0,true]],[[856,113,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,51,[],[],[true,"Default",0,true]],[[192,-2720,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,128,[],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,288067269085417,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,3,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[924,491,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,52,[],[],[true,"Default",0,true]],[[248.389007568,-3587.100585938,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,134,[],[],[true,"Default",0,true]],[[246,-6519,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,166,[],[],[true,"Default",0,true]],[[251,-13479,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,231,[],[],[true,"Default",0,true]],[[244,-13759,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,233,[],[],[true,"Default",0,true]],[[250.378753662,-16294.927734375,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,267,[],[],[true,"Default",0,true]],[[910,491,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,53,[],[],[true,"Default",0,true]],[[234.389007568,-3587.100585938,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,135,[],[],[true,"Default",0,true]],[[232,-6519,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,167,[],[],[true,"Default",0,true]],[[237,-13479,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,232,[],[],[true,"Default",0,true]],[[230,-13759,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,234,[],[],[true,"Default",0,true]],[[236.378753662,-16294.927734375,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,268,[],[],[true,"Default",0,true]],[[1110,106,0,40.604225159,166.164978027,0,0,1,0.507692,0.511278,0,0,[],null,null,null],48,32,[],[[0,0,1,0,0,0,10,0,true]],[true,"Default",0,true]]],[],0,true],["UI",5,426982796492539,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,88,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,21,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,25,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,29,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,61,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,62,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,65,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,67,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[818,-5,0,65.103691101,71.885322571,0,0,1,0.5,0.509434,0,0,[],null,null,null],52,103,[],[[0,0,1,true,true],[5,0,2,0,0,0,100,0,true]],[true,"a1",0,true]],[[717,-5,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,104,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4160,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,143,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[146,-7082,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,168,[],[],[true,"Default",0,true]],[[335,-7082,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,169,[],[],[true,"Default",0,true]],[[216,-6784,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,173,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,174,[],[[0,5,false]],[true,"Default",0,true]],[[216,-7040,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,175,[],[[0,5,false]],[true,"Default",0,true]],[[264,-7168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,176,[],[[0,5,false]],[true,"Default",0,true]],[[216,-7296,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,177,[],[[0,5,false]],[true,"Default",0,true]],[[264,-7424,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,178,[],[[0,5,false]],[true,"Default",0,true]],[[312,-7712,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,179,[],[[0,5,false]],[true,"Default",0,true]],[[192,-8000,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,180,[],[[0,5,false]],[true,"Default",0,true]],[[312,-8256,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,181,[],[[0,5,false]],[true,"Default",0,true]],[[240,-8640,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,183,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-9312,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,184,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[192,-9696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,190,[],[[0,5,false]],[true,"Default",0,true]],[[192,-9760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,191,[],[[0,5,false]],[true,"Default",0,true]],[[134,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,199,[],[[0,5,false]],[true,"Default",0,true]],[[206,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,200,[],[[0,5,false]],[true,"Default",0,true]],[[278,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,201,[],[[0,5,false]],[true,"Default",0,true]],[[350,-10431,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,202,[],[[0,5,false]],[true,"Default",0,true]],[[312,-11200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,210,[],[[0,5,false]],[true,"Default",0,true]],[[240,-11200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,211,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,212,[],[[0,5,false]],[true,"Default",0,true]],[[312,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,213,[],[[0,5,false]],[true,"Default",0,true]],[[240,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,214,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,215,[],[[0,5,false]],[true,"Default",0,true]],[[312,-11904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,216,[],[[0,5,false]],[true,"Default",0,true]],[[240,-11904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,217,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,225,[],[[0,5,false]],[true,"Default",0,true]],[[312,-13624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,235,[],[[0,5,false]],[true,"Default",0,true]],[[240,-13624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,236,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,237,[],[[0,5,false]],[true,"Default",0,true]],[[239,-14496,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,238,[],[],[true,"Default",0,true]],[[144,-14240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,239,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14336,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,240,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,241,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,242,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,243,[],[[0,5,false]],[true,"Default",0,true]],[[144,-14720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,244,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14240,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,245,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14336,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,246,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,247,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14528,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,248,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,249,[],[[0,5,false]],[true,"Default",0,true]],[[339,-14720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,250,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15488,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,255,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15552,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,256,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15616,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,257,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15680,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,258,[],[[0,5,false]],[true,"Default",0,true]],[[192,-15744,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,259,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15488,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,260,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15552,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,261,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15616,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,262,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15680,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,263,[],[[0,5,false]],[true,"Default",0,true]],[[288,-15744,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,264,[],[[0,5,false]],[true,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,269,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,270,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,271,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,272,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,273,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,274,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,57,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,63,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,15,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,48,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,64,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,91,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,86,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,87,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,66,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,93,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[240,-10912,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,275,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[244,416,0,214,259,0,0,1,0.5,0.50193,0,0,[],null,null,null],81,208,[],[[0,2,1,true,true]],[true,"Default",0,true]],[[241,-62,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],55,282,[],[[false]],[true,"Default",0,true]],[[1200,-32,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,30,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Level2",530,900,false,"Gameplay",607283762922285,[["Background0",0,765152399363872,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,276,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,277,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,281,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,671884686220583,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,284,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,285,[],[],[false,"Default",0,true]],[[168,-3520,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,331,[],[],[true,"Default",0,true]],[[312,-3520,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,335,[],[],[true,"Default",0,true]],[[240,-12224,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,434,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,938595742854351,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,310,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,311,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,312,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,313,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,314,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[120,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,290,[],[[0,5,false]],[true,"Default",0,true]],[[168,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,291,[],[[0,5,false]],[true,"Default",0,true]],[[216,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,293,[],[[0,5,false]],[true,"Default",0,true]],[[264,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,294,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,295,[],[[0,5,false]],[true,"Default",0,true]],[[360,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,296,[],[[0,5,false]],[true,"Default",0,true]],[[168,-1568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,317,[],[[0,5,false]],[true,"Default",0,true]],[[240,-1632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,318,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,319,[],[[0,5,false]],[true,"Default",0,true]],[[216,-1920,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,320,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1984,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,321,[],[[0,5,false]],[true,"Default",0,true]],[[288,-2304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,322,[],[[0,5,false]],[true,"Default",0,true]],[[336,-2368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,323,[],[[0,5,false]],[true,"Default",0,true]],[[349,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,324,[],[[0,5,false]],[true,"Default",0,true]],[[277,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,325,[],[[0,5,false]],[true,"Default",0,true]],[[205,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,326,[],[[0,5,false]],[true,"Default",0,true]],[[133,-2560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,327,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2976,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,328,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3040,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,329,[],[[0,5,false]],[true,"Default",0,true]],[[192,-3104,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,330,[],[[0,5,false]],[true,"Default",0,true]],[[288,-3136,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,332,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,333,[],[[0,5,false]],[true,"Default",0,true]],[[336,-3264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,334,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3744,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,337,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3808,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,338,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3872,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,339,[],[[0,5,false]],[true,"Default",0,true]],[[168,-3936,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,340,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3648,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,341,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3712,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,342,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3776,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,343,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3840,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,344,[],[[0,5,false]],[true,"Default",0,true]],[[312,-3904,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,345,[],[[0,5,false]],[true,"Default",0,true]]],[],0,true],["Game",3,585516418356554,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,364,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,365,[],[],[true,0,1,1,0,0,1,1,0]],[[563,544,0,33,36,0,0,1,0.515152,0.5,0,0,[],null,null,null],29,366,[],[[0,0,-800,false,false,false,true]],[true,"Default",0,true]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,376,[],[[false]],[true,"Default",0,true]],[[252,-1347,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,283,[],[],[true,"Default",0,true]],[[238,-1347,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,287,[],[],[true,"Default",0,true]],[[178,-1276,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,288,[[3]],[],[true,"Default",0,true]],[[310,-1276,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,289,[[3]],[],[true,"Default",0,true]],[[306.805389404,-7406.502929688,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,405,[[3]],[],[true,"Default",0,true]],[[309.601196289,-7708.477539063,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,409,[[3]],[],[true,"Default",0,true]],[[174.805389404,-7406.502929688,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,404,[[3]],[],[true,"Default",0,true]],[[177.601196289,-7708.477539063,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,408,[[3]],[],[true,"Default",0,true]],[[234.805389404,-7477.502929688,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,389,[],[],[true,"Default",0,true]],[[237.601196289,-7779.477539063,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,407,[],[],[true,"Default",0,true]],[[234,-13955,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,452,[],[],[true,"Default",0,true]],[[248.805389404,-7477.502929688,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,388,[],[],[true,"Default",0,true]],[[251.601196289,-7779.477539063,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,406,[],[],[true,"Default",0,true]],[[248,-13955,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,451,[],[],[true,"Default",0,true]],[[288,-1536,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,297,[[3]],[],[true,"Default",0,true]],[[168,-1696,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,298,[[3]],[],[true,"Default",0,true]],[[312,-1984,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,299,[[3]],[],[true,"Default",0,true]],[[216,-2368,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,300,[[3]],[],[true,"Default",0,true]],[[264,-2720,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,301,[[3]],[],[true,"Default",0,true]],[[240,-2848,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,302,[[3]],[],[true,"Default",0,true]],[[336,-3008,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,315,[[3]],[],[true,"Default",0,true]],[[144,-3296,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,316,[[3]],[],[true,"Default",0,true]],[[168,-3648,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,336,[[3]],[],[true,"Default",0,true]],[[240,-11040,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,423,[[3]],[],[true,"Default",0,true]],[[264,-11360,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,427,[[3]],[],[true,"Default",0,true]],[[360,-12192,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,435,[[3]],[],[true,"Default",0,true]],[[360,-12288,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,436,[[3]],[],[true,"Default",0,true]],[[360,-12384,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,437,[[3]],[],[true,"Default",0,true]],[[120,-12192,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,438,[[3]],[],[true,"Default",0,true]],[[120,-12288,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,439,[[3]],[],[true,"Default",0,true]],[[120,-12384,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,440,[[3]],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,620157683405546,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",5,151239523594504,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,390,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,392,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,393,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,396,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,397,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,398,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,399,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,400,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,403,[],[[false]],[false,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,485,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,486,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,487,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,488,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,489,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,490,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,492,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,493,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,494,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,495,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,496,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,497,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,498,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,499,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,500,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,501,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[240,-4672,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,347,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4224,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,348,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4384,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,349,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-5088,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,350,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[144,-5632,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,309,[],[],[true,"Default",0,true]],[[336,-6624,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,351,[],[],[true,"Default",0,true]],[[312,-5536,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,352,[[3]],[],[true,"Default",0,true]],[[312,-5664,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,353,[[3]],[],[true,"Default",0,true]],[[312,-5792,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,354,[[3]],[],[true,"Default",0,true]],[[312,-5920,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,355,[[3]],[],[true,"Default",0,true]],[[312,-5408,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,356,[[3]],[],[true,"Default",0,true]],[[312,-5280,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,357,[[3]],[],[true,"Default",0,true]],[[168,-6560,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,358,[[3]],[],[true,"Default",0,true]],[[168,-6688,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,359,[[3]],[],[true,"Default",0,true]],[[168,-6816,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,360,[[3]],[],[true,"Default",0,true]],[[168,-6944,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,361,[[3]],[],[true,"Default",0,true]],[[168,-6432,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,362,[[3]],[],[true,"Default",0,true]],[[168,-6304,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,363,[[3]],[],[true,"Default",0,true]],[[216,-5344,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,378,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5472,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,379,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5600,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,380,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,381,[],[[0,5,false]],[true,"Default",0,true]],[[216,-5856,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,382,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,383,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6496,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,384,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,385,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6752,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,386,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6880,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,387,[],[[0,5,false]],[true,"Default",0,true]],[[240,-8418,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,410,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[243,-8802,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,411,[],[],[true,"Default",0,true]],[[264,-8929,0,225,55,0,0.673692465,1,0.502222,0.509091,0,0,[],null,null,null],36,412,[],[],[true,"Default",0,true]],[[187,-9265,0,304,60,0,5.842407111179586,1,0.503289,0.516667,0,0,[],null,null,null],37,413,[],[],[true,"Default",0,true]],[[243,-9752,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,414,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[241,-10367,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,415,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-10651,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,416,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[171,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,417,[],[[0,5,false]],[true,"Default",0,true]],[[219,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,418,[],[[0,5,false]],[true,"Default",0,true]],[[267,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,419,[],[[0,5,false]],[true,"Default",0,true]],[[315,-10848,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,420,[],[[0,5,false]],[true,"Default",0,true]],[[192,-11136,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,421,[],[],[true,"Default",0,true]],[[240,-11520,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,422,[[3]],[],[true,"Default",0,true]],[[240,-12000,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,424,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[264,-11264,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,425,[],[],[true,"Default",0,true]],[[240,-11744,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,426,[],[],[true,"Default",0,true]],[[336,-11808,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,428,[[3]],[],[true,"Default",0,true]],[[144,-11392,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,429,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11456,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,430,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,431,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11584,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,432,[],[[0,5,false]],[true,"Default",0,true]],[[144,-11648,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,433,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12384,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,441,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12448,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,442,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12512,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,443,[],[[0,5,false]],[true,"Default",0,true]],[[240,-12576,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,444,[],[[0,5,false]],[true,"Default",0,true]],[[144,-13120,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,445,[],[],[true,"Default",0,true]],[[216,-13120,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,446,[],[],[true,"Default",0,true]],[[288,-13120,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,447,[],[],[true,"Default",0,true]],[[336,-12992,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,448,[],[[0,5,false]],[true,"Default",0,true]],[[336,-13088,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,449,[],[[0,5,false]],[true,"Default",0,true]],[[336,-13184,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,450,[],[[0,5,false]],[true,"Default",0,true]],[[244,-15246,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,453,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-14786,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,454,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[237,-14326,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,455,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-14451,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,456,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[172,-15552,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,457,[[3]],[],[true,"Default",0,true]],[[329,-15866,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,458,[[3]],[],[true,"Default",0,true]],[[172,-16163,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,459,[[3]],[],[true,"Default",0,true]],[[312,-15584,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,460,[],[[0,5,false]],[true,"Default",0,true]],[[168,-15872,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,461,[],[[0,5,false]],[true,"Default",0,true]],[[312,-16160,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,462,[],[[0,5,false]],[true,"Default",0,true]],[[240,-224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,373,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Level3",530,900,false,"Gameplay",216865497866942,[["Background0",0,338994394660612,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,463,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,464,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,468,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,475490907695786,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,470,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,471,[],[],[false,"Default",0,true]],[[175,-5029,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,531,[],[],[true,"Default",0,true]],[[310,-5433,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,533,[],[],[true,"Default",0,true]],[[177,-5877,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,534,[],[],[true,"Default",0,true]],[[240,-13024,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,632,[],[],[true,"Default",0,true]],[[168,-3136,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,524,[],[],[true,"Default",0,true]],[[312,-3296,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,525,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,844557391344128,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,482,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,483,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,484,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,502,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,503,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[239,-6215,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,532,[[3]],[],[true,"Default",0,true]],[[191,-6271,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,535,[[3]],[],[true,"Default",0,true]],[[143,-6331,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,536,[[3]],[],[true,"Default",0,true]],[[302,-6472,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,537,[[3]],[],[true,"Default",0,true]],[[208,-6595,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,538,[[3]],[],[true,"Default",0,true]],[[164,-6748,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,539,[[3]],[],[true,"Default",0,true]],[[321,-6826,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,540,[[3]],[],[true,"Default",0,true]],[[336,-12192,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,633,[[3]],[],[true,"Default",0,true]]],[],0,true],["Game",3,405572073932320,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,546,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,547,[],[],[true,0,1,1,0,0,1,1,0]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,558,[],[[false]],[true,"Default",0,true]],[[240,-1408,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,504,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[237,-3643,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,527,[],[],[true,"Default",0,true]],[[236,-8433,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,607,[],[],[true,"Default",0,true]],[[234,-9252,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,611,[],[],[true,"Default",0,true]],[[251,-3643,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,526,[],[],[true,"Default",0,true]],[[250,-8433,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,606,[],[],[true,"Default",0,true]],[[248,-9252,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,610,[],[],[true,"Default",0,true]],[[176,-8362,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,608,[[3]],[],[true,"Default",0,true]],[[174,-9181,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,612,[[3]],[],[true,"Default",0,true]],[[308,-8362,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,609,[[3]],[],[true,"Default",0,true]],[[306,-9181,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,613,[[3]],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,215674106663956,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",5,485184174842268,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,564,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,566,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,567,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,570,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,571,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,572,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,573,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,574,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,577,[],[[false]],[false,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,578,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,579,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,580,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,581,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,582,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,583,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,585,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,586,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,587,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,588,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,589,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,590,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,591,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,592,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,593,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,594,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[247,-1056,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,473,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-832,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,474,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[144,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,505,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,506,[],[[0,5,false]],[true,"Default",0,true]],[[240,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,507,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,508,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1664,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,509,[],[[0,5,false]],[true,"Default",0,true]],[[144,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,510,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,511,[],[[0,5,false]],[true,"Default",0,true]],[[240,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,512,[],[[0,5,false]],[true,"Default",0,true]],[[288,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,513,[],[[0,5,false]],[true,"Default",0,true]],[[336,-1728,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,514,[],[[0,5,false]],[true,"Default",0,true]],[[192,-1856,0,225,55,0,5.840684477179586,1,0.502222,0.509091,0,0,[],null,null,null],36,515,[],[],[true,"Default",0,true]],[[288,-2240,0,225,55,0,0.456402391,1,0.502222,0.509091,0,0,[],null,null,null],36,516,[],[],[true,"Default",0,true]],[[240,-2720,0,304,60,0,5.1849369441795865,1,0.503289,0.516667,0,0,[],null,null,null],37,517,[],[],[true,"Default",0,true]],[[144,-2176,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,518,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2272,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,519,[],[[0,5,false]],[true,"Default",0,true]],[[144,-2368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,520,[],[[0,5,false]],[true,"Default",0,true]],[[360,-2720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,521,[],[[0,5,false]],[true,"Default",0,true]],[[360,-2816,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,522,[],[[0,5,false]],[true,"Default",0,true]],[[360,-2912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,523,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3929,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,528,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[238,-4286,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,529,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[238,-4697,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,530,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[168,-5152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,541,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5216,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,542,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5280,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,543,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5344,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,544,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5408,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,560,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5568,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,561,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5632,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,562,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,563,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,595,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5824,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,596,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,597,[],[[0,5,false]],[true,"Default",0,true]],[[264,-6368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,598,[],[[0,5,false]],[true,"Default",0,true]],[[216,-6432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,599,[],[[0,5,false]],[true,"Default",0,true]],[[168,-6496,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,600,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,601,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6688,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,602,[],[[0,5,false]],[true,"Default",0,true]],[[312,-6752,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,603,[],[[0,5,false]],[true,"Default",0,true]],[[240,-7520,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,604,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-7904,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,605,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-8764,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,614,[],[[0,5,false]],[true,"Default",0,true]],[[242,-8828,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,615,[],[[0,5,false]],[true,"Default",0,true]],[[242,-8892,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,616,[],[[0,5,false]],[true,"Default",0,true]],[[242,-9677,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,617,[],[[0,5,false]],[true,"Default",0,true]],[[242,-9741,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,618,[],[[0,5,false]],[true,"Default",0,true]],[[242,-9805,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,619,[],[[0,5,false]],[true,"Default",0,true]],[[192,-10368,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,620,[],[],[true,"Default",0,true]],[[264,-10944,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,621,[],[],[true,"Default",0,true]],[[144,-10304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,622,[],[[0,5,false]],[true,"Default",0,true]],[[144,-10368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,623,[],[[0,5,false]],[true,"Default",0,true]],[[144,-10432,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,624,[],[[0,5,false]],[true,"Default",0,true]],[[336,-10912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,625,[],[[0,5,false]],[true,"Default",0,true]],[[336,-10976,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,626,[],[[0,5,false]],[true,"Default",0,true]],[[336,-11040,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,627,[],[[0,5,false]],[true,"Default",0,true]],[[173,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,628,[],[[0,5,false]],[true,"Default",0,true]],[[221,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,629,[],[[0,5,false]],[true,"Default",0,true]],[[269,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,630,[],[[0,5,false]],[true,"Default",0,true]],[[317,-11520,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,631,[],[[0,5,false]],[true,"Default",0,true]],[[168,-11968,0,225,55,0,5.462916020179586,1,0.502222,0.509091,0,0,[],null,null,null],36,634,[],[],[true,"Default",0,true]],[[312,-13312,0,304,60,0,0.893964648,1,0.503289,0.516667,0,0,[],null,null,null],37,635,[],[],[true,"Default",0,true]],[[240,-12672,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,636,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-12416,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,637,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-12832,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,638,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[144,-13728,0,304,60,0,5.151888315179586,1,0.503289,0.516667,0,0,[],null,null,null],37,639,[],[],[true,"Default",0,true]],[[240,-14016,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,640,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[168,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,641,[],[[0,5,false]],[true,"Default",0,true]],[[216,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,642,[],[[0,5,false]],[true,"Default",0,true]],[[264,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,643,[],[[0,5,false]],[true,"Default",0,true]],[[312,-14304,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,644,[],[[0,5,false]],[true,"Default",0,true]],[[246,-14528,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,645,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[174,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,646,[],[[0,5,false]],[true,"Default",0,true]],[[222,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,647,[],[[0,5,false]],[true,"Default",0,true]],[[270,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,648,[],[[0,5,false]],[true,"Default",0,true]],[[318,-15168,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,649,[],[[0,5,false]],[true,"Default",0,true]],[[240,-14848,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,650,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-7200,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,651,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-9536,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,652,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-15232,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,653,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,555,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Level4",530,900,false,"Gameplay",486537720691940,[["Background0",0,412953830528431,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[331,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],71,654,[],[],["100",false,128,128,"1234567890","",0.3,-20,0,1,0,0,true,0]],[[241.5,-22,0,51,51,0,0,1,0.529412,0.529412,0,0,[],null,null,null],23,655,[],[[true]],[true,"medium",0,true]],[[1,-19822,0,480,20622,0,0,1,0,0,0,0,[],null,null,null],11,659,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,988082679431805,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[98.28565979,774.551452637,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,661,[],[],[false,"Default",0,true]],[[406,773,0,256.511779785,179.102890015,0,0,1,0.500888,0.5,0,0,[],null,null,null],22,662,[],[],[false,"Default",0,true]],[[168,-12928,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,803,[],[],[true,"Default",0,true]],[[312,-13248,0,150,100,0,0,1,0.513333,0.51,0,0,[],null,null,null],41,817,[],[],[true,"Default",0,true]],[[240,-7808,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,783,[],[],[true,"Default",0,true]],[[242,-14336,0,126.30772399899999,130.633331299,0,0,1,0.513699,0.509934,0,0,[],null,null,null],46,823,[],[],[true,"Default",0,true]]],[],0,true],["Background2",2,306353999550643,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[213.648071289,636.855712891,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,671,[],[[false]],[true,"Default",0,true]],[[271.648071289,636.855712891,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,672,[],[[false]],[true,"Default",0,true]],[[240.895004272,656,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,673,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[232.015869141,616.053466797,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,674,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[248.724914551,616.051452637,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,675,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[168,-1245,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,676,[],[],[true,"Default",0,true]],[[228,-1246,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,724,[],[],[true,"Default",0,true]],[[312,-2368,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,740,[[3]],[],[true,"Default",0,true]],[[144,-2592,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,741,[[3]],[],[true,"Default",0,true]],[[336,-2816,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,742,[[3]],[],[true,"Default",0,true]],[[288,-2912,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,743,[[3]],[],[true,"Default",0,true]],[[168,-3264,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,744,[[3]],[],[true,"Default",0,true]],[[168,-9216,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,788,[[3]],[],[true,"Default",0,true]],[[312,-9344,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,790,[[3]],[],[true,"Default",0,true]],[[216,-13024,0,131,118,0,0,1,0.51145,0.508475,0,0,[],null,null,null],34,804,[[3]],[],[true,"Default",0,true]],[[192,-6272,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,763,[[3]],[],[true,"Default",0,true]],[[288,-6016,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,764,[[3]],[],[true,"Default",0,true]],[[192,-5952,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,765,[[3]],[],[true,"Default",0,true]],[[360,-5792,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,766,[[3]],[],[true,"Default",0,true]],[[120,-5408,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,767,[[3]],[],[true,"Default",0,true]],[[312,-6880,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,768,[[3]],[],[true,"Default",0,true]],[[291,-10511,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,797,[[3]],[],[true,"Default",0,true]],[[211,-10649,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,799,[[3]],[],[true,"Default",0,true]],[[120,-12000,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,805,[[3]],[],[true,"Default",0,true]],[[240,-11840,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,816,[[3]],[],[true,"Default",0,true]],[[362,-14304,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,824,[[3]],[],[true,"Default",0,true]],[[362,-14400,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,825,[[3]],[],[true,"Default",0,true]],[[362,-14496,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,826,[[3]],[],[true,"Default",0,true]],[[122,-14304,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,827,[[3]],[],[true,"Default",0,true]],[[122,-14400,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,828,[[3]],[],[true,"Default",0,true]],[[122,-14496,0,91,87,0,0,1,0.516484,0.517241,0,0,[],null,null,null],35,829,[[3]],[],[true,"Default",0,true]]],[],0,true],["Game",3,775818173073855,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,641,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],19,677,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"bote1",0,true]],[[0,-771,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,678,[],[],[true,0,1,1,0,0,1,1,0]],[[244,-577,0,321.772857666,167.074371338,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,689,[],[[false]],[true,"Default",0,true]],[[253,-995,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,691,[],[],[true,"Default",0,true]],[[248,-7476,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,749,[],[],[true,"Default",0,true]],[[249,-9885,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,791,[],[],[true,"Default",0,true]],[[251,-12303,0,275,211,0,0,1,1.02182,0.511848,0,0,[],null,null,null],42,810,[],[],[true,"Default",0,true]],[[239,-995,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,723,[],[],[true,"Default",0,true]],[[234,-7476,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,750,[],[],[true,"Default",0,true]],[[235,-9885,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,792,[],[],[true,"Default",0,true]],[[237,-12303,0,275,211,0,0,1,-0.0218182,0.511848,0,0,[],null,null,null],43,811,[],[],[true,"Default",0,true]],[[174,-7405,0,139,74,0,0,1,0.517986,0.513514,0,0,[],null,null,null],44,751,[[3]],[],[true,"Default",0,true]],[[306,-7405,0,139,74,0,0,1,0.482014,0.513514,0,0,[],null,null,null],45,752,[[3]],[],[true,"Default",0,true]]],[],0,true],["Layer 0",4,411099167828621,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",5,836603971008402,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[242,-239,0,507,458,0,0,1,0.502959,0.5,0,0,[],null,null,null],30,692,[],[[0,0,23,"242, 450",0,1.5,1]],[true,"Default",0,true]],[[71,-83,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],32,694,[],[[false]],[true,"Default",0,true]],[[412.937438965,-83.743103027,0,121,110,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,695,[],[[false]],[true,"Default",0,true]],[[1806,410,0,480,800,0,0,1,0.5,0.5,0,0,[],null,null,null],84,698,[],[[0,0,0.2,true,true]],[true,"Default",0,true]],[[253,-332,0,223,50,0,0,1,0,0,0,0,[],null,null,null],72,699,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[295,-297,0,223,50,0,0,1,0,0,0,0,[],null,null,null],73,700,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[181,-265,0,223,50,0,0,1,0,0,0,0,[],null,null,null],74,701,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[176,-233,0,223,50,0,0,1,0,0,0,0,[],null,null,null],75,702,[],[[false]],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[242,638,0,166,166,0,0,1,0.5,0.5,0,0,[],null,null,null],21,705,[],[[false]],[false,"Default",0,true]],[[171,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,706,[],[],[false,"Default",0,true]],[[123,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,707,[],[],[false,"Default",0,true]],[[219,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,708,[],[],[false,"Default",0,true]],[[267,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,709,[],[],[false,"Default",0,true]],[[315,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,710,[],[],[false,"Default",0,true]],[[363,-16896,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],54,711,[],[],[false,"Default",0,true]],[[80.993255615,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,713,[],[],[true,"Default",0,true]],[[400.084747314,736.527709961,0,96.715797424,106.15148925800001,0,0,1,0.5,0.5,0,0,[],null,null,null],27,714,[],[],[true,"Default",0,true]],[[36,32,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,715,[],[],[true,"Default",0,true]],[[456.431518555,31.36274147,0,35.054244995,43.817806244,0,6.269376571179587,1,0.5,0.5,0,0,[],null,null,null],89,716,[],[],[true,"Default",0,true]],[[48,73,0,65,29,0,0,1,0.523077,0.517241,0,0,[],null,null,null],87,717,[],[],[true,"Default",0,true]],[[460.11630249,65.216506958,0,30.153106689,29.279104233,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,718,[],[],[true,"Default",0,true]],[[55,14,0,117,50,0,0,1,0,0,0,0,[],null,null,null],61,719,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,0,0,0,true,0]],[[225,12,0,223,50,0,0,1,0,0,0,0,[],null,null,null],70,720,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,2,0,0,true,0]],[[73,57,0,117,50,0,0,1,0,0,0,0,[],null,null,null],62,721,[],[],["0",false,128,128,"1234567890","",0.25,-15,0,0,0,0,true,0]],[[331.434814453,47.564407349,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,722,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]],[[312,-1152,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,725,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1216,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,726,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1280,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,727,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1344,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,728,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1408,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,729,[],[[0,5,false]],[true,"Default",0,true]],[[312,-1920,0,225,55,0,0,1,0.502222,0.509091,0,0,[],null,null,null],36,730,[],[],[true,"Default",0,true]],[[192,-2240,0,225,55,0,0,1,0.502222,0.509091,0,0,[],null,null,null],36,731,[],[],[true,"Default",0,true]],[[312,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,732,[],[[0,5,false]],[true,"Default",0,true]],[[264,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,733,[],[[0,5,false]],[true,"Default",0,true]],[[168,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,734,[],[[0,5,false]],[true,"Default",0,true]],[[216,-1760,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,735,[],[[0,5,false]],[true,"Default",0,true]],[[312,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,736,[],[[0,5,false]],[true,"Default",0,true]],[[264,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,737,[],[[0,5,false]],[true,"Default",0,true]],[[168,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,738,[],[[0,5,false]],[true,"Default",0,true]],[[216,-2080,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,739,[],[[0,5,false]],[true,"Default",0,true]],[[240,-3680,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,745,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[240,-2720,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,746,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-3104,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,747,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-4224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,748,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[213,-4939,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,753,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5003,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,754,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5067,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,755,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5131,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,756,[],[[0,5,false]],[true,"Default",0,true]],[[213,-5195,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,757,[],[[0,5,false]],[true,"Default",0,true]],[[269,-4939,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,758,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5003,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,759,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5067,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,760,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5131,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,761,[],[[0,5,false]],[true,"Default",0,true]],[[269,-5195,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,762,[],[[0,5,false]],[true,"Default",0,true]],[[240,-5504,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,769,[],[[0,5,false]],[true,"Default",0,true]],[[240,-5600,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,770,[],[[0,5,false]],[true,"Default",0,true]],[[168,-5696,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,771,[],[[0,5,false]],[true,"Default",0,true]],[[264,-5856,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,772,[],[[0,5,false]],[true,"Default",0,true]],[[312,-5920,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,773,[],[[0,5,false]],[true,"Default",0,true]],[[336,-6272,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,774,[],[[0,5,false]],[true,"Default",0,true]],[[288,-6368,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,775,[],[[0,5,false]],[true,"Default",0,true]],[[192,-6720,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,776,[],[[0,5,false]],[true,"Default",0,true]],[[144,-6816,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,777,[],[[0,5,false]],[true,"Default",0,true]],[[192,-6912,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,778,[],[[0,5,false]],[true,"Default",0,true]],[[168,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,779,[],[[0,5,false]],[true,"Default",0,true]],[[216,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,780,[],[[0,5,false]],[true,"Default",0,true]],[[264,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,781,[],[[0,5,false]],[true,"Default",0,true]],[[312,-7264,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,782,[],[[0,5,false]],[true,"Default",0,true]],[[144,-7968,0,304,60,0,0,1,0.503289,0.516667,0,0,[],null,null,null],37,784,[],[],[true,"Default",0,true]],[[240,-7680,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,785,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-8512,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,786,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-8320,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,787,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-9056,0,70.862815857,115.152076721,0,0,1,0.5,0.503497,0,0,[],null,null,null],49,789,[[3]],[[0,0,4,0,0,0,100,0,true],[6,0,4,0,0,0,-30,0,true]],[true,"Default",0,true]],[[177,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,793,[],[[0,5,false]],[true,"Default",0,true]],[[225,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,794,[],[[0,5,false]],[true,"Default",0,true]],[[273,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,795,[],[[0,5,false]],[true,"Default",0,true]],[[321,-10108,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,796,[],[[0,5,false]],[true,"Default",0,true]],[[183,-10361,0,304,60,0,5.598185185179586,1,0.503289,0.516667,0,0,[],null,null,null],37,798,[],[],[true,"Default",0,true]],[[313,-10848,0,304,60,0,0.824760497,1,0.503289,0.516667,0,0,[],null,null,null],37,800,[],[],[true,"Default",0,true]],[[246,-11402,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,801,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[239,-11161,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,802,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[336,-13696,0,225,55,0,0.709024787,1,0.502222,0.509091,0,0,[],null,null,null],36,806,[],[],[true,"Default",0,true]],[[336,-12480,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,807,[],[[0,5,false]],[true,"Default",0,true]],[[174,-12627,0,304,60,0,5.673472229179586,1,0.503289,0.516667,0,0,[],null,null,null],37,808,[],[],[true,"Default",0,true]],[[240,-12096,0,56.745044708,48.63861084,0,0,1,0.542857,0.516667,0,0,[],null,null,null],38,809,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[240,-13440,0,64.650001526,71.384376526,0,0,1,0.5,0.509434,0,0,[],null,null,null],50,812,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[336,-12544,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,813,[],[[0,5,false]],[true,"Default",0,true]],[[336,-12608,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,814,[],[[0,5,false]],[true,"Default",0,true]],[[336,-12672,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,815,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13792,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,818,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13856,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,819,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13920,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,820,[],[[0,5,false]],[true,"Default",0,true]],[[168,-13984,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,821,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14112,0,52.478565216,52.478565216,0,0,1,0.55,0.516667,0,0,[],null,null,null],53,822,[],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]],[[242,-14496,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,830,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14560,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,831,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14624,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,832,[],[[0,5,false]],[true,"Default",0,true]],[[242,-14688,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,833,[],[[0,5,false]],[true,"Default",0,true]],[[146,-15232,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,834,[],[],[true,"Default",0,true]],[[218,-15232,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,835,[],[],[true,"Default",0,true]],[[290,-15232,0,80,788,0,0,1,0.5,0.5,0,0,[],null,null,null],20,836,[],[],[true,"Default",0,true]],[[338,-15104,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,837,[],[[0,5,false]],[true,"Default",0,true]],[[338,-15200,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,838,[],[[0,5,false]],[true,"Default",0,true]],[[338,-15296,0,35,49,0,0,1,0.542857,0.510204,0,0,[],null,null,null],26,839,[],[[0,5,false]],[true,"Default",0,true]],[[240,-224,0,174.019165039,261.028747559,0,0,1,0.5,0.5,0,0,[],null,null,null],47,686,[[3]],[[0,0,4,0,0,0,100,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Menu",480,800,false,"Menu",348638176457426,[["Background0",0,339447244929493,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[0,-800,0,480,1600,0,0,1,0,0,0,0,[],null,null,null],11,6,[],[],[true,0,1,1,0,0,1,1,0]]],[],0,true],["Background1",1,346140862120238,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["Background2",2,925155324488847,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[562,164,0,94,94,0,0,1,0.5,0.5,0,0,[],null,null,null],86,206,[],[],[true,"Default",0,true]],[[242,393,0,180,74,0,0,1,0.511111,0.5,0,0,[],null,null,null],9,10,[],[[1,0,1.5,0,0,0,5,0,true],[0,0,1,true,false],[0,0,26,"160,393",0,2.5,1]],[true,"Default",0,true]],[[231,617,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,219,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[255,617,0,54.110996246,54.110996246,0,1.567905307,1,0,0.5,0,0,[],null,null,null],14,220,[],[[false]],[10,1,0,-1,140,10,100,0,0,0,0,0,0,-150,0,0,800,0,0,0.5]],[[217.755279541,603.524902344,0,83.097198486,30,0,5.048469845179586,1,0.5,0.5,0,0,[],null,null,null],24,221,[],[[false]],[true,"Default",0,true]],[[267.264801025,603.215454102,0,84.193229675,30,0,1.221730471,1,0.5,0.5,0,0,[],null,null,null],25,222,[],[[false]],[true,"Default",0,true]],[[230,583,0,54.110996246,54.110996246,0,1.905564785,1,0,0.5,0,0,[],null,null,null],15,223,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]],[[252,583,0,54.110996246,54.110996246,0,1.197789907,1,0,0.5,0,0,[],null,null,null],16,224,[],[[false]],[15,30,0,-1,180,3,100,0,0,0,0,0,0,-150,0,0,800,0,0,1.5]]],[],0,true],["Game",3,796396707842961,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[244,607,0,61,79,0,0,1,0.508197,0.506329,0,0,[],null,null,null],5,218,[],[[1,0,0.5,0,0,0,5,0,true]],[true,"Default",0,true]]],[],0,true],["UI",4,913933830107033,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[63,39,0,53.810180664,43.672031403,0,0,1,0.521739,0.535714,0,0,[],null,null,null],88,20,[],[],[true,"unmute",0,true]],[[242,472,0,180,74,0,0,1,0.511111,0.554054,0,0,[],null,null,null],8,23,[],[[1,0,1.5,0,0,0,5,0,true],[0,0,1,true,false],[0,0,26,"320,472",0,2.5,1]],[true,"Default",0,true]],[[242,330,0,180,74,0,0,1,0.505556,0.662162,0,0,[],null,null,null],7,36,[],[[1,0,1.5,0,0,0,5,0,true],[0,0,1,true,false],[0,0,26,"320,330",0,2.5,1]],[true,"Default",0,true]],[[0,-800,0,480,1601,0,0,1,0,0,0,0,[],null,null,null],12,50,[],[],[true,0,1,1,0,0,1,1,0]],[[236,152,0,387.110290527,200.999572754,0,0,1,0.501923,0.5,0,0,[],null,null,null],6,12,[],[[1,0,2,0,0,0,10,0,true]],[true,"Default",0,true]]],[],0,true]],[],[]],["Shop",480,800,false,"Shop",637050755545848,[["Background0",0,629249775431692,true,[255,255,255],false,1,1,1,false,false,1,0,0,[],[],0,true],["Background1",1,901618673766631,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["Background2",2,709454663797113,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[240.75,399.4375,0,483,801,0,0,1,0.5,0.5,0,0,[],null,null,null],31,96,[],[],[true,"Default",0,true]],[[33,30,0,45,47,0,0,1,0.511111,0.510638,0,0,[],null,null,null],85,110,[],[],[true,"Default",0,true]],[[52,9,0,223,50,0,0,1,0,0,0,0,[],null,null,null],61,111,[],[],["0",false,128,128,"1234567890","",0.3,-20,0,0,0,0,true,0]],[[70,735,0,120.243080139,109.311897278,0,0,1,0.504132,0.518182,0,0,[],null,null,null],33,35,[],[[false]],[true,"Default",0,true]],[[240.019332886,420.231384277,0,472.277099609,437.743011475,0,0,1,0.5,0.501066,0,0,[],null,null,null],51,38,[],[],[true,"Default",0,true]],[[239,117,0,279.58807373,145.170730591,0,0,1,0.501923,0.5,0,0,[],null,null,null],10,68,[],[[false]],[true,"Default",0,true]],[[240,378,0,153.173400879,198.657196045,0,0,1,0.502183,0.501683,0,0,[],null,null,null],56,69,[],[],[true,"a1",0,true]],[[63.408782959,481.145874023,0,64.63596344,92.5181427,0,0,1,0.5,0.5,0,0,[],null,null,null],77,70,[],[],[true,"Default",0,true]],[[141.332351685,572.680419922,0,98.719573975,96.087051392,0,0,1,0.5,0.5,0,0,[],null,null,null],78,71,[],[],[true,"Default",0,true]],[[337.793945313,568.657348633,0,89.76839447,119.691200256,0,0,1,0.5,0.5,0,0,[],null,null,null],79,72,[],[],[true,"Default",0,true]],[[413.044708252,482.716766357,0,87.523902893,116.698539734,0,0,1,0.5,0.5,0,0,[],null,null,null],80,73,[],[],[true,"Default",0,true]],[[241.079025269,494.804351807,0,117.30700683599999,28.611465454,0,0,1,0.5,0.5,0,0,[],null,null,null],82,74,[],[],[true,"Default",0,true]],[[65.548324585,428.522766113,0,106.658958435,40.594081879,0,0,1,0.5,0.509804,0,0,[],null,null,null],66,75,[],[],[true,"Default",0,true]],[[139.755874634,518.090332031,0,112.314704895,40.914642334,0,0,1,0.5,0.509804,0,0,[],null,null,null],67,76,[],[],[true,"Default",0,true]],[[334.26449585,521.226501465,0,112.863716125,39.696895599,0,0,1,0.503448,0.509804,0,0,[],null,null,null],68,77,[],[],[true,"Default",0,true]],[[410.522705078,426.643951416,0,109.13465881300002,38.385295868,0,0,1,0.503448,0.509804,0,0,[],null,null,null],69,78,[],[],[true,"Default",0,true]],[[54.078689575,536.736755371,0,64.955612183,32.477806091,0,0,1,0.5,0.5,0,0,[],null,null,null],57,79,[],[],[true,"Default",0,true]],[[140.826751709,624.66003418,0,64.956001282,32.478000641,0,0,1,0.5,0.5,0,0,[],null,null,null],58,80,[],[],[true,"Default",0,true]],[[341.427062988,624.411621094,0,64.956001282,32.478000641,0,0,1,0.5,0.5,0,0,[],null,null,null],59,81,[],[],[true,"Default",0,true]],[[427.077453613,532.998718262,0,64.956001282,32.478000641,0,0,1,0.5,0.5,0,0,[],null,null,null],60,82,[],[],[true,"Default",0,true]],[[447,28,0,42.983161926,41.73727417,0,0,1,0.507246,0.507463,0,0,[],null,null,null],83,89,[],[],[true,"Default",0,true]],[[311,9,0,117,50,0,0,1,0,0,0,0,[],null,null,null],63,90,[],[],["0",false,128,128,"1234567890","",0.3,-19,0,2,0,0,true,0]]],[],0,true],["Game",3,980812239341882,true,[255,255,255],true,1,1,1,false,false,1,0,0,[],[],0,true],["UI",4,953563411736669,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[36,82,0,49.056255341,39.813774109,0,0,1,0.521739,0.535714,0,0,[],null,null,null],88,102,[],[],[true,"unmute",0,true]]],[],0,true]],[],[]]],[["Gameplay",[[1,"PowerupCode",0,0,false,false,712315470160136,false,102],[1,"Ramp",0,0,false,false,439987320427205,false,53],[1,"GameSpeed",0,5,false,false,914691302681319,false,103],[1,"Coinsx2",0,0,false,false,750030343896456,false,104],[1,"StarsX2",0,0,false,false,911203334819685,false,105],[1,"Revive",0,0,false,false,716403920287321,false,106],[1,"Multiplicator",0,0,false,false,523552286265012,false,107],[1,"Magnet",0,0,false,false,982343569033459,false,108],[1,"Shield",0,0,false,false,774994252799309,false,26],[1,"Rushspeed",0,0,false,false,101888420648447,false,109],[1,"Stars",0,0,false,false,114990966943872,false,110],[1,"Highscore",0,0,false,false,475290502781283,false,111],[1,"Bullets",0,3,false,false,609458658532067,false,36],[1,"Wait",0,0,false,false,821667372156925,false,112],[1,"Double",0,0,false,false,492761586040086,false,113],[1,"Touching",0,0,false,false,336921237771097,false,114],[1,"Gamecomplete",0,0,false,false,594691244777202,false,115],[1,"Levels",0,1,false,false,923645807963571,false,116],[1,"Hit",0,0,false,false,204359752232729,false,117],[1,"Lives",0,3,false,false,657221331841276,false,118],[1,"BoatSkin",0,1,false,false,408120817217550,false,119],[1,"Upgrade4",0,0,false,false,997448899771375,false,120],[1,"Upgrade3",0,0,false,false,535500257047332,false,121],[1,"Upgrade2",0,0,false,false,295110877971894,false,122],[1,"Upgrade1",0,0,false,false,600304802481832,false,123],[1,"Coins",0,0,false,false,467070957062384,false,124],[1,"Score",0,0,false,false,523766778002534,false,125],[1,"GameOver",0,0,false,false,704942166073897,false,126],[1,"GameStart",0,0,false,false,408730246676727,false,127],[1,"token",1,"\"\"",false,false,311767116821369,false,128],[1,"jsonResponse",0,0,false,false,950825077668886,false,129],[1,"redirect_url",1,"\"\"",false,false,723842150099225,false,130],[1,"campaign_id",0,0,false,false,927020049252173,false,131],[1,"jsonBody",1,"\"\"",false,false,194227671128220,false,132],[1,"gameKey",1,"\"\"",false,false,849758265050117,false,133],[0,0,false,null,804463861864580,1,[[-1,17,null,0,false,false,false,256993338714552,null]],[[19,18,null,584386556249862,0,null,[[5,[2,"Layer 0"]]]],[34,18,null,262291077172188,0,null,[[5,[2,"Game"]]]],[35,18,null,607330254943874,0,null,[[5,[2,"Game"]]]],[36,18,null,526979562287214,0,null,[[5,[2,"Game"]]]],[37,18,null,688591474606739,0,null,[[5,[2,"Game"]]]],[41,18,null,111997242267500,0,null,[[5,[2,"Game"]]]],[42,18,null,313462061501498,0,null,[[5,[2,"Layer 0"]]]],[43,18,null,998938168795075,0,null,[[5,[2,"Layer 0"]]]],[47,18,null,247001825562985,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,833671974169320,2,[[-1,19,null,1,false,false,false,660541073738533,null]],[[-1,20,null,222095084980303,0,null,[[4,84],[5,[2,"UI"]],[0,[1,240]],[0,[1,400]],[16,false]]],[2,87,null,125330477877498,0,null,[[1,[2,"Leaderboard.HideButton()"]]]]]],[0,0,false,null,943103531357674,3,[[-1,19,null,1,false,false,false,669557554060549,null],[-1,21,null,0,false,false,false,181623147056126,null,[[11,"Score"],[8,2],[7,[1,50]]]]],[[0,22,null,293291970497218,0,null],[0,23,null,258478186016529,0,null,[[2,["gameplaymusic",false]],[3,1],[0,[1,0]],[1,[2,""]]]],[-1,24,null,413528834479539,0,null,[[11,"token"],[7,[20,2,32,false,null,[[2,"LaunchContext.Get('token')"]]]]]],[2,26,null,305509570044435,0,null,[[3,0],[7,[23,"token"]]]],[-1,24,null,730070593058751,0,null,[[11,"redirect_url"],[7,[20,2,32,false,null,[[2,"LaunchContext.Get('redirect_url')"]]]]]],[-1,24,null,830006033751604,0,null,[[11,"gameKey"],[7,[20,2,32,false,null,[[2,"LaunchContext.Get('game_id')"]]]]]],[-1,24,null,890869402785624,0,null,[[11,"campaign_id"],[7,[20,2,32,false,null,[[2,"LaunchContext.Get('campaign_id')"]]]]]]]],[0,0,false,null,538718138730498,4,[[-1,17,null,0,false,false,false,866591151525141,null]],[[11,27,null,161662410409934,0,null,[[0,[4,[20,11,28,false,null],[23,"GameSpeed"]]]]],[12,27,null,989079452120991,0,null,[[0,[4,[4,[20,12,28,false,null],[23,"GameSpeed"]],[1,1]]]]]]],[0,0,false,null,336382515856917,5,[[11,29,null,0,false,false,false,440188812076932,null,[[8,5],[0,[1,0]]]]],[[11,27,null,808720776565155,0,null,[[0,[3,[1,800]]]]]]],[0,0,false,null,502865486723678,6,[[12,29,null,0,false,false,false,749123738137437,null,[[8,5],[0,[1,0]]]]],[[12,27,null,242607300770914,0,null,[[0,[3,[1,800]]]]]]],[0,0,false,null,550363268391482,7,[[-1,21,null,0,false,false,false,596930655508277,null,[[11,"GameOver"],[8,0],[7,[1,1]]]],[-1,30,null,0,false,false,false,717786988176032,null]],[[2,87,null,152967313120466,0,null,[[1,[2,"Leaderboard.ShowButton()"]]]]],[[0,0,false,null,542067882677864,117,[[-1,67,null,0,false,false,false,413777895668315,null,[[7,[20,2,32,false,null,[[2,"ScoreClient.CanSubmit()"]]]],[8,0],[7,[0,1]]]]],[[90,31,null,736124933141145,0,null,[[1,[2,"Content-Type"]],[1,[2,"application/json"]]]],[90,31,null,814339145111462,0,null,[[1,[2,"Authorization"]],[1,[20,2,32,false,null,[[2,"ScoreClient.GetToken()"]]]]]],[-1,24,null,240103528241384,0,null,[[11,"jsonBody"],[7,[20,2,32,false,null,[[10,[10,[2,"ScoreClient.BuildBody("],[23,"Highscore"]],[2,")"]]]]]]],[90,34,null,505637040122513,1,null,[[1,[2,"high_score"]],[1,[20,2,32,false,null,[[2,"ScoreClient.GetEndpoint()"]]]],[1,[23,"jsonBody"]],[1,[2,"POST"]]]]]],[0,0,false,null,778809479249550,118,[],[[2,35,null,970334735508603,0,null,[[1,[23,"redirect_url"]],[3,1]]],[4,36,null,782424264163687,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]],[4,36,null,578956811470565,0,null,[[1,[2,"highscore"]],[7,[23,"Highscore"]]]],[4,36,null,836708666222460,0,null,[[1,[2,"stars"]],[7,[23,"Stars"]]]]]]]],[0,0,false,null,223714793305992,8,[[-1,19,null,1,false,false,false,411686424711166,null]],[[32,37,"Pin",588212282361946,0,null,[[4,30],[3,1]]],[33,37,"Pin",963693722611667,0,null,[[4,30],[3,1]]],[55,37,"Pin",540496784857920,0,null,[[4,30],[3,1]]],[10,37,"Pin",237308774218041,0,null,[[4,30],[3,1]]],[72,37,"Pin",267819431987048,0,null,[[4,30],[3,1]]],[73,37,"Pin",345714211237369,0,null,[[4,30],[3,1]]],[74,37,"Pin",870754023285237,0,null,[[4,30],[3,1]]],[75,37,"Pin",463251563352392,0,null,[[4,30],[3,1]]],[14,37,"Pin",424244149288337,0,null,[[4,19],[3,0]]],[15,37,"Pin",305377779870984,0,null,[[4,19],[3,0]]],[16,37,"Pin",582494484670043,0,null,[[4,19],[3,0]]],[24,37,"Pin",867354605770286,0,null,[[4,19],[3,0]]],[25,37,"Pin",221411812931007,0,null,[[4,19],[3,0]]],[21,37,"Pin",944725548445745,0,null,[[4,19],[3,1]]],[-1,24,null,699537993952684,0,null,[[11,"GameStart"],[7,[1,1]]]]]],[0,0,false,null,211743901109324,9,[[48,38,null,1,false,false,false,915172663618793,null]],[[48,18,null,915583415557378,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,116901459367154,10,[[3,39,null,1,false,false,false,700512504140517,null,[[4,33]]]],[[-1,40,null,350916867068734,2,null,[[0,[1,1]]]],[0,22,null,278418849679161,0,null],[-1,24,null,380785937033793,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,596280147554470,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,964088935261881,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,389680726569602,0,null,[[11,"Shield"],[7,[1,0]]]],[-1,24,null,317474293301390,0,null,[[11,"Rushspeed"],[7,[1,0]]]],[-1,24,null,896023381891909,0,null,[[11,"Coinsx2"],[7,[1,0]]]],[-1,24,null,890589914365431,0,null,[[11,"Magnet"],[7,[1,0]]]],[-1,24,null,542810686631203,0,null,[[11,"Revive"],[7,[1,0]]]],[-1,24,null,619144978513737,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,637809358438239,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,337139221253566,0,null,[[11,"Bullets"],[7,[1,3]]]],[-1,41,null,814831393320381,0,null]]],[0,0,false,null,979831189255616,11,[[3,39,null,1,false,false,false,632212684250072,null,[[4,55]]]],[[0,22,null,855544025241660,0,null],[-1,24,null,383750088569763,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,701358411000044,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,437991819083771,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,168543711961371,0,null,[[11,"Shield"],[7,[1,0]]]],[-1,24,null,768735852672516,0,null,[[11,"Rushspeed"],[7,[1,0]]]],[-1,24,null,726676314618601,0,null,[[11,"Coinsx2"],[7,[1,0]]]],[-1,24,null,570566046512718,0,null,[[11,"Magnet"],[7,[1,0]]]],[-1,24,null,271339022427993,0,null,[[11,"Revive"],[7,[1,0]]]],[-1,24,null,732549309455017,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,209571537441641,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,42,null,408976800721371,0,null,[[6,"Menu"]]]]],[0,0,false,null,398740837163039,12,[[3,39,null,1,false,false,false,239136566052041,null,[[4,32]]]],[[0,22,null,765624934150611,0,null],[-1,24,null,161429468028970,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,175246168829119,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,172439010058576,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,684438888893627,0,null,[[11,"Shield"],[7,[1,0]]]],[-1,24,null,762116364091792,0,null,[[11,"Rushspeed"],[7,[1,0]]]],[-1,24,null,813035948776013,0,null,[[11,"Coinsx2"],[7,[1,0]]]],[-1,24,null,527191182663811,0,null,[[11,"Magnet"],[7,[1,0]]]],[-1,24,null,298461117717568,0,null,[[11,"Revive"],[7,[1,0]]]],[-1,24,null,948247663639503,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,24,null,466429806749888,0,null,[[11,"StarsX2"],[7,[1,0]]]],[-1,42,null,806363078634147,0,null,[[6,"Shop"]]]]],[0,0,false,null,820310138066576,13,[[3,39,null,1,false,false,false,970168853844632,null,[[4,32]]]],[[0,22,null,959957405161073,0,null],[-1,24,null,754629636811633,0,null,[[11,"GameOver"],[7,[1,0]]]],[-1,24,null,348604440425289,0,null,[[11,"GameStart"],[7,[1,0]]]],[-1,24,null,848532860577601,0,null,[[11,"Gamecomplete"],[7,[1,0]]]],[-1,24,null,897144226053260,0,null,[[11,"Score"],[7,[1,0]]]],[-1,24,null,714059173248300,0,null,[[11,"Lives"],[7,[1,3]]]],[-1,24,null,339539000808457,0,null,[[11,"Hit"],[7,[1,0]]]],[-1,42,null,237094746408904,0,null,[[6,"Shop"]]]]],[0,0,false,null,390277014523323,14,[[-1,17,null,0,false,false,false,430100009615127,null]],[[70,43,null,235612744263520,0,null,[[7,[23,"Score"]]]],[61,43,null,846669426188925,0,null,[[7,[23,"Coins"]]]],[62,43,null,767702534854039,0,null,[[7,[23,"Bullets"]]]],[72,43,null,920733545107333,0,null,[[7,[23,"Score"]]]],[74,43,null,263649519284928,0,null,[[7,[23,"Coins"]]]],[73,43,null,597264796174801,0,null,[[7,[23,"Highscore"]]]],[63,43,null,772632410398709,0,null,[[7,[23,"Stars"]]]],[75,43,null,257333250890296,0,null,[[7,[23,"Stars"]]]]]],[0,0,false,null,932176195978044,15,[[-1,21,null,0,false,false,false,757817544058217,null,[[11,"GameOver"],[8,0],[7,[1,1]]]],[-1,30,null,0,false,false,false,638988578340288,null]],[[30,44,"LiteTween",729048233248053,0,null,[[3,0],[3,0]]]]],[0,0,false,null,917820907246835,16,[[3,45,null,1,false,false,false,289827662322673,null]],[[-1,24,null,861156593321311,0,null,[[11,"GameStart"],[7,[1,1]]]]]],[0,0,false,null,857727449536155,17,[[19,46,null,0,false,false,false,625680845050142,null,[[4,26]]],[-1,21,null,0,false,false,false,471156953838609,null,[[11,"Coinsx2"],[8,0],[7,[1,0]]]]],[[26,47,null,732416429925262,0,null],[-1,48,null,312721102336763,0,null,[[11,"Coins"],[7,[19,49,[[1,1],[1,2],[1,3],[1,4],[1,5],[1,6],[1,7],[1,8],[1,9],[1,10],[1,11],[1,12],[1,13],[1,14],[1,15],[1,16],[1,17],[1,18],[1,19],[1,20]]]]]],[0,23,null,224231662851235,0,null,[[2,["starsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,514022612061556,18,[[19,46,null,0,false,false,false,427376541919681,null,[[4,26]]],[-1,21,null,0,false,false,false,394028664682426,null,[[11,"Coinsx2"],[8,0],[7,[1,1]]]]],[[26,47,null,264236303345995,0,null],[-1,48,null,629278284379711,0,null,[[11,"Coins"],[7,[19,49,[[1,15],[1,16],[1,17],[1,18],[1,19],[1,20]]]]]],[0,23,null,594488350902510,0,null,[[2,["starsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,674049264376253,19,[[19,46,null,0,false,false,false,753715223289656,null,[[4,38]]]],[[38,47,null,809386980158802,0,null],[-1,48,null,241050807988807,0,null,[[11,"Bullets"],[7,[1,3]]]]]],[0,0,false,null,346486514508194,20,[[19,46,null,0,false,false,false,427119531870640,null,[[4,53]]],[-1,21,null,0,false,false,false,550665501680249,null,[[11,"StarsX2"],[8,0],[7,[1,0]]]]],[[53,47,null,693275500876091,0,null],[-1,48,null,302905212062483,0,null,[[11,"Stars"],[7,[1,1]]]],[0,23,null,303239103543313,0,null,[[2,["coinsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,560648857894028,21,[[19,46,null,0,false,false,false,903347871637594,null,[[4,53]]],[-1,21,null,0,false,false,false,433381290465207,null,[[11,"StarsX2"],[8,0],[7,[1,1]]]]],[[53,47,null,225313469081985,0,null],[-1,48,null,488246262195785,0,null,[[11,"Stars"],[7,[1,2]]]],[0,23,null,624156584587712,0,null,[[2,["coinsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,880155764787016,22,[[19,46,null,0,false,false,false,193990905157565,null,[[4,50]]]],[[50,50,null,360642400759185,0,null,[[4,52],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[50,47,null,434905109936946,0,null],[0,23,null,478129052969449,0,null,[[2,["itempick",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,155115883432064,23,[[-1,21,null,0,false,false,false,850938769353860,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,51,null,0,false,false,false,725451482119673,null,[[0,[1,0.1]]]]],[[-1,48,null,590947366553879,0,null,[[11,"Score"],[7,[1,1]]]]]],[0,0,false,null,933319108286150,24,[[-1,21,null,0,false,false,false,501433097796293,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,697146965254931,null,[[11,"Rushspeed"],[8,0],[7,[1,0]]]]],[[26,52,null,939048998151722,0,null,[[0,[4,[20,26,53,false,null],[23,"GameSpeed"]]]]],[34,52,null,969055067061721,0,null,[[0,[4,[20,34,53,false,null],[23,"GameSpeed"]]]]],[35,52,null,927216966875438,0,null,[[0,[4,[20,35,53,false,null],[23,"GameSpeed"]]]]],[36,52,null,230949437803761,0,null,[[0,[4,[20,36,53,false,null],[23,"GameSpeed"]]]]],[37,52,null,701868386032152,0,null,[[0,[4,[20,37,53,false,null],[23,"GameSpeed"]]]]],[38,52,null,321934969584673,0,null,[[0,[4,[20,38,53,false,null],[23,"GameSpeed"]]]]],[41,52,null,958231014037503,0,null,[[0,[4,[20,41,53,false,null],[23,"GameSpeed"]]]]],[42,52,null,906184625763731,0,null,[[0,[4,[20,42,53,false,null],[23,"GameSpeed"]]]]],[43,52,null,986538064030091,0,null,[[0,[4,[20,43,53,false,null],[23,"GameSpeed"]]]]],[44,52,null,669948413516560,0,null,[[0,[4,[20,44,53,false,null],[23,"GameSpeed"]]]]],[45,52,null,295568143224649,0,null,[[0,[4,[20,45,53,false,null],[23,"GameSpeed"]]]]],[46,52,null,158961492273184,0,null,[[0,[4,[20,46,53,false,null],[23,"GameSpeed"]]]]],[48,52,null,957659842111350,0,null,[[0,[4,[20,48,53,false,null],[23,"GameSpeed"]]]]],[20,52,null,381519509050344,0,null,[[0,[4,[20,20,53,false,null],[23,"GameSpeed"]]]]],[49,52,null,479441916454904,0,null,[[0,[4,[20,49,53,false,null],[23,"GameSpeed"]]]]],[50,52,null,649361762213222,0,null,[[0,[4,[20,50,53,false,null],[23,"GameSpeed"]]]]],[53,52,null,869821066678941,0,null,[[0,[4,[20,53,53,false,null],[23,"GameSpeed"]]]]],[54,52,null,841521399601894,0,null,[[0,[4,[20,54,53,false,null],[23,"GameSpeed"]]]]]]],[0,0,false,null,243835408954444,25,[[-1,21,null,0,false,false,false,699928659377727,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,878250847175842,null,[[11,"Rushspeed"],[8,0],[7,[1,1]]]]],[[26,52,null,264043359367160,0,null,[[0,[4,[4,[20,26,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[34,52,null,787496456019638,0,null,[[0,[4,[4,[20,34,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[35,52,null,577626592115289,0,null,[[0,[4,[4,[20,35,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[36,52,null,147879954044642,0,null,[[0,[4,[4,[20,36,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[37,52,null,829933714791792,0,null,[[0,[4,[4,[20,37,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[38,52,null,107277252960332,0,null,[[0,[4,[4,[20,38,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[41,52,null,830118914938800,0,null,[[0,[4,[4,[20,41,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[42,52,null,699914854763433,0,null,[[0,[4,[4,[20,42,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[43,52,null,877679907504293,0,null,[[0,[4,[4,[20,43,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[44,52,null,649430518571377,0,null,[[0,[4,[4,[20,44,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[45,52,null,767670521263591,0,null,[[0,[4,[4,[20,45,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[46,52,null,485794307957107,0,null,[[0,[4,[4,[20,46,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[48,52,null,582386780790212,0,null,[[0,[4,[4,[20,48,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[20,52,null,500809250366312,0,null,[[0,[4,[4,[20,20,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[49,52,null,697918213682864,0,null,[[0,[4,[4,[20,49,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[50,52,null,882999811030133,0,null,[[0,[4,[4,[20,50,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[53,52,null,202379852312696,0,null,[[0,[4,[4,[20,53,53,false,null],[23,"GameSpeed"]],[1,1]]]]],[54,52,null,572085648569309,0,null,[[0,[4,[4,[20,54,53,false,null],[23,"GameSpeed"]],[1,1]]]]]]],[0,0,false,null,774578745027562,26,[[29,54,null,0,false,false,false,322686121527368,null]],[[29,47,null,377978354648006,0,null]]],[0,0,false,null,522896754559510,27,[[1,55,null,1,false,false,false,437722746144848,null,[[9,32]]],[-1,21,null,0,false,false,false,720557319638257,null,[[11,"Bullets"],[8,5],[7,[1,1]]]]],[[0,23,null,800114637063650,0,null,[[2,["shootsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,56,null,727629173739799,0,null,[[11,"Bullets"],[7,[1,1]]]],[19,50,null,109075723332614,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,456355135381805,2,null,[[0,[1,0.2]]]],[19,50,null,242641836655353,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,275755994958879,2,null,[[0,[1,0.2]]]],[19,50,null,572087565569064,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,253938821577464,2,null,[[0,[1,0.2]]]],[19,50,null,262425364713863,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,936732981812628,2,null,[[0,[1,0.2]]]],[19,50,null,330596354135970,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]]]],[0,0,false,null,393172784982942,28,[[3,57,null,1,false,false,false,434920175777371,null,[[4,27]]],[-1,21,null,0,false,false,false,455000260447356,null,[[11,"Bullets"],[8,5],[7,[1,1]]]]],[[0,23,null,398760098596232,0,null,[[2,["shootsound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,56,null,685102934779366,0,null,[[11,"Bullets"],[7,[1,1]]]],[19,50,null,286442019870308,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,297280462530129,2,null,[[0,[1,0.2]]]],[19,50,null,510185977465049,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,282839935256043,2,null,[[0,[1,0.2]]]],[19,50,null,284508144475515,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,520893793196621,2,null,[[0,[1,0.2]]]],[19,50,null,248979639765919,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[-1,40,null,729834517697816,2,null,[[0,[1,0.2]]]],[19,50,null,132928693740035,0,null,[[4,29],[5,[2,"Background2"]],[7,[1,0]],[16,false]]]]],[0,0,false,null,640564875166753,29,[[39,58,null,1,false,false,false,429710645647701,null,[[1,[2,"Default"]]]]],[[39,47,null,272754160190220,0,null]]],[0,0,false,null,445170174107477,30,[[40,58,null,1,false,false,false,426605699171500,null,[[1,[2,"Default"]]]]],[[40,47,null,149653085851052,0,null]]],[0,0,false,null,376423001233771,31,[[-1,21,null,0,false,false,false,680892374835940,null,[[11,"Score"],[8,4],[7,[23,"Highscore"]]]]],[[-1,24,null,550945224227037,0,null,[[11,"Highscore"],[7,[23,"Score"]]]]]],[0,0,false,null,218329253843136,32,[[91,59,null,0,false,false,false,884895446175901,null,[[8,4],[0,[1,1250]]]]],[[91,47,null,650021078526194,0,null]]],[0,0,false,null,358459867983620,33,[[-1,21,null,0,false,false,false,830536490533534,null,[[11,"Shield"],[8,0],[7,[1,1]]]]],[[21,60,null,404163959758613,0,null,[[3,1]]]]],[0,0,false,null,183867992640496,34,[[-1,21,null,0,false,false,false,239255921499517,null,[[11,"Shield"],[8,0],[7,[1,0]]]]],[[21,60,null,289788843109099,0,null,[[3,0]]]]],[0,0,false,null,685680970737928,35,[[-1,21,null,0,false,false,false,212170281765052,null,[[11,"Rushspeed"],[8,0],[7,[1,0]]]]],[[22,60,null,520399045884109,0,null,[[3,0]]]]],[0,0,false,null,226154287761758,36,[[-1,21,null,0,false,false,false,218817833230589,null,[[11,"Rushspeed"],[8,0],[7,[1,1]]]]],[[22,60,null,989745033866087,0,null,[[3,1]]]]],[0,0,false,null,510232263107561,37,[[-1,21,null,0,false,false,false,463935537649847,null,[[11,"Magnet"],[8,0],[7,[1,1]]]],[26,59,null,0,false,false,false,901429931312661,null,[[8,4],[0,[1,400]]]]],[[26,61,"CustomMovement",165448142241442,0,null,[[0,[1,2000]],[0,[20,19,62,false,null]],[0,[20,19,53,false,null]]]]]],[0,0,false,null,356127570609714,38,[[19,46,null,0,false,false,false,353861684180684,null,[[4,92]]],[-1,21,null,0,false,false,false,827102171968036,null,[[11,"Revive"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,780527632931001,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,886657212917976,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[19,47,null,361551745596877,0,null],[19,50,null,907037820610260,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,125105706548316,0,null,[[2,["raysound",false]],[3,0],[0,[3,[1,4]]],[1,[2,""]]]],[0,23,null,175743630014073,0,null,[[2,["explosionsound",false]],[3,0],[0,[3,[1,25]]],[1,[2,""]]]],[-1,24,null,577534904388786,0,null,[[11,"GameOver"],[7,[1,1]]]],[14,63,null,886646549661653,0,null,[[3,0]]],[15,63,null,640457511646644,0,null,[[3,0]]],[16,63,null,261012530792048,0,null,[[3,0]]],[24,60,null,284554120154133,0,null,[[3,0]]],[25,60,null,447350192173914,0,null,[[3,0]]]]],[0,0,false,null,772760094649778,39,[[19,46,null,0,false,false,false,465430209300651,null,[[4,93]]],[-1,21,null,0,false,false,false,744489799480993,null,[[11,"Revive"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,164777688861767,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,727985974682957,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[19,47,null,266432693808361,0,null],[19,50,null,523994475110413,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,937022394878374,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,24,null,835465885522693,0,null,[[11,"GameOver"],[7,[1,1]]]],[14,63,null,756700604588533,0,null,[[3,0]]],[15,63,null,428190905456094,0,null,[[3,0]]],[16,63,null,569511239665092,0,null,[[3,0]]],[24,60,null,862610376960707,0,null,[[3,0]]],[25,60,null,958874149681986,0,null,[[3,0]]]]],[0,0,false,null,103743122492702,40,[[19,46,null,0,false,false,false,339274662594254,null,[[4,92]]],[-1,21,null,0,false,false,false,365225256235618,null,[[11,"Revive"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,375935195812114,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,364197574852962,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[14,63,null,371881558643646,0,null,[[3,0]]],[15,63,null,312430051125079,0,null,[[3,0]]],[16,63,null,696705310318357,0,null,[[3,0]]],[24,60,null,871517630010350,0,null,[[3,0]]],[25,60,null,344573681720654,0,null,[[3,0]]],[19,47,null,304821530204129,0,null],[19,50,null,510918901930797,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,630396634178940,0,null,[[2,["raysound",false]],[3,0],[0,[3,[1,4]]],[1,[2,""]]]],[0,23,null,791880383228590,0,null,[[2,["explosionsound",false]],[3,0],[0,[3,[1,25]]],[1,[2,""]]]],[-1,40,null,140080475277422,2,null,[[0,[1,1]]]],[-1,20,null,865013378208790,0,null,[[4,19],[5,[2,"Game"]],[0,[1,244]],[0,[1,641]],[16,false]]],[-1,24,null,561260687392517,0,null,[[11,"Revive"],[7,[1,0]]]],[14,63,null,164071025060350,0,null,[[3,1]]],[15,63,null,804527966804607,0,null,[[3,1]]],[16,63,null,687443166372381,0,null,[[3,1]]],[24,60,null,216268119648650,0,null,[[3,1]]],[25,60,null,738930610258734,0,null,[[3,1]]]]],[0,0,false,null,247408594897993,41,[[19,46,null,0,false,false,false,750694414043988,null,[[4,93]]],[-1,21,null,0,false,false,false,851295673499678,null,[[11,"Revive"],[8,0],[7,[1,1]]]],[-1,21,null,0,false,false,false,443921931437941,null,[[11,"Shield"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,454851985683510,null,[[11,"Ramp"],[8,0],[7,[1,0]]]]],[[14,63,null,965595215673336,0,null,[[3,0]]],[15,63,null,537511417198294,0,null,[[3,0]]],[16,63,null,677780730919879,0,null,[[3,0]]],[24,60,null,330468332580336,0,null,[[3,0]]],[25,60,null,874084161821433,0,null,[[3,0]]],[19,47,null,500380428801476,0,null],[19,50,null,474967297801438,0,null,[[4,39],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[0,23,null,138041952483763,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,7]]],[1,[2,""]]]],[-1,40,null,372174983995013,2,null,[[0,[1,1]]]],[-1,20,null,759881336294594,0,null,[[4,19],[5,[2,"Game"]],[0,[1,244]],[0,[1,641]],[16,false]]],[-1,24,null,500683113311404,0,null,[[11,"Revive"],[7,[1,0]]]],[14,63,null,195188631907959,0,null,[[3,1]]],[15,63,null,208990191103073,0,null,[[3,1]]],[16,63,null,685347858980979,0,null,[[3,1]]],[24,60,null,698325866736408,0,null,[[3,1]]],[25,60,null,922517482358040,0,null,[[3,1]]]]],[0,0,false,null,658699230832833,42,[[29,46,null,0,false,false,false,549094040070889,null,[[4,34]]]],[[29,50,null,772752317284863,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,584897644209545,0,null],[34,64,null,699370654904657,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,359320321188810,43,[[29,46,null,0,false,false,false,678713350166659,null,[[4,35]]]],[[29,50,null,563775625441901,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,146056891781587,0,null],[35,64,null,925646566903134,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,283742123371185,44,[[29,46,null,0,false,false,false,271210550923533,null,[[4,44]]]],[[29,50,null,321280651257624,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,826931222152996,0,null],[44,64,null,819550791072690,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,556651717979863,45,[[29,46,null,0,false,false,false,352997118006595,null,[[4,45]]]],[[29,50,null,181674570369135,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,208882364094217,0,null],[45,64,null,393605893119823,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,335458472079121,46,[[29,46,null,0,false,false,false,439882392348434,null,[[4,47]]]],[[29,50,null,558192696515270,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,452750254597661,0,null],[47,64,null,125690767683629,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,451949691908491,47,[[29,46,null,0,false,false,false,291273304284095,null,[[4,49]]]],[[29,50,null,423295811576034,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[29,47,null,887620123024850,0,null],[49,64,null,535528200591882,0,null,[[10,0],[7,[1,1.5]]]]]],[0,0,false,null,376509920748130,48,[[34,65,null,0,false,false,false,241906356746369,null,[[10,0],[8,3],[7,[1,0]]]]],[[34,50,null,792332128014098,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[34,47,null,814233568037704,0,null],[0,23,null,855279099018050,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,562361547903296,49,[[35,65,null,0,false,false,false,350590143675917,null,[[10,0],[8,3],[7,[1,0]]]]],[[35,50,null,791964029826963,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[35,47,null,728536443661248,0,null],[0,23,null,522753948799499,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,263391721259682,50,[[49,65,null,0,false,false,false,123376358883309,null,[[10,0],[8,3],[7,[1,0]]]]],[[49,50,null,190302269084080,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[49,47,null,539241686418031,0,null],[0,23,null,738844950278817,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,934437459777626,51,[[47,65,null,0,false,false,false,146933878937990,null,[[10,0],[8,3],[7,[1,0]]]]],[[47,50,null,151119193265914,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[47,47,null,791600411439916,0,null],[0,23,null,395276429713168,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,363976445733949,52,[[44,65,null,0,false,false,false,449121466810168,null,[[10,0],[8,3],[7,[1,0]]]]],[[44,50,null,700851950711154,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[44,47,null,796733194583843,0,null],[0,23,null,762280514076300,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,925191483014568,53,[[45,65,null,0,false,false,false,311745163879820,null,[[10,0],[8,3],[7,[1,0]]]]],[[45,50,null,627535697209925,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[45,47,null,201542566436006,0,null],[0,23,null,335148669383202,0,null,[[2,["explosionsound2",false]],[3,0],[0,[3,[1,20]]],[1,[2,""]]]]]],[0,0,false,null,556133599968794,54,[[19,46,null,0,false,false,false,113169202223902,null,[[4,41]]]],[[19,50,null,905908257046498,0,null,[[4,40],[5,[2,"Game"]],[7,[1,0]],[16,false]]],[19,47,null,333775734375957,0,null],[-1,24,null,717841144907709,0,null,[[11,"GameOver"],[7,[1,1]]]]]],[0,0,false,null,859599972897898,55,[[19,46,null,0,false,false,false,124620798147568,null,[[4,46]]],[-1,30,null,0,false,false,false,308602949487882,null]],[[-1,24,null,208202795906447,0,null,[[11,"Ramp"],[7,[1,1]]]],[19,66,null,973754968161456,0,null,[[0,[1,1.05]]]],[-1,40,null,287651652128163,2,null,[[0,[1,0.05]]]],[19,66,null,397018477879151,0,null,[[0,[1,1.1]]]],[-1,40,null,297715218306974,2,null,[[0,[1,0.05]]]],[19,66,null,399055772584486,0,null,[[0,[1,1.15]]]],[-1,40,null,722669270911201,2,null,[[0,[1,0.05]]]],[19,66,null,776994034064276,0,null,[[0,[1,1.2]]]],[-1,40,null,385159965129346,2,null,[[0,[1,0.05]]]],[19,66,null,322302740215417,0,null,[[0,[1,1.25]]]],[-1,40,null,755420097324150,2,null,[[0,[1,0.05]]]],[19,66,null,452730896598576,0,null,[[0,[1,1.3]]]],[-1,40,null,300410643619435,2,null,[[0,[1,0.05]]]],[19,66,null,114909890229971,0,null,[[0,[1,1.35]]]],[-1,40,null,578036718229772,2,null,[[0,[1,0.05]]]],[19,66,null,740724693622869,0,null,[[0,[1,1.4]]]],[-1,40,null,823628288748181,2,null,[[0,[1,0.05]]]],[19,66,null,812942723333802,0,null,[[0,[1,1.45]]]],[-1,40,null,761087232742183,2,null,[[0,[1,0.05]]]],[19,66,null,890257873872511,0,null,[[0,[1,1.5]]]],[-1,40,null,890477247317756,2,null,[[0,[1,0.5]]]],[19,66,null,253795889000947,0,null,[[0,[1,1.45]]]],[-1,40,null,382861064797682,2,null,[[0,[1,0.05]]]],[19,66,null,127941124522629,0,null,[[0,[1,1.4]]]],[-1,40,null,605660356502398,2,null,[[0,[1,0.05]]]],[19,66,null,558313600807043,0,null,[[0,[1,1.35]]]],[-1,40,null,672633131765772,2,null,[[0,[1,0.05]]]],[19,66,null,623871216702880,0,null,[[0,[1,1.3]]]],[-1,40,null,727743532037769,2,null,[[0,[1,0.05]]]],[19,66,null,759826940102028,0,null,[[0,[1,1.25]]]],[-1,40,null,461782585556091,2,null,[[0,[1,0.05]]]],[19,66,null,653615653042671,0,null,[[0,[1,1.2]]]],[-1,40,null,146685584255588,2,null,[[0,[1,0.05]]]],[19,66,null,183574175727010,0,null,[[0,[1,1.15]]]],[-1,40,null,338732773802798,2,null,[[0,[1,0.05]]]],[19,66,null,563236061046987,0,null,[[0,[1,1]]]],[-1,40,null,923071582156814,2,null,[[0,[1,1]]]],[-1,24,null,163665214966184,0,null,[[11,"Ramp"],[7,[1,0]]]]]],[0,0,false,null,941584807853134,56,[[19,46,null,0,false,false,false,368433627487927,null,[[4,54]]],[-1,67,null,0,false,false,false,746369472133013,null,[[7,[19,68]],[8,0],[7,[2,"Level1"]]]]],[[-1,69,null,574157688980651,0,null,[[1,[19,49,[[2,"Level2"],[2,"Level3"],[2,"Level4"]]]]]]]],[0,0,false,null,930909254161294,57,[[19,46,null,0,false,false,false,748230462278422,null,[[4,54]]],[-1,67,null,0,false,false,false,862039311066893,null,[[7,[19,68]],[8,0],[7,[2,"Level2"]]]]],[[-1,69,null,708011284513117,0,null,[[1,[19,49,[[2,"Level1"],[2,"Level3"],[2,"Level4"]]]]]]]],[0,0,false,null,256468387313176,58,[[19,46,null,0,false,false,false,712511008870744,null,[[4,54]]],[-1,67,null,0,false,false,false,616415866902010,null,[[7,[19,68]],[8,0],[7,[2,"Level3"]]]]],[[-1,69,null,341896895742002,0,null,[[1,[19,49,[[2,"Level1"],[2,"Level2"],[2,"Level4"]]]]]]]],[0,0,false,null,178251159917901,59,[[19,46,null,0,false,false,false,917453311384789,null,[[4,54]]],[-1,67,null,0,false,false,false,278905704429004,null,[[7,[19,68]],[8,0],[7,[2,"Level4"]]]]],[[-1,69,null,208383650213423,0,null,[[1,[19,49,[[2,"Level1"],[2,"Level2"],[2,"Level3"]]]]]]]],[0,0,false,null,402771008471400,60,[[-1,21,null,0,false,false,false,422090855611657,null,[[11,"GameOver"],[8,0],[7,[1,1]]]]],[[-1,24,null,674730897204701,0,null,[[11,"GameStart"],[7,[1,0]]]],[91,47,null,372421949456444,0,null],[92,47,null,956750028154371,0,null],[93,47,null,500901224158321,0,null]]],[0,0,false,null,353857779485813,61,[[-1,17,null,0,false,false,false,538610976591182,null],[47,59,null,0,false,false,false,141344804311674,null,[[8,2],[0,[1,180]]]]],[[47,52,null,322408661435903,0,null,[[0,[4,[20,47,53,false,null],[1,5]]]]]]],[0,0,false,null,398830865988877,62,[[47,70,null,0,false,false,false,878512835234994,null],[-1,51,null,0,false,false,false,784434601080360,null,[[0,[1,2.5]]]]],[[47,50,null,786021968491072,0,null,[[4,48],[5,[2,"Background2"]],[7,[1,0]],[16,false]]],[0,23,null,210770315852647,0,null,[[2,["misilesound",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]]]],[0,0,false,null,559209825602487,63,[[-1,21,null,0,false,false,false,216145032557439,null,[[11,"GameStart"],[8,0],[7,[1,1]]]],[-1,51,null,0,false,false,false,598635748046897,null,[[0,[1,5]]]]],[[-1,48,null,601390440958801,0,null,[[11,"GameSpeed"],[7,[1,0.05]]]]]],[0,0,false,null,192710596594302,64,[[-1,21,null,0,false,false,false,693111167378318,null,[[11,"BoatSkin"],[8,0],[7,[1,0]]]]],[[19,71,null,567890203984691,0,null,[[1,[2,"bote1"]],[3,1]]]]],[0,0,false,null,197566742890075,65,[[-1,21,null,0,false,false,false,770913187719894,null,[[11,"BoatSkin"],[8,0],[7,[1,1]]]]],[[19,71,null,942396291751406,0,null,[[1,[2,"bote2"]],[3,1]]]]],[0,0,false,null,965263142806263,66,[[-1,21,null,0,false,false,false,786092398640001,null,[[11,"BoatSkin"],[8,0],[7,[1,2]]]]],[[19,71,null,484799564813575,0,null,[[1,[2,"bote3"]],[3,1]]]]],[0,0,false,null,469388277882620,67,[[-1,21,null,0,false,false,false,710613074142917,null,[[11,"BoatSkin"],[8,0],[7,[1,3]]]]],[[19,71,null,915333369779227,0,null,[[1,[2,"bote4"]],[3,1]]]]],[0,0,false,null,204885741669461,68,[[-1,21,null,0,false,false,false,743175629287499,null,[[11,"BoatSkin"],[8,0],[7,[1,4]]]]],[[19,71,null,773006603392505,0,null,[[1,[2,"bote5"]],[3,1]]]]],[0,0,false,null,833325387934627,69,[[19,38,null,1,false,false,false,109933281666822,null]],[[19,18,null,228193095457362,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,555346859801523,70,[[34,38,null,1,false,false,false,452868598598611,null]],[[34,18,null,566127830517334,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,799657717334301,71,[[35,38,null,1,false,false,false,542997435565356,null]],[[35,18,null,207127209748524,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,451436268830807,72,[[36,38,null,1,false,false,false,842840058776247,null]],[[36,18,null,989666127160953,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,814649995522989,73,[[37,38,null,1,false,false,false,879763208208058,null]],[[37,18,null,256033579203200,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,512905115147201,74,[[41,38,null,1,false,false,false,550610979769907,null]],[[41,18,null,823299251195491,0,null,[[5,[2,"Game"]]]]]],[0,0,false,null,793481478578818,75,[[42,38,null,1,false,false,false,569750678604609,null]],[[42,18,null,490522331476172,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,139278889491584,76,[[43,38,null,1,false,false,false,614490326598053,null]],[[43,18,null,446539475991285,0,null,[[5,[2,"Layer 0"]]]]]],[0,0,false,null,261613989673034,77,[[47,38,null,1,false,false,false,643865561989384,null]],[[47,18,null,736358742514984,0,null,[[5,[2,"Layer 0"]]]]]],[3,[true,"Boat Movement"],false,null,898777292911524,78,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"Boat Movement"]]]]],[],[[0,0,false,null,763769753164283,79,[[3,73,null,0,false,true,false,470062313053726,null],[19,70,null,0,false,false,false,975702719125819,null]],[[19,74,null,354419198907955,0,null,[[0,[1,0]]]]]],[3,[true,"bote1"],false,null,222356531468412,80,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote1"]]]]],[],[[0,0,false,null,751232599382784,81,[[1,75,null,0,false,false,false,498003005996023,null,[[9,39]]],[19,70,null,0,false,false,false,736282563667742,null],[19,76,null,0,false,false,false,783981551234134,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,436188280788809,null,[[8,3],[0,[1,380]]]]],[[19,78,null,757747748929018,0,null,[[0,[4,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,945067316473563,0,null,[[0,[1,10]]]]]],[0,0,false,null,846600637313764,82,[[1,75,null,0,false,false,false,620834575442719,null,[[9,37]]],[19,70,null,0,false,false,false,387340488667741,null],[19,76,null,0,false,false,false,401818551925523,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,263907054590425,null,[[8,5],[0,[1,102]]]]],[[19,78,null,411849992425097,0,null,[[0,[5,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,270992921314974,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,367912472804523,83,[[3,73,null,0,false,false,false,872291348646026,null],[-1,67,null,0,false,false,false,720131266406827,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,187340536340613,null],[19,76,null,0,false,false,false,460282090430099,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,710487078453401,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,298651298938750,null,[[4,27]]]],[[19,78,null,999534387334658,0,null,[[0,[4,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,573965671860164,0,null,[[0,[1,10]]]]]],[0,0,false,null,989710127669499,84,[[3,73,null,0,false,false,false,778466768159045,null],[-1,67,null,0,false,false,false,686238772838671,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,313283977000168,null],[19,76,null,0,false,false,false,520976131980091,null,[[1,[2,"bote1"]]]],[19,77,null,0,false,false,false,313781931307277,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,173062507658982,null,[[4,27]]]],[[19,78,null,809751313800170,0,null,[[0,[5,[20,19,62,false,null],[1,3.5]]]]],[19,74,null,643695334965206,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote2"],false,null,213251522952473,85,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote2"]]]]],[],[[0,0,false,null,724245949684751,86,[[1,75,null,0,false,false,false,723637135892710,null,[[9,39]]],[19,70,null,0,false,false,false,596228529433019,null],[19,76,null,0,false,false,false,679531516803477,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,148211274374351,null,[[8,3],[0,[1,380]]]]],[[19,78,null,423586063631287,0,null,[[0,[4,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,375952605756707,0,null,[[0,[1,10]]]]]],[0,0,false,null,140410119554986,87,[[1,75,null,0,false,false,false,316914785973801,null,[[9,37]]],[19,70,null,0,false,false,false,883089179393351,null],[19,76,null,0,false,false,false,232124002314589,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,415439794570992,null,[[8,5],[0,[1,102]]]]],[[19,78,null,283347416117974,0,null,[[0,[5,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,863302285532118,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,116671490745016,88,[[3,73,null,0,false,false,false,887861863434582,null],[-1,67,null,0,false,false,false,320769126993383,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,939792357576657,null],[19,76,null,0,false,false,false,464353473106359,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,909967330498527,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,399470281365172,null,[[4,27]]]],[[19,78,null,514018421370612,0,null,[[0,[4,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,355676913361358,0,null,[[0,[1,10]]]]]],[0,0,false,null,270263992965506,89,[[3,73,null,0,false,false,false,167444440926478,null],[-1,67,null,0,false,false,false,680436285148185,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,864633039503627,null],[19,76,null,0,false,false,false,175121066808047,null,[[1,[2,"bote2"]]]],[19,77,null,0,false,false,false,887379236577115,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,894915612702527,null,[[4,27]]]],[[19,78,null,252099613067269,0,null,[[0,[5,[20,19,62,false,null],[1,4.5]]]]],[19,74,null,968725212447558,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote3"],false,null,628374012284737,90,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote3"]]]]],[],[[0,0,false,null,817756094048166,91,[[1,75,null,0,false,false,false,115599783267081,null,[[9,39]]],[19,70,null,0,false,false,false,400140144390473,null],[19,76,null,0,false,false,false,741043090304978,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,154371816850375,null,[[8,3],[0,[1,380]]]]],[[19,78,null,215906749338097,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,162522097733104,0,null,[[0,[1,10]]]]]],[0,0,false,null,785822383394118,92,[[1,75,null,0,false,false,false,875127501849710,null,[[9,37]]],[19,70,null,0,false,false,false,618966992224950,null],[19,76,null,0,false,false,false,980887630916105,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,717109041733216,null,[[8,5],[0,[1,102]]]]],[[19,78,null,979222209602697,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,547344981180154,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,731538732073881,93,[[3,73,null,0,false,false,false,659538409451131,null],[-1,67,null,0,false,false,false,263533911745510,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,930508996166077,null],[19,76,null,0,false,false,false,288203810853483,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,584640168190045,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,419376854777802,null,[[4,27]]]],[[19,78,null,875240884165218,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,245931271483615,0,null,[[0,[1,10]]]]]],[0,0,false,null,633202842413607,94,[[3,73,null,0,false,false,false,334536573204486,null],[-1,67,null,0,false,false,false,114926801808411,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,522739047259368,null],[19,76,null,0,false,false,false,429435127507730,null,[[1,[2,"bote3"]]]],[19,77,null,0,false,false,false,120044670446937,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,548287374156238,null,[[4,27]]]],[[19,78,null,742088866349406,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,835094931211137,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote4"],false,null,237243156494486,95,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote4"]]]]],[],[[0,0,false,null,748279349111214,96,[[1,75,null,0,false,false,false,508764739799745,null,[[9,39]]],[19,70,null,0,false,false,false,788608407416587,null],[19,76,null,0,false,false,false,334229491069749,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,600653823953848,null,[[8,3],[0,[1,380]]]]],[[19,78,null,806092676014791,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,843296358078636,0,null,[[0,[1,10]]]]]],[0,0,false,null,640353173599763,97,[[1,75,null,0,false,false,false,981399493552458,null,[[9,37]]],[19,70,null,0,false,false,false,917942633262477,null],[19,76,null,0,false,false,false,145993611153009,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,228017912823351,null,[[8,5],[0,[1,102]]]]],[[19,78,null,206910171874606,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,745843860149882,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,916322341697646,98,[[3,73,null,0,false,false,false,598275589941560,null],[-1,67,null,0,false,false,false,978422264648212,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,312363803666243,null],[19,76,null,0,false,false,false,301740380064327,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,609671337473084,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,254946595220480,null,[[4,27]]]],[[19,78,null,824794844129296,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,447616288673138,0,null,[[0,[1,10]]]]]],[0,0,false,null,686910431760175,99,[[3,73,null,0,false,false,false,283365576584114,null],[-1,67,null,0,false,false,false,850918460334761,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,661805365040806,null],[19,76,null,0,false,false,false,213489611132308,null,[[1,[2,"bote4"]]]],[19,77,null,0,false,false,false,643724289398189,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,439826355164181,null,[[4,27]]]],[[19,78,null,686929777473268,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,632720776763844,0,null,[[0,[3,[1,10]]]]]]]]],[3,[true,"bote5"],false,null,287901041938628,100,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"bote5"]]]]],[],[[0,0,false,null,529867000686455,101,[[1,75,null,0,false,false,false,167113064103218,null,[[9,39]]],[19,70,null,0,false,false,false,760053279015755,null],[19,76,null,0,false,false,false,816967242867619,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,549075355360363,null,[[8,3],[0,[1,380]]]]],[[19,78,null,715400528947021,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,744544233608279,0,null,[[0,[1,10]]]]]],[0,0,false,null,840000729703913,102,[[1,75,null,0,false,false,false,656780521472683,null,[[9,37]]],[19,70,null,0,false,false,false,719146851848747,null],[19,76,null,0,false,false,false,772797037246170,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,203958104839023,null,[[8,5],[0,[1,102]]]]],[[19,78,null,633239837342668,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,550730587134106,0,null,[[0,[3,[1,10]]]]]]],[0,0,false,null,793745710689744,103,[[3,73,null,0,false,false,false,374004847846777,null],[-1,67,null,0,false,false,false,837989472341383,null,[[7,[20,3,79,false,null]],[8,5],[7,[1,239]]]],[19,70,null,0,false,false,false,737698381407593,null],[19,76,null,0,false,false,false,668628261463541,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,380957684513196,null,[[8,3],[0,[1,380]]]],[3,80,null,0,false,true,false,816139442945817,null,[[4,27]]]],[[19,78,null,699126302685330,0,null,[[0,[4,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,423244530488045,0,null,[[0,[1,10]]]]]],[0,0,false,null,694728534425066,104,[[3,73,null,0,false,false,false,865247068394687,null],[-1,67,null,0,false,false,false,983797936893175,null,[[7,[20,3,79,false,null]],[8,2],[7,[1,239]]]],[19,70,null,0,false,false,false,230320002027797,null],[19,76,null,0,false,false,false,151467690706739,null,[[1,[2,"bote5"]]]],[19,77,null,0,false,false,false,380853986548097,null,[[8,5],[0,[1,102]]]],[3,80,null,0,false,true,false,847919512038766,null,[[4,27]]]],[[19,78,null,713678571339791,0,null,[[0,[5,[20,19,62,false,null],[1,5.5]]]]],[19,74,null,226473946690568,0,null,[[0,[3,[1,10]]]]]]]]]]],[3,[true,"PowerUpcode"],false,null,413600158178149,105,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"PowerUpcode"]]]]],[],[[0,0,false,null,157447494178740,106,[[52,38,null,1,false,false,false,270088669343077,null],[52,70,null,0,false,false,false,888292573597779,null]],[[52,71,null,183271235110070,0,null,[[1,[19,49,[[2,"a1"],[2,"a2"],[2,"a3"],[2,"a4"],[2,"a5"],[2,"a6"],[2,"a7"],[2,"a8"],[2,"a9"],[2,"a10"]]]],[3,1]]]]],[0,0,false,null,739768158907968,107,[[52,38,null,1,false,false,false,245198393461340,null],[52,76,null,0,false,false,false,247898957915630,null,[[1,[2,"a1"]]]],[52,70,null,0,false,false,false,573638192843110,null]],[[-1,24,null,625736909876753,0,null,[[11,"Shield"],[7,[1,1]]]],[-1,40,null,832680182315365,2,null,[[0,[1,10]]]],[-1,24,null,575163901782445,0,null,[[11,"Shield"],[7,[1,0]]]]]],[0,0,false,null,273990601838150,108,[[52,38,null,1,false,false,false,259233117619062,null],[52,76,null,0,false,false,false,283042439244860,null,[[1,[2,"a2"]]]],[52,70,null,0,false,false,false,153493741418780,null]],[[-1,24,null,490303339906860,0,null,[[11,"Revive"],[7,[1,1]]]]]],[0,0,false,null,333590440658940,109,[[52,38,null,1,false,false,false,745807464662810,null],[52,76,null,0,false,false,false,144410785848828,null,[[1,[2,"a3"]]]],[52,70,null,0,false,false,false,593334323397463,null]],[[-1,24,null,961724600029096,0,null,[[11,"Rushspeed"],[7,[1,1]]]],[-1,40,null,416983866070812,2,null,[[0,[1,5]]]],[-1,24,null,656004933383787,0,null,[[11,"Rushspeed"],[7,[1,0]]]]]],[0,0,false,null,159544178400959,110,[[52,38,null,1,false,false,false,657299661319133,null],[52,76,null,0,false,false,false,162147543527387,null,[[1,[2,"a4"]]]],[52,70,null,0,false,false,false,659322359456373,null]],[[-1,24,null,948107491587909,0,null,[[11,"Magnet"],[7,[1,1]]]],[-1,40,null,883301053882813,2,null,[[0,[1,15]]]],[-1,24,null,736577556252826,0,null,[[11,"Magnet"],[7,[1,0]]]]]],[0,0,false,null,825894823978667,111,[[52,38,null,1,false,false,false,545046070410941,null],[52,76,null,0,false,false,false,853307202335750,null,[[1,[2,"a5"]]]],[52,70,null,0,false,false,false,405803140358530,null]],[[-1,24,null,247956513162148,0,null,[[11,"Coinsx2"],[7,[1,1]]]],[-1,40,null,231554128626432,2,null,[[0,[1,15]]]],[-1,24,null,834156190175320,0,null,[[11,"Coinsx2"],[7,[1,0]]]]]],[0,0,false,null,795027254364080,112,[[52,38,null,1,false,false,false,355388643210307,null],[52,76,null,0,false,false,false,776322696247702,null,[[1,[2,"a6"]]]],[52,70,null,0,false,false,false,312137888925835,null]],[[-1,48,null,523716262660602,0,null,[[11,"Coins"],[7,[1,100]]]]]],[0,0,false,null,310012923926907,113,[[52,38,null,1,false,false,false,836167996950415,null],[52,76,null,0,false,false,false,154387680515273,null,[[1,[2,"a7"]]]],[52,70,null,0,false,false,false,945823564065380,null]],[[-1,48,null,985757237665695,0,null,[[11,"Coins"],[7,[1,200]]]]]],[0,0,false,null,564914129342794,114,[[52,38,null,1,false,false,false,277453057555865,null],[52,76,null,0,false,false,false,156044780062731,null,[[1,[2,"a8"]]]],[52,70,null,0,false,false,false,238492779131754,null]],[[-1,48,null,928518619227150,0,null,[[11,"Coins"],[7,[1,500]]]]]],[0,0,false,null,435401232653600,115,[[52,38,null,1,false,false,false,767018762358127,null],[52,76,null,0,false,false,false,584569542750320,null,[[1,[2,"a9"]]]],[52,70,null,0,false,false,false,843922916377065,null]],[[-1,24,null,566850459128738,0,null,[[11,"Rushspeed"],[7,[1,1]]]],[-1,40,null,602660799911404,2,null,[[0,[1,5]]]],[-1,24,null,319846134423451,0,null,[[11,"Rushspeed"],[7,[1,0]]]]]],[0,0,false,null,765477451270107,116,[[52,38,null,1,false,false,false,714472419703306,null],[52,76,null,0,false,false,false,990287250386093,null,[[1,[2,"a10"]]]],[52,70,null,0,false,false,false,899763067685210,null]],[[-1,24,null,969590586612125,0,null,[[11,"StarsX2"],[7,[1,1]]]],[-1,40,null,541772376972189,2,null,[[0,[1,15]]]],[-1,24,null,487739426092947,0,null,[[11,"StarsX2"],[7,[1,0]]]]]]]]]],["Menu",[[3,[true,"ButtonMenu"],false,null,606514649957867,1,[[-1,72,null,0,false,false,false,0,false,[[1,[2,"ButtonMenu"]]]]],[]],[0,0,false,null,691743386123618,2,[[3,39,null,1,false,false,false,542380063098966,null,[[4,8]]]],[]],[0,0,false,null,513345735539551,3,[[3,39,null,1,false,false,false,807525751112850,null,[[4,86]]],[2,81,null,0,false,true,false,633743371766428,null]],[[2,82,null,350997482487149,0,null,[[3,0],[3,0]]]]],[0,0,false,null,249820122986974,4,[[3,39,null,1,false,false,false,421860012722864,null,[[4,86]]],[2,81,null,0,false,false,false,530455674191952,null]],[[2,83,null,879285644242891,0,null]]],[0,0,false,null,105173308576542,5,[[3,39,null,1,false,false,false,463650826261381,null,[[4,88]]],[88,76,null,0,false,false,false,172994207684130,null,[[1,[2,"unmute"]]]]],[[0,84,null,793344942837273,0,null,[[3,0]]],[-1,40,null,379295475421489,2,null,[[0,[1,0.1]]]],[88,71,null,850989348533624,0,null,[[1,[2,"mute"]],[3,1]]]]],[0,0,false,null,244439567862675,6,[[3,39,null,1,false,false,false,191959645887222,null,[[4,88]]],[88,76,null,0,false,false,false,595969149354121,null,[[1,[2,"mute"]]]]],[[0,84,null,910254547994210,0,null,[[3,1]]],[-1,40,null,110561974907342,2,null,[[0,[1,0.1]]]],[88,71,null,426658862268969,0,null,[[1,[2,"unmute"]],[3,1]]]]],[0,0,false,null,594145616377368,7,[[-1,19,null,1,false,false,false,279058709487966,null]],[[0,22,null,959114203551764,0,null],[0,23,null,506301447659593,0,null,[[2,["gameplaymusic",false]],[3,0],[0,[1,0]],[1,[2,""]]]],[2,87,null,454658685938715,0,null,[[1,[2,"Leaderboard.ShowButton()"]]]]]],[0,0,false,null,629454484420793,8,[[-1,19,null,1,false,false,false,513204845660731,null],[4,85,null,0,false,false,false,396751463814681,null,[[1,[2,"Coins"]]]]],[[-1,24,null,113520524091908,0,null,[[11,"Coins"],[7,[20,4,86,true,null,[[2,"Coins"]]]]]]]],[0,0,false,null,903801684814520,9,[[-1,19,null,1,false,false,false,728001962078137,null],[4,85,null,0,false,false,false,590486641354739,null,[[1,[2,"highscore"]]]]],[[-1,24,null,405674126970988,0,null,[[11,"Highscore"],[7,[20,4,86,true,null,[[2,"highscore"]]]]]]]],[0,0,false,null,286861242312923,10,[[-1,19,null,1,false,false,false,252261060242757,null],[4,85,null,0,false,false,false,463134283065895,null,[[1,[2,"stars"]]]]],[[-1,24,null,870465154825259,0,null,[[11,"Stars"],[7,[20,4,86,true,null,[[2,"stars"]]]]]]]],[0,0,false,null,222912189684507,11,[[-1,19,null,1,false,false,false,437185843980292,null],[4,85,null,0,false,false,false,235078381221334,null,[[1,[2,"Upgrade1"]]]]],[[-1,24,null,916657034764370,0,null,[[11,"Upgrade1"],[7,[20,4,86,true,null,[[2,"Upgrade1"]]]]]]]],[0,0,false,null,474917147348521,12,[[-1,19,null,1,false,false,false,139024257994828,null],[4,85,null,0,false,false,false,280292859883612,null,[[1,[2,"Upgrade2"]]]]],[[-1,24,null,850089037720881,0,null,[[11,"Upgrade2"],[7,[20,4,86,true,null,[[2,"Upgrade2"]]]]]]]],[0,0,false,null,509735202996451,13,[[-1,19,null,1,false,false,false,496741380342267,null],[4,85,null,0,false,false,false,658520122776225,null,[[1,[2,"Upgrade3"]]]]],[[-1,24,null,947563797318687,0,null,[[11,"Upgrade3"],[7,[20,4,86,true,null,[[2,"Upgrade3"]]]]]]]],[0,0,false,null,900957056187657,14,[[-1,19,null,1,false,false,false,330874904483951,null],[4,85,null,0,false,false,false,836063204699077,null,[[1,[2,"Upgrade4"]]]]],[[-1,24,null,364302972287128,0,null,[[11,"Upgrade4"],[7,[20,4,86,true,null,[[2,"Upgrade4"]]]]]]]],[0,0,false,null,862986798129742,15,[[-1,19,null,1,false,false,false,369210039622453,null],[4,85,null,0,false,false,false,504309616547168,null,[[1,[2,"skin"]]]]],[[-1,24,null,199247924316278,0,null,[[11,"BoatSkin"],[7,[20,4,86,true,null,[[2,"skin"]]]]]]]],[0,0,false,null,459956496752719,16,[[3,39,null,1,false,false,false,275094936594010,null,[[4,7]]]],[[-1,42,null,292133839831399,0,null,[[6,"Level1"]]],[-1,24,null,247838009764054,0,null,[[11,"Bullets"],[7,[1,3]]]]]],[0,0,false,null,248924843020034,17,[[3,39,null,1,false,false,false,647071589916718,null,[[4,9]]]],[[-1,42,null,716055849201696,0,null,[[6,"Shop"]]]]],[0,0,false,null,194591335041575,18,[[-1,17,null,0,false,false,false,366178700980350,null]],[[11,27,null,400684967886098,0,null,[[0,[4,[20,11,28,false,null],[1,4]]]]],[12,27,null,848812630214702,0,null,[[0,[4,[20,12,28,false,null],[1,5]]]]]]],[0,0,false,null,460787215820196,19,[[11,29,null,0,false,false,false,802505891563905,null,[[8,5],[0,[1,0]]]]],[[11,27,null,655420054969741,0,null,[[0,[3,[1,800]]]]]]],[0,0,false,null,550138829377252,20,[[12,29,null,0,false,false,false,760935250137105,null,[[8,5],[0,[1,0]]]]],[[12,27,null,510249075386450,0,null,[[0,[3,[1,800]]]]]]]]],["Shop",[[0,0,false,null,775298730830008,1,[[3,39,null,1,false,false,false,339686205492729,null,[[4,57]]],[-1,21,null,0,false,false,false,484057326981323,null,[[11,"Upgrade1"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,772625087490776,null,[[11,"Coins"],[8,5],[7,[1,1000]]]]],[[-1,56,null,618907003459917,0,null,[[11,"Coins"],[7,[1,1000]]]],[-1,24,null,797796962256970,0,null,[[11,"Upgrade1"],[7,[1,1]]]],[4,36,null,825330869770358,0,null,[[1,[2,"Upgrade1"]],[7,[23,"Upgrade1"]]]],[4,36,null,713929424725599,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,732142344848022,2,[[3,39,null,1,false,false,false,969817680023653,null,[[4,58]]],[-1,21,null,0,false,false,false,304849674382367,null,[[11,"Upgrade2"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,431476627684266,null,[[11,"Coins"],[8,5],[7,[1,3500]]]]],[[-1,56,null,813701123205467,0,null,[[11,"Coins"],[7,[1,3500]]]],[-1,24,null,466145032180547,0,null,[[11,"Upgrade2"],[7,[1,1]]]],[4,36,null,484627616415296,0,null,[[1,[2,"Upgrade2"]],[7,[23,"Upgrade2"]]]],[4,36,null,403839833650375,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,855961770065636,3,[[3,39,null,1,false,false,false,740464696974433,null,[[4,59]]],[-1,21,null,0,false,false,false,381736039362562,null,[[11,"Upgrade3"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,449092086756377,null,[[11,"Coins"],[8,5],[7,[1,7300]]]]],[[-1,56,null,522631785071131,0,null,[[11,"Coins"],[7,[1,7300]]]],[-1,24,null,626812318664311,0,null,[[11,"Upgrade3"],[7,[1,1]]]],[4,36,null,568723705878141,0,null,[[1,[2,"Upgrade3"]],[7,[23,"Upgrade3"]]]],[4,36,null,726977760413717,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,897835523236459,4,[[3,39,null,1,false,false,false,847034797962511,null,[[4,60]]],[-1,21,null,0,false,false,false,937906235391672,null,[[11,"Upgrade4"],[8,0],[7,[1,0]]]],[-1,21,null,0,false,false,false,624754319336732,null,[[11,"Coins"],[8,5],[7,[1,9999]]]]],[[-1,56,null,366894524228235,0,null,[[11,"Coins"],[7,[1,9999]]]],[-1,24,null,347412168778674,0,null,[[11,"Upgrade4"],[7,[1,1]]]],[4,36,null,806017914285622,0,null,[[1,[2,"Upgrade4"]],[7,[23,"Upgrade4"]]]],[4,36,null,167422166073577,0,null,[[1,[2,"Coins"]],[7,[23,"Coins"]]]]]],[0,0,false,null,930807989534381,5,[[3,39,null,1,false,false,false,773461779567417,null,[[4,82]]]],[[-1,24,null,866650799850615,0,null,[[11,"BoatSkin"],[7,[1,0]]]],[4,36,null,102802037450449,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,801098425466096,6,[[3,39,null,1,false,false,false,738467083059869,null,[[4,77]]],[-1,21,null,0,false,false,false,879083555425269,null,[[11,"Upgrade1"],[8,0],[7,[1,1]]]]],[[-1,24,null,565674931822497,0,null,[[11,"BoatSkin"],[7,[1,1]]]],[4,36,null,751979711860830,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,306046706988129,7,[[3,39,null,1,false,false,false,762489404274284,null,[[4,78]]],[-1,21,null,0,false,false,false,811004209059444,null,[[11,"Upgrade2"],[8,0],[7,[1,1]]]]],[[-1,24,null,919255000547815,0,null,[[11,"BoatSkin"],[7,[1,2]]]],[4,36,null,655778880833368,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,281375469935230,8,[[3,39,null,1,false,false,false,973055611169660,null,[[4,79]]],[-1,21,null,0,false,false,false,380013041575015,null,[[11,"Upgrade3"],[8,0],[7,[1,1]]]]],[[-1,24,null,916625308907139,0,null,[[11,"BoatSkin"],[7,[1,3]]]],[4,36,null,384934638313275,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,294927033040456,9,[[3,39,null,1,false,false,false,240688520632420,null,[[4,80]]],[-1,21,null,0,false,false,false,174691869461785,null,[[11,"Upgrade4"],[8,0],[7,[1,1]]]]],[[-1,24,null,365227484987480,0,null,[[11,"BoatSkin"],[7,[1,4]]]],[4,36,null,248001362760177,0,null,[[1,[2,"skin"]],[7,[23,"BoatSkin"]]]]]],[0,0,false,null,552864240913822,10,[[3,39,null,1,false,false,false,694598084556462,null,[[4,33]]]],[[-1,24,null,613686442398128,0,null,[[11,"Bullets"],[7,[1,3]]]],[-1,42,null,828213983791006,0,null,[[6,"Level1"]]]]],[0,0,false,null,899041803065143,11,[[3,39,null,1,false,false,false,490967925511998,null,[[4,88]]],[88,76,null,0,false,false,false,466480933579912,null,[[1,[2,"unmute"]]]]],[[0,84,null,992106938524674,0,null,[[3,0]]],[-1,40,null,571039313042104,2,null,[[0,[1,0.1]]]],[88,71,null,302051766895126,0,null,[[1,[2,"mute"]],[3,1]]]]],[0,0,false,null,749443952759857,12,[[3,39,null,1,false,false,false,422044030381393,null,[[4,88]]],[88,76,null,0,false,false,false,911467168788007,null,[[1,[2,"mute"]]]]],[[0,84,null,152017250749039,0,null,[[3,1]]],[-1,40,null,186604284333558,2,null,[[0,[1,0.1]]]],[88,71,null,549940004056887,0,null,[[1,[2,"unmute"]],[3,1]]]]],[0,0,false,null,606002804069263,13,[[-1,17,null,0,false,false,false,565120651485295,null]],[[61,43,null,100284265332917,0,null,[[7,[23,"Coins"]]]],[63,43,null,873594522374918,0,null,[[7,[23,"Stars"]]]]]],[0,0,false,null,805646663638833,14,[[-1,21,null,0,false,false,false,350291545026646,null,[[11,"Upgrade1"],[8,0],[7,[1,1]]]]],[[57,47,null,265422094415124,0,null],[66,47,null,840209692768644,0,null]]],[0,0,false,null,287867431858806,15,[[-1,21,null,0,false,false,false,626916517850431,null,[[11,"Upgrade2"],[8,0],[7,[1,1]]]]],[[58,47,null,936516214735759,0,null],[67,47,null,902451310052515,0,null]]],[0,0,false,null,384369682120455,16,[[-1,21,null,0,false,false,false,359832504041541,null,[[11,"Upgrade3"],[8,0],[7,[1,1]]]]],[[59,47,null,895293159286682,0,null],[68,47,null,871113567997430,0,null]]],[0,0,false,null,596397559423944,17,[[-1,21,null,0,false,false,false,227744685540116,null,[[11,"Upgrade4"],[8,0],[7,[1,1]]]]],[[60,47,null,512815850943976,0,null],[69,47,null,804800544941496,0,null]]],[0,0,false,null,971971101402455,18,[[-1,21,null,0,false,false,false,245887641104746,null,[[11,"BoatSkin"],[8,0],[7,[1,0]]]]],[[56,71,null,849945739383203,0,null,[[1,[2,"a1"]],[3,1]]]]],[0,0,false,null,991356823585352,19,[[-1,21,null,0,false,false,false,179072273339496,null,[[11,"BoatSkin"],[8,0],[7,[1,1]]]]],[[56,71,null,939788150184696,0,null,[[1,[2,"a2"]],[3,1]]]]],[0,0,false,null,316210877417208,20,[[-1,21,null,0,false,false,false,275117660642725,null,[[11,"BoatSkin"],[8,0],[7,[1,2]]]]],[[56,71,null,851283056456233,0,null,[[1,[2,"a3"]],[3,1]]]]],[0,0,false,null,869203617090501,21,[[-1,21,null,0,false,false,false,328298344985622,null,[[11,"BoatSkin"],[8,0],[7,[1,3]]]]],[[56,71,null,714190195349646,0,null,[[1,[2,"a4"]],[3,1]]]]],[0,0,false,null,637309924546211,22,[[-1,21,null,0,false,false,false,972695748550675,null,[[11,"BoatSkin"],[8,0],[7,[1,4]]]]],[[56,71,null,737868286672543,0,null,[[1,[2,"a5"]],[3,1]]]]],[0,0,false,null,107048961811234,23,[[-1,19,null,1,false,false,false,845142168726591,null]],[[0,22,null,147733384843901,0,null],[0,23,null,345980920310465,0,null,[[2,["shopmusic",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[2,87,null,529199084359579,0,null,[[1,[2,"Leaderboard.HideButton()"]]]]]]]]],[["coinsound",[["audio/ogg; codecs=vorbis",".ogg",12420],["audio/mp4",".m4a",10973]],false],["raysound",[["audio/ogg; codecs=vorbis",".ogg",12501],["audio/mp4",".m4a",11003]],false],["starsound",[["audio/ogg; codecs=vorbis",".ogg",8556],["audio/mp4",".m4a",6631]],false],["explosionsound",[["audio/ogg; codecs=vorbis",".ogg",12426],["audio/mp4",".m4a",12859]],false],["explosionsound2",[["audio/ogg; codecs=vorbis",".ogg",18961],["audio/mp4",".m4a",18371]],false],["itempick",[["audio/ogg; codecs=vorbis",".ogg",9145],["audio/mp4",".m4a",7097]],false],["misilesound",[["audio/ogg; codecs=vorbis",".ogg",11970],["audio/mp4",".m4a",13175]],false],["shopmusic",[["audio/ogg; codecs=vorbis",".ogg",397728],["audio/mp4",".m4a",541668]],false],["shootsound",[["audio/ogg; codecs=vorbis",".ogg",13209],["audio/mp4",".m4a",13021]],false],["gameplaymusic",[["audio/ogg; codecs=vorbis",".ogg",286838],["audio/mp4",".m4a",377384]],false]],"media/",false,480,800,4,true,true,true,"1.0",true,false,0,1,840,false,true,1,true,false,[],"icons/",[],true,"mq4njje893h0","fonts/",[],"high-performance",[],"standard","vsync","com.boatrush","loading-logo.png",false,0]}
\ No newline at end of file
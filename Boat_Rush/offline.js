@@ -1 +1 @@
-{"version":1747209565860,"fileList":["c2runtime.js","data.js","start.js","style.css","offlineclient.js","images/shared-0-sheet0.png","images/shared-0-sheet1.png","images/shared-0-sheet2.png","images/shared-0-sheet3.png","images/shared-1-sheet0.png","images/background-sheet0.png","images/foreground-sheet0.png","images/fireeffect-sheet0.png","images/explosioneffect-sheet0.png","images/explosioneffect-sheet1.png","images/explisioneffect2-sheet0.png","images/explisioneffect2-sheet1.png","images/explisioneffect2-sheet2.png","images/explosioneffect3-sheet0.png","images/explosioneffect3-sheet1.png","images/powerupsobj-sheet0.png","images/powerpick-sheet0.png","icons/icon-16.png","icons/icon-32.png","icons/icon-114.png","icons/icon-128.png","icons/icon-256.png","icons/loading-logo.png","media/coinsound.ogg","media/coinsound.m4a","media/raysound.ogg","media/raysound.m4a","media/starsound.ogg","media/starsound.m4a","media/explosionsound.ogg","media/explosionsound.m4a","media/explosionsound2.ogg","media/explosionsound2.m4a","media/itempick.ogg","media/itempick.m4a","media/misilesound.ogg","media/misilesound.m4a","media/shopmusic.ogg","media/shopmusic.m4a","media/shootsound.ogg","media/shootsound.m4a","media/gameplaymusic.ogg","media/gameplaymusic.m4a","register-sw.js"]}
\ No newline at end of file
+{"version":1792438918972,"fileList":["c2runtime.js","data.js","start.js","style.css","offlineclient.js","images/shared-0-sheet0.png","images/shared-0-sheet1.png","images/shared-0-sheet2.png","images/shared-0-sheet3.png","images/shared-1-sheet0.png","images/background-sheet0.png","images/foreground-sheet0.png","images/fireeffect-sheet0.png","images/explosioneffect-sheet0.png","images/explosioneffect-sheet1.png","images/explisioneffect2-sheet0.png","images/explisioneffect2-sheet1.png","images/explisioneffect2-sheet2.png","images/explosioneffect3-sheet0.png","images/explosioneffect3-sheet1.png","images/powerupsobj-sheet0.png","images/powerpick-sheet0.png","icons/icon-16.png","icons/icon-32.png","icons/icon-114.png","icons/icon-128.png","icons/icon-256.png","icons/loading-logo.png","media/coinsound.ogg","media/coinsound.m4a","media/raysound.ogg","media/raysound.m4a","media/starsound.ogg","media/starsound.m4a","media/explosionsound.ogg","media/explosionsound.m4a","media/explosionsound2.ogg","media/explosionsound2.m4a","media/itempick.ogg","media/itempick.m4a","media/misilesound.ogg","media/misilesound.m4a","media/shopmusic.ogg","media/shopmusic.m4a","media/shootsound.ogg","media/shootsound.m4a","media/gameplaymusic.ogg","media/gameplaymusic.m4a","register-sw.js","../shared/scorequeue.js","../shared/config.js","../shared/gamefunctions.js","../shared/hostbridge.js","../shared/pause.js","../shared/launchcontext.js","../shared/devicemetadata.js","../shared/auth.js","../shared/scoreclient.js","../shared/scoresession.js","../shared/leaderboard.js"]}
\ No newline at end of file
@@ -36651,7 +36651,8 @@ cr.getObjectRefTable = function () {
 		cr.plugins_.Browser.prototype.acts.CancelFullScreen,
 		cr.plugins_.Audio.prototype.acts.SetSilent,
 		cr.plugins_.WebStorage.prototype.cnds.LocalStorageExists,
-		cr.plugins_.WebStorage.prototype.exps.LocalValue
+		cr.plugins_.WebStorage.prototype.exps.LocalValue,
+		cr.plugins_.Browser.prototype.acts.ExecJs
 	];
 };
 	self.C3_JsPropNameTable = [
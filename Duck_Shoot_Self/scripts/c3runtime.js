@@ -1454,16 +1454,15 @@ self.C3_ExpressionFuncs = [
 		() => "Authorization",
 		() => "not_start",
 		p => {
-			const v0 = p._GetNode(0).GetVar();
+			const f0 = p._GetNode(0).GetBoundMethod();
 			const v1 = p._GetNode(1).GetVar();
-			const v2 = p._GetNode(2).GetVar();
-			const f3 = p._GetNode(3).GetBoundMethod();
-			const f4 = p._GetNode(4).GetBoundMethod();
-			const f5 = p._GetNode(5).GetBoundMethod();
-			return () => (and((((and((and((and((and("{\n  \"gameKey\": \"DuckShoot\",\n  \"level\": 1,\n  \"score\": ", v0.GetValue()) + ",\n  \"campaign_id\": "), v1.GetValue()) + ",\n  \"game_id\": "), v2.GetValue()) + ",\n  \"timestamp\": \""), f3("new Date().toISOString()")) + "\",\n  \"metadata\": {\n    \"platform\": \"") + f4()) + "\",\n    \"device\": \""), f5("\n      let ua = navigator.userAgent;\n      if (/Android/.test(ua)) {\n          let match = ua.match(/SM-[A-Z0-9]+|ONEPLUS [A-Z0-9]+|M2007J3SG|Redmi Note [0-9]+|Mi [A-Z0-9]+/i);\n          return match ? match[0] : 'Unknown Android';\n      } else if (/iPhone/.test(ua)) {\n          return 'iPhone (Exact model hidden by Apple)';\n      } else {\n          return 'Unknown Device';\n      }\n    ")) + "\"\n  }\n}");
+			return () => f0((and("ScoreClient.BuildBody(", v1.GetValue()) + ")"));
 		},
 		() => "high_score",
-		() => "https://api.thephoenixguild.com/api/userScore",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.GetEndpoint()");
+		},
 		() => "POST",
 		() => 960,
 		() => 670,
@@ -1532,7 +1531,46 @@ self.C3_ExpressionFuncs = [
 		},
 		() => -10000,
 		() => "Facebook",
-		() => "Twitter"
+		() => "Twitter",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("PlayerAuth.GetState()");
+		},
+		() => "PlayerAuth.LoginWithProvider(\"google\").catch(() => GameFunctions.Call(\"OnAuthFailed\", [PlayerAuth.GetLastError()]))",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("PlayerAuth.IsSignedIn()");
+		},
+		() => "PlayerAuth.Logout()",
+		() => "PlayerAuth.Login(document.getElementById(\"username\").value, document.getElementById(\"password\").value).catch(() => GameFunctions.Call(\"OnAuthFailed\", [PlayerAuth.GetLastError()]))",
+		() => "signed-in",
+		() => "Log out",
+		() => 64,
+		() => 152,
+		() => 108,
+		() => "Log in",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.GetToken()");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.CanSubmit()");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetStat(\"Score\", ", v0.GetValue()) + ")");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetStat(\"Time\", ", v0.GetValue()) + ")");
+		},
+		() => "Leaderboard.ShowButton()",
+		() => "Leaderboard.HideButton()",
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("Leaderboard.SetLocalBest(", v0.GetValue()) + ")");
+		}
 ];
 
 
@@ -1565,18 +1565,19 @@ self.C3_ExpressionFuncs = [
 		() => "application/json",
 		() => "Authorization",
 		p => {
-			const v0 = p._GetNode(0).GetVar();
-			return () => ("Bearer " + v0.GetValue());
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.GetToken()");
 		},
 		p => {
-			const v0 = p._GetNode(0).GetVar();
-			const f1 = p._GetNode(1).GetBoundMethod();
-			const f2 = p._GetNode(2).GetBoundMethod();
-			const f3 = p._GetNode(3).GetBoundMethod();
-			return () => (and((((and((and("{\n  \"gameKey\": \"DuckShoot\",\n  \"level\": 1,\n  \"score\": ", v0.GetValue()) + ",\n  \"timestamp\": \""), f1("new Date().toISOString()")) + "\",\n  \"metadata\": {\n    \"platform\": \"") + f2()) + "\",\n    \"device\": \""), f3("\n      let ua = navigator.userAgent;\n      if (/Android/.test(ua)) {\n          let match = ua.match(/SM-[A-Z0-9]+|ONEPLUS [A-Z0-9]+|M2007J3SG|Redmi Note [0-9]+|Mi [A-Z0-9]+/i);\n          return match ? match[0] : 'Unknown Android';\n      } else if (/iPhone/.test(ua)) {\n          return 'iPhone (Exact model hidden by Apple)';\n      } else {\n          return 'Unknown Device';\n      }\n    ")) + "\"\n  }\n}");
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((and("ScoreClient.BuildBody(", v1.GetValue()) + ")"));
 		},
 		() => "high_score",
-		() => "https://51.20.122.168/api/userScore",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.GetEndpoint()");
+		},
 		() => "POST",
 		() => "not_start",
 		() => 960,
@@ -1633,7 +1634,42 @@ self.C3_ExpressionFuncs = [
 		},
 		() => -10000,
 		() => "Facebook",
-		() => "Twitter"
+		() => "Twitter",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("PlayerAuth.GetState()");
+		},
+		() => "PlayerAuth.LoginWithProvider(\"google\").catch(() => GameFunctions.Call(\"OnAuthFailed\", [PlayerAuth.GetLastError()]))",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("PlayerAuth.IsSignedIn()");
+		},
+		() => "PlayerAuth.Logout()",
+		() => "PlayerAuth.Login(document.getElementById(\"username\").value, document.getElementById(\"password\").value).catch(() => GameFunctions.Call(\"OnAuthFailed\", [PlayerAuth.GetLastError()]))",
+		() => "signed-in",
+		() => "Log out",
+		() => 64,
+		() => 152,
+		() => 108,
+		() => "Log in",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.CanSubmit()");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetStat(\"Score\", ", v0.GetValue()) + ")");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetStat(\"Time\", ", v0.GetValue()) + ")");
+		},
+		() => "Leaderboard.ShowButton()",
+		() => "Leaderboard.HideButton()",
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("Leaderboard.SetLocalBest(", v0.GetValue()) + ")");
+		}
 ];
 
 
@@ -74,4 +74,4 @@ self["${t}"]();`,document.head.appendChild(r)}):new Promise((e,t)=>{r.onload=e,r
 "use strict";{const a="text-input";function StopPropagation(t){t.stopPropagation()}function StopKeyPropagation(t){13!==t.which&&27!==t.which&&t.stopPropagation()}const b=class extends self.DOMElementHandler{constructor(t){super(t,a),this.AddDOMElementMessageHandler("scroll-to-bottom",t=>this._OnScrollToBottom(t))}CreateElement(e,t){let o;const n=t["type"];return"textarea"===n?(o=document.createElement("textarea")).style.resize="none":(o=document.createElement("input")).type=n,o.style.position="absolute",o.autocomplete="off",o.addEventListener("pointerdown",StopPropagation),o.addEventListener("pointermove",StopPropagation),o.addEventListener("pointerrawupdate",StopPropagation),o.addEventListener("pointerup",StopPropagation),o.addEventListener("mousedown",StopPropagation),o.addEventListener("mouseup",StopPropagation),o.addEventListener("keydown",StopKeyPropagation),o.addEventListener("keyup",StopKeyPropagation),o.addEventListener("click",t=>{t.stopPropagation(),this._PostToRuntimeElementMaybeSync("click",e)}),o.addEventListener("dblclick",t=>{t.stopPropagation(),this._PostToRuntimeElementMaybeSync("dblclick",e)}),o.addEventListener("input",()=>this.PostToRuntimeElement("change",e,{"text":o.value})),t["id"]&&(o.id=t["id"]),t["className"]&&(o.className=t["className"]),this.UpdateState(o,t),o}UpdateState(t,e){t.value=e["text"],t.placeholder=e["placeholder"],t.title=e["title"],t.disabled=!e["isEnabled"],t.readOnly=e["isReadOnly"],t.spellcheck=e["spellCheck"];const o=e["maxLength"];o<0?t.removeAttribute("maxlength"):t.setAttribute("maxlength",o)}_OnScrollToBottom(t){t.scrollTop=t.scrollHeight}};self.RuntimeInterface.AddDOMHandlerClass(b)}
 
 // start-export.js
-"use strict";if(window["C3_Is_Supported"]){const a=true;window["c3_runtimeInterface"]=new self.RuntimeInterface({useWorker:a,workerMainUrl:"workermain.js",runtimeScriptList:["scripts/c3main.js"],scriptFolder:"scripts/",exportType:"html5"})}
+"use strict";if(window["C3_Is_Supported"]){const a=false;window["c3_runtimeInterface"]=new self.RuntimeInterface({useWorker:a,workerMainUrl:"workermain.js",runtimeScriptList:["scripts/c3main.js"],scriptFolder:"scripts/",exportType:"html5"})}
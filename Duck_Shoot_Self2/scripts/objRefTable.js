@@ -99,7 +99,13 @@ self.C3_GetObjectRefTable = function () {
 		C3.Plugins.AJAX.Acts.Request,
 		C3.Plugins.XML.Acts.Load,
 		C3.Plugins.XML.Exps.StringValue,
-		C3.Plugins.Browser.Acts.GoToURLWindow
+		C3.Plugins.Browser.Acts.GoToURLWindow,
+		C3.Plugins.System.Cnds.Compare,
+		C3.Plugins.TextBox.Acts.SetY,
+		C3.Plugins.Button.Acts.SetY,
+		C3.Plugins.Button.Acts.SetText,
+		C3.Plugins.TextBox.Acts.SetText,
+		C3.Plugins.Browser.Acts.Alert
 	];
 };
 self.C3_JsPropNameTable = [
@@ -195,7 +201,9 @@ self.C3_JsPropNameTable = [
 	{facebookShare: 0},
 	{facebook_message: 0},
 	{twitterShare: 0},
-	{twitter_message: 0}
+	{twitter_message: 0},
+	{state: 0},
+	{message: 0}
 ];
 
 self.InstanceType = {
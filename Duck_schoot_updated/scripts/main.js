@@ -59,4 +59,4 @@
 "use strict";{const e="text-input";function t(e){e.stopPropagation()}function n(e){13!==e.which&&27!==e.which&&e.stopPropagation()}const s=class extends self.DOMElementHandler{constructor(t){super(t,e),this.AddDOMElementMessageHandler("scroll-to-bottom",(e=>this._OnScrollToBottom(e)))}CreateElement(e,s){let o;const a=s["type"];return"textarea"===a?(o=document.createElement("textarea"),o.style.resize="none"):(o=document.createElement("input"),o.type=a),o.style.position="absolute",o.autocomplete="off",o.addEventListener("pointerdown",t),o.addEventListener("pointerrawupdate",t),o.addEventListener("pointerup",t),o.addEventListener("mousedown",t),o.addEventListener("mouseup",t),o.addEventListener("keydown",n),o.addEventListener("keyup",n),o.addEventListener("click",(t=>{t.stopPropagation(),this._PostToRuntimeElementMaybeSync("click",e)})),o.addEventListener("dblclick",(t=>{t.stopPropagation(),this._PostToRuntimeElementMaybeSync("dblclick",e)})),o.addEventListener("input",(()=>this.PostToRuntimeElement("change",e,{"text":o.value}))),s["id"]&&(o.id=s["id"]),s["className"]&&(o.className=s["className"]),this.UpdateState(o,s),o}UpdateState(e,t){e.value=t["text"],e.placeholder=t["placeholder"],e.title=t["title"],e.disabled=!t["isEnabled"],e.readOnly=t["isReadOnly"],e.spellcheck=t["spellCheck"];const n=t["maxLength"];n<0?e.removeAttribute("maxlength"):e.setAttribute("maxlength",n)}_OnScrollToBottom(e){e.scrollTop=e.scrollHeight}};self.RuntimeInterface.AddDOMHandlerClass(s)}
 
 // start-export.js
-"use strict";if(window["C3_IsSupported"]){const e=true;window["c3_runtimeInterface"]=new self.RuntimeInterface({useWorker:e,workerMainUrl:"workermain.js",runtimeScriptList:["scripts/c3main.js"],scriptFolder:"scripts/",exportType:"html5"})}
+"use strict";if(window["C3_IsSupported"]){const e=false;window["c3_runtimeInterface"]=new self.RuntimeInterface({useWorker:e,workerMainUrl:"workermain.js",runtimeScriptList:["scripts/c3main.js"],scriptFolder:"scripts/",exportType:"html5"})}
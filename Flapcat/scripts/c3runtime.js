@@ -3288,7 +3288,8 @@ inst.GetBehaviorInstanceFromCtor(C3.Behaviors.scrollto);if(!behInst||!behInst.Ge
 		C3.Plugins.AJAX.Exps.LastData,
 		C3.Plugins.XML.Exps.StringValue,
 		C3.Plugins.Sprite.Acts.SetVisible,
-		C3.Plugins.Browser.Acts.GoToURLWindow
+		C3.Plugins.Browser.Acts.GoToURLWindow,
+		C3.Plugins.Browser.Acts.ExecJs
 		];
 	};
 	self.C3_JsPropNameTable = [
@@ -3552,7 +3553,9 @@ inst.GetBehaviorInstanceFromCtor(C3.Behaviors.scrollto);if(!behInst||!behInst.Ge
 		},
 		() => -10000,
 		() => "Facebook",
-		() => "Twitter"
+		() => "Twitter",
+		() => "GamePause.HideButton()",
+		() => "GamePause.ShowButton()"
 	];
 }
 
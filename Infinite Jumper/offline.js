@@ -1 +1 @@
-{"version":1740137942622,"fileList":["c2runtime.js","data.js","start.js","style.css","offlineclient.js","images/shared-0-sheet0.png","images/shared-0-sheet1.png","images/shared-0-sheet2.png","images/shared-0-sheet3.png","images/playerball-sheet0.png","icons/icon-16.png","icons/icon-32.png","icons/icon-114.png","icons/icon-128.png","icons/loading-logo.png","icons/icon-256.png","media/bounce.ogg","media/bounce.m4a","media/death.ogg","media/death.m4a","media/elevator.ogg","media/elevator.m4a","media/explosion.ogg","media/explosion.m4a","media/warpdrive_01.ogg","media/warpdrive_01.m4a","media/menumusic.ogg","media/menumusic.m4a","media/music.ogg","media/music.m4a","register-sw.js"]}
\ No newline at end of file
+{"version":1792438919106,"fileList":["c2runtime.js","data.js","start.js","style.css","offlineclient.js","images/shared-0-sheet0.png","images/shared-0-sheet1.png","images/shared-0-sheet2.png","images/shared-0-sheet3.png","images/playerball-sheet0.png","icons/icon-16.png","icons/icon-32.png","icons/icon-114.png","icons/icon-128.png","icons/loading-logo.png","icons/icon-256.png","media/bounce.ogg","media/bounce.m4a","media/death.ogg","media/death.m4a","media/elevator.ogg","media/elevator.m4a","media/explosion.ogg","media/explosion.m4a","media/warpdrive_01.ogg","media/warpdrive_01.m4a","media/menumusic.ogg","media/menumusic.m4a","media/music.ogg","media/music.m4a","register-sw.js","../shared/scorequeue.js","../shared/config.js","../shared/gamefunctions.js","../shared/hostbridge.js","../shared/pause.js","../shared/launchcontext.js","../shared/devicemetadata.js","../shared/auth.js","../shared/scoreclient.js","../shared/scoresession.js","../shared/leaderboard.js"]}
\ No newline at end of file
@@ -1 +1 @@
-{"project":["Infinite Jumper","MainMenu",[[0,false,true,true,true,true,true,true,true,false,false,false,false,true,true],[6,false,true,true,false,true,true,true,true,true,false,false,false,true,false],[10,false,true,true,true,true,true,true,true,false,false,false,false,true,true],[12,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[13,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[14,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[15,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[16,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[17,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[18,false,true,true,true,false,false,false,false,false,true,false,false,false,false]],[["c1",0,false,[],1,0,null,[["Default",5,false,1,0,false,943515063577773,[["images/shared-0-sheet0.png",379512,1537,1025,400,400,1,0.5,0.5,[],[0.5,-0.5,0.5,0.5,-0.5,0.5,-0.5,-0.5],0]]]],[["Rotate",1,430519331385644,0]],false,false,634218885501229,[],null,1,null],["c2",0,false,[],1,0,null,[["Default",5,false,1,0,false,727308893529968,[["images/shared-0-sheet2.png",309345,910,1,300,300,1,0.5,0.5,[],[-0.343333,-0.343333,0,0.40333300000000005,-0.286667,0.286667,-0.4033333,0,0.343333,0.343333,0,0.48666699999999996,-0.343333,0.343333,-0.4866667,0],0]]]],[["Rotate",1,820643087695924,0]],false,false,259512698851009,[],null,2,null],["c3",0,false,[],1,0,null,[["Default",5,false,1,0,false,529656068290550,[["images/shared-0-sheet2.png",309345,1816,1,220,220,1,0.5,0.5,[],[0.281818,0.281818,0,0.4,0.35,-0.35,0.49090900000000004,0,0.35,0.35,0,0.49090900000000004,-0.35,0.35,0.4,0],0]]]],[["Rotate",1,848271912207999,0]],false,false,271131838746770,[],null,3,null],["c4",0,false,[],1,0,null,[["Default",5,false,1,0,false,201060694719900,[["images/shared-0-sheet2.png",309345,1813,513,150,150,1,0.5,0.5,[],[-0.346667,-0.346667,0,0.353333,-0.24666700000000003,0.24666699999999997,0.45999999999999996,0,0.34666699999999995,0.34666699999999995,0,0.48666699999999996,-0.346667,0.34666699999999995,-0.4866667,0],0]]]],[["Rotate",1,833408586220752,0]],false,false,750657965955833,[],null,4,null],["smallPlayBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,522059978155582,[["images/shared-0-sheet3.png",9596,210,193,36,39,1,0.5,0.512821,[],[-0.388889,-0.410257,0,-0.43589789999999995,0.25,-0.28205199999999997,0.47222200000000003,-0.025641999999999998,0.25,0.25641,0,0.41025600000000007,-0.388889,0.38461500000000004,-0.4722222,-0.025641999999999998],0]]]],[],false,false,869113004968880,[],null,5,null],["topLeft",0,false,[],2,0,null,[["Default",0,false,1,0,false,725314601970940,[["images/shared-0-sheet2.png",309345,809,1793,200,200,1,1,1,[],[-0.62,-0.575,0,-0.81,-0.0050000000000000044,-0.71,-0.28,-0.65,-0.5625,-0.4,-0.71875,-0.010000000000000009,-0.8,-0.010000000000000009],0],["images/shared-0-sheet2.png",309345,607,1793,200,200,1,1,1,[],[-0.6912499999999999,-0.42874999999999996,-0.31249899999999997,-0.725,-0.27,-0.655,-0.45999999999999996,-0.5225,-0.635,-0.31999999999999995,-0.7,-0.0050000000000000044,-0.79125,-0.0024999999999999467],0],["images/shared-0-sheet2.png",309345,405,1793,200,200,1,1,1,[],[-0.40625,-0.69875,-0.0050000000000000044,-0.8025,-0.0050000000000000044,-0.7,-0.25249999999999995,-0.6525000000000001,-0.46499999999999997,-0.52,-0.6599999999999999,-0.265,-0.72125,-0.33999999999999997],0],["images/shared-0-sheet2.png",309345,203,1793,200,200,1,1,1,[],[-0.5825,-0.54375,-0.342499,-0.72375,-0.28500000000000003,-0.7,-0.272501,-0.6525000000000001,-0.46499999999999997,-0.52,-0.6599999999999999,-0.265,-0.7262500000000001,-0.32625000000000004],0],["images/shared-0-sheet2.png",309345,1,1793,200,200,1,1,1,[],[-0.5725,-0.795,-0.286249,-0.7825,-0.28874999999999995,-0.70875,-0.57125,-0.6837500000000001,-0.68625,-0.57375,-0.69625,0,-0.7975,0,-0.7887500000000001,-0.575],0],["images/shared-0-sheet2.png",309345,1819,1537,200,200,1,1,1,[],[-0.5725,-0.795,-0.286249,-0.7825,-0.28874999999999995,-0.70875,-0.57125,-0.6837500000000001,-0.68625,-0.57375,-0.69625,0,-0.7975,0,-0.7887500000000001,-0.575],0],["images/shared-0-sheet2.png",309345,1617,1537,200,200,1,1,1,[],[-0.5725,-0.795,-0.286249,-0.7825,-0.28874999999999995,-0.70875,-0.57125,-0.6837500000000001,-0.68625,-0.57375,-0.7025,-0.28500000000000003,-0.77625,-0.27875000000000005,-0.7887500000000001,-0.575],0]]]],[["Rotate",1,843874613831159,0],["Pin",2,488492443325989,6]],false,false,541468352098797,[],null,7,null],["topRight",0,false,[],2,0,null,[["Default",0,false,1,0,false,205404583728070,[["images/shared-0-sheet2.png",309345,1415,1537,200,200,1,0,1,[],[0,-0.794375,0.59,-0.595,0.8175,0,0.72,0,0.615,-0.365,0.35125,-0.6174999999999999,0,-0.69375],0],["images/shared-0-sheet2.png",309345,1213,1537,200,200,1,0,1,[],[0.3175,-0.721875,0.675,-0.45499999999999996,0.804687,0,0.704375,0,0.6575,-0.26875000000000004,0.50125,-0.495,0.28,-0.6525000000000001],0],["images/shared-0-sheet2.png",309345,1011,1537,200,200,1,0,1,[],[0,-0.796875,0.499999,-0.63375,0.728437,-0.30125,0.660624,-0.26875000000000004,0.534999,-0.46125099999999997,0.29375,-0.6387499999999999,0.00124994,-0.6975],0],["images/shared-0-sheet2.png",309345,809,1537,200,200,1,0,1,[],[0.35125,-0.715625,0.67125,-0.43875,0.728437,-0.30125,0.660624,-0.26875000000000004,0.496249,-0.501251,0.29375,-0.6387499999999999,0.29375,-0.7050000000000001],0],["images/shared-0-sheet2.png",309345,607,1537,200,200,1,0,1,[],[0.29375,-0.70375,0.295,-0.78375,0.623749,-0.76875,0.79875,-0.54375,0.8,0,0.7075,-0.0012499999999999734,0.70125,-0.5525,0.596876,-0.681875],0],["images/shared-0-sheet2.png",309345,405,1537,200,200,1,0,1,[],[0.29375,-0.70375,0.295,-0.78375,0.623749,-0.76875,0.79875,-0.54375,0.7925,-0.28,0.71375,-0.28374999999999995,0.70125,-0.5525,0.596876,-0.681875],0],["images/shared-0-sheet2.png",309345,203,1537,200,200,1,0,1,[],[0.29375,-0.70375,0.295,-0.78375,0.623749,-0.76875,0.79875,-0.54375,0.7925,-0.28,0.71375,-0.28374999999999995,0.70125,-0.5525,0.596876,-0.681875],0]]]],[["Rotate",1,531945473701056,0],["Pin",2,226267688935299,6]],false,false,905531408126232,[],null,8,null],["bottomLeft",0,false,[],2,0,null,[["Default",0,false,1,0,false,776431642185462,[["images/shared-0-sheet2.png",309345,1,1537,200,200,1,1,0,[],[-0.69625,0,-0.65625,0.2475,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.735,0.415,-0.8,0.005],0],["images/shared-0-sheet2.png",309345,1819,1281,200,200,1,1,0,[],[-0.69625,0,-0.65625,0.2475,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.735,0.415,-0.8,0.005],0],["images/shared-0-sheet2.png",309345,1617,1281,200,200,1,1,0,[],[-0.649062,0.281875,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.5700000000000001,0.5725,-0.72,0.315625],0],["images/shared-0-sheet2.png",309345,1415,1281,200,200,1,1,0,[],[-0.649062,0.281875,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.5700000000000001,0.5725,-0.72,0.315625],0],["images/shared-0-sheet2.png",309345,1213,1281,200,200,1,1,0,[],[-0.7012499999999999,0.00249989,-0.69375,0.55,-0.58375,0.695,-0.284999,0.716251,-0.29125,0.795,-0.5,0.805,-0.74875,0.675,-0.79375,0.00250003],0],["images/shared-0-sheet2.png",309345,1011,1281,200,200,1,1,0,[],[-0.7012499999999999,0.00249989,-0.69375,0.55,-0.58375,0.695,-0.284999,0.716251,-0.29125,0.795,-0.5,0.805,-0.74875,0.675,-0.79375,0.00250003],0],["images/shared-0-sheet2.png",309345,809,1281,200,200,1,1,0,[],[-0.7025,0.295,-0.69375,0.55,-0.58375,0.695,-0.284999,0.716251,-0.29125,0.795,-0.5,0.805,-0.74875,0.675,-0.78625,0.29875],0]]]],[["Rotate",1,792147650776647,0],["Pin",2,539672856744929,6]],false,false,127892743664541,[],null,9,null],["bottomRight",0,false,[],2,0,null,[["Default",0,false,1,0,false,861679210619417,[["images/shared-0-sheet2.png",309345,607,1281,200,200,1,0,0,[],[0.667501,0.25,0.70875,2.55182e-7,0.8025,0,0.703751,0.41,0.3525,0.7275,0.295,0.7175,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,405,1281,200,200,1,0,0,[],[0.667501,0.25,0.70875,2.55182e-7,0.8025,0,0.703751,0.41,0.3525,0.7275,0.295,0.7175,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,203,1281,200,200,1,0,0,[],[0.660001,0.281876,0.728126,0.304375,0.585,0.552501,0.3225,0.736251,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,1,1281,200,200,1,0,0,[],[0.660001,0.281876,0.728126,0.304375,0.585,0.552501,0.3225,0.736251,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,1793,1025,200,200,1,0,0,[],[0.70875,0,0.801876,0,0.74375,0.691252,0.30375,0.792501,0.2925,0.7175,0.58375,0.692501,0.7025,0.545625],0],["images/shared-0-sheet2.png",309345,1537,1025,200,200,1,0,0,[],[0.71375,0.30125,0.788126,0.2875,0.74375,0.691252,0.30375,0.792501,0.2925,0.7175,0.58375,0.692501,0.7025,0.545625],0],["images/shared-0-sheet2.png",309345,1816,257,200,200,1,0,0,[],[0.71375,0.30125,0.788126,0.2875,0.74375,0.691252,0.30375,0.792501,0.2925,0.7175,0.58375,0.692501,0.7025,0.545625],0]]]],[["Rotate",1,163727018030749,0],["Pin",2,627250345227193,6]],false,false,721635022668109,[],null,10,null],["topLeftBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,727377916368066,[["images/shared-0-sheet2.png",309345,303,605,300,300,1,1,1,[],[-0.551667,-0.541667,0,-0.753333,0,-0.681666,-0.23666699999999996,-0.638333,-0.45999999999999996,-0.5083329999999999,-0.626667,-0.2825,-0.6799999999999999,-0.001666999999999974,-0.7575000000000001,0],0],["images/shared-0-sheet2.png",309345,1,605,300,300,1,1,1,[],[-0.551667,-0.541667,-0.24166600000000005,-0.711667,-0.196666,-0.706666,-0.19666700000000004,-0.655,-0.45999999999999996,-0.5083329999999999,-0.626667,-0.2825,-0.6799999999999999,-0.001666999999999974,-0.7575000000000001,0],0],["images/shared-0-sheet2.png",309345,1511,513,300,300,1,1,1,[],[-0.48166699999999996,-0.588333,0,-0.753333,0,-0.681666,-0.28,-0.63,-0.521667,-0.44999999999999996,-0.65,-0.204167,-0.693333,-0.18333299999999997,-0.714167,-0.22499999999999998],0],["images/shared-0-sheet2.png",309345,1209,303,300,300,1,1,1,[],[-0.48166699999999996,-0.588333,-0.22999999999999998,-0.7150000000000001,-0.19333299999999998,-0.685,-0.21499999999999997,-0.648333,-0.47166699999999995,-0.505,-0.65,-0.204167,-0.693333,-0.18333299999999997,-0.714167,-0.22499999999999998],0]]]],[],false,false,820395914286956,[],null,11,null],["topRightBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,478849238810731,[["images/shared-0-sheet2.png",309345,907,303,300,300,1,0,1,[],[0,-0.746667,0.536667,-0.5700000000000001,0.750833,0,0.688333,-0.0008340000000000014,0.6325,-0.276667,0.480417,-0.48708300000000004,0.269167,-0.630833,0,-0.6825],0],["images/shared-0-sheet2.png",309345,605,303,300,300,1,0,1,[],[0.23,-0.711667,0.603333,-0.448333,0.750833,0,0.688333,-0.0008340000000000014,0.625833,-0.29333299999999995,0.445417,-0.527083,0.199167,-0.6591670000000001,0.188333,-0.6958329999999999],0],["images/shared-0-sheet2.png",309345,303,303,300,300,1,0,1,[],[0,-0.746667,0.466667,-0.6066670000000001,0.7175,-0.22166600000000003,0.7,-0.18916699999999997,0.6625,-0.20499999999999996,0.510417,-0.467083,0.275833,-0.6275,0,-0.6825],0],["images/shared-0-sheet2.png",309345,1,303,300,300,1,0,1,[],[0.218333,-0.7150000000000001,0.526667,-0.541667,0.7175,-0.22166600000000003,0.7,-0.18916699999999997,0.6625,-0.20499999999999996,0.482083,-0.5020830000000001,0.204167,-0.6541669999999999,0.183333,-0.694167],0]]]],[],false,false,249788881012401,[],null,12,null],["bottomLeftBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,194425459131243,[["images/shared-0-sheet2.png",309345,1514,1,300,300,1,1,0,[],[-0.755,0.00166667,-0.686667,0,-0.638333,0.238334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.608333,0.461667],0],["images/shared-0-sheet2.png",309345,607,1,301,300,1,1,0,[],[-0.755,0.00166667,-0.686667,0,-0.638333,0.238334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.608333,0.461667],0],["images/shared-0-sheet2.png",309345,304,1,301,300,1,1,0,[],[-0.713472,0.206667,-0.681683,0.191667,-0.6582669999999999,0.208334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.57345,0.495],0],["images/shared-0-sheet2.png",309345,1,1,301,300,1,1,0,[],[-0.713472,0.206667,-0.681683,0.191667,-0.6582669999999999,0.208334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.57345,0.495],0]]]],[],false,false,844100857379371,[],null,13,null],["bottomRightBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,809013815091153,[["images/shared-0-sheet2.png",309345,1212,1,300,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.693333,0,0.75,0,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0],["images/shared-0-sheet2.png",309345,1207,605,299,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.693333,0,0.75,0,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0],["images/shared-0-sheet2.png",309345,906,605,299,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.6833,0.19,0.711538,0.226667,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0],["images/shared-0-sheet2.png",309345,605,605,299,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.6833,0.19,0.711538,0.226667,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0]]]],[],false,false,503365445602998,[],null,14,null],["backgroundImg",0,false,[],0,0,null,[["Default",5,false,1,0,false,464409845753986,[["images/shared-0-sheet0.png",379512,723,1,720,1280,1,0.5,0.5,[],[],0]]]],[],false,false,990631145749992,[],null,15,null],["titleImg",0,false,[],0,0,null,[["Default",5,false,1,0,false,408564550210340,[["images/shared-0-sheet0.png",379512,1025,1793,600,250,1,0.5,0.5,[],[-0.368333,-0.184,0,-0.15999999999999998,0.37,-0.188,0.34166700000000005,0.12,0,0.248,-0.36166699999999996,0.16800000000000004],0]]]],[],false,false,920132887652774,[],null,16,null],["soundBtn",0,false,[],0,0,null,[["Default",0,false,1,0,false,581865653806574,[["images/shared-0-sheet2.png",309345,1793,1921,163,83,1,0,0,[],[],0],["images/shared-0-sheet2.png",309345,1567,1921,163,83,1,0,0,[],[],0]]]],[],false,false,571870241550551,[],null,17,null],["playerBall",0,false,[],1,0,null,[["round",0,false,1,0,false,298287009809719,[["images/playerball-sheet0.png",14498,1,1,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,67,1,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,133,1,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,1,67,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,67,67,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,133,67,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0]]],["oval",0,false,1,0,false,559684730679319,[["images/playerball-sheet0.png",14498,199,1,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,199,73,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,1,133,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,65,133,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,129,133,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,193,145,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0]]]],[["Platform",3,881103210887740,18]],false,false,273304378409891,[],null,19,null],["startPlatform",0,false,[],1,0,null,[["Default",5,false,1,0,false,677713577537098,[["images/shared-0-sheet3.png",9596,1,97,150,30,1,0.5,0.5,[],[],0]]]],[["Solid",4,983984918969448,20]],false,false,709834415886638,[],null,21,null],["platform",0,false,[],1,0,null,[["Default",5,false,1,0,false,478847217737245,[["images/shared-0-sheet3.png",9596,78,65,150,30,1,0.5,1.03333,[["Imagepoint 1",0.5,-0.633333]],[],0]]]],[["Jumpthru",5,892194866593923,22]],false,false,923551676632262,[],null,23,null],["platformSmall",0,false,[],1,0,null,[["Default",5,false,1,0,false,779913061079332,[["images/shared-0-sheet3.png",9596,1,241,150,10,1,0.5,1.1,[],[],0]]]],[["Pin",2,341408295096047,6]],false,false,935062943548814,[],null,24,null],["playerBallTail",6,false,[],1,0,["images/shared-0-sheet3.png",9596,0,144,129,64,64],null,[["ScrollTo",7,146623564852370,25]],false,false,494189499112014,[],null,26,null],["camera",0,false,[],1,0,null,[["Default",5,false,1,0,false,646273805435104,[["images/shared-0-sheet3.png",9596,1,129,50,50,1,0.5,0.5,[],[],0]]]],[["ScrollTo",7,998432104856966,25]],false,false,632650078581620,[],null,27,null],["playerBallExplosion",6,false,[],0,0,["images/shared-0-sheet3.png",9596,0,78,129,64,64],null,[],false,false,762910706158987,[],null,28,null],["tapHand",0,false,[],3,0,null,[["Default",5,false,1,0,false,369320257680152,[["images/shared-0-sheet2.png",309345,1011,1793,150,239,1,0.5,0.502092,[],[-0.33999999999999997,-0.401674,0,-0.276151,0.0066669999999999785,-0.192469,0.43999999999999995,-0.0041839999999999655,0.41333299999999995,0.443515,0,0.46443500000000004,-0.24666700000000003,0.338912,-0.18666700000000003,-0.0041839999999999655],0]]]],[["LiteTween",8,863917221653181,29],["Sine",9,506983552094393,30],["LiteTween2",8,795753948388561,31]],false,false,177614921817651,[],null,32,null],["tapText",0,false,[],2,0,null,[["Default",5,false,1,0,false,671848822781908,[["images/shared-0-sheet2.png",309345,1537,897,470,118,1,0.5,0.5,[],[-0.4702128,-0.38135600000000003,0,-0.440678,0.470213,-0.38135600000000003,0.470213,0,0.40425500000000003,0.11864399999999997,0,0.11864399999999997,-0.351064,-0.09322000000000003,-0.351064,0],0]]]],[["LiteTween",8,560341757953693,29],["LiteTween2",8,875292490114649,31]],false,false,929710433388035,[],null,33,null],["HUD",0,false,[],0,0,null,[["Default",5,false,1,0,false,276967413490675,[["images/shared-0-sheet1.png",42351,0,0,720,1280,1,0.5,0.5,[],[0.427778,0.021874999999999978,0,-0.41875,-0.154167,-0.132031,0.458333,0,0.4125,0.450781,-0.425,0.457812,-0.4527778,0],0]]]],[],false,false,498102410221004,[],null,34,null],["reviveBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,614146869049578,[["images/shared-0-sheet2.png",309345,1365,1921,200,70,1,0.5,0.5,[],[],0]]]],[],false,false,170934919641002,[],null,35,null],["restartBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,809602976341418,[["images/shared-0-sheet2.png",309345,1163,1921,200,70,1,0.5,0.5,[],[],0]]]],[],false,false,825703041636442,[],null,36,null],["dialogInterface",0,false,[],0,0,null,[["Default",5,false,1,0,false,158020665460750,[["images/shared-0-sheet0.png",379512,1445,1,550,600,1,0.5,0.5,[],[-0.4727273,-0.475,0,-0.5,0.472727,-0.475,0.5,0,0.472727,0.475,0,0.5,-0.4727273,0.475,-0.5,0],0]]]],[],false,false,657908815693832,[],null,37,null],["scoreUI",10,false,[],0,0,null,null,[],false,false,910336882476682,[],null,38,null],["homeBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,351261292229635,[["images/shared-0-sheet3.png",9596,1,1,75,75,1,0.506667,0.506667,[],[],0]]]],[],false,false,589738064651453,[],null,39,null],["bestScore",10,false,[],0,0,null,null,[],false,false,822698553198201,[],null,40,null],["fade",0,false,[],1,0,null,[["Default",5,false,1,0,false,209879327875262,[["images/shared-0-sheet0.png",379512,1,1,720,1280,1,0.5,0.5,[],[],0]]]],[["Fade",11,781327453279676,41]],false,false,703831285755972,[],null,42,null],["Touch",12,false,[],0,0,null,null,[],false,false,723036287232125,[],null,43,null,[true]],["Audio",13,false,[],0,0,null,null,[],false,false,928785058348195,[],null,44,null,[0,0,false,0,1,1,600,600,10000,1]],["Function",14,false,[],0,0,null,null,[],false,false,688435021937385,[],null,45,null,[]],["LocalStorage",15,false,[],0,0,null,null,[],false,false,205227995053934,[],null,46,null,[]],["Browser",16,false,[],0,0,null,null,[],false,false,748816050129310,[],null,47,null,[]],["AJAX",17,false,[],0,0,null,null,[],false,false,295487878465600,[],null,48,null,[]],["FileChooser",18,false,[],0,0,null,null,[],false,false,631541371918327,[],null,49,null],["gameover",0,false,[],0,0,null,[["Animation 1",5,false,1,0,false,139475441980867,[["images/shared-0-sheet4.png",88644,0,0,2398,608,1,0.5,0.5,[],[-0.47414512093411176,-0.3980263157894737,0.469140950792327,-0.3799342105263158,0.4808173477898249,0,0.42869057547956635,0.21875,-0.42368640533778146,0.19736842105263153,-0.49291075896580483,0],0]]]],[],false,false,621325318947560,[],null,50,null],["smallObstacles",0,true,[],1,0,null,null,[["Rotate2",1,699833290589606,51]],false,false,773337861937338,[],null,52,null],["bigObstacles",0,true,[],2,0,null,null,[["Rotate",1,574089571219213,0],["Pin",2,814384676345299,6]],false,false,318722677633050,[],null,53,null]],[[41,7,8,5,6],[42,11,12,9,10]],[["MainMenu",720,1280,false,"eMainMenu",8873350371196689,[["Backdround",0,8722530541249526,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],13,0,[],[],[true,"Default",0,true]]],[],0,true],["Main",1,956356249761346,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,420,0,600,250,0,0,1,0.5,0.5,0,0,[],null,null,null],14,1,[],[],[true,"Default",0,true]],[[50,50,0,163,83,0,0,1,0,0,0,0,[],null,null,null],15,2,[],[],[true,"Default",0,true]],[[360,880,0,36,39,0,0,1,0.5,0.512821,0,0,[],null,null,null],4,3,[],[],[true,"Default",0,true]],[[360,880,0,150,150,0,0,1,0.5,0.5,0,0,[],null,null,null],3,4,[],[[120,0,true]],[true,"Default",0,true]],[[360,880,0,220,220,0,0,1,0.5,0.5,0,0,[],null,null,null],2,5,[],[[-110,0,true]],[true,"Default",0,true]],[[360,880,0,300,300,0,0,1,0.5,0.5,0,0,[],null,null,null],1,6,[],[[100,0,true]],[true,"Default",0,true]],[[360,880,0,400,400,0,0,1,0.5,0.5,0,0,[],null,null,null],0,7,[],[[-105,0,true]],[true,"Default",0,true]],[[230,1200,0,383,69,0,0,1,0.5,0.5,0,0,[],null,null,null],31,38,[],[],["Best score: 0",false,"Arial",27.75,0,true,false,[0.5490196078431373,0.8941176470588236,0.9882352941176471],0,1,0,true,4]]],[],0,true],["Fade",2,937846143634586,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],32,37,[],[[0,0,1,true,true]],[true,"Default",0,true]],[[339,650,0,370,153,0,0,1,0.5,0.5,0,0,[],null,null,null],40,43,[],[],[false,"Animation 1",0,true]]],[],0,true]],[],[]],["Game",720,1280,true,"eGame",485219962931425,[["Backdround",0,875976372172221,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],13,10,[],[],[true,"Default",0,true]]],[],0,true],["Main",1,452148197484437,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[-80,1680,0,150,239,0,0,1,0.5,0.502092,0,0,[],null,null,null],23,16,[],[[0,0,0,"590,1680",0,0.3,1],[5,0,1,0,2,0,10,0,true],[0,0,0,"1220,1680",0,0.2,1]],[true,"Default",0,true]],[[-400,1700,0,470,118,0,0,1,0.5,0.5,0,0,[],null,null,null],24,17,[],[[0,0,0,"270,1700",0,0.3,1],[0,0,0,"900,1700",0,0.2,1]],[true,"Default",0,true]]],[],0,true],["Platform",2,573730991132135,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,1580,0,150,30,0,0,1,0.5,0.5,0,0,[],null,null,null],17,12,[],[[true,""]],[true,"Default",0,true]]],[],0,true],["Ball",3,780494675360032,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[310,1548,0,100,100,0,0,1,0,0.5,0,0,[],null,null,null],20,26,[],[[true]],[200,0,0,-1,0,30,100,-100,0,0,0,32,0,-150,0,0,800,0,0,0.5]],[[360,1538,0,64,64,0,0,1,0.5,0.5,0,0,[],null,null,null],16,11,[],[[300,4000,7000,1930,3000,4000,false,0,true,true]],[true,"round",0,true]]],[],0,true],["Shake",4,816037189069100,true,[255,255,255],true,1,0,1,false,false,1,0,0,[[[359,1663,0,50,50,0,0,1,0.5,0.5,0,0,[],null,null,null],21,14,[],[[true]],[false,"Default",0,true]]],[],0,true],["UI",5,329825933462403,true,[255,255,255],true,1,0,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],25,20,[],[],[true,"Default",0,true]],[[32,278,0,383,137,0,0,1,0,0,0,0,[],null,null,null],29,27,[],[],["Score: 0",false,"Arial",27.75,0,true,false,[0.5490196078431373,0.8941176470588236,0.9882352941176471],0,0,0,true,0]]],[],0,true],["dialogInterface",6,566896097030248,false,[255,255,255],true,1,0,1,false,false,1,0,0,[[[360,640,0,550,600,0,0,1,0.5,0.5,0,0,[],null,null,null],28,28,[],[],[true,"Default",0,true]],[[238.557861328,852.227172852,0,200,70,0,0,0.5,0.5,0.5,0,0,[],null,null,null],26,29,[],[],[false,"Default",0,true]],[[478.234008789,851.332885742,0,200,70,0,0,0.5,0.5,0.5,0,0,[],null,null,null],27,30,[],[],[false,"Default",0,true]],[[145,403,0,75,75,0,0,0.5,0.506667,0.506667,0,0,[],null,null,null],30,31,[],[],[false,"Default",0,true]]],[],0,true]],[],[]],["GameAssets",1708,960,false,null,543139204115647,[["Layer 0",0,497752956008871,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[574,312,0,150,30,0,0,1,0.5,1.03333,0,0,[],null,null,null],18,18,[],[[true]],[true,"Default",0,true]],[[566,218,0,150,10,0,0,1,0.5,1.1,0,0,[],null,null,null],19,21,[],[[false]],[true,"Default",0,true]],[[295,412,0,200,200,0,0,1,1,0,0,0,[],null,null,null],7,22,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[296,409,0,200,200,0,0,1,1,1,0,0,[],null,null,null],5,23,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[294,411,0,200,200,0,0,1,0,1,0,0,[],null,null,null],6,24,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[291,415,0,200,200,0,0,1,0,0,0,0,[],null,null,null],8,25,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[205,746,0,50,50,0,0,1,0.5,0.5,0,0,[],null,null,null],21,13,[],[[true]],[true,"Default",0,true]],[[553,658,0,128,128,0,1.570796371,1,0,0.5,0,0,[],null,null,null],22,15,[],[],[50,60,1,-1,200,20,100,0,0,0,200,20,20,100,1000,0,500,0,0,1]],[[1029,382,0,300,300,0,0,1,1,1,0,0,[],null,null,null],9,32,[],[[0,0,true],[false]],[true,"Default",0,true]],[[1029,382,0,300,300,0,0,1,0,1,0,0,[],null,null,null],10,33,[],[[0,0,true],[false]],[true,"Default",0,true]],[[1030,384,0,300,300,0,0,1,1,0,0,0,[],null,null,null],11,34,[],[[0,0,true],[false]],[true,"Default",0,true]],[[1029,384,0,300,300,0,0,1,0,0,0,0,[],null,null,null],12,35,[],[[0,0,true],[false]],[true,"Default",0,true]]],[],0,true]],[],[]]],[["eMainMenu",[[1,"token",1,"\"\"",false,false,328029927887886,false,54],[1,"jsonResponse",0,0,false,false,260918877053673,false,55],[1,"jsonBody",1,"\"\"",false,false,648104149399339,false,56],[1,"redirect_url",1,"\"\"",false,false,183215376260701,false,57],[1,"campaign_id",0,0,false,false,960224879949004,false,58],[1,"gameKey",1,"\"\"",false,false,381409647576494,false,59],[0,0,false,null,329135235343356,1,[[-1,19,null,1,false,false,false,180826363057003,null]],[[34,20,null,648211321042712,0,null,[[1,[2,"game"]]]],[34,21,null,906099102365778,0,null,[[2,["menumusic",false]],[3,1],[0,[3,[1,10]]],[1,[2,"menu"]]]],[15,22,null,932845501700868,0,null,[[0,[23,"SoundON"]]]],[36,23,null,202591426985230,1,null,[[1,[2,"bestScore"]]]]]],[0,0,false,null,676020930842013,2,[[33,24,null,1,false,false,false,446350106079298,null,[[4,0]]]],[[-1,25,null,120397714930291,0,null,[[6,"Game"]]]]],[0,0,false,null,410632186484870,3,[[33,24,null,1,false,false,false,469512552776105,null,[[4,15]]]],[[34,26,null,959707606158634,0,null,[[3,2]]],[-1,27,null,712699353319118,0,null,[[11,"SoundON"],[7,[6,[1,1],[12,[20,15,28,false,null],[1,0]]]]]],[15,22,null,680368652394083,0,null,[[0,[23,"SoundON"]]]]]],[0,0,false,null,576743307269038,4,[[36,29,null,1,false,false,false,772659360004151,null,[[1,[2,"bestScore"]]]]],[[36,30,null,797742494758298,1,null,[[1,[2,"bestScore"]]]]]],[0,0,false,null,513800067902345,5,[[36,31,null,1,false,false,false,930464621270856,null,[[1,[2,"bestScore"]]]]],[[-1,27,null,980234500593777,0,null,[[11,"bestScore"],[7,[20,36,32,false,null]]]],[31,33,null,835783812042657,0,null,[[7,[10,[2,"Best score: "],[23,"bestScore"]]]]]]],[0,0,false,null,727843474277270,6,[[36,34,null,1,false,false,false,165209837774564,null,[[1,[2,"bestScore"]]]]],[[36,35,null,445294296689240,1,null,[[1,[2,"bestScore"]],[7,[1,0]]]],[-1,27,null,855543101660858,0,null,[[11,"bestScore"],[7,[1,0]]]],[31,33,null,547993603697279,0,null,[[7,[10,[2,"Best score: "],[23,"bestScore"]]]]]]],[0,0,false,null,311046544087090,7,[[-1,19,null,1,false,false,false,484552593382766,null]],[[-1,27,null,249509377315188,0,null,[[11,"token"],[7,[20,37,36,true,null,[[2,"token"]]]]]],[37,37,null,269986732095257,0,null,[[3,0],[7,[23,"token"]]]],[-1,27,null,468499015143114,0,null,[[11,"redirect_url"],[7,[20,37,36,true,null,[[2,"redirect_url"]]]]]],[-1,27,null,913215329107293,0,null,[[11,"gameKey"],[7,[20,37,36,true,null,[[2,"game_id"]]]]]],[-1,27,null,928916228700717,0,null,[[11,"campaign_id"],[7,[20,37,36,true,null,[[2,"campaign_id"]]]]]]]]]],["eGame",[[2,"eFunctions",false],[0,0,false,null,527167273560849,1,[[-1,19,null,1,false,false,false,614640476891993,null]],[[34,20,null,771408563254463,0,null,[[1,[2,"game"]]]],[34,20,null,172794827038099,0,null,[[1,[2,"menu"]]]],[35,38,null,808555635860060,0,null,[[1,[2,"generateStart"]],[13]]],[34,21,null,495775563332921,0,null,[[2,["elevator",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[36,30,null,405931396416710,1,null,[[1,[2,"bestScore"]]]],[-1,39,null,236753782798493,2,null,[[0,[1,2]]]],[-1,40,null,806302445130842,0,null,[[1,[2,"slideIn"]],[3,1]]],[34,21,null,855685844693224,0,null,[[2,["music",false]],[3,1],[0,[3,[1,10]]],[1,[2,"game"]]]],[24,41,"LiteTween",334947340011095,0,null,[[3,0],[3,0]]],[23,41,"LiteTween",561438516500006,0,null,[[3,0],[3,0]]],[35,38,null,319552501453185,0,null,[[1,[2,"smallObstacles"]],[13]]]]],[0,0,false,null,668322159131335,2,[[33,42,null,1,false,false,false,789050284342323,null]],[],[[0,0,false,null,941801307660865,3,[[16,43,"Platform",0,false,false,false,938397627554114,null]],[[16,44,"Platform",508474731647582,0,null,[[3,2]]],[34,21,null,881784381920132,0,null,[[2,["bounce",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[16,45,null,148074547349380,0,null,[[1,[2,"oval"]],[3,0]]],[-1,46,null,649191593268975,0,null,[[11,"totalJumps"],[7,[1,1]]]]],[[0,0,false,null,704765107336356,4,[[-1,47,null,0,false,false,false,275931835417104,null,[[7,[23,"totalJumps"]],[8,2],[7,[5,[23,"bigObstaclesDelay"],[1,1]]]]]],[[35,38,null,965998918548733,0,null,[[1,[2,"generate"]],[13]]]]],[0,0,false,null,592312506538269,5,[[-1,47,null,0,false,false,false,400362339301798,null,[[7,[23,"totalJumps"]],[8,5],[7,[5,[23,"bigObstaclesDelay"],[1,1]]]]]],[[35,38,null,345931713564005,0,null,[[1,[2,"generateBig"]],[13]]]]]]]]],[0,0,false,null,108882499060469,6,[[-1,47,null,0,false,false,false,482901576789429,null,[[7,[20,16,48,false,null]],[8,4],[7,[1,1350]]]]],[],[[0,0,false,null,868384815257416,7,[[-1,49,null,0,false,false,false,443182523766342,null]],[[17,50,null,695317464975757,0,null,[[0,[5,[20,17,48,false,null],[1,3]]]]]]]]],[0,0,false,null,304467112093461,8,[[16,43,"Platform",0,false,false,false,974899618072687,null]],[[16,45,null,716138216647379,0,null,[[1,[2,"round"]],[3,0]]]]],[0,0,false,null,151897380332464,9,[[16,51,null,0,false,false,false,168107054976797,null,[[8,2],[0,[23,"minScroll"]]]]],[[-1,27,null,942533540707790,0,null,[[11,"minScroll"],[7,[20,16,48,false,null]]]]]],[0,0,false,null,436304782035865,10,[[-1,49,null,0,false,false,false,567775913267054,null]],[[-1,52,null,351786557624123,0,null,[[0,[1,360]],[0,[23,"minScroll"]]]],[20,53,null,368154716714714,0,null,[[4,16],[7,[1,0]]]],[21,54,null,278793212859259,0,null,[[0,[20,16,55,false,null]],[0,[20,16,48,false,null]]]]]],[0,0,false,null,512067405382380,11,[[16,56,null,0,false,false,true,756164412079569,null,[[4,19]]]],[[16,22,null,819452520370465,0,null,[[0,[8,[23,"totalJumps"],[1,6]]]]],[-1,46,null,641185405682226,0,null,[[11,"score"],[7,[1,10]]]],[29,33,null,570839368213879,0,null,[[7,[10,[2,"Score: "],[23,"score"]]]]]],[[0,0,false,null,158066739858537,12,[[-1,57,null,0,false,false,false,602152255420612,null,[[4,5],[0,[12,[20,5,58,false,null],[1,1]]]]],[-1,47,null,0,false,false,false,852932655193346,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,923203771812066,null,[[7,[23,"totalJumps"]],[8,3],[7,[1,1]]]]],[[5,59,"Rotate",499695117933871,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]]],[0,0,false,null,708102347707121,13,[[-1,57,null,0,false,false,false,244407052608041,null,[[4,5],[0,[12,[20,5,58,false,null],[1,1]]]]],[-1,47,null,0,false,false,false,145991816799510,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,446098553127653,null,[[7,[23,"totalJumps"]],[8,3],[7,[1,1]]]]],[[5,59,"Rotate",366964708468088,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,224987357534474,14,[[-1,57,null,0,false,false,false,764637898597999,null,[[4,5],[0,[12,[20,5,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,443590394304572,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,777735144057409,null,[[7,[23,"totalJumps"]],[8,4],[7,[1,1]]]]],[[5,59,"Rotate",327022488913603,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]]],[0,0,false,null,401571221420300,15,[[-1,57,null,0,false,false,false,562596885612591,null,[[4,5],[0,[12,[20,5,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,170650492638418,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,162361784916385,null,[[7,[23,"totalJumps"]],[8,4],[7,[1,1]]]]],[[5,59,"Rotate",859734023218520,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,302906426405847,16,[[-1,57,null,0,false,false,false,616816574484932,null,[[4,9],[0,[12,[20,9,58,false,null],[3,[1,1]]]]]],[-1,47,null,0,false,false,false,797792503121598,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,303721564752522,null,[[7,[23,"totalJumps"]],[8,0],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",154616797051942,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,907786137956391,17,[[-1,57,null,0,false,false,false,360862153872401,null,[[4,9],[0,[12,[20,9,58,false,null],[3,[1,1]]]]]],[-1,47,null,0,false,false,false,156061095945910,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,904066330930582,null,[[7,[23,"totalJumps"]],[8,0],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",263272880909709,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[[0,0,false,null,126172072147367,18,[],[]]]],[0,0,false,null,134776067169550,19,[[-1,57,null,0,false,false,false,723219714922003,null,[[4,9],[0,[12,[20,9,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,113375340359325,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,301033624317301,null,[[7,[23,"totalJumps"]],[8,4],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",524916352272752,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,749265267286381,20,[[-1,57,null,0,false,false,false,675963674959338,null,[[4,9],[0,[12,[20,9,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,390156739698291,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,910685614248362,null,[[7,[23,"totalJumps"]],[8,4],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",262210210490935,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]]]]],[0,0,false,null,148586762533660,21,[[18,60,null,0,false,true,false,649067286597643,null],[18,51,null,0,false,false,false,588676982209441,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[18,62,null,820004324025449,0,null]]],[0,0,false,null,402796160076049,22,[[19,60,null,0,false,true,false,234124432630338,null],[19,51,null,0,false,false,false,397389781967006,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[19,62,null,248112689528510,0,null]]],[0,0,false,null,925587609570325,23,[[41,51,null,0,false,false,false,461159259024850,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[41,62,null,824673358435924,0,null]]],[0,0,false,null,287655731494703,24,[[42,51,null,0,false,false,false,779206278873959,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[42,62,null,841436834387873,0,null]]],[0,0,false,null,285309065905667,25,[[16,56,null,0,false,false,true,249093229044951,null,[[4,41]]]],[[35,38,null,787929547456899,0,null,[[1,[2,"playerDead"]],[13]]]]],[0,0,true,null,890814248501938,26,[[16,56,null,0,false,false,true,906403978613530,null,[[4,42]]]],[[35,38,null,403127252799345,0,null,[[1,[2,"playerDead"]],[13]]]]],[3,[false,"dialogInterface"],false,null,631165588816015,27,[[-1,63,null,0,false,false,false,0,false,[[1,[2,"dialogInterface"]]]]],[],[[0,0,false,null,154652540042388,28,[[-1,64,null,0,false,false,false,577202956701130,null]],[[-1,65,null,912361750280752,0,null,[[5,[2,"dialogInterface"]],[3,1]]],[38,66,null,676964769545014,0,null,[[1,[2,"Content-Type"]],[1,[2,"application/json"]]]],[38,66,null,415053770326541,0,null,[[1,[2,"Authorization"]],[1,[23,"token"]]]],[-1,27,null,173602280036972,0,null,[[11,"jsonBody"],[7,[10,[10,[10,[10,[10,[10,[10,[10,[10,[10,[10,[10,[2,"{\r\n  \"gameKey\": "],[23,"gameKey"]],[2,",\r\n  \"campaign_id\": "]],[23,"campaign_id"]],[2,",\r\n  \"level\": 1,\r\n  \"score\": "]],[23,"bestScore"]],[2,",\r\n  \"timestamp\": \""]],[20,37,67,false,null,[[2,"new Date().toISOString()"]]]],[2,"\",\r\n  \"metadata\": {\r\n    \"platform\": \""]],[20,37,68,true,null]],[2,"\",\r\n    \"device\": \""]],[20,37,67,false,null,[[2,"\r\n      let ua = navigator.userAgent;\r\n      if (/Android/.test(ua)) {\r\n          let match = ua.match(/SM-[A-Z0-9]+|ONEPLUS [A-Z0-9]+|M2007J3SG|Redmi Note [0-9]+|Mi [A-Z0-9]+/i);\r\n          return match ? match[0] : 'Unknown Android';\r\n      } else if (/iPhone/.test(ua)) {\r\n          return 'iPhone (Exact model hidden by Apple)';\r\n      } else {\r\n          return 'Unknown Device';\r\n      }\r\n    "]]]],[2,"\"\r\n  }\r\n}"]]]]],[38,69,null,480949252411026,1,null,[[1,[2,"high_score"]],[1,[2,"https://api.thephoenixguild.com/api/userScore"]],[1,[23,"jsonBody"]],[1,[2,"POST"]]]],[40,70,null,108995995922720,0,null,[[3,1]]],[37,71,null,937330079396372,0,null,[[1,[23,"redirect_url"]],[3,1]]]],[[0,0,false,null,715623869056736,29,[[-1,47,null,0,false,false,false,750191451712990,null,[[7,[23,"score"]],[8,4],[7,[23,"bestScore"]]]]],[[-1,27,null,361529835675544,0,null,[[11,"bestScore"],[7,[23,"score"]]]],[36,35,null,905841097771244,1,null,[[1,[2,"bestScore"]],[7,[23,"bestScore"]]]]]]]],[0,0,false,null,701913292511559,30,[[33,24,null,1,false,false,false,592798420115018,null,[[4,26]]]],[[35,38,null,653032524864207,0,null,[[1,[2,"playerRevive"]],[13]]]]],[0,0,false,null,272339353122048,31,[[33,24,null,1,false,false,false,319491077620986,null,[[4,27]]]],[[-1,72,null,526730646255385,0,null],[-1,40,null,421227509479340,0,null,[[1,[2,"dialogInterface"]],[3,0]]],[-1,65,null,924111080979925,0,null,[[5,[2,"dialogInterface"]],[3,0]]],[-1,39,null,749511528881341,2,null,[[0,[1,0.5]]]],[-1,73,null,921629390542546,0,null]]],[0,0,false,null,705209905670813,32,[[33,24,null,1,false,false,false,719746030678401,null,[[4,30]]]],[[-1,72,null,826648338118784,0,null],[-1,40,null,498719723794593,0,null,[[1,[2,"dialogInterface"]],[3,0]]],[-1,65,null,223213703866661,0,null,[[5,[2,"dialogInterface"]],[3,0]]],[-1,39,null,828164679131016,2,null,[[0,[1,0.5]]]],[-1,25,null,636381555800549,0,null,[[6,"MainMenu"]]]]]]],[0,0,false,null,712287264928017,33,[[36,31,null,1,false,false,false,918621948591058,null,[[1,[2,"bestScore"]]]]],[[-1,27,null,305245091730215,0,null,[[11,"bestScore"],[7,[20,36,32,false,null]]]]]]]],["eVariables",[[1,"speedIncrement",0,1.9,false,false,100221714615425,false,60],[1,"bigObstaclesDelay",0,6,false,false,401480663883801,false,61],[1,"randomSmall",0,0,false,false,298867854791869,false,62],[1,"randomBig",0,0,false,false,504791734877926,false,63],[1,"score",0,0,false,false,353563202502117,false,64],[1,"bestScore",0,0,false,false,931498330083570,false,40],[1,"SoundON",0,0,false,false,341452472661571,false,65],[1,"totalJumps",0,0,false,false,735148191888371,false,66],[1,"minScroll",0,850,false,false,748319020134631,false,67]]],["eFunctions",[[0,0,false,null,565848251312389,1,[[35,74,null,2,false,false,false,894885263350733,null,[[1,[2,"generateStart"]]]]],[[-1,75,null,683047918873839,0,null,[[4,18],[5,[1,1]],[0,[1,360]],[0,[1,800]],[16,false]]],[-1,75,null,648754238162300,0,null,[[4,19],[5,[1,1]],[0,[1,360]],[0,[1,800]],[16,false]]],[19,76,"Pin",129965804606900,0,null,[[4,18],[3,0]]],[-1,75,null,879106358128550,0,null,[[4,5],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[-1,75,null,711442252149563,0,null,[[4,6],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[-1,75,null,416376129007403,0,null,[[4,7],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[-1,75,null,816478291220843,0,null,[[4,8],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[6,76,"Pin",360574926924601,0,null,[[4,5],[3,0]]],[7,76,"Pin",769406228569255,0,null,[[4,5],[3,0]]],[8,76,"Pin",928195904284175,0,null,[[4,5],[3,0]]]]],[0,0,false,null,178245878687211,2,[[35,74,null,2,false,false,false,936324138245823,null,[[1,[2,"generate"]]]]],[[-1,27,null,345363422291096,0,null,[[11,"randomBig"],[7,[19,78,[[19,79,[[1,4]]]]]]]],[-1,27,null,562655431181265,0,null,[[11,"randomSmall"],[7,[19,78,[[19,79,[[1,6]]]]]]]],[-1,75,null,401977542257391,0,null,[[4,18],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[-1,75,null,872770092903982,0,null,[[4,19],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[19,76,"Pin",393249049388033,0,null,[[4,18],[3,0]]],[-1,75,null,727900728356288,0,null,[[4,5],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[5,22,null,935209772885004,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,308342324212882,0,null,[[4,6],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[6,22,null,272515115882284,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,304502096738199,0,null,[[4,7],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[7,22,null,874528938054886,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,743088566821971,0,null,[[4,8],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[8,22,null,930277446348809,0,null,[[0,[23,"randomSmall"]]]],[6,76,"Pin",517969467510651,0,null,[[4,5],[3,0]]],[7,76,"Pin",539211863267625,0,null,[[4,5],[3,0]]],[8,76,"Pin",937495594361563,0,null,[[4,5],[3,0]]]]],[0,0,false,null,271317771653300,3,[[35,74,null,2,false,false,false,740447643773637,null,[[1,[2,"generateBig"]]]]],[[-1,27,null,539055990567447,0,null,[[11,"randomSmall"],[7,[19,78,[[19,79,[[1,6]]]]]]]],[-1,27,null,115150251974875,0,null,[[11,"randomBig"],[7,[19,78,[[19,79,[[1,4]]]]]]]],[-1,75,null,956806066539895,0,null,[[4,18],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[-1,75,null,763605211575939,0,null,[[4,19],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[19,76,"Pin",690557655126341,0,null,[[4,18],[3,0]]],[-1,75,null,200492576508941,0,null,[[4,5],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[5,22,null,368190482447410,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,694905510693226,0,null,[[4,6],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[6,22,null,158647773120585,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,344044913755727,0,null,[[4,7],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[7,22,null,449687856915523,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,793953816506551,0,null,[[4,8],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[8,22,null,495026036137740,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,830422195214833,0,null,[[4,9],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[9,22,null,766066288814781,0,null,[[0,[23,"randomBig"]]]],[-1,75,null,775241862503235,0,null,[[4,10],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[10,22,null,717369454670480,0,null,[[0,[23,"randomBig"]]]],[-1,75,null,981855206571953,0,null,[[4,11],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[11,22,null,355413038226791,0,null,[[0,[23,"randomBig"]]]],[-1,75,null,500983262568712,0,null,[[4,12],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[12,22,null,294441043809712,0,null,[[0,[23,"randomBig"]]]],[6,76,"Pin",344561718271859,0,null,[[4,5],[3,0]]],[7,76,"Pin",219331383906702,0,null,[[4,5],[3,0]]],[8,76,"Pin",914105983649638,0,null,[[4,5],[3,0]]],[10,76,"Pin",335831472883953,0,null,[[4,9],[3,0]]],[11,76,"Pin",923418972403840,0,null,[[4,9],[3,0]]],[12,76,"Pin",228885503951761,0,null,[[4,9],[3,0]]]]],[0,0,false,null,721961082843145,4,[[35,74,null,2,false,false,false,581903277682225,null,[[1,[2,"playerDead"]]]]],[[-1,80,null,153052119768880,0,null,[[4,41],[0,[1,0]]]],[-1,80,null,753817687168233,0,null,[[4,42],[0,[1,0]]]],[34,21,null,695654786925534,0,null,[[2,["death",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[34,21,null,690222837498030,0,null,[[2,["explosion",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,75,null,590045268436687,0,null,[[4,22],[5,[2,"Ball"]],[0,[20,16,55,false,null]],[0,[20,16,48,false,null]],[16,false]]],[22,81,null,103658338753650,0,null,[[0,[1,50]]]],[20,82,null,561759832831363,0,null],[16,83,"Platform",119249410795765,0,null,[[3,0]]],[16,70,null,792928285453381,0,null,[[3,0]]],[21,84,"ScrollTo",914406827093735,0,null,[[0,[1,20]],[0,[1,0.4]],[3,0]]],[-1,39,null,152721521840927,2,null,[[0,[1,0.75]]]],[-1,40,null,361053246010473,0,null,[[1,[2,"dialogInterface"]],[3,1]]]]],[0,0,false,null,616006498796634,5,[[35,74,null,2,false,false,false,375690537688783,null,[[1,[2,"playerRevive"]]]]],[[-1,65,null,219780128537526,0,null,[[5,[2,"dialogInterface"]],[3,0]]],[-1,40,null,116962578523904,0,null,[[1,[2,"dialogInterface"]],[3,0]]],[-1,85,null,495981368833557,0,null,[[11,"score"],[7,[1,25]]]],[29,33,null,441865108907056,0,null,[[7,[10,[2,"Score: "],[23,"score"]]]]],[-1,85,null,200756499226880,0,null,[[11,"score"],[7,[1,10]]]],[34,21,null,401854415184438,0,null,[[2,["warpdrive_01",false]],[3,0],[0,[3,[1,10]]],[1,[2,"warp"]]]],[21,84,"ScrollTo",546184355814955,0,null,[[0,[1,20]],[0,[1,2]],[3,0]]],[-1,39,null,210270159339479,2,null,[[0,[1,1.4]]]],[41,86,null,673365876412853,0,null,[[3,0]]],[42,86,null,662559629342304,0,null,[[3,0]]],[16,70,null,788382546185651,0,null,[[3,1]]],[-1,39,null,294562336148829,2,null,[[0,[1,0.4]]]],[-1,75,null,154430296201598,0,null,[[4,20],[5,[1,3]],[0,[20,16,55,false,null]],[0,[20,16,48,false,null]],[16,false]]],[16,87,null,401308722518644,0,null],[-1,80,null,690721358378592,0,null,[[4,41],[0,[1,1]]]],[-1,80,null,987234694695653,0,null,[[4,42],[0,[1,1]]]],[16,83,"Platform",112050305880608,0,null,[[3,1]]],[34,20,null,235543231274753,0,null,[[1,[2,"warp"]]]],[34,21,null,918129068524503,0,null,[[2,["bounce",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,39,null,697107719050415,2,null,[[0,[1,0.5]]]],[41,86,null,112375008013755,0,null,[[3,1]]],[42,86,null,888784677519222,0,null,[[3,1]]]]]]]],[["bounce",[["audio/ogg; codecs=vorbis",".ogg",8896],["audio/mp4",".m4a",9318]],false],["death",[["audio/ogg; codecs=vorbis",".ogg",31390],["audio/mp4",".m4a",32807]],false],["elevator",[["audio/ogg; codecs=vorbis",".ogg",41919],["audio/mp4",".m4a",55650]],false],["explosion",[["audio/ogg; codecs=vorbis",".ogg",20923],["audio/mp4",".m4a",28774]],false],["warpdrive_01",[["audio/ogg; codecs=vorbis",".ogg",94280],["audio/mp4",".m4a",182070]],false],["menumusic",[["audio/ogg; codecs=vorbis",".ogg",613443],["audio/mp4",".m4a",742058]],false],["music",[["audio/ogg; codecs=vorbis",".ogg",1783672],["audio/mp4",".m4a",2220698]],false]],"media/",false,720,1280,4,true,true,true,"1.0.0.0",true,false,0,1,44,false,true,1,true,false,[],"icons/",[],true,"2m2oqhlgof90t","fonts/",[],"high-performance",[],"standard","vsync","com.mycompany.myapp","loading-logo.png",false,0]}
\ No newline at end of file
+{"project":["Infinite Jumper","MainMenu",[[0,false,true,true,true,true,true,true,true,false,false,false,false,true,true],[6,false,true,true,false,true,true,true,true,true,false,false,false,true,false],[10,false,true,true,true,true,true,true,true,false,false,false,false,true,true],[12,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[13,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[14,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[15,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[16,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[17,true,false,false,false,false,false,false,false,false,false,false,false,false,false],[18,false,true,true,true,false,false,false,false,false,true,false,false,false,false]],[["c1",0,false,[],1,0,null,[["Default",5,false,1,0,false,943515063577773,[["images/shared-0-sheet0.png",379512,1537,1025,400,400,1,0.5,0.5,[],[0.5,-0.5,0.5,0.5,-0.5,0.5,-0.5,-0.5],0]]]],[["Rotate",1,430519331385644,0]],false,false,634218885501229,[],null,1,null],["c2",0,false,[],1,0,null,[["Default",5,false,1,0,false,727308893529968,[["images/shared-0-sheet2.png",309345,910,1,300,300,1,0.5,0.5,[],[-0.343333,-0.343333,0,0.40333300000000005,-0.286667,0.286667,-0.4033333,0,0.343333,0.343333,0,0.48666699999999996,-0.343333,0.343333,-0.4866667,0],0]]]],[["Rotate",1,820643087695924,0]],false,false,259512698851009,[],null,2,null],["c3",0,false,[],1,0,null,[["Default",5,false,1,0,false,529656068290550,[["images/shared-0-sheet2.png",309345,1816,1,220,220,1,0.5,0.5,[],[0.281818,0.281818,0,0.4,0.35,-0.35,0.49090900000000004,0,0.35,0.35,0,0.49090900000000004,-0.35,0.35,0.4,0],0]]]],[["Rotate",1,848271912207999,0]],false,false,271131838746770,[],null,3,null],["c4",0,false,[],1,0,null,[["Default",5,false,1,0,false,201060694719900,[["images/shared-0-sheet2.png",309345,1813,513,150,150,1,0.5,0.5,[],[-0.346667,-0.346667,0,0.353333,-0.24666700000000003,0.24666699999999997,0.45999999999999996,0,0.34666699999999995,0.34666699999999995,0,0.48666699999999996,-0.346667,0.34666699999999995,-0.4866667,0],0]]]],[["Rotate",1,833408586220752,0]],false,false,750657965955833,[],null,4,null],["smallPlayBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,522059978155582,[["images/shared-0-sheet3.png",9596,210,193,36,39,1,0.5,0.512821,[],[-0.388889,-0.410257,0,-0.43589789999999995,0.25,-0.28205199999999997,0.47222200000000003,-0.025641999999999998,0.25,0.25641,0,0.41025600000000007,-0.388889,0.38461500000000004,-0.4722222,-0.025641999999999998],0]]]],[],false,false,869113004968880,[],null,5,null],["topLeft",0,false,[],2,0,null,[["Default",0,false,1,0,false,725314601970940,[["images/shared-0-sheet2.png",309345,809,1793,200,200,1,1,1,[],[-0.62,-0.575,0,-0.81,-0.0050000000000000044,-0.71,-0.28,-0.65,-0.5625,-0.4,-0.71875,-0.010000000000000009,-0.8,-0.010000000000000009],0],["images/shared-0-sheet2.png",309345,607,1793,200,200,1,1,1,[],[-0.6912499999999999,-0.42874999999999996,-0.31249899999999997,-0.725,-0.27,-0.655,-0.45999999999999996,-0.5225,-0.635,-0.31999999999999995,-0.7,-0.0050000000000000044,-0.79125,-0.0024999999999999467],0],["images/shared-0-sheet2.png",309345,405,1793,200,200,1,1,1,[],[-0.40625,-0.69875,-0.0050000000000000044,-0.8025,-0.0050000000000000044,-0.7,-0.25249999999999995,-0.6525000000000001,-0.46499999999999997,-0.52,-0.6599999999999999,-0.265,-0.72125,-0.33999999999999997],0],["images/shared-0-sheet2.png",309345,203,1793,200,200,1,1,1,[],[-0.5825,-0.54375,-0.342499,-0.72375,-0.28500000000000003,-0.7,-0.272501,-0.6525000000000001,-0.46499999999999997,-0.52,-0.6599999999999999,-0.265,-0.7262500000000001,-0.32625000000000004],0],["images/shared-0-sheet2.png",309345,1,1793,200,200,1,1,1,[],[-0.5725,-0.795,-0.286249,-0.7825,-0.28874999999999995,-0.70875,-0.57125,-0.6837500000000001,-0.68625,-0.57375,-0.69625,0,-0.7975,0,-0.7887500000000001,-0.575],0],["images/shared-0-sheet2.png",309345,1819,1537,200,200,1,1,1,[],[-0.5725,-0.795,-0.286249,-0.7825,-0.28874999999999995,-0.70875,-0.57125,-0.6837500000000001,-0.68625,-0.57375,-0.69625,0,-0.7975,0,-0.7887500000000001,-0.575],0],["images/shared-0-sheet2.png",309345,1617,1537,200,200,1,1,1,[],[-0.5725,-0.795,-0.286249,-0.7825,-0.28874999999999995,-0.70875,-0.57125,-0.6837500000000001,-0.68625,-0.57375,-0.7025,-0.28500000000000003,-0.77625,-0.27875000000000005,-0.7887500000000001,-0.575],0]]]],[["Rotate",1,843874613831159,0],["Pin",2,488492443325989,6]],false,false,541468352098797,[],null,7,null],["topRight",0,false,[],2,0,null,[["Default",0,false,1,0,false,205404583728070,[["images/shared-0-sheet2.png",309345,1415,1537,200,200,1,0,1,[],[0,-0.794375,0.59,-0.595,0.8175,0,0.72,0,0.615,-0.365,0.35125,-0.6174999999999999,0,-0.69375],0],["images/shared-0-sheet2.png",309345,1213,1537,200,200,1,0,1,[],[0.3175,-0.721875,0.675,-0.45499999999999996,0.804687,0,0.704375,0,0.6575,-0.26875000000000004,0.50125,-0.495,0.28,-0.6525000000000001],0],["images/shared-0-sheet2.png",309345,1011,1537,200,200,1,0,1,[],[0,-0.796875,0.499999,-0.63375,0.728437,-0.30125,0.660624,-0.26875000000000004,0.534999,-0.46125099999999997,0.29375,-0.6387499999999999,0.00124994,-0.6975],0],["images/shared-0-sheet2.png",309345,809,1537,200,200,1,0,1,[],[0.35125,-0.715625,0.67125,-0.43875,0.728437,-0.30125,0.660624,-0.26875000000000004,0.496249,-0.501251,0.29375,-0.6387499999999999,0.29375,-0.7050000000000001],0],["images/shared-0-sheet2.png",309345,607,1537,200,200,1,0,1,[],[0.29375,-0.70375,0.295,-0.78375,0.623749,-0.76875,0.79875,-0.54375,0.8,0,0.7075,-0.0012499999999999734,0.70125,-0.5525,0.596876,-0.681875],0],["images/shared-0-sheet2.png",309345,405,1537,200,200,1,0,1,[],[0.29375,-0.70375,0.295,-0.78375,0.623749,-0.76875,0.79875,-0.54375,0.7925,-0.28,0.71375,-0.28374999999999995,0.70125,-0.5525,0.596876,-0.681875],0],["images/shared-0-sheet2.png",309345,203,1537,200,200,1,0,1,[],[0.29375,-0.70375,0.295,-0.78375,0.623749,-0.76875,0.79875,-0.54375,0.7925,-0.28,0.71375,-0.28374999999999995,0.70125,-0.5525,0.596876,-0.681875],0]]]],[["Rotate",1,531945473701056,0],["Pin",2,226267688935299,6]],false,false,905531408126232,[],null,8,null],["bottomLeft",0,false,[],2,0,null,[["Default",0,false,1,0,false,776431642185462,[["images/shared-0-sheet2.png",309345,1,1537,200,200,1,1,0,[],[-0.69625,0,-0.65625,0.2475,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.735,0.415,-0.8,0.005],0],["images/shared-0-sheet2.png",309345,1819,1281,200,200,1,1,0,[],[-0.69625,0,-0.65625,0.2475,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.735,0.415,-0.8,0.005],0],["images/shared-0-sheet2.png",309345,1617,1281,200,200,1,1,0,[],[-0.649062,0.281875,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.5700000000000001,0.5725,-0.72,0.315625],0],["images/shared-0-sheet2.png",309345,1415,1281,200,200,1,1,0,[],[-0.649062,0.281875,-0.48750000000000004,0.50625,-0.275,0.6575,-0.32125000000000004,0.73125,-0.5700000000000001,0.5725,-0.72,0.315625],0],["images/shared-0-sheet2.png",309345,1213,1281,200,200,1,1,0,[],[-0.7012499999999999,0.00249989,-0.69375,0.55,-0.58375,0.695,-0.284999,0.716251,-0.29125,0.795,-0.5,0.805,-0.74875,0.675,-0.79375,0.00250003],0],["images/shared-0-sheet2.png",309345,1011,1281,200,200,1,1,0,[],[-0.7012499999999999,0.00249989,-0.69375,0.55,-0.58375,0.695,-0.284999,0.716251,-0.29125,0.795,-0.5,0.805,-0.74875,0.675,-0.79375,0.00250003],0],["images/shared-0-sheet2.png",309345,809,1281,200,200,1,1,0,[],[-0.7025,0.295,-0.69375,0.55,-0.58375,0.695,-0.284999,0.716251,-0.29125,0.795,-0.5,0.805,-0.74875,0.675,-0.78625,0.29875],0]]]],[["Rotate",1,792147650776647,0],["Pin",2,539672856744929,6]],false,false,127892743664541,[],null,9,null],["bottomRight",0,false,[],2,0,null,[["Default",0,false,1,0,false,861679210619417,[["images/shared-0-sheet2.png",309345,607,1281,200,200,1,0,0,[],[0.667501,0.25,0.70875,2.55182e-7,0.8025,0,0.703751,0.41,0.3525,0.7275,0.295,0.7175,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,405,1281,200,200,1,0,0,[],[0.667501,0.25,0.70875,2.55182e-7,0.8025,0,0.703751,0.41,0.3525,0.7275,0.295,0.7175,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,203,1281,200,200,1,0,0,[],[0.660001,0.281876,0.728126,0.304375,0.585,0.552501,0.3225,0.736251,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,1,1281,200,200,1,0,0,[],[0.660001,0.281876,0.728126,0.304375,0.585,0.552501,0.3225,0.736251,0.285,0.6575,0.51375,0.49375],0],["images/shared-0-sheet2.png",309345,1793,1025,200,200,1,0,0,[],[0.70875,0,0.801876,0,0.74375,0.691252,0.30375,0.792501,0.2925,0.7175,0.58375,0.692501,0.7025,0.545625],0],["images/shared-0-sheet2.png",309345,1537,1025,200,200,1,0,0,[],[0.71375,0.30125,0.788126,0.2875,0.74375,0.691252,0.30375,0.792501,0.2925,0.7175,0.58375,0.692501,0.7025,0.545625],0],["images/shared-0-sheet2.png",309345,1816,257,200,200,1,0,0,[],[0.71375,0.30125,0.788126,0.2875,0.74375,0.691252,0.30375,0.792501,0.2925,0.7175,0.58375,0.692501,0.7025,0.545625],0]]]],[["Rotate",1,163727018030749,0],["Pin",2,627250345227193,6]],false,false,721635022668109,[],null,10,null],["topLeftBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,727377916368066,[["images/shared-0-sheet2.png",309345,303,605,300,300,1,1,1,[],[-0.551667,-0.541667,0,-0.753333,0,-0.681666,-0.23666699999999996,-0.638333,-0.45999999999999996,-0.5083329999999999,-0.626667,-0.2825,-0.6799999999999999,-0.001666999999999974,-0.7575000000000001,0],0],["images/shared-0-sheet2.png",309345,1,605,300,300,1,1,1,[],[-0.551667,-0.541667,-0.24166600000000005,-0.711667,-0.196666,-0.706666,-0.19666700000000004,-0.655,-0.45999999999999996,-0.5083329999999999,-0.626667,-0.2825,-0.6799999999999999,-0.001666999999999974,-0.7575000000000001,0],0],["images/shared-0-sheet2.png",309345,1511,513,300,300,1,1,1,[],[-0.48166699999999996,-0.588333,0,-0.753333,0,-0.681666,-0.28,-0.63,-0.521667,-0.44999999999999996,-0.65,-0.204167,-0.693333,-0.18333299999999997,-0.714167,-0.22499999999999998],0],["images/shared-0-sheet2.png",309345,1209,303,300,300,1,1,1,[],[-0.48166699999999996,-0.588333,-0.22999999999999998,-0.7150000000000001,-0.19333299999999998,-0.685,-0.21499999999999997,-0.648333,-0.47166699999999995,-0.505,-0.65,-0.204167,-0.693333,-0.18333299999999997,-0.714167,-0.22499999999999998],0]]]],[],false,false,820395914286956,[],null,11,null],["topRightBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,478849238810731,[["images/shared-0-sheet2.png",309345,907,303,300,300,1,0,1,[],[0,-0.746667,0.536667,-0.5700000000000001,0.750833,0,0.688333,-0.0008340000000000014,0.6325,-0.276667,0.480417,-0.48708300000000004,0.269167,-0.630833,0,-0.6825],0],["images/shared-0-sheet2.png",309345,605,303,300,300,1,0,1,[],[0.23,-0.711667,0.603333,-0.448333,0.750833,0,0.688333,-0.0008340000000000014,0.625833,-0.29333299999999995,0.445417,-0.527083,0.199167,-0.6591670000000001,0.188333,-0.6958329999999999],0],["images/shared-0-sheet2.png",309345,303,303,300,300,1,0,1,[],[0,-0.746667,0.466667,-0.6066670000000001,0.7175,-0.22166600000000003,0.7,-0.18916699999999997,0.6625,-0.20499999999999996,0.510417,-0.467083,0.275833,-0.6275,0,-0.6825],0],["images/shared-0-sheet2.png",309345,1,303,300,300,1,0,1,[],[0.218333,-0.7150000000000001,0.526667,-0.541667,0.7175,-0.22166600000000003,0.7,-0.18916699999999997,0.6625,-0.20499999999999996,0.482083,-0.5020830000000001,0.204167,-0.6541669999999999,0.183333,-0.694167],0]]]],[],false,false,249788881012401,[],null,12,null],["bottomLeftBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,194425459131243,[["images/shared-0-sheet2.png",309345,1514,1,300,300,1,1,0,[],[-0.755,0.00166667,-0.686667,0,-0.638333,0.238334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.608333,0.461667],0],["images/shared-0-sheet2.png",309345,607,1,301,300,1,1,0,[],[-0.755,0.00166667,-0.686667,0,-0.638333,0.238334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.608333,0.461667],0],["images/shared-0-sheet2.png",309345,304,1,301,300,1,1,0,[],[-0.713472,0.206667,-0.681683,0.191667,-0.6582669999999999,0.208334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.57345,0.495],0],["images/shared-0-sheet2.png",309345,1,1,301,300,1,1,0,[],[-0.713472,0.206667,-0.681683,0.191667,-0.6582669999999999,0.208334,-0.521667,0.45,-0.343333,0.596667,-0.19166700000000003,0.666667,-0.21666700000000005,0.718333,-0.57345,0.495],0]]]],[],false,false,844100857379371,[],null,13,null],["bottomRightBig",0,false,[],0,0,null,[["Default",0,false,1,0,false,809013815091153,[["images/shared-0-sheet2.png",309345,1212,1,300,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.693333,0,0.75,0,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0],["images/shared-0-sheet2.png",309345,1207,605,299,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.693333,0,0.75,0,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0],["images/shared-0-sheet2.png",309345,906,605,299,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.6833,0.19,0.711538,0.226667,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0],["images/shared-0-sheet2.png",309345,605,605,299,300,1,0,0,[],[0.548333,0.431667,0.651667,0.245,0.6833,0.19,0.711538,0.226667,0.606667,0.463333,0.208333,0.716667,0.19,0.67,0.395,0.565],0]]]],[],false,false,503365445602998,[],null,14,null],["backgroundImg",0,false,[],0,0,null,[["Default",5,false,1,0,false,464409845753986,[["images/shared-0-sheet0.png",379512,723,1,720,1280,1,0.5,0.5,[],[],0]]]],[],false,false,990631145749992,[],null,15,null],["titleImg",0,false,[],0,0,null,[["Default",5,false,1,0,false,408564550210340,[["images/shared-0-sheet0.png",379512,1025,1793,600,250,1,0.5,0.5,[],[-0.368333,-0.184,0,-0.15999999999999998,0.37,-0.188,0.34166700000000005,0.12,0,0.248,-0.36166699999999996,0.16800000000000004],0]]]],[],false,false,920132887652774,[],null,16,null],["soundBtn",0,false,[],0,0,null,[["Default",0,false,1,0,false,581865653806574,[["images/shared-0-sheet2.png",309345,1793,1921,163,83,1,0,0,[],[],0],["images/shared-0-sheet2.png",309345,1567,1921,163,83,1,0,0,[],[],0]]]],[],false,false,571870241550551,[],null,17,null],["playerBall",0,false,[],1,0,null,[["round",0,false,1,0,false,298287009809719,[["images/playerball-sheet0.png",14498,1,1,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,67,1,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,133,1,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,1,67,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,67,67,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,133,67,64,64,1,0.5,0.5,[],[-0.5,-0.421875,0.5,-0.421875,0.5,0.5,-0.5,0.5],0]]],["oval",0,false,1,0,false,559684730679319,[["images/playerball-sheet0.png",14498,199,1,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,199,73,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,1,133,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,65,133,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,129,133,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0],["images/playerball-sheet0.png",14498,193,145,56,70,1,0.5,0.5,[],[-0.375,-0.3,0,-0.357143,0.375,-0.3,0.5,0.5,-0.5,0.5],0]]]],[["Platform",3,881103210887740,18]],false,false,273304378409891,[],null,19,null],["startPlatform",0,false,[],1,0,null,[["Default",5,false,1,0,false,677713577537098,[["images/shared-0-sheet3.png",9596,1,97,150,30,1,0.5,0.5,[],[],0]]]],[["Solid",4,983984918969448,20]],false,false,709834415886638,[],null,21,null],["platform",0,false,[],1,0,null,[["Default",5,false,1,0,false,478847217737245,[["images/shared-0-sheet3.png",9596,78,65,150,30,1,0.5,1.03333,[["Imagepoint 1",0.5,-0.633333]],[],0]]]],[["Jumpthru",5,892194866593923,22]],false,false,923551676632262,[],null,23,null],["platformSmall",0,false,[],1,0,null,[["Default",5,false,1,0,false,779913061079332,[["images/shared-0-sheet3.png",9596,1,241,150,10,1,0.5,1.1,[],[],0]]]],[["Pin",2,341408295096047,6]],false,false,935062943548814,[],null,24,null],["playerBallTail",6,false,[],1,0,["images/shared-0-sheet3.png",9596,0,144,129,64,64],null,[["ScrollTo",7,146623564852370,25]],false,false,494189499112014,[],null,26,null],["camera",0,false,[],1,0,null,[["Default",5,false,1,0,false,646273805435104,[["images/shared-0-sheet3.png",9596,1,129,50,50,1,0.5,0.5,[],[],0]]]],[["ScrollTo",7,998432104856966,25]],false,false,632650078581620,[],null,27,null],["playerBallExplosion",6,false,[],0,0,["images/shared-0-sheet3.png",9596,0,78,129,64,64],null,[],false,false,762910706158987,[],null,28,null],["tapHand",0,false,[],3,0,null,[["Default",5,false,1,0,false,369320257680152,[["images/shared-0-sheet2.png",309345,1011,1793,150,239,1,0.5,0.502092,[],[-0.33999999999999997,-0.401674,0,-0.276151,0.0066669999999999785,-0.192469,0.43999999999999995,-0.0041839999999999655,0.41333299999999995,0.443515,0,0.46443500000000004,-0.24666700000000003,0.338912,-0.18666700000000003,-0.0041839999999999655],0]]]],[["LiteTween",8,863917221653181,29],["Sine",9,506983552094393,30],["LiteTween2",8,795753948388561,31]],false,false,177614921817651,[],null,32,null],["tapText",0,false,[],2,0,null,[["Default",5,false,1,0,false,671848822781908,[["images/shared-0-sheet2.png",309345,1537,897,470,118,1,0.5,0.5,[],[-0.4702128,-0.38135600000000003,0,-0.440678,0.470213,-0.38135600000000003,0.470213,0,0.40425500000000003,0.11864399999999997,0,0.11864399999999997,-0.351064,-0.09322000000000003,-0.351064,0],0]]]],[["LiteTween",8,560341757953693,29],["LiteTween2",8,875292490114649,31]],false,false,929710433388035,[],null,33,null],["HUD",0,false,[],0,0,null,[["Default",5,false,1,0,false,276967413490675,[["images/shared-0-sheet1.png",42351,0,0,720,1280,1,0.5,0.5,[],[0.427778,0.021874999999999978,0,-0.41875,-0.154167,-0.132031,0.458333,0,0.4125,0.450781,-0.425,0.457812,-0.4527778,0],0]]]],[],false,false,498102410221004,[],null,34,null],["reviveBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,614146869049578,[["images/shared-0-sheet2.png",309345,1365,1921,200,70,1,0.5,0.5,[],[],0]]]],[],false,false,170934919641002,[],null,35,null],["restartBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,809602976341418,[["images/shared-0-sheet2.png",309345,1163,1921,200,70,1,0.5,0.5,[],[],0]]]],[],false,false,825703041636442,[],null,36,null],["dialogInterface",0,false,[],0,0,null,[["Default",5,false,1,0,false,158020665460750,[["images/shared-0-sheet0.png",379512,1445,1,550,600,1,0.5,0.5,[],[-0.4727273,-0.475,0,-0.5,0.472727,-0.475,0.5,0,0.472727,0.475,0,0.5,-0.4727273,0.475,-0.5,0],0]]]],[],false,false,657908815693832,[],null,37,null],["scoreUI",10,false,[],0,0,null,null,[],false,false,910336882476682,[],null,38,null],["homeBtn",0,false,[],0,0,null,[["Default",5,false,1,0,false,351261292229635,[["images/shared-0-sheet3.png",9596,1,1,75,75,1,0.506667,0.506667,[],[],0]]]],[],false,false,589738064651453,[],null,39,null],["bestScore",10,false,[],0,0,null,null,[],false,false,822698553198201,[],null,40,null],["fade",0,false,[],1,0,null,[["Default",5,false,1,0,false,209879327875262,[["images/shared-0-sheet0.png",379512,1,1,720,1280,1,0.5,0.5,[],[],0]]]],[["Fade",11,781327453279676,41]],false,false,703831285755972,[],null,42,null],["Touch",12,false,[],0,0,null,null,[],false,false,723036287232125,[],null,43,null,[true]],["Audio",13,false,[],0,0,null,null,[],false,false,928785058348195,[],null,44,null,[0,0,false,0,1,1,600,600,10000,1]],["Function",14,false,[],0,0,null,null,[],false,false,688435021937385,[],null,45,null,[]],["LocalStorage",15,false,[],0,0,null,null,[],false,false,205227995053934,[],null,46,null,[]],["Browser",16,false,[],0,0,null,null,[],false,false,748816050129310,[],null,47,null,[]],["AJAX",17,false,[],0,0,null,null,[],false,false,295487878465600,[],null,48,null,[]],["FileChooser",18,false,[],0,0,null,null,[],false,false,631541371918327,[],null,49,null],["gameover",0,false,[],0,0,null,[["Animation 1",5,false,1,0,false,139475441980867,[["images/shared-0-sheet4.png",88644,0,0,2398,608,1,0.5,0.5,[],[-0.47414512093411176,-0.3980263157894737,0.469140950792327,-0.3799342105263158,0.4808173477898249,0,0.42869057547956635,0.21875,-0.42368640533778146,0.19736842105263153,-0.49291075896580483,0],0]]]],[],false,false,621325318947560,[],null,50,null],["smallObstacles",0,true,[],1,0,null,null,[["Rotate2",1,699833290589606,51]],false,false,773337861937338,[],null,52,null],["bigObstacles",0,true,[],2,0,null,null,[["Rotate",1,574089571219213,0],["Pin",2,814384676345299,6]],false,false,318722677633050,[],null,53,null]],[[41,7,8,5,6],[42,11,12,9,10]],[["MainMenu",720,1280,false,"eMainMenu",8873350371196689,[["Backdround",0,8722530541249526,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],13,0,[],[],[true,"Default",0,true]]],[],0,true],["Main",1,956356249761346,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,420,0,600,250,0,0,1,0.5,0.5,0,0,[],null,null,null],14,1,[],[],[true,"Default",0,true]],[[50,50,0,163,83,0,0,1,0,0,0,0,[],null,null,null],15,2,[],[],[true,"Default",0,true]],[[360,880,0,36,39,0,0,1,0.5,0.512821,0,0,[],null,null,null],4,3,[],[],[true,"Default",0,true]],[[360,880,0,150,150,0,0,1,0.5,0.5,0,0,[],null,null,null],3,4,[],[[120,0,true]],[true,"Default",0,true]],[[360,880,0,220,220,0,0,1,0.5,0.5,0,0,[],null,null,null],2,5,[],[[-110,0,true]],[true,"Default",0,true]],[[360,880,0,300,300,0,0,1,0.5,0.5,0,0,[],null,null,null],1,6,[],[[100,0,true]],[true,"Default",0,true]],[[360,880,0,400,400,0,0,1,0.5,0.5,0,0,[],null,null,null],0,7,[],[[-105,0,true]],[true,"Default",0,true]],[[230,1200,0,383,69,0,0,1,0.5,0.5,0,0,[],null,null,null],31,38,[],[],["Best score: 0",false,"Arial",27.75,0,true,false,[0.5490196078431373,0.8941176470588236,0.9882352941176471],0,1,0,true,4]]],[],0,true],["Fade",2,937846143634586,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],32,37,[],[[0,0,1,true,true]],[true,"Default",0,true]],[[339,650,0,370,153,0,0,1,0.5,0.5,0,0,[],null,null,null],40,43,[],[],[false,"Animation 1",0,true]]],[],0,true]],[],[]],["Game",720,1280,true,"eGame",485219962931425,[["Backdround",0,875976372172221,true,[255,255,255],true,0,0,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],13,10,[],[],[true,"Default",0,true]]],[],0,true],["Main",1,452148197484437,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[-80,1680,0,150,239,0,0,1,0.5,0.502092,0,0,[],null,null,null],23,16,[],[[0,0,0,"590,1680",0,0.3,1],[5,0,1,0,2,0,10,0,true],[0,0,0,"1220,1680",0,0.2,1]],[true,"Default",0,true]],[[-400,1700,0,470,118,0,0,1,0.5,0.5,0,0,[],null,null,null],24,17,[],[[0,0,0,"270,1700",0,0.3,1],[0,0,0,"900,1700",0,0.2,1]],[true,"Default",0,true]]],[],0,true],["Platform",2,573730991132135,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[360,1580,0,150,30,0,0,1,0.5,0.5,0,0,[],null,null,null],17,12,[],[[true,""]],[true,"Default",0,true]]],[],0,true],["Ball",3,780494675360032,true,[255,255,255],true,1,1,1,false,false,1,0,0,[[[310,1548,0,100,100,0,0,1,0,0.5,0,0,[],null,null,null],20,26,[],[[true]],[200,0,0,-1,0,30,100,-100,0,0,0,32,0,-150,0,0,800,0,0,0.5]],[[360,1538,0,64,64,0,0,1,0.5,0.5,0,0,[],null,null,null],16,11,[],[[300,4000,7000,1930,3000,4000,false,0,true,true]],[true,"round",0,true]]],[],0,true],["Shake",4,816037189069100,true,[255,255,255],true,1,0,1,false,false,1,0,0,[[[359,1663,0,50,50,0,0,1,0.5,0.5,0,0,[],null,null,null],21,14,[],[[true]],[false,"Default",0,true]]],[],0,true],["UI",5,329825933462403,true,[255,255,255],true,1,0,1,false,false,1,0,0,[[[360,640,0,720,1280,0,0,1,0.5,0.5,0,0,[],null,null,null],25,20,[],[],[true,"Default",0,true]],[[32,278,0,383,137,0,0,1,0,0,0,0,[],null,null,null],29,27,[],[],["Score: 0",false,"Arial",27.75,0,true,false,[0.5490196078431373,0.8941176470588236,0.9882352941176471],0,0,0,true,0]]],[],0,true],["dialogInterface",6,566896097030248,false,[255,255,255],true,1,0,1,false,false,1,0,0,[[[360,640,0,550,600,0,0,1,0.5,0.5,0,0,[],null,null,null],28,28,[],[],[true,"Default",0,true]],[[238.557861328,852.227172852,0,200,70,0,0,0.5,0.5,0.5,0,0,[],null,null,null],26,29,[],[],[false,"Default",0,true]],[[478.234008789,851.332885742,0,200,70,0,0,0.5,0.5,0.5,0,0,[],null,null,null],27,30,[],[],[false,"Default",0,true]],[[145,403,0,75,75,0,0,0.5,0.506667,0.506667,0,0,[],null,null,null],30,31,[],[],[false,"Default",0,true]]],[],0,true]],[],[]],["GameAssets",1708,960,false,null,543139204115647,[["Layer 0",0,497752956008871,true,[255,255,255],false,1,1,1,false,false,1,0,0,[[[574,312,0,150,30,0,0,1,0.5,1.03333,0,0,[],null,null,null],18,18,[],[[true]],[true,"Default",0,true]],[[566,218,0,150,10,0,0,1,0.5,1.1,0,0,[],null,null,null],19,21,[],[[false]],[true,"Default",0,true]],[[295,412,0,200,200,0,0,1,1,0,0,0,[],null,null,null],7,22,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[296,409,0,200,200,0,0,1,1,1,0,0,[],null,null,null],5,23,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[294,411,0,200,200,0,0,1,0,1,0,0,[],null,null,null],6,24,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[291,415,0,200,200,0,0,1,0,0,0,0,[],null,null,null],8,25,[],[[0,0,true],[0,0,true],[false]],[true,"Default",0,true]],[[205,746,0,50,50,0,0,1,0.5,0.5,0,0,[],null,null,null],21,13,[],[[true]],[true,"Default",0,true]],[[553,658,0,128,128,0,1.570796371,1,0,0.5,0,0,[],null,null,null],22,15,[],[],[50,60,1,-1,200,20,100,0,0,0,200,20,20,100,1000,0,500,0,0,1]],[[1029,382,0,300,300,0,0,1,1,1,0,0,[],null,null,null],9,32,[],[[0,0,true],[false]],[true,"Default",0,true]],[[1029,382,0,300,300,0,0,1,0,1,0,0,[],null,null,null],10,33,[],[[0,0,true],[false]],[true,"Default",0,true]],[[1030,384,0,300,300,0,0,1,1,0,0,0,[],null,null,null],11,34,[],[[0,0,true],[false]],[true,"Default",0,true]],[[1029,384,0,300,300,0,0,1,0,0,0,0,[],null,null,null],12,35,[],[[0,0,true],[false]],[true,"Default",0,true]]],[],0,true]],[],[]]],[["eMainMenu",[[1,"token",1,"\"\"",false,false,328029927887886,false,54],[1,"jsonResponse",0,0,false,false,260918877053673,false,55],[1,"jsonBody",1,"\"\"",false,false,648104149399339,false,56],[1,"redirect_url",1,"\"\"",false,false,183215376260701,false,57],[1,"campaign_id",0,0,false,false,960224879949004,false,58],[1,"gameKey",1,"\"\"",false,false,381409647576494,false,59],[0,0,false,null,329135235343356,1,[[-1,19,null,1,false,false,false,180826363057003,null]],[[34,20,null,648211321042712,0,null,[[1,[2,"game"]]]],[34,21,null,906099102365778,0,null,[[2,["menumusic",false]],[3,1],[0,[3,[1,10]]],[1,[2,"menu"]]]],[15,22,null,932845501700868,0,null,[[0,[23,"SoundON"]]]],[36,23,null,202591426985230,1,null,[[1,[2,"bestScore"]]]],[37,88,null,748101466548376,0,null,[[1,[2,"Leaderboard.ShowButton()"]]]]]],[0,0,false,null,676020930842013,2,[[33,24,null,1,false,false,false,446350106079298,null,[[4,0]]]],[[-1,25,null,120397714930291,0,null,[[6,"Game"]]]]],[0,0,false,null,410632186484870,3,[[33,24,null,1,false,false,false,469512552776105,null,[[4,15]]]],[[34,26,null,959707606158634,0,null,[[3,2]]],[-1,27,null,712699353319118,0,null,[[11,"SoundON"],[7,[6,[1,1],[12,[20,15,28,false,null],[1,0]]]]]],[15,22,null,680368652394083,0,null,[[0,[23,"SoundON"]]]]]],[0,0,false,null,576743307269038,4,[[36,29,null,1,false,false,false,772659360004151,null,[[1,[2,"bestScore"]]]]],[[36,30,null,797742494758298,1,null,[[1,[2,"bestScore"]]]]]],[0,0,false,null,513800067902345,5,[[36,31,null,1,false,false,false,930464621270856,null,[[1,[2,"bestScore"]]]]],[[-1,27,null,980234500593777,0,null,[[11,"bestScore"],[7,[20,36,32,false,null]]]],[31,33,null,835783812042657,0,null,[[7,[10,[2,"Best score: "],[23,"bestScore"]]]]]]],[0,0,false,null,727843474277270,6,[[36,34,null,1,false,false,false,165209837774564,null,[[1,[2,"bestScore"]]]]],[[36,35,null,445294296689240,1,null,[[1,[2,"bestScore"]],[7,[1,0]]]],[-1,27,null,855543101660858,0,null,[[11,"bestScore"],[7,[1,0]]]],[31,33,null,547993603697279,0,null,[[7,[10,[2,"Best score: "],[23,"bestScore"]]]]]]],[0,0,false,null,311046544087090,7,[[-1,19,null,1,false,false,false,484552593382766,null]],[[-1,27,null,249509377315188,0,null,[[11,"token"],[7,[20,37,67,false,null,[[2,"LaunchContext.Get('token')"]]]]]],[37,37,null,269986732095257,0,null,[[3,0],[7,[23,"token"]]]],[-1,27,null,468499015143114,0,null,[[11,"redirect_url"],[7,[20,37,67,false,null,[[2,"LaunchContext.Get('redirect_url')"]]]]]],[-1,27,null,913215329107293,0,null,[[11,"gameKey"],[7,[20,37,67,false,null,[[2,"LaunchContext.Get('game_id')"]]]]]],[-1,27,null,928916228700717,0,null,[[11,"campaign_id"],[7,[20,37,67,false,null,[[2,"LaunchContext.Get('campaign_id')"]]]]]]]]]],["eGame",[[2,"eFunctions",false],[0,0,false,null,527167273560849,1,[[-1,19,null,1,false,false,false,614640476891993,null]],[[34,20,null,771408563254463,0,null,[[1,[2,"game"]]]],[34,20,null,172794827038099,0,null,[[1,[2,"menu"]]]],[35,38,null,808555635860060,0,null,[[1,[2,"generateStart"]],[13]]],[34,21,null,495775563332921,0,null,[[2,["elevator",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[36,30,null,405931396416710,1,null,[[1,[2,"bestScore"]]]],[-1,39,null,236753782798493,2,null,[[0,[1,2]]]],[-1,40,null,806302445130842,0,null,[[1,[2,"slideIn"]],[3,1]]],[34,21,null,855685844693224,0,null,[[2,["music",false]],[3,1],[0,[3,[1,10]]],[1,[2,"game"]]]],[24,41,"LiteTween",334947340011095,0,null,[[3,0],[3,0]]],[23,41,"LiteTween",561438516500006,0,null,[[3,0],[3,0]]],[35,38,null,319552501453185,0,null,[[1,[2,"smallObstacles"]],[13]]],[37,88,null,623833583860805,0,null,[[1,[2,"Leaderboard.HideButton()"]]]]]],[0,0,false,null,668322159131335,2,[[33,42,null,1,false,false,false,789050284342323,null]],[],[[0,0,false,null,941801307660865,3,[[16,43,"Platform",0,false,false,false,938397627554114,null]],[[16,44,"Platform",508474731647582,0,null,[[3,2]]],[34,21,null,881784381920132,0,null,[[2,["bounce",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[16,45,null,148074547349380,0,null,[[1,[2,"oval"]],[3,0]]],[-1,46,null,649191593268975,0,null,[[11,"totalJumps"],[7,[1,1]]]]],[[0,0,false,null,704765107336356,4,[[-1,47,null,0,false,false,false,275931835417104,null,[[7,[23,"totalJumps"]],[8,2],[7,[5,[23,"bigObstaclesDelay"],[1,1]]]]]],[[35,38,null,965998918548733,0,null,[[1,[2,"generate"]],[13]]]]],[0,0,false,null,592312506538269,5,[[-1,47,null,0,false,false,false,400362339301798,null,[[7,[23,"totalJumps"]],[8,5],[7,[5,[23,"bigObstaclesDelay"],[1,1]]]]]],[[35,38,null,345931713564005,0,null,[[1,[2,"generateBig"]],[13]]]]]]]]],[0,0,false,null,108882499060469,6,[[-1,47,null,0,false,false,false,482901576789429,null,[[7,[20,16,48,false,null]],[8,4],[7,[1,1350]]]]],[],[[0,0,false,null,868384815257416,7,[[-1,49,null,0,false,false,false,443182523766342,null]],[[17,50,null,695317464975757,0,null,[[0,[5,[20,17,48,false,null],[1,3]]]]]]]]],[0,0,false,null,304467112093461,8,[[16,43,"Platform",0,false,false,false,974899618072687,null]],[[16,45,null,716138216647379,0,null,[[1,[2,"round"]],[3,0]]]]],[0,0,false,null,151897380332464,9,[[16,51,null,0,false,false,false,168107054976797,null,[[8,2],[0,[23,"minScroll"]]]]],[[-1,27,null,942533540707790,0,null,[[11,"minScroll"],[7,[20,16,48,false,null]]]]]],[0,0,false,null,436304782035865,10,[[-1,49,null,0,false,false,false,567775913267054,null]],[[-1,52,null,351786557624123,0,null,[[0,[1,360]],[0,[23,"minScroll"]]]],[20,53,null,368154716714714,0,null,[[4,16],[7,[1,0]]]],[21,54,null,278793212859259,0,null,[[0,[20,16,55,false,null]],[0,[20,16,48,false,null]]]]]],[0,0,false,null,512067405382380,11,[[16,56,null,0,false,false,true,756164412079569,null,[[4,19]]]],[[16,22,null,819452520370465,0,null,[[0,[8,[23,"totalJumps"],[1,6]]]]],[-1,46,null,641185405682226,0,null,[[11,"score"],[7,[1,10]]]],[29,33,null,570839368213879,0,null,[[7,[10,[2,"Score: "],[23,"score"]]]]]],[[0,0,false,null,158066739858537,12,[[-1,57,null,0,false,false,false,602152255420612,null,[[4,5],[0,[12,[20,5,58,false,null],[1,1]]]]],[-1,47,null,0,false,false,false,852932655193346,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,923203771812066,null,[[7,[23,"totalJumps"]],[8,3],[7,[1,1]]]]],[[5,59,"Rotate",499695117933871,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]]],[0,0,false,null,708102347707121,13,[[-1,57,null,0,false,false,false,244407052608041,null,[[4,5],[0,[12,[20,5,58,false,null],[1,1]]]]],[-1,47,null,0,false,false,false,145991816799510,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,446098553127653,null,[[7,[23,"totalJumps"]],[8,3],[7,[1,1]]]]],[[5,59,"Rotate",366964708468088,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,224987357534474,14,[[-1,57,null,0,false,false,false,764637898597999,null,[[4,5],[0,[12,[20,5,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,443590394304572,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,777735144057409,null,[[7,[23,"totalJumps"]],[8,4],[7,[1,1]]]]],[[5,59,"Rotate",327022488913603,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]]],[0,0,false,null,401571221420300,15,[[-1,57,null,0,false,false,false,562596885612591,null,[[4,5],[0,[12,[20,5,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,170650492638418,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,162361784916385,null,[[7,[23,"totalJumps"]],[8,4],[7,[1,1]]]]],[[5,59,"Rotate",859734023218520,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,302906426405847,16,[[-1,57,null,0,false,false,false,616816574484932,null,[[4,9],[0,[12,[20,9,58,false,null],[3,[1,1]]]]]],[-1,47,null,0,false,false,false,797792503121598,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,303721564752522,null,[[7,[23,"totalJumps"]],[8,0],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",154616797051942,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,907786137956391,17,[[-1,57,null,0,false,false,false,360862153872401,null,[[4,9],[0,[12,[20,9,58,false,null],[3,[1,1]]]]]],[-1,47,null,0,false,false,false,156061095945910,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,904066330930582,null,[[7,[23,"totalJumps"]],[8,0],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",263272880909709,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[[0,0,false,null,126172072147367,18,[],[]]]],[0,0,false,null,134776067169550,19,[[-1,57,null,0,false,false,false,723219714922003,null,[[4,9],[0,[12,[20,9,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,113375340359325,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,0],[7,[1,0]]]],[-1,47,null,0,false,false,false,301033624317301,null,[[7,[23,"totalJumps"]],[8,4],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",524916352272752,0,null,[[0,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]],[0,0,false,null,749265267286381,20,[[-1,57,null,0,false,false,false,675963674959338,null,[[4,9],[0,[12,[20,9,58,false,null],[1,0]]]]],[-1,47,null,0,false,false,false,390156739698291,null,[[7,[8,[23,"totalJumps"],[1,2]]],[8,1],[7,[1,0]]]],[-1,47,null,0,false,false,false,910685614248362,null,[[7,[23,"totalJumps"]],[8,4],[7,[23,"bigObstaclesDelay"]]]]],[[9,59,"Rotate",262210210490935,0,null,[[0,[3,[4,[1,40],[6,[23,"totalJumps"],[23,"speedIncrement"]]]]]]]]]]],[0,0,false,null,148586762533660,21,[[18,60,null,0,false,true,false,649067286597643,null],[18,51,null,0,false,false,false,588676982209441,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[18,62,null,820004324025449,0,null]]],[0,0,false,null,402796160076049,22,[[19,60,null,0,false,true,false,234124432630338,null],[19,51,null,0,false,false,false,397389781967006,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[19,62,null,248112689528510,0,null]]],[0,0,false,null,925587609570325,23,[[41,51,null,0,false,false,false,461159259024850,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[41,62,null,824673358435924,0,null]]],[0,0,false,null,287655731494703,24,[[42,51,null,0,false,false,false,779206278873959,null,[[8,4],[0,[4,[19,61,[[2,"Platform"]]],[1,400]]]]]],[[42,62,null,841436834387873,0,null]]],[0,0,false,null,285309065905667,25,[[16,56,null,0,false,false,true,249093229044951,null,[[4,41]]]],[[35,38,null,787929547456899,0,null,[[1,[2,"playerDead"]],[13]]]]],[0,0,true,null,890814248501938,26,[[16,56,null,0,false,false,true,906403978613530,null,[[4,42]]]],[[35,38,null,403127252799345,0,null,[[1,[2,"playerDead"]],[13]]]]],[3,[false,"dialogInterface"],false,null,631165588816015,27,[[-1,63,null,0,false,false,false,0,false,[[1,[2,"dialogInterface"]]]]],[],[[0,0,false,null,154652540042388,28,[[-1,64,null,0,false,false,false,577202956701130,null]],[[-1,65,null,912361750280752,0,null,[[5,[2,"dialogInterface"]],[3,1]]],[37,88,null,337264260336929,0,null,[[1,[2,"Leaderboard.ShowButton()"]]]]],[[0,0,false,null,286258611463747,34,[[-1,47,null,0,false,false,false,571987561250836,null,[[7,[20,37,67,false,null,[[2,"ScoreClient.CanSubmit()"]]]],[8,0],[7,[0,1]]]]],[[38,66,null,676964769545014,0,null,[[1,[2,"Content-Type"]],[1,[2,"application/json"]]]],[38,66,null,415053770326541,0,null,[[1,[2,"Authorization"]],[1,[20,37,67,false,null,[[2,"ScoreClient.GetToken()"]]]]]],[-1,27,null,173602280036972,0,null,[[11,"jsonBody"],[7,[20,37,67,false,null,[[10,[10,[2,"ScoreClient.BuildBody("],[23,"bestScore"]],[2,")"]]]]]]],[38,69,null,480949252411026,1,null,[[1,[2,"high_score"]],[1,[20,37,67,false,null,[[2,"ScoreClient.GetEndpoint()"]]]],[1,[23,"jsonBody"]],[1,[2,"POST"]]]]]],[0,0,false,null,852016640663564,35,[],[[40,70,null,108995995922720,0,null,[[3,1]]],[37,71,null,937330079396372,0,null,[[1,[23,"redirect_url"]],[3,1]]]]],[0,0,false,null,715623869056736,29,[[-1,47,null,0,false,false,false,750191451712990,null,[[7,[23,"score"]],[8,4],[7,[23,"bestScore"]]]]],[[-1,27,null,361529835675544,0,null,[[11,"bestScore"],[7,[23,"score"]]]],[36,35,null,905841097771244,1,null,[[1,[2,"bestScore"]],[7,[23,"bestScore"]]]]]]]],[0,0,false,null,701913292511559,30,[[33,24,null,1,false,false,false,592798420115018,null,[[4,26]]]],[[35,38,null,653032524864207,0,null,[[1,[2,"playerRevive"]],[13]]]]],[0,0,false,null,272339353122048,31,[[33,24,null,1,false,false,false,319491077620986,null,[[4,27]]]],[[-1,72,null,526730646255385,0,null],[-1,40,null,421227509479340,0,null,[[1,[2,"dialogInterface"]],[3,0]]],[-1,65,null,924111080979925,0,null,[[5,[2,"dialogInterface"]],[3,0]]],[-1,39,null,749511528881341,2,null,[[0,[1,0.5]]]],[-1,73,null,921629390542546,0,null]]],[0,0,false,null,705209905670813,32,[[33,24,null,1,false,false,false,719746030678401,null,[[4,30]]]],[[-1,72,null,826648338118784,0,null],[-1,40,null,498719723794593,0,null,[[1,[2,"dialogInterface"]],[3,0]]],[-1,65,null,223213703866661,0,null,[[5,[2,"dialogInterface"]],[3,0]]],[-1,39,null,828164679131016,2,null,[[0,[1,0.5]]]],[-1,25,null,636381555800549,0,null,[[6,"MainMenu"]]]]]]],[0,0,false,null,712287264928017,33,[[36,31,null,1,false,false,false,918621948591058,null,[[1,[2,"bestScore"]]]]],[[-1,27,null,305245091730215,0,null,[[11,"bestScore"],[7,[20,36,32,false,null]]]]]]]],["eVariables",[[1,"speedIncrement",0,1.9,false,false,100221714615425,false,60],[1,"bigObstaclesDelay",0,6,false,false,401480663883801,false,61],[1,"randomSmall",0,0,false,false,298867854791869,false,62],[1,"randomBig",0,0,false,false,504791734877926,false,63],[1,"score",0,0,false,false,353563202502117,false,64],[1,"bestScore",0,0,false,false,931498330083570,false,40],[1,"SoundON",0,0,false,false,341452472661571,false,65],[1,"totalJumps",0,0,false,false,735148191888371,false,66],[1,"minScroll",0,850,false,false,748319020134631,false,67]]],["eFunctions",[[0,0,false,null,565848251312389,1,[[35,74,null,2,false,false,false,894885263350733,null,[[1,[2,"generateStart"]]]]],[[-1,75,null,683047918873839,0,null,[[4,18],[5,[1,1]],[0,[1,360]],[0,[1,800]],[16,false]]],[-1,75,null,648754238162300,0,null,[[4,19],[5,[1,1]],[0,[1,360]],[0,[1,800]],[16,false]]],[19,76,"Pin",129965804606900,0,null,[[4,18],[3,0]]],[-1,75,null,879106358128550,0,null,[[4,5],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[-1,75,null,711442252149563,0,null,[[4,6],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[-1,75,null,416376129007403,0,null,[[4,7],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[-1,75,null,816478291220843,0,null,[[4,8],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[6,76,"Pin",360574926924601,0,null,[[4,5],[3,0]]],[7,76,"Pin",769406228569255,0,null,[[4,5],[3,0]]],[8,76,"Pin",928195904284175,0,null,[[4,5],[3,0]]]]],[0,0,false,null,178245878687211,2,[[35,74,null,2,false,false,false,936324138245823,null,[[1,[2,"generate"]]]]],[[-1,27,null,345363422291096,0,null,[[11,"randomBig"],[7,[19,78,[[19,79,[[1,4]]]]]]]],[-1,27,null,562655431181265,0,null,[[11,"randomSmall"],[7,[19,78,[[19,79,[[1,6]]]]]]]],[-1,75,null,401977542257391,0,null,[[4,18],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[-1,75,null,872770092903982,0,null,[[4,19],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[19,76,"Pin",393249049388033,0,null,[[4,18],[3,0]]],[-1,75,null,727900728356288,0,null,[[4,5],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[5,22,null,935209772885004,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,308342324212882,0,null,[[4,6],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[6,22,null,272515115882284,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,304502096738199,0,null,[[4,7],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[7,22,null,874528938054886,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,743088566821971,0,null,[[4,8],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[8,22,null,930277446348809,0,null,[[0,[23,"randomSmall"]]]],[6,76,"Pin",517969467510651,0,null,[[4,5],[3,0]]],[7,76,"Pin",539211863267625,0,null,[[4,5],[3,0]]],[8,76,"Pin",937495594361563,0,null,[[4,5],[3,0]]]]],[0,0,false,null,271317771653300,3,[[35,74,null,2,false,false,false,740447643773637,null,[[1,[2,"generateBig"]]]]],[[-1,27,null,539055990567447,0,null,[[11,"randomSmall"],[7,[19,78,[[19,79,[[1,6]]]]]]]],[-1,27,null,115150251974875,0,null,[[11,"randomBig"],[7,[19,78,[[19,79,[[1,4]]]]]]]],[-1,75,null,956806066539895,0,null,[[4,18],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[-1,75,null,763605211575939,0,null,[[4,19],[5,[1,1]],[0,[1,360]],[0,[5,[1,200],[6,[5,[23,"totalJumps"],[1,1]],[1,600]]]],[16,false]]],[19,76,"Pin",690557655126341,0,null,[[4,18],[3,0]]],[-1,75,null,200492576508941,0,null,[[4,5],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[5,22,null,368190482447410,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,694905510693226,0,null,[[4,6],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[6,22,null,158647773120585,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,344044913755727,0,null,[[4,7],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[7,22,null,449687856915523,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,793953816506551,0,null,[[4,8],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[8,22,null,495026036137740,0,null,[[0,[23,"randomSmall"]]]],[-1,75,null,830422195214833,0,null,[[4,9],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[9,22,null,766066288814781,0,null,[[0,[23,"randomBig"]]]],[-1,75,null,775241862503235,0,null,[[4,10],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[10,22,null,717369454670480,0,null,[[0,[23,"randomBig"]]]],[-1,75,null,981855206571953,0,null,[[4,11],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[11,22,null,355413038226791,0,null,[[0,[23,"randomBig"]]]],[-1,75,null,500983262568712,0,null,[[4,12],[5,[2,"Platform"]],[0,[1,360]],[0,[20,18,77,false,null,[[1,1]]]],[16,false]]],[12,22,null,294441043809712,0,null,[[0,[23,"randomBig"]]]],[6,76,"Pin",344561718271859,0,null,[[4,5],[3,0]]],[7,76,"Pin",219331383906702,0,null,[[4,5],[3,0]]],[8,76,"Pin",914105983649638,0,null,[[4,5],[3,0]]],[10,76,"Pin",335831472883953,0,null,[[4,9],[3,0]]],[11,76,"Pin",923418972403840,0,null,[[4,9],[3,0]]],[12,76,"Pin",228885503951761,0,null,[[4,9],[3,0]]]]],[0,0,false,null,721961082843145,4,[[35,74,null,2,false,false,false,581903277682225,null,[[1,[2,"playerDead"]]]]],[[-1,80,null,153052119768880,0,null,[[4,41],[0,[1,0]]]],[-1,80,null,753817687168233,0,null,[[4,42],[0,[1,0]]]],[34,21,null,695654786925534,0,null,[[2,["death",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[34,21,null,690222837498030,0,null,[[2,["explosion",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,75,null,590045268436687,0,null,[[4,22],[5,[2,"Ball"]],[0,[20,16,55,false,null]],[0,[20,16,48,false,null]],[16,false]]],[22,81,null,103658338753650,0,null,[[0,[1,50]]]],[20,82,null,561759832831363,0,null],[16,83,"Platform",119249410795765,0,null,[[3,0]]],[16,70,null,792928285453381,0,null,[[3,0]]],[21,84,"ScrollTo",914406827093735,0,null,[[0,[1,20]],[0,[1,0.4]],[3,0]]],[-1,39,null,152721521840927,2,null,[[0,[1,0.75]]]],[-1,40,null,361053246010473,0,null,[[1,[2,"dialogInterface"]],[3,1]]]]],[0,0,false,null,616006498796634,5,[[35,74,null,2,false,false,false,375690537688783,null,[[1,[2,"playerRevive"]]]]],[[-1,65,null,219780128537526,0,null,[[5,[2,"dialogInterface"]],[3,0]]],[-1,40,null,116962578523904,0,null,[[1,[2,"dialogInterface"]],[3,0]]],[-1,85,null,495981368833557,0,null,[[11,"score"],[7,[1,25]]]],[29,33,null,441865108907056,0,null,[[7,[10,[2,"Score: "],[23,"score"]]]]],[-1,85,null,200756499226880,0,null,[[11,"score"],[7,[1,10]]]],[34,21,null,401854415184438,0,null,[[2,["warpdrive_01",false]],[3,0],[0,[3,[1,10]]],[1,[2,"warp"]]]],[21,84,"ScrollTo",546184355814955,0,null,[[0,[1,20]],[0,[1,2]],[3,0]]],[-1,39,null,210270159339479,2,null,[[0,[1,1.4]]]],[41,86,null,673365876412853,0,null,[[3,0]]],[42,86,null,662559629342304,0,null,[[3,0]]],[16,70,null,788382546185651,0,null,[[3,1]]],[-1,39,null,294562336148829,2,null,[[0,[1,0.4]]]],[-1,75,null,154430296201598,0,null,[[4,20],[5,[1,3]],[0,[20,16,55,false,null]],[0,[20,16,48,false,null]],[16,false]]],[16,87,null,401308722518644,0,null],[-1,80,null,690721358378592,0,null,[[4,41],[0,[1,1]]]],[-1,80,null,987234694695653,0,null,[[4,42],[0,[1,1]]]],[16,83,"Platform",112050305880608,0,null,[[3,1]]],[34,20,null,235543231274753,0,null,[[1,[2,"warp"]]]],[34,21,null,918129068524503,0,null,[[2,["bounce",false]],[3,0],[0,[3,[1,10]]],[1,[2,""]]]],[-1,39,null,697107719050415,2,null,[[0,[1,0.5]]]],[41,86,null,112375008013755,0,null,[[3,1]]],[42,86,null,888784677519222,0,null,[[3,1]]]]]]]],[["bounce",[["audio/ogg; codecs=vorbis",".ogg",8896],["audio/mp4",".m4a",9318]],false],["death",[["audio/ogg; codecs=vorbis",".ogg",31390],["audio/mp4",".m4a",32807]],false],["elevator",[["audio/ogg; codecs=vorbis",".ogg",41919],["audio/mp4",".m4a",55650]],false],["explosion",[["audio/ogg; codecs=vorbis",".ogg",20923],["audio/mp4",".m4a",28774]],false],["warpdrive_01",[["audio/ogg; codecs=vorbis",".ogg",94280],["audio/mp4",".m4a",182070]],false],["menumusic",[["audio/ogg; codecs=vorbis",".ogg",613443],["audio/mp4",".m4a",742058]],false],["music",[["audio/ogg; codecs=vorbis",".ogg",1783672],["audio/mp4",".m4a",2220698]],false]],"media/",false,720,1280,4,true,true,true,"1.0.0.0",true,false,0,1,44,false,true,1,true,false,[],"icons/",[],true,"2m2oqhlgof90t","fonts/",[],"high-performance",[],"standard","vsync","com.mycompany.myapp","loading-logo.png",false,0]}
\ No newline at end of file
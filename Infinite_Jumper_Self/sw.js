@@ -6,6 +6,9 @@ const BROADCASTCHANNEL_NAME = "offline";
 const CONSOLE_PREFIX = "[SW] ";
 const LAZYLOAD_KEYNAME = "";
 
+// Offline queue for score submissions, shared with the page (see shared/scorequeue.js).
+importScripts("../shared/scorequeue.js");
+
 // Create a BroadcastChannel if supported.
 const broadcastChannel = (typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(BROADCASTCHANNEL_NAME));
 
@@ -370,8 +373,42 @@ async function HandleFetch(event, doUpdateCheck)
 	return fetchResponse;
 };
 
+self.addEventListener("sync", event =>
+{
+	// Background Sync fires once connectivity returns. Rejecting while submissions remain
+	// tells the browser to retry the sync later with its own backoff.
+	if (ScoreQueue.IsSyncTag(event.tag))
+	{
+		event.waitUntil(
+			ScoreQueue.Flush(true)
+			.then(remaining =>
+			{
+				if (remaining > 0)
+					throw new Error(remaining + " score submissions still pending");
+			})
+		);
+	}
+});
+
+self.addEventListener("message", event =>
+{
+	// The page asks for a flush when it sees the "online" event.
+	if (event.data && event.data["type"] === "score-queue-flush")
+		event.waitUntil(ScoreQueue.Flush(true));
+});
+
 self.addEventListener("fetch", event =>
 {
+	// Score submissions go to the (usually cross-origin) score API. Route them through the
+	// score queue so they are kept and retried if the network or server fails. The sheets don't
+	// watch their upload progress, so the XHR caveat below doesn't matter for them; every other
+	// request still reaches it.
+	if (ScoreQueue.IsScoreRequest(event.request))
+	{
+		event.respondWith(ScoreQueue.HandleFetch(event.request));
+		return;
+	}
+	
 	/** NOTE (iain)
 	 *  This check is to prevent a bug with XMLHttpRequest where if its
 	 *  proxied with "FetchEvent.prototype.respondWith" no upload progress
@@ -388,10 +425,11 @@ self.addEventListener("fetch", event =>
 
 	if (doUpdateCheck)
 	{
-		// allow the main request to complete, then check for updates
+		// allow the main request to complete, then check for updates and retry any queued scores
 		event.waitUntil(
 			responsePromise
 			.then(() => UpdateCheck(false))		 // not first check
+			.then(() => ScoreQueue.Flush(false))
 		);
 	}
 
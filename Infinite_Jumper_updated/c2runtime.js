@@ -37039,7 +37039,8 @@ cr.getObjectRefTable = function () {
 		cr.behaviors.scrollto.prototype.acts.Shake,
 		cr.system_object.prototype.acts.SubVar,
 		cr.plugins_.Sprite.prototype.acts.SetCollisions,
-		cr.plugins_.Sprite.prototype.acts.MoveToTop
+		cr.plugins_.Sprite.prototype.acts.MoveToTop,
+		cr.plugins_.Browser.prototype.acts.ExecJs
 	];
 };
 	self.C3_JsPropNameTable = [
@@ -1466,16 +1466,15 @@ self.C3_ExpressionFuncs = [
 		() => "application/json",
 		() => "Authorization",
 		p => {
-			const v0 = p._GetNode(0).GetVar();
+			const f0 = p._GetNode(0).GetBoundMethod();
 			const v1 = p._GetNode(1).GetVar();
-			const v2 = p._GetNode(2).GetVar();
-			const f3 = p._GetNode(3).GetBoundMethod();
-			const f4 = p._GetNode(4).GetBoundMethod();
-			const f5 = p._GetNode(5).GetBoundMethod();
-			return () => (and((((and((and((and((("{\n  \"gameKey\": " + v0.GetValue()) + ",\n  \"campaign_id\": "), v1.GetValue()) + ",\n  \"level\": 1,\n  \"score\": "), v2.GetValue()) + ",\n  \"timestamp\": \""), f3("new Date().toISOString()")) + "\",\n  \"metadata\": {\n    \"platform\": \"") + f4()) + "\",\n    \"device\": \""), f5("\n      let ua = navigator.userAgent;\n      if (/Android/.test(ua)) {\n          let match = ua.match(/SM-[A-Z0-9]+|ONEPLUS [A-Z0-9]+|M2007J3SG|Redmi Note [0-9]+|Mi [A-Z0-9]+/i);\n          return match ? match[0] : 'Unknown Android';\n      } else if (/iPhone/.test(ua)) {\n          return 'iPhone (Exact model hidden by Apple)';\n      } else {\n          return 'Unknown Device';\n      }\n    ")) + "\"\n  }\n}");
+			return () => f0((and("ScoreClient.BuildBody(", v1.GetValue()) + ")"));
 		},
 		() => "high_score",
-		() => "https://13.61.182.4/api/userScore",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.GetEndpoint()");
+		},
 		() => "POST",
 		() => "http://codecanyon.net/user/muscle-ss/portfolio",
 		() => "Level_Settings",
@@ -1634,7 +1633,37 @@ self.C3_ExpressionFuncs = [
 			const v0 = p._GetNode(0).GetVar();
 			return () => ((and(((((("https://vk.com/share.php?url=" + "http://codecanyon.net/user/muscle-ss/portfolio") + "&title=") + "Space Purge") + "&description=") + "I love this game, I scored the most points:"), v0.GetValue()) + "&image=") + "https://0.s3.envato.com/files/122504059/bomb.jpg");
 		},
-		() => "https://connect.ok.ru/dk?st.cmd=WidgetSharePreview&st.shareUrl=http://codecanyon.net/user/muscle-ss/portfolio"
+		() => "https://connect.ok.ru/dk?st.cmd=WidgetSharePreview&st.shareUrl=http://codecanyon.net/user/muscle-ss/portfolio",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.GetToken()");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("ScoreClient.CanSubmit()");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetLevel(", v0.GetValue()) + ")");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetStat(\"Score\", ", v0.GetValue()) + ")");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("ScoreSession.SetStat(\"Demolished\", ", v0.GetValue()) + ")");
+		},
+		() => "GamePause.Toggle(\"button\")",
+		() => "Game",
+		() => "StartMenu",
+		() => "GameOver",
+		() => "Leaderboard.ShowButton()",
+		() => "Leaderboard.HideButton()",
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("Leaderboard.SetLocalBest(", v0.GetValue()) + ")");
+		}
 ];
 
 
@@ -96,7 +96,10 @@ self.C3_GetObjectRefTable = function () {
 		C3.Plugins.System.Cnds.LayerCmpOpacity,
 		C3.Plugins.System.Exps.layeropacity,
 		C3.Plugins.System.Acts.Signal,
-		C3.Plugins.Browser.Acts.GoToURLWindow
+		C3.Plugins.Browser.Acts.GoToURLWindow,
+		C3.Plugins.System.Cnds.Compare,
+		C3.Plugins.Browser.Acts.ExecJs,
+		C3.Plugins.System.Exps.layoutname
 	];
 };
 self.C3_JsPropNameTable = [
@@ -238,7 +241,8 @@ self.C3_JsPropNameTable = [
 	{GAME_NAME: 0},
 	{DESCRIPTION: 0},
 	{REDIRECT_URL: 0},
-	{IMAGE: 0}
+	{IMAGE: 0},
+	{paused: 0}
 ];
 
 self.InstanceType = {
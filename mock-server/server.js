@@ -0,0 +1,714 @@
+"use strict";
+
+// Local mock of the score API, for testing the GameOver -> POST -> redirect flow without the
+// real backend. No dependencies; run from the repository root with:
+//
+//   node mock-server/server.js [--port 8787] [--latency 300] [--fail-rate 0.5] [--fail-status 503]
+//                              [--record submissions.json]
+//
+// It also serves the game folders, so a game can be opened against it directly:
+//
+//   http://localhost:8787/Boat_Rush/index.html?env=local&token=test&game_id=1&campaign_id=1
+//
+// (?env=local points shared/config.js at this server; see GameConfig.)
+//
+// Endpoints:
+//   POST /api/auth/login         sign in (any username; the password "wrong" is rejected)
+//   POST /api/auth/refresh       exchange a refresh token for a new access token
+//   POST /api/auth/logout        revoke a refresh token
+//   GET  /api/auth/oauth/<name>  fake provider sign-in page that posts a session to its opener
+//   POST /api/session/start      issue a score session (nonce + signing key)
+//   POST /api/userScore          validate and record a score submission
+//   GET  /api/leaderboard        top-N and "around me" rankings built from the recorded submissions
+//   GET  /_mock/submissions      list recorded submissions
+//   DELETE /_mock/submissions    clear them
+//   GET|POST /_mock/config       read or change latency/failure simulation at runtime
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const url = require("url");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const CONSOLE_PREFIX = "[mock] ";
+const MAX_BODY_SIZE = 64 * 1024;
+
+const MIME_TYPES = {
+	".html": "text/html; charset=utf-8",
+	".js": "text/javascript; charset=utf-8",
+	".json": "application/json; charset=utf-8",
+	".css": "text/css; charset=utf-8",
+	".txt": "text/plain; charset=utf-8",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".webp": "image/webp",
+	".svg": "image/svg+xml",
+	".ogg": "audio/ogg",
+	".m4a": "audio/mp4",
+	".webm": "audio/webm",
+	".wasm": "application/wasm",
+	".xml": "application/xml"
+};
+
+//////////////////////////////////////
+// Options
+function ParseArgs(argv)
+{
+	const opts = {
+		port: 8787,
+		latency: 0,
+		failRate: 0,
+		failStatus: 503,
+		record: ""
+	};
+
+	for (let i = 0; i < argv.length; ++i)
+	{
+		const arg = argv[i];
+		const next = argv[i + 1];
+
+		switch (arg) {
+		case "--port":			opts.port = parseInt(next, 10); ++i; break;
+		case "--latency":		opts.latency = parseInt(next, 10); ++i; break;
+		case "--fail-rate":		opts.failRate = parseFloat(next); ++i; break;
+		case "--fail-status":	opts.failStatus = parseInt(next, 10); ++i; break;
+		case "--record":		opts.record = next; ++i; break;
+		default:
+			console.warn(CONSOLE_PREFIX + "Ignoring unknown argument " + arg);
+		}
+	}
+
+	return opts;
+};
+
+// Returns an error message for a simulation value that would break the server, or "" if it is fine.
+function CheckSimulationValue(key, value)
+{
+	switch (key) {
+	case "latency":
+	case "failRate":
+		return (typeof value === "number" && isFinite(value) && value >= 0) ? "" : key + " must be a non-negative number";
+	case "failStatus":
+		return (Number.isInteger(value) && value >= 100 && value <= 599) ? "" : "failStatus must be an integer from 100 to 599";
+	case "offline":
+		return typeof value === "boolean" ? "" : "offline must be true or false";
+	default:
+		return "";
+	}
+};
+
+const options = ParseArgs(process.argv.slice(2));
+
+for (const key of ["latency", "failRate", "failStatus"])
+{
+	const error = CheckSimulationValue(key, options[key]);
+	if (error)
+	{
+		console.error(CONSOLE_PREFIX + error);
+		process.exit(1);
+	}
+}
+
+// Mutable through /_mock/config so a running test can flip failures on and off.
+const simulation = {
+	latency: options.latency,
+	failRate: options.failRate,
+	failStatus: options.failStatus,
+	offline: false		// when set, API requests are dropped without a response
+};
+
+const submissions = [];
+const sessions = new Map();
+const refreshTokens = new Map();		// refresh token -> username
+const accessTokens = new Map();			// access token -> { id, name }
+
+// Access tokens are short-lived here so the games' refresh path gets exercised.
+const ACCESS_TOKEN_LIFETIME = 5 * 60;
+
+//////////////////////////////////////
+// Validation
+function IsPlainObject(v)
+{
+	return !!v && typeof v === "object" && !Array.isArray(v);
+};
+
+function IsFiniteNumber(v)
+{
+	return typeof v === "number" && isFinite(v);
+};
+
+// Mirrors the body built by shared/scoreclient.js. Returns a list of problems (empty if valid).
+function ValidateScoreBody(body)
+{
+	const errors = [];
+
+	if (!IsPlainObject(body))
+		return ["body must be a JSON object"];
+
+	if (typeof body["gameKey"] !== "string" || !body["gameKey"])
+		errors.push("gameKey must be a non-empty string");
+
+	if (body["campaign_id"] !== null && !(Number.isInteger(body["campaign_id"]) && body["campaign_id"] > 0))
+		errors.push("campaign_id must be a positive integer or null");
+
+	if (!Number.isInteger(body["level"]) || body["level"] < 1)
+		errors.push("level must be an integer >= 1");
+
+	if (!IsFiniteNumber(body["score"]) || body["score"] < 0)
+		errors.push("score must be a non-negative number");
+
+	if (typeof body["timestamp"] !== "string" || isNaN(Date.parse(body["timestamp"])))
+		errors.push("timestamp must be an ISO 8601 date string");
+
+	if (!IsPlainObject(body["metadata"]))
+		errors.push("metadata must be an object");
+
+	if (body.hasOwnProperty("run"))
+	{
+		const run = body["run"];
+		if (!IsPlainObject(run) || !IsFiniteNumber(run["duration_ms"]) || !IsFiniteNumber(run["events"]) || !IsPlainObject(run["stats"]))
+			errors.push("run must contain duration_ms, events and stats");
+	}
+
+	return errors;
+};
+
+function CanonicalJSON(value)
+{
+	if (Array.isArray(value))
+		return "[" + value.map(CanonicalJSON).join(",") + "]";
+
+	if (value && typeof value === "object")
+	{
+		return "{" + Object.keys(value).sort()
+			.filter(k => value[k] !== undefined)
+			.map(k => JSON.stringify(k) + ":" + CanonicalJSON(value[k]))
+			.join(",") + "}";
+	}
+
+	return JSON.stringify(value);
+};
+
+// Checks the signature added by shared/scoresession.js. Returns "unsigned", "valid" or a reason it is not.
+function CheckSignature(body)
+{
+	if (!body["signature"])
+		return "unsigned";
+
+	const session = sessions.get(body["session_id"]);
+
+	if (!session)
+		return "unknown session";
+	if (session.nonce !== body["nonce"])
+		return "nonce mismatch";
+	if (session.used)
+		return "nonce already used";
+
+	const unsigned = Object.assign({}, body);
+	delete unsigned["signature"];
+
+	const expected = crypto.createHmac("sha256", session.key).update(CanonicalJSON(unsigned)).digest("hex");
+
+	if (expected !== body["signature"])
+		return "bad signature";
+
+	session.used = true;
+	return "valid";
+};
+
+//////////////////////////////////////
+// HTTP helpers
+function SetCorsHeaders(res)
+{
+	res.setHeader("Access-Control-Allow-Origin", "*");
+	res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+	res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+};
+
+function SendJSON(res, status, data)
+{
+	res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+	res.end(JSON.stringify(data, null, 2));
+};
+
+// Text for HTML, and JSON that can sit inside a <script> element without closing it.
+function EscapeHTML(text)
+{
+	return String(text).replace(/[&<>"']/g, ch => "&#" + ch.charCodeAt(0) + ";");
+};
+
+function ScriptJSON(value)
+{
+	return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+};
+
+function ReadBody(req)
+{
+	return new Promise((resolve, reject) =>
+	{
+		let size = 0;
+		const chunks = [];
+
+		req.on("data", chunk =>
+		{
+			size += chunk.length;
+			if (size > MAX_BODY_SIZE)
+			{
+				reject(new Error("body too large"));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+		req.on("error", reject);
+	});
+};
+
+async function ReadJSONBody(req, res)
+{
+	let text;
+
+	let body;
+
+	try {
+		text = await ReadBody(req);
+		body = JSON.parse(text);
+	}
+	catch (err)
+	{
+		SendJSON(res, 400, { "error": "invalid JSON body", "detail": err.message });
+		return undefined;
+	}
+
+	// Every handler reads properties off the body, so null, numbers, strings and arrays are refused here.
+	if (typeof body !== "object" || body === null || Array.isArray(body))
+	{
+		SendJSON(res, 400, { "error": "invalid JSON body", "detail": "expected an object" });
+		return undefined;
+	}
+
+	return body;
+};
+
+function RequireToken(req, res)
+{
+	const token = (req.headers["authorization"] || "").replace(/^Bearer\s+/i, "");
+
+	if (!token)
+	{
+		SendJSON(res, 401, { "error": "missing Authorization header" });
+		return "";
+	}
+
+	return token;
+};
+
+function Delay(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+function SaveRecord()
+{
+	if (!options.record)
+		return;
+
+	fs.writeFile(options.record, JSON.stringify(submissions, null, 2), err =>
+	{
+		if (err)
+			console.warn(CONSOLE_PREFIX + "Unable to write " + options.record + ": ", err.message);
+	});
+};
+
+function IssueAuthSession(username)
+{
+	const refreshToken = crypto.randomBytes(16).toString("hex");
+	const accessToken = "mock-" + crypto.randomBytes(16).toString("hex");
+	const user = { "id": crypto.createHash("sha1").update(username).digest("hex").substring(0, 12), "name": username };
+
+	refreshTokens.set(refreshToken, username);
+	accessTokens.set(accessToken, user);
+
+	return {
+		"access_token": accessToken,
+		"refresh_token": refreshToken,
+		"expires_in": ACCESS_TOKEN_LIFETIME,
+		"user": user
+	};
+};
+
+// Signed-in players are identified by their account; launch-URL tokens stand in for a player each.
+function GetPlayer(token)
+{
+	if (accessTokens.has(token))
+		return accessTokens.get(token);
+
+	const id = "t-" + crypto.createHash("sha1").update(token).digest("hex").substring(0, 10);
+	return { "id": id, "name": "Player " + id.substring(2, 6) };
+};
+
+const PERIOD_LENGTHS = {
+	"daily": 24 * 60 * 60 * 1000,
+	"weekly": 7 * 24 * 60 * 60 * 1000,
+	"alltime": Infinity
+};
+
+// Best score per player for a game/campaign over a period, highest first, with ranks (ties share a rank).
+function BuildRankings(gameKey, campaignId, period)
+{
+	const since = Date.now() - PERIOD_LENGTHS[period];
+	const best = new Map();
+
+	for (const record of submissions)
+	{
+		const body = record.body;
+
+		if (body["gameKey"] !== gameKey || Date.parse(record.receivedAt) < since)
+			continue;
+		if (campaignId !== null && body["campaign_id"] !== campaignId)
+			continue;
+
+		const player = GetPlayer(record.token);
+		const current = best.get(player["id"]);
+
+		if (!current || body["score"] > current["score"])
+			best.set(player["id"], { "player_id": player["id"], "name": player["name"], "score": body["score"] });
+	}
+
+	const rankings = Array.from(best.values()).sort((a, b) => b["score"] - a["score"]);
+
+	rankings.forEach((entry, i) =>
+	{
+		entry["rank"] = (i > 0 && rankings[i - 1]["score"] === entry["score"]) ? rankings[i - 1]["rank"] : i + 1;
+	});
+
+	return rankings;
+};
+
+//////////////////////////////////////
+// API routes. Keyed by "METHOD /path", or "METHOD /prefix/*" for a path prefix; later endpoints
+// (leaderboards etc.) are added here.
+const routes = new Map();
+
+routes.set("POST /api/auth/login", async (req, res) =>
+{
+	const body = await ReadJSONBody(req, res);
+	if (body === undefined)
+		return;
+
+	const username = typeof body["username"] === "string" ? body["username"].trim() : "";
+
+	if (!username || !body["password"])
+	{
+		SendJSON(res, 400, { "error": "username and password are required" });
+		return;
+	}
+
+	if (body["password"] === "wrong")
+	{
+		SendJSON(res, 401, { "error": "Invalid username or password" });
+		return;
+	}
+
+	SendJSON(res, 200, IssueAuthSession(username));
+});
+
+routes.set("POST /api/auth/refresh", async (req, res) =>
+{
+	const body = await ReadJSONBody(req, res);
+	if (body === undefined)
+		return;
+
+	const username = refreshTokens.get(body["refresh_token"]);
+
+	if (!username)
+	{
+		SendJSON(res, 401, { "error": "invalid refresh token" });
+		return;
+	}
+
+	refreshTokens.delete(body["refresh_token"]);		// refresh tokens rotate on use
+	SendJSON(res, 200, IssueAuthSession(username));
+});
+
+routes.set("POST /api/auth/logout", async (req, res) =>
+{
+	const body = await ReadJSONBody(req, res);
+	if (body === undefined)
+		return;
+
+	refreshTokens.delete(body["refresh_token"]);
+	SendJSON(res, 200, { "success": true });
+});
+
+routes.set("GET /api/auth/oauth/*", (req, res) =>
+{
+	const query = url.parse(req.url, true).query;
+	const provider = req.url.split("?")[0].split("/").pop();
+	const session = Object.assign({ "type": "auth-result" }, IssueAuthSession(provider + "-player"));
+
+	// Post only to the origin the game said it runs on.
+	res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+	res.end("<!DOCTYPE html><title>Mock " + EscapeHTML(provider) + " sign-in</title><script>" +
+		"window.opener && window.opener.postMessage(" + ScriptJSON(session) + ", " + ScriptJSON(String(query["origin"] || "")) + ");" +
+		"window.close();</script>");
+});
+
+routes.set("GET /api/leaderboard", (req, res) =>
+{
+	const query = url.parse(req.url, true).query;
+	const period = query["period"] || "alltime";
+	const limit = Math.min(Math.max(parseInt(query["limit"], 10) || 10, 1), 100);
+	const aroundRange = Math.min(Math.max(parseInt(query["around"], 10) || 0, 0), 10);
+	const campaignId = query["campaign_id"] ? parseInt(query["campaign_id"], 10) : null;
+
+	if (!query["gameKey"] || !PERIOD_LENGTHS.hasOwnProperty(period))
+	{
+		SendJSON(res, 400, { "error": "gameKey and a period of daily, weekly or alltime are required" });
+		return;
+	}
+
+	const token = (req.headers["authorization"] || "").replace(/^Bearer\s+/i, "");
+	const playerId = token ? GetPlayer(token)["id"] : "";
+	const rankings = BuildRankings(query["gameKey"], campaignId, period)
+		.map(entry => Object.assign({}, entry, { "is_player": entry["player_id"] === playerId }));
+
+	const playerIndex = rankings.findIndex(entry => entry["is_player"]);
+
+	SendJSON(res, 200, {
+		"period": period,
+		"total": rankings.length,
+		"top": rankings.slice(0, limit),
+		"around": playerIndex === -1 ? [] : rankings.slice(Math.max(playerIndex - aroundRange, 0), playerIndex + aroundRange + 1),
+		"player": playerIndex === -1 ? null : rankings[playerIndex]
+	});
+});
+
+routes.set("POST /api/session/start", async (req, res) =>
+{
+	if (!RequireToken(req, res))
+		return;
+
+	const body = await ReadJSONBody(req, res);
+	if (body === undefined)
+		return;
+
+	const session = {
+		id: crypto.randomBytes(8).toString("hex"),
+		nonce: crypto.randomBytes(12).toString("hex"),
+		key: crypto.randomBytes(24).toString("hex"),
+		gameKey: body["gameKey"],
+		campaignId: body["campaign_id"],
+		startedAt: Date.now(),
+		used: false
+	};
+
+	sessions.set(session.id, session);
+	SendJSON(res, 200, { "session_id": session.id, "nonce": session.nonce, "key": session.key });
+});
+
+routes.set("POST /api/userScore", async (req, res) =>
+{
+	const token = RequireToken(req, res);
+	if (!token)
+		return;
+
+	const body = await ReadJSONBody(req, res);
+	if (body === undefined)
+		return;
+
+	const errors = ValidateScoreBody(body);
+	if (errors.length)
+	{
+		console.log(CONSOLE_PREFIX + "Rejected score: " + errors.join("; "));
+		SendJSON(res, 422, { "error": "invalid score body", "details": errors });
+		return;
+	}
+
+	const signature = CheckSignature(body);
+	if (signature !== "valid" && signature !== "unsigned")
+	{
+		console.log(CONSOLE_PREFIX + "Rejected score: " + signature);
+		SendJSON(res, 403, { "error": signature });
+		return;
+	}
+
+	const record = {
+		id: submissions.length + 1,
+		receivedAt: new Date().toISOString(),
+		token: token,
+		signature: signature,
+		body: body
+	};
+
+	submissions.push(record);
+	SaveRecord();
+
+	console.log(CONSOLE_PREFIX + "Score " + body["score"] + " for " + body["gameKey"] + " (campaign " + body["campaign_id"] + ", " + signature + ")");
+	SendJSON(res, 200, { "success": true, "id": record.id });
+});
+
+routes.set("GET /_mock/submissions", (req, res) =>
+{
+	SendJSON(res, 200, submissions);
+});
+
+routes.set("DELETE /_mock/submissions", (req, res) =>
+{
+	submissions.length = 0;
+	SaveRecord();
+	SendJSON(res, 200, { "success": true });
+});
+
+routes.set("GET /_mock/config", (req, res) =>
+{
+	SendJSON(res, 200, simulation);
+});
+
+routes.set("POST /_mock/config", async (req, res) =>
+{
+	const body = await ReadJSONBody(req, res);
+	if (body === undefined)
+		return;
+
+	// Check every value before applying any, so a bad request leaves the simulation unchanged.
+	const keys = Object.keys(simulation).filter(key => body.hasOwnProperty(key));
+
+	for (const key of keys)
+	{
+		const error = CheckSimulationValue(key, body[key]);
+		if (error)
+		{
+			SendJSON(res, 400, { "error": error });
+			return;
+		}
+	}
+
+	for (const key of keys)
+		simulation[key] = body[key];
+
+	console.log(CONSOLE_PREFIX + "Simulation: " + JSON.stringify(simulation));
+	SendJSON(res, 200, simulation);
+});
+
+//////////////////////////////////////
+// Static files
+function ServeStatic(pathname, res)
+{
+	let decoded;
+
+	try {
+		decoded = decodeURIComponent(pathname);
+	}
+	catch (err)
+	{
+		SendJSON(res, 400, { "error": "malformed URL" });
+		return;
+	}
+
+	const filePath = path.join(ROOT_DIR, decoded);
+
+	// Stay inside the repository.
+	if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + path.sep))
+	{
+		SendJSON(res, 403, { "error": "forbidden" });
+		return;
+	}
+
+	fs.stat(filePath, (err, stat) =>
+	{
+		if (!err && stat.isDirectory())
+			return ServeStatic(path.posix.join(pathname, "index.html"), res);
+
+		if (err)
+		{
+			res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end("Not found");
+			return;
+		}
+
+		res.writeHead(200, {
+			"Content-Type": MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+			"Cache-Control": "no-store"
+		});
+		fs.createReadStream(filePath).pipe(res);
+	});
+};
+
+//////////////////////////////////////
+// Server
+function FindPrefixRoute(method, pathname)
+{
+	for (const [key, route] of routes)
+	{
+		if (!key.endsWith("/*"))
+			continue;
+
+		const prefix = key.substring(0, key.length - 1);		// keep the trailing slash
+		if ((method + " " + pathname).startsWith(prefix))
+			return route;
+	}
+
+	return null;
+};
+
+async function HandleRequest(req, res)
+{
+	const pathname = url.parse(req.url).pathname;
+
+	SetCorsHeaders(res);
+
+	if (req.method === "OPTIONS")
+	{
+		res.writeHead(204);
+		res.end();
+		return;
+	}
+
+	const route = routes.get(req.method + " " + pathname) || FindPrefixRoute(req.method, pathname);
+
+	if (!route)
+	{
+		if (req.method === "GET" || req.method === "HEAD")
+			ServeStatic(pathname, res);
+		else
+			SendJSON(res, 404, { "error": "no such endpoint" });
+		return;
+	}
+
+	try {
+		// Failure simulation applies to the game-facing API only, not to /_mock control endpoints.
+		if (pathname.startsWith("/api/"))
+		{
+			if (simulation.offline)
+			{
+				req.socket.destroy();
+				return;
+			}
+
+			if (simulation.latency > 0)
+				await Delay(simulation.latency);
+
+			if (simulation.failRate > 0 && Math.random() < simulation.failRate)
+			{
+				SendJSON(res, simulation.failStatus, { "error": "simulated failure" });
+				return;
+			}
+		}
+
+		await route(req, res);
+	}
+	catch (err)
+	{
+		console.error(CONSOLE_PREFIX + "Error handling " + req.method + " " + pathname + ": ", err);
+		if (!res.headersSent)
+			SendJSON(res, 500, { "error": "internal error" });
+	}
+};
+
+http.createServer(HandleRequest).listen(options.port, () =>
+{
+	console.log(CONSOLE_PREFIX + "Listening on http://localhost:" + options.port + "/");
+});
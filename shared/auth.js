@@ -0,0 +1,453 @@
+"use strict";
+
+// Player sign-in shared by all games: username/password or OAuth-style provider login against the
+// score API backend, tokens kept in LocalStorage and refreshed before they expire, logout, and an
+// anonymous guest mode. While signed in, PlayerAuth's access token replaces the launch URL's token
+// for score submission (see ScoreClient.GetToken).
+//
+// Event sheets drive it through Browser.ExecJS, e.g.
+//   PlayerAuth.Login(username, password)               (login button; read the inputs by element id
+//                                                        rather than quoting the player's text into the script)
+//   PlayerAuth.LoginWithProvider("google")              (googleLogin button)
+//   PlayerAuth.PlayAsGuest() / PlayerAuth.Logout()
+// and read PlayerAuth.GetState(), GetUsername() and GetLastError(). Every state change also calls
+// the event-sheet Function "OnAuthChanged" with the new state, if the project defines one.
+//
+// Backend endpoints (relative to GameConfig's API base):
+//   POST /api/auth/login     { username, password }   -> session
+//   POST /api/auth/refresh   { refresh_token }        -> session
+//   POST /api/auth/logout    { refresh_token }
+//   GET  /api/auth/oauth/<provider>?origin=<game origin>   (popup; posts { type: "auth-result", ...session } to opener)
+// where session is { access_token, refresh_token, expires_in (seconds), user: { id, name } }.
+
+(function () {
+
+	const STORAGE_KEY = "phoenix-auth";
+	const CONSOLE_PREFIX = "[PlayerAuth] ";
+
+	// Refresh this long before the access token expires.
+	const REFRESH_MARGIN = 60 * 1000;
+
+	// setTimeout fires straight away for delays above 2^31 - 1 ms (about 24.8 days), so longer waits
+	// are made in steps of at most this long.
+	const MAX_TIMER_DELAY = 0x7FFFFFFF;
+
+	const OAUTH_POPUP_FEATURES = "width=480,height=640";
+
+	const STATE_SIGNED_OUT = "signed-out";
+	const STATE_GUEST = "guest";
+	const STATE_SIGNED_IN = "signed-in";
+
+	function LoadStored()
+	{
+		try {
+			const json = localStorage.getItem(STORAGE_KEY);
+			return json ? JSON.parse(json) : null;
+		}
+		catch (err)
+		{
+			return null;		// storage blocked or corrupt
+		}
+	};
+
+	function SaveStored(data)
+	{
+		try {
+			if (data)
+				localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+			else
+				localStorage.removeItem(STORAGE_KEY);
+		}
+		catch (err)
+		{
+			console.warn(CONSOLE_PREFIX + "Unable to persist sign-in: ", err);
+		}
+	};
+
+	function CreateGuestId()
+	{
+		if (window.crypto && crypto.randomUUID)
+			return crypto.randomUUID();
+
+		return "guest-" + Date.now().toString(36) + "-" + Math.random().toString(36).substring(2);
+	};
+
+	async function PostJSON(path, body)
+	{
+		const response = await fetch(window.GameConfig.GetApiUrl(path), {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(body)
+		});
+
+		let data = null;
+		try {
+			data = await response.json();
+		}
+		catch (err)
+		{
+			// empty or non-JSON body
+		}
+
+		if (!response.ok)
+		{
+			const message = (data && (data["error"] || data["message"])) || (response.status + " " + response.statusText);
+			const err = new Error(message);
+			err.status = response.status;
+			throw err;
+		}
+
+		return data;
+	};
+
+	class PlayerAuth
+	{
+		constructor()
+		{
+			this._state = STATE_SIGNED_OUT;
+			this._user = null;
+			this._guestId = "";
+			this._accessToken = "";
+			this._refreshToken = "";
+			this._expiresAt = 0;
+			this._refreshTimerId = -1;
+			this._refreshPromise = null;
+			this._lastError = "";
+			this._changeCallbacks = [];
+
+			this._Restore();
+		}
+
+		_Restore()
+		{
+			const stored = LoadStored();
+
+			if (!stored)
+				return;
+
+			if (stored.state === STATE_GUEST && stored.guestId)
+			{
+				this._state = STATE_GUEST;
+				this._guestId = stored.guestId;
+			}
+			else if (stored.state === STATE_SIGNED_IN && stored.refreshToken)
+			{
+				this._state = STATE_SIGNED_IN;
+				this._user = stored.user || null;
+				this._accessToken = stored.accessToken || "";
+				this._refreshToken = stored.refreshToken;
+				this._expiresAt = stored.expiresAt || 0;
+				this._ScheduleRefresh();
+			}
+		}
+
+		_Persist()
+		{
+			if (this._state === STATE_SIGNED_IN)
+			{
+				SaveStored({
+					state: STATE_SIGNED_IN,
+					user: this._user,
+					accessToken: this._accessToken,
+					refreshToken: this._refreshToken,
+					expiresAt: this._expiresAt
+				});
+			}
+			else if (this._state === STATE_GUEST)
+			{
+				SaveStored({ state: STATE_GUEST, guestId: this._guestId });
+			}
+			else
+			{
+				SaveStored(null);
+			}
+		}
+
+		_SetState(state)
+		{
+			this._state = state;
+			this._Persist();
+
+			for (const f of this._changeCallbacks)
+				f(state);
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnAuthChanged", [state]);
+		}
+
+		_ApplySession(session)
+		{
+			if (!session || typeof session["access_token"] !== "string")
+				throw new Error("invalid session from server");
+
+			this._accessToken = session["access_token"];
+			this._refreshToken = session["refresh_token"] || this._refreshToken;
+			this._expiresAt = Date.now() + (Number(session["expires_in"]) || 3600) * 1000;
+
+			if (session["user"])
+				this._user = { id: session["user"]["id"], name: session["user"]["name"] || "" };
+
+			this._guestId = "";
+			this._lastError = "";
+			this._ScheduleRefresh();
+			this._SetState(STATE_SIGNED_IN);
+		}
+
+		_Fail(err)
+		{
+			this._lastError = err.message || String(err);
+			console.warn(CONSOLE_PREFIX + this._lastError);
+			throw err;
+		}
+
+		async Login(username, password)
+		{
+			username = (username || "").trim();
+
+			if (!username || !password)
+				return this._Fail(new Error("Enter a username and password"));
+
+			try {
+				this._ApplySession(await PostJSON("/api/auth/login", { "username": username, "password": password }));
+			}
+			catch (err)
+			{
+				return this._Fail(err);
+			}
+
+			return this.GetState();
+		}
+
+		// Opens the provider's sign-in page in a popup. The backend finishes the OAuth flow and posts
+		// the session back to this window; only messages from the API's own origin are accepted.
+		LoginWithProvider(provider)
+		{
+			const apiUrl = window.GameConfig.GetApiUrl("/api/auth/oauth/" + encodeURIComponent(provider) + "?origin=" + encodeURIComponent(location.origin));
+			const apiOrigin = new URL(apiUrl).origin;
+			const popup = window.open(apiUrl, "phoenix-auth", OAUTH_POPUP_FEATURES);
+
+			if (!popup)
+			{
+				this._lastError = "Popup blocked";
+				return Promise.reject(new Error(this._lastError));
+			}
+
+			return new Promise((resolve, reject) =>
+			{
+				const onMessage = (e) =>
+				{
+					if (e.origin !== apiOrigin || e.source !== popup || !e.data || e.data["type"] !== "auth-result")
+						return;
+
+					finish();
+
+					if (e.data["error"])
+					{
+						this._lastError = String(e.data["error"]);
+						reject(new Error(this._lastError));
+						return;
+					}
+
+					try {
+						this._ApplySession(e.data);
+						resolve(this.GetState());
+					}
+					catch (err)
+					{
+						this._lastError = err.message;
+						reject(err);
+					}
+				};
+
+				// Notice the player closing the popup without finishing.
+				const pollId = setInterval(() =>
+				{
+					if (!popup.closed)
+						return;
+
+					finish();
+					this._lastError = "Sign-in cancelled";
+					reject(new Error(this._lastError));
+				}, 500);
+
+				const finish = () =>
+				{
+					clearInterval(pollId);
+					window.removeEventListener("message", onMessage);
+				};
+
+				window.addEventListener("message", onMessage);
+			});
+		}
+
+		PlayAsGuest()
+		{
+			this._ClearTokens();
+			this._guestId = this._guestId || CreateGuestId();
+			this._lastError = "";
+			this._SetState(STATE_GUEST);
+			return this.GetState();
+		}
+
+		async Logout()
+		{
+			const refreshToken = this._refreshToken;
+
+			this._ClearTokens();
+			this._guestId = "";
+			this._SetState(STATE_SIGNED_OUT);
+
+			if (refreshToken)
+			{
+				// Best effort: the local session is gone either way.
+				PostJSON("/api/auth/logout", { "refresh_token": refreshToken })
+				.catch(err => console.warn(CONSOLE_PREFIX + "Logout request failed: ", err));
+			}
+
+			return this.GetState();
+		}
+
+		_ClearTokens()
+		{
+			if (this._refreshTimerId !== -1)
+			{
+				clearTimeout(this._refreshTimerId);
+				this._refreshTimerId = -1;
+			}
+
+			this._user = null;
+			this._accessToken = "";
+			this._refreshToken = "";
+			this._expiresAt = 0;
+		}
+
+		_ScheduleRefresh()
+		{
+			if (this._refreshTimerId !== -1)
+				clearTimeout(this._refreshTimerId);
+
+			const refreshAt = this._expiresAt - REFRESH_MARGIN;
+			const delay = Math.min(Math.max(refreshAt - Date.now(), 0), MAX_TIMER_DELAY);
+
+			this._refreshTimerId = setTimeout(() =>
+			{
+				this._refreshTimerId = -1;
+
+				// Not due yet: the delay was capped, or the timer fired early.
+				if (Date.now() < refreshAt)
+				{
+					this._ScheduleRefresh();
+					return;
+				}
+
+				this.Refresh().catch(() => {});		// failure already recorded in Refresh
+			}, delay);
+		}
+
+		// Exchange the refresh token for a new access token. A rejected refresh token signs the player
+		// out; network failures keep the session and retry on the next call.
+		Refresh()
+		{
+			if (!this._refreshToken)
+				return Promise.reject(new Error("not signed in"));
+
+			if (this._refreshPromise)
+				return this._refreshPromise;
+
+			this._refreshPromise = PostJSON("/api/auth/refresh", { "refresh_token": this._refreshToken })
+			.then(session =>
+			{
+				this._ApplySession(session);
+				return this._accessToken;
+			})
+			.catch(err =>
+			{
+				if (err.status === 400 || err.status === 401 || err.status === 403)
+				{
+					this._lastError = "Session expired, please sign in again";
+					this._ClearTokens();
+					this._SetState(STATE_SIGNED_OUT);
+				}
+				else
+				{
+					this._lastError = err.message;
+				}
+
+				throw err;
+			})
+			.finally(() => this._refreshPromise = null);
+
+			return this._refreshPromise;
+		}
+
+		// Resolves with a current access token, refreshing first if it has expired. Resolves with ""
+		// when not signed in.
+		async GetAccessToken()
+		{
+			if (this._state !== STATE_SIGNED_IN)
+				return "";
+
+			if (Date.now() >= this._expiresAt - REFRESH_MARGIN)
+			{
+				try {
+					await this.Refresh();
+				}
+				catch (err)
+				{
+					// fall through with whatever token we still have
+				}
+			}
+
+			return this._accessToken;
+		}
+
+		// Current access token without refreshing, for synchronous callers such as event sheets.
+		GetAccessTokenSync()
+		{
+			return this._state === STATE_SIGNED_IN ? this._accessToken : "";
+		}
+
+		IsSignedIn()
+		{
+			return this._state === STATE_SIGNED_IN && !!this._accessToken;
+		}
+
+		IsGuest()
+		{
+			return this._state === STATE_GUEST;
+		}
+
+		GetState()
+		{
+			return this._state;
+		}
+
+		GetUsername()
+		{
+			return this._user ? this._user.name : "";
+		}
+
+		GetUserId()
+		{
+			return this._user ? this._user.id : "";
+		}
+
+		GetGuestId()
+		{
+			return this._guestId;
+		}
+
+		GetLastError()
+		{
+			return this._lastError;
+		}
+
+		OnChange(f)
+		{
+			this._changeCallbacks.push(f);
+		}
+	};
+
+	window.PlayerAuth = new PlayerAuth();
+
+}());
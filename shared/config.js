@@ -0,0 +1,117 @@
+"use strict";
+
+(function () {
+
+	// Named backends the games can talk to. Only these hosts are ever used, so a crafted
+	// link cannot point a game (and the player's token) at an arbitrary server.
+	const ENVIRONMENTS = {
+		"production": "https://api.thephoenixguild.com",
+		"staging": "https://51.20.122.168",
+		"dev": "https://13.61.182.4",
+		"local": "http://localhost:8787"		// mock-server/server.js
+	};
+
+	// Host pages trusted to embed the game in each environment (see GetHostOrigins). A page can
+	// add others with a "hostOrigins" preset.
+	const HOST_ORIGINS = {
+		"production": ["https://thephoenixguild.com", "https://www.thephoenixguild.com"],
+		"staging": ["https://51.20.122.168"],
+		"dev": ["https://13.61.182.4"],
+		"local": ["http://localhost:8787"]
+	};
+
+	const DEFAULT_ENV = "production";
+
+	// Preset a page can set before loading this script, e.g.
+	// <script>window.GameConfig = { env: "staging" };</script>
+	const preset = (typeof window.GameConfig === "object" && window.GameConfig) || {};
+
+	function GetQueryParam(name)
+	{
+		try {
+			return new URLSearchParams(location.search).get(name);
+		}
+		catch (e)
+		{
+			return null;		// no URLSearchParams support
+		}
+	};
+
+	function ResolveEnv()
+	{
+		// A query parameter wins over the page preset, so the same build can be pointed at
+		// another backend without re-exporting, e.g. index.html?env=staging
+		const fromQuery = GetQueryParam("env");
+
+		if (fromQuery && ENVIRONMENTS.hasOwnProperty(fromQuery))
+			return fromQuery;
+
+		if (fromQuery)
+			console.warn("[GameConfig] Unknown env '" + fromQuery + "', using '" + (preset.env || DEFAULT_ENV) + "'");
+
+		if (preset.env && ENVIRONMENTS.hasOwnProperty(preset.env))
+			return preset.env;
+
+		return DEFAULT_ENV;
+	};
+
+	class GameConfig
+	{
+		constructor()
+		{
+			this._env = ResolveEnv();
+			this._values = Object.assign({}, preset);
+			delete this._values.env;
+		}
+
+		GetEnv()
+		{
+			return this._env;
+		}
+
+		// Base URL of the score API with no trailing slash, e.g. "https://api.thephoenixguild.com".
+		GetApiBase()
+		{
+			return ENVIRONMENTS[this._env];
+		}
+
+		GetApiUrl(path)
+		{
+			return this.GetApiBase() + path;
+		}
+
+		Get(key, defaultValue)
+		{
+			return this._values.hasOwnProperty(key) ? this._values[key] : defaultValue;
+		}
+
+		Set(key, value)
+		{
+			this._values[key] = value;
+		}
+
+		// Origins of host pages trusted to embed the game and talk to it over postMessage: the
+		// environment's own hosts plus any "hostOrigins" the page presets. The referrer is not
+		// trusted, since any page can iframe the game.
+		GetHostOrigins()
+		{
+			const origins = HOST_ORIGINS[this._env].slice(0);
+
+			for (const origin of this.Get("hostOrigins", []))
+			{
+				if (origins.indexOf(origin) === -1)
+					origins.push(origin);
+			}
+
+			return origins;
+		}
+
+		IsAllowedHostOrigin(origin)
+		{
+			return this.GetHostOrigins().indexOf(origin) !== -1;
+		}
+	};
+
+	window.GameConfig = new GameConfig();
+
+}());
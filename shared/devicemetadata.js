@@ -0,0 +1,227 @@
+"use strict";
+
+// Device/platform metadata attached to score submissions (metadata field of /api/userScore).
+// Uses User-Agent Client Hints where the browser supports them and falls back to parsing the
+// User-Agent string. The high-entropy hints and the build version are looked up once at load,
+// so Collect() itself stays synchronous for ScoreClient.BuildBody.
+
+(function () {
+
+	const CONSOLE_PREFIX = "[DeviceMetadata] ";
+
+	// C2 exports describe their build in offline.js, C3 exports in offline.json.
+	const VERSION_FILES = ["offline.json", "offline.js"];
+
+	const HIGH_ENTROPY_HINTS = ["platformVersion", "model", "fullVersionList"];
+
+	function ParseOS(ua)
+	{
+		let m;
+
+		if ((m = ua.match(/Android ([\d.]+)/)))
+			return { name: "Android", version: m[1] };
+		if ((m = ua.match(/(?:iPhone|iPad|iPod).*? OS ([\d_]+)/)))
+			return { name: "iOS", version: m[1].replace(/_/g, ".") };
+		if (/Macintosh|Mac OS X/.test(ua))
+		{
+			// iPadOS 13+ reports itself as a Mac; a touch screen gives it away.
+			if (navigator.maxTouchPoints > 1)
+				return { name: "iOS", version: "" };
+
+			m = ua.match(/Mac OS X ([\d_]+)/);
+			return { name: "Mac OS X", version: m ? m[1].replace(/_/g, ".") : "" };
+		}
+		if ((m = ua.match(/Windows NT ([\d.]+)/)))
+			return { name: "Windows", version: m[1] };
+		if (/CrOS/.test(ua))
+			return { name: "Chrome OS", version: "" };
+		if (/Linux/.test(ua))
+			return { name: "Linux", version: "" };
+
+		return { name: "Unknown", version: "" };
+	};
+
+	function ParseBrowser(ua)
+	{
+		// Order matters: most Chromium browsers also claim to be Chrome and Safari.
+		const patterns = [
+			["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+			["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+			["Opera", /(?:OPR|OPiOS)\/([\d.]+)/],
+			["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+			["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+			["Safari", /Version\/([\d.]+).*Safari/]
+		];
+
+		for (const [name, regex] of patterns)
+		{
+			const m = ua.match(regex);
+			if (m)
+				return { name: name, version: m[1] };
+		}
+
+		return { name: "Unknown", version: "" };
+	};
+
+	function ParseDeviceModel(ua)
+	{
+		if (/iPhone/.test(ua))
+			return "iPhone";
+		if (/iPad/.test(ua))
+			return "iPad";
+
+		// Android UAs usually carry the model before the build id: "...; Android 13; SM-S911B Build/..." or "...; Pixel 7)".
+		const m = ua.match(/Android [\d.]+;\s*(?:[a-z]{2}[-_][a-z]{2};\s*)?([^;)]+?)(?:\s+Build\/[^;)]*)?[;)]/i);
+		if (m && m[1] && m[1] !== "K")		// "K" is the frozen placeholder sent by reduced UAs
+			return m[1].trim();
+
+		return "";
+	};
+
+	function GetInputTypes()
+	{
+		const types = [];
+
+		if (navigator.maxTouchPoints > 0 || "ontouchstart" in window)
+			types.push("touch");
+
+		if (window.matchMedia && window.matchMedia("(any-pointer: fine)").matches)
+			types.push("mouse");
+
+		// There is no way to detect a keyboard up front; devices that can hover almost always have one.
+		if (window.matchMedia && window.matchMedia("(any-hover: hover)").matches)
+			types.push("keyboard");
+
+		return types;
+	};
+
+	function IsStandalone()
+	{
+		if (navigator.standalone)
+			return true;		// iOS home screen app
+
+		if (!window.matchMedia)
+			return false;
+
+		return ["standalone", "fullscreen", "minimal-ui"].some(mode => window.matchMedia("(display-mode: " + mode + ")").matches);
+	};
+
+	class DeviceMetadata
+	{
+		constructor()
+		{
+			this._hints = null;
+			this._buildVersion = "";
+			this._lastInputType = "";
+
+			// Record what the player is actually using, which matters more than what is available.
+			window.addEventListener("pointerdown", e => this._lastInputType = (e.pointerType || "mouse"), true);
+			window.addEventListener("keydown", () => this._lastInputType = "keyboard", true);
+
+			this._readyPromise = Promise.all([this._LoadHints(), this._LoadBuildVersion()]);
+		}
+
+		async _LoadHints()
+		{
+			const uaData = navigator.userAgentData;
+
+			if (!uaData)
+				return;
+
+			try {
+				this._hints = await uaData.getHighEntropyValues(HIGH_ENTROPY_HINTS);
+			}
+			catch (err)
+			{
+				// Permission policy can block high-entropy hints; the low-entropy ones are still usable.
+				this._hints = { platform: uaData.platform, mobile: uaData.mobile, brands: uaData.brands };
+			}
+		}
+
+		async _LoadBuildVersion()
+		{
+			for (const file of VERSION_FILES)
+			{
+				try {
+					const response = await fetch(file, { cache: "no-store" });
+					if (!response.ok)
+						continue;
+
+					const data = await response.json();
+					if (data && data.version)
+					{
+						this._buildVersion = String(data.version);
+						return;
+					}
+				}
+				catch (err)
+				{
+					// missing file or offline: try the next one
+				}
+			}
+
+			console.log(CONSOLE_PREFIX + "No build version found");
+		}
+
+		Ready()
+		{
+			return this._readyPromise;
+		}
+
+		GetBuildVersion()
+		{
+			return this._buildVersion;
+		}
+
+		Collect()
+		{
+			const ua = navigator.userAgent;
+			const hints = this._hints;
+			let os = ParseOS(ua);
+			let browser = ParseBrowser(ua);
+			let model = ParseDeviceModel(ua);
+
+			if (hints)
+			{
+				if (hints.platform)
+					os = { name: hints.platform, version: hints.platformVersion || os.version };
+
+				if (hints.model)
+					model = hints.model;
+
+				// Prefer the real brand over the "Not A;Brand" / "Chromium" entries.
+				const brands = (hints.fullVersionList || hints.brands || [])
+					.filter(b => !/Not.?A.?Brand|Chromium/i.test(b.brand));
+				if (brands.length)
+					browser = { name: brands[0].brand, version: brands[0].version };
+			}
+
+			const screen = window.screen || {};
+
+			return {
+				// Kept from the original event-sheet metadata for backend compatibility.
+				"platform": os.name,
+				"device": model || (os.name === "Unknown" ? "Unknown Device" : "Unknown " + os.name),
+
+				"os": os,
+				"browser": browser,
+				"screen": {
+					"width": screen.width || 0,
+					"height": screen.height || 0,
+					"viewport_width": window.innerWidth,
+					"viewport_height": window.innerHeight,
+					"dpr": window.devicePixelRatio || 1
+				},
+				"input": GetInputTypes(),
+				"last_input": this._lastInputType,
+				"standalone": IsStandalone(),
+				"build_version": this._buildVersion,
+				"locale": navigator.language || "",
+				"user_agent": ua
+			};
+		}
+	};
+
+	window.DeviceMetadata = new DeviceMetadata();
+
+}());
@@ -0,0 +1,36 @@
+"use strict";
+
+// Calls an event-sheet Function by name from outside the runtime, on either runtime:
+// C3 exposes c3_callFunction once started, C2 exports expose c2_callFunction (Function plugin).
+// Calls made before the runtime is ready are dropped, as the event sheet could not handle them yet.
+
+(function () {
+
+	window.GameFunctions = {
+		Call(name, params)
+		{
+			params = params || [];
+
+			try {
+				if (typeof window["c3_callFunction"] === "function")
+				{
+					window["c3_callFunction"](name, params);
+					return true;
+				}
+
+				if (typeof window["c2_callFunction"] === "function")
+				{
+					window["c2_callFunction"](name, params);
+					return true;
+				}
+			}
+			catch (err)
+			{
+				console.warn("[GameFunctions] Error calling '" + name + "': ", err);
+			}
+
+			return false;
+		}
+	};
+
+}());
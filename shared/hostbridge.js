@@ -0,0 +1,308 @@
+"use strict";
+
+// Host-page bridge: lets a game embedded in an arcade/host page report sessions, levels and scores,
+// ask for ads, sharing and exit, and be paused or resumed by the host. It replaces the direct
+// parent.__ctlArcade* calls in c2ctl.js, which fail when the host is on another origin.
+//
+// Protocol (version 1), all messages posted between the game iframe and window.parent:
+//
+//   game -> host:  { protocol: "phoenix-host", version: 1, kind: "request", id, action, params }
+//   host -> game:  { protocol: "phoenix-host", version: 1, kind: "response", id, ok, result | error }
+//   host -> game:  { protocol: "phoenix-host", version: 1, kind: "command", id, action, params }
+//   game -> host:  { protocol: "phoenix-host", version: 1, kind: "response", id, ok, result | error }
+//
+// Game actions: hello, startSession, endSession, startLevel, endLevel, restartLevel, saveScore
+// { score }, pause, resume, showAd { placement }, share { img, title, msg, msg_share }, exit.
+// Host commands: pause, resume. Messages are only sent to and accepted from the origins
+// GameConfig.GetHostOrigins() returns. A host that still defines the old parent.__ctlArcade*
+// globals (same-origin embeds) is called through those instead.
+//
+// Event sheets call it through Browser.ExecJS, e.g. Browser.ExecJS("HostBridge.SaveScore(" & Score & ")");
+// C2 games using c2ctl.js keep calling its ctlArcade* functions, which forward here.
+
+(function () {
+
+	const PROTOCOL = "phoenix-host";
+	const VERSION = 1;
+	const CONSOLE_PREFIX = "[HostBridge] ";
+	const REQUEST_TIMEOUT = 5000;		// ms to wait for the host to answer a request
+
+	// Protocol action -> old c2ctl.js host global, and how to turn params into its argument.
+	const LEGACY_HANDLERS = {
+		"startSession": ["__ctlArcadeStartSession"],
+		"endSession": ["__ctlArcadeEndSession"],
+		"startLevel": ["__ctlArcadeStartLevel"],
+		"endLevel": ["__ctlArcadeEndLevel"],
+		"restartLevel": ["__ctlArcadeRestartLevel"],
+		"saveScore": ["__ctlArcadeSaveScore", params => ({ score: params["score"] })],
+		"showAd": ["__ctlArcadeShowInterlevelAD"],
+		"share": ["__ctlArcadeShareEvent", params => ({ img: params["img"], title: params["title"], msg: params["msg"], msg_share: params["msg_share"] })]
+	};
+
+	function GetLegacyHandler(action)
+	{
+		const entry = LEGACY_HANDLERS[action];
+
+		if (!entry || window.parent === window)
+			return null;
+
+		try {
+			// Throws on a cross-origin parent, which can only be reached with postMessage.
+			const f = window.parent[entry[0]];
+			return typeof f === "function" ? { f, convert: entry[1] } : null;
+		}
+		catch (e)
+		{
+			return null;
+		}
+	};
+
+	class HostBridge
+	{
+		constructor()
+		{
+			this._nextId = 1;
+			this._pending = new Map();		// request id -> { resolve, reject, timerId }
+			this._commandHandlers = new Map();
+			this._hostVersion = 0;
+
+			this._embedded = (window.parent !== window);
+
+			if (this._embedded)
+				window.addEventListener("message", e => this._OnMessage(e));
+
+			// Without pause.js, host pause/resume go to the event-sheet Functions c2ctl.js games
+			// define; pause.js replaces these handlers when it loads.
+			this.OnCommand("pause", () => this._CallGameFunction("c2ctlArcadePause"));
+			this.OnCommand("resume", () => this._CallGameFunction("c2ctlArcadeResume"));
+
+			this._helloPromise = this._embedded ? this.Request("hello", { "version": VERSION }).then(result =>
+			{
+				this._hostVersion = (result && result["version"]) || VERSION;
+				return result;
+			}, () => null) : Promise.resolve(null);
+		}
+
+		IsEmbedded()
+		{
+			return this._embedded;
+		}
+
+		// Resolves with the host's hello response, or null if it did not answer.
+		Ready()
+		{
+			return this._helloPromise;
+		}
+
+		// Protocol version the host answered hello with, or 0 if it has not (yet).
+		GetHostVersion()
+		{
+			return this._hostVersion;
+		}
+
+		_Post(message)
+		{
+			// postMessage drops the message unless the parent really is on the target origin, so
+			// posting to each trusted origin reaches the host without ever using "*".
+			for (const origin of window.GameConfig.GetHostOrigins())
+			{
+				try {
+					window.parent.postMessage(message, origin);
+				}
+				catch (e)
+				{
+					console.warn(CONSOLE_PREFIX + "Unable to post to " + origin + ": ", e);
+				}
+			}
+		}
+
+		// Sends an action to the host and resolves with its result. Rejects if the host answers with
+		// an error or does not answer within the timeout (including when not embedded at all).
+		Request(action, params)
+		{
+			params = params || {};
+
+			const legacy = GetLegacyHandler(action);
+			if (legacy)
+			{
+				try {
+					// Called as a method of the parent, as c2ctl.js always did.
+					return Promise.resolve(legacy.f.call(window.parent, legacy.convert ? legacy.convert(params) : undefined));
+				}
+				catch (err)
+				{
+					return Promise.reject(err);
+				}
+			}
+
+			if (!this._embedded)
+				return Promise.reject(new Error("not embedded in a host page"));
+
+			const id = this._nextId++;
+
+			return new Promise((resolve, reject) =>
+			{
+				const timerId = setTimeout(() =>
+				{
+					this._pending.delete(id);
+					reject(new Error("host did not answer '" + action + "'"));
+				}, REQUEST_TIMEOUT);
+
+				this._pending.set(id, { resolve, reject, timerId });
+
+				this._Post({
+					"protocol": PROTOCOL,
+					"version": VERSION,
+					"kind": "request",
+					"id": id,
+					"action": action,
+					"params": params
+				});
+			});
+		}
+
+		// Fire-and-forget version of Request for event sheets; failures are only logged.
+		Send(action, params)
+		{
+			this.Request(action, params).catch(err =>
+			{
+				if (this._embedded)
+					console.warn(CONSOLE_PREFIX + action + ": " + err.message);
+			});
+
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		// Registers the handler for a host command. It may return a value or a Promise for the response.
+		OnCommand(action, handler)
+		{
+			this._commandHandlers.set(action, handler);
+		}
+
+		_OnMessage(e)
+		{
+			const data = e.data;
+
+			if (e.source !== window.parent || !data || data["protocol"] !== PROTOCOL)
+				return;
+
+			if (!window.GameConfig.IsAllowedHostOrigin(e.origin))
+			{
+				console.warn(CONSOLE_PREFIX + "Ignoring message from " + e.origin);
+				return;
+			}
+
+			if (data["kind"] === "response")
+				this._OnResponse(data);
+			else if (data["kind"] === "command")
+				this._OnCommand(data, e.origin);
+		}
+
+		_OnResponse(data)
+		{
+			const pending = this._pending.get(data["id"]);
+
+			if (!pending)
+				return;		// timed out already, or not ours
+
+			this._pending.delete(data["id"]);
+			clearTimeout(pending.timerId);
+
+			if (data["ok"])
+				pending.resolve(data["result"]);
+			else
+				pending.reject(new Error(data["error"] || "host rejected the request"));
+		}
+
+		_OnCommand(data, origin)
+		{
+			const respond = (ok, value) =>
+			{
+				const message = { "protocol": PROTOCOL, "version": VERSION, "kind": "response", "id": data["id"], "ok": ok };
+				message[ok ? "result" : "error"] = value;
+				window.parent.postMessage(message, origin);
+			};
+
+			this.RunCommand(data["action"], data["params"])
+			.then(result => respond(true, result === undefined ? null : result),
+				err => respond(false, err.message || String(err)));
+		}
+
+		// Runs a host command's handler as if the host had sent it. Also used by the legacy
+		// ctlArcadePause/ctlArcadeResume globals, which same-origin hosts call directly.
+		RunCommand(action, params)
+		{
+			const handler = this._commandHandlers.get(action);
+
+			if (!handler)
+				return Promise.reject(new Error("unsupported command '" + action + "'"));
+
+			return Promise.resolve().then(() => handler(params || {}));
+		}
+
+		_CallGameFunction(name)
+		{
+			if (!window.GameFunctions || !window.GameFunctions.Call(name))
+				throw new Error("game is not ready");
+		}
+
+		// Shorthands for the protocol actions, for Browser.ExecJS.
+		StartSession()
+		{
+			return this.Send("startSession");
+		}
+
+		EndSession()
+		{
+			return this.Send("endSession");
+		}
+
+		StartLevel(level)
+		{
+			return this.Send("startLevel", { "level": level });
+		}
+
+		EndLevel(level)
+		{
+			return this.Send("endLevel", { "level": level });
+		}
+
+		RestartLevel(level)
+		{
+			return this.Send("restartLevel", { "level": level });
+		}
+
+		SaveScore(score)
+		{
+			return this.Send("saveScore", { "score": Number(score) || 0 });
+		}
+
+		NotifyPaused()
+		{
+			return this.Send("pause");
+		}
+
+		NotifyResumed()
+		{
+			return this.Send("resume");
+		}
+
+		ShowAd(placement)
+		{
+			return this.Send("showAd", { "placement": placement || "interlevel" });
+		}
+
+		Share(img, title, msg, msgShare)
+		{
+			return this.Send("share", { "img": img, "title": title, "msg": msg, "msg_share": msgShare });
+		}
+
+		Exit()
+		{
+			return this.Send("exit");
+		}
+	};
+
+	window.HostBridge = new HostBridge();
+
+}());
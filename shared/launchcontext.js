@@ -0,0 +1,276 @@
+"use strict";
+
+// Campaign launch context: the token, redirect_url, game_id and campaign_id the host page
+// launches a game with. Values are read from the query string, then the hash fragment
+// (e.g. index.html#token=...), and may be supplied or overridden by the host page with a
+// postMessage handshake:
+//
+//   game -> host:  { type: "launch-context-request" }
+//   host -> game:  { type: "launch-context", token, redirect_url, game_id, campaign_id }
+//
+// If anything required is missing or malformed the game runs in practice mode: it plays normally
+// but scores are not submitted. (A player signed in through auth.js needs no token in the URL.)
+// Event sheets can branch on Browser.ExecJS("LaunchContext.IsPracticeMode() ? 1 : 0").
+
+(function () {
+
+	const CONSOLE_PREFIX = "[LaunchContext] ";
+	const HANDSHAKE_TIMEOUT = 1500;		// ms to wait for the host page to answer
+
+	function ParseParams(str)
+	{
+		const ret = {};
+
+		if (!str)
+			return ret;
+
+		try {
+			for (const [key, value] of new URLSearchParams(str))
+				ret[key] = value;
+		}
+		catch (e)
+		{
+			console.warn(CONSOLE_PREFIX + "Unable to parse launch parameters: ", e);
+		}
+
+		return ret;
+	};
+
+	function NormaliseToken(value)
+	{
+		if (typeof value !== "string")
+			return "";
+
+		// The API expects the raw token; hosts sometimes hand over the full header value.
+		return value.trim().replace(/^Bearer\s+/i, "");
+	};
+
+	function NormaliseId(value)
+	{
+		if (typeof value === "number" && isFinite(value))
+			return String(value);
+
+		if (typeof value !== "string")
+			return "";
+
+		return value.trim();
+	};
+
+	function NormaliseCampaignId(value)
+	{
+		const str = NormaliseId(value);
+
+		if (!/^\d+$/.test(str))
+			return null;
+
+		const n = parseInt(str, 10);
+		return (n > 0 && n <= Number.MAX_SAFE_INTEGER) ? n : null;
+	};
+
+	// Only absolute http(s) URLs are followed, so a launch link can't redirect to javascript: etc.
+	function NormaliseRedirectUrl(value)
+	{
+		if (typeof value !== "string" || !value.trim())
+			return "";
+
+		try {
+			const url = new URL(value.trim());
+			return (url.protocol === "https:" || url.protocol === "http:") ? url.href : null;
+		}
+		catch (e)
+		{
+			return null;
+		}
+	};
+
+	class LaunchContext
+	{
+		constructor()
+		{
+			this._values = {
+				token: "",
+				redirectUrl: "",
+				gameId: "",
+				gameKey: "",
+				campaignId: null
+			};
+			this._errors = [];
+
+			this._Apply(Object.assign({}, ParseParams(location.hash.substring(1)), ParseParams(location.search)));
+
+			this._readyPromise = this._RequestFromHost();
+		}
+
+		_Apply(raw)
+		{
+			const errors = [];
+
+			if (raw.hasOwnProperty("token"))
+				this._values.token = NormaliseToken(raw["token"]);
+
+			if (raw.hasOwnProperty("game_id"))
+				this._values.gameId = NormaliseId(raw["game_id"]);
+
+			if (raw.hasOwnProperty("gameKey"))
+				this._values.gameKey = NormaliseId(raw["gameKey"]);
+
+			if (raw.hasOwnProperty("campaign_id"))
+			{
+				this._values.campaignId = NormaliseCampaignId(raw["campaign_id"]);
+				if (this._values.campaignId === null)
+					errors.push("campaign_id must be a positive integer");
+			}
+
+			if (raw.hasOwnProperty("redirect_url"))
+			{
+				const redirectUrl = NormaliseRedirectUrl(raw["redirect_url"]);
+				if (redirectUrl === null)
+				{
+					errors.push("redirect_url must be an absolute http(s) URL");
+					this._values.redirectUrl = "";
+				}
+				else
+				{
+					this._values.redirectUrl = redirectUrl;
+				}
+			}
+
+			if (!this._values.gameId)
+				errors.push("game_id is missing");
+			if (this._values.campaignId === null && !errors.some(e => e.startsWith("campaign_id")))
+				errors.push("campaign_id is missing");
+
+			this._errors = errors;
+
+			if (this.IsPracticeMode())
+				console.log(CONSOLE_PREFIX + "Practice mode: " + this.GetErrors().join("; "));
+		}
+
+		_RequestFromHost()
+		{
+			if (window.parent === window)
+				return Promise.resolve();		// not embedded, nothing to ask
+
+			return new Promise(resolve =>
+			{
+				const timerId = setTimeout(finish, HANDSHAKE_TIMEOUT);
+				const self = this;
+
+				function finish()
+				{
+					clearTimeout(timerId);
+					window.removeEventListener("message", onMessage);
+					resolve();
+				};
+
+				function onMessage(e)
+				{
+					if (e.source !== window.parent || !e.data || e.data["type"] !== "launch-context")
+						return;
+
+					if (!window.GameConfig.IsAllowedHostOrigin(e.origin))
+					{
+						console.warn(CONSOLE_PREFIX + "Ignoring launch context from " + e.origin);
+						return;
+					}
+
+					self._Apply(Object.assign(self._GetRawValues(), e.data));
+					finish();
+				};
+
+				window.addEventListener("message", onMessage);
+				window.parent.postMessage({ "type": "launch-context-request" }, "*");
+			});
+		}
+
+		_GetRawValues()
+		{
+			return {
+				"token": this._values.token,
+				"redirect_url": this._values.redirectUrl,
+				"game_id": this._values.gameId,
+				"gameKey": this._values.gameKey,
+				"campaign_id": this._values.campaignId === null ? "" : String(this._values.campaignId)
+			};
+		}
+
+		// Resolves once the host handshake has completed or timed out.
+		Ready()
+		{
+			return this._readyPromise;
+		}
+
+		IsPracticeMode()
+		{
+			return this._errors.length > 0 || !this.HasToken();
+		}
+
+		// A signed-in player (auth.js) brings their own token, so the launch URL need not carry one.
+		HasToken()
+		{
+			return !!this._values.token || !!(window.PlayerAuth && window.PlayerAuth.IsSignedIn());
+		}
+
+		GetErrors()
+		{
+			return this.HasToken() ? this._errors.slice(0) : ["token is missing"].concat(this._errors);
+		}
+
+		GetToken()
+		{
+			return this._values.token;
+		}
+
+		GetRedirectUrl()
+		{
+			return this._values.redirectUrl;
+		}
+
+		GetGameId()
+		{
+			return this._values.gameId;
+		}
+
+		// Explicit gameKey launch parameter, if the host sent one.
+		GetGameKey()
+		{
+			return this._values.gameKey;
+		}
+
+		GetCampaignId()
+		{
+			return this._values.campaignId;
+		}
+
+		// Single-value accessor for event sheets, e.g. Browser.ExecJS("LaunchContext.Get('redirect_url')").
+		Get(name)
+		{
+			switch (name) {
+			case "token":			return this.GetToken();
+			case "redirect_url":	return this.GetRedirectUrl();
+			case "game_id":			return this.GetGameId();
+			case "gameKey":			return this.GetGameKey();
+			case "campaign_id":		return this.GetCampaignId() === null ? 0 : this.GetCampaignId();
+			case "practice":		return this.IsPracticeMode() ? 1 : 0;
+			default:
+				console.warn(CONSOLE_PREFIX + "Unknown field '" + name + "'");
+				return "";
+			}
+		}
+
+		ToJSON()
+		{
+			return {
+				"token": this.GetToken(),
+				"redirect_url": this.GetRedirectUrl(),
+				"game_id": this.GetGameId(),
+				"gameKey": this.GetGameKey(),
+				"campaign_id": this.GetCampaignId(),
+				"practice": this.IsPracticeMode()
+			};
+		}
+	};
+
+	window.LaunchContext = new LaunchContext();
+
+}());
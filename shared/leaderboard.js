@@ -0,0 +1,509 @@
+"use strict";
+
+// Leaderboard panel shared by all games: top-N and "around me" rankings from the score API for
+// the current gameKey/campaign_id, with daily, weekly and all-time tabs. Results are cached in
+// LocalStorage so the last board can still be shown offline, and the player's own rows are
+// highlighted. Load after scoreclient.js:
+//
+//   <script src="../shared/leaderboard.js" data-best="Highscore" data-button></script>
+//
+// data-best names the C2 global holding the game's local best, shown under the board (C3 games
+// report it with Leaderboard.SetLocalBest(n) whenever they read or beat it). data-button adds a
+// small trophy button that opens the panel; the event sheets show it only on the menu and
+// game-over screens, with Browser.ExecJS("Leaderboard.ShowButton()"), and hide it during play with
+// ("Leaderboard.HideButton()"), or open the panel directly with Browser.ExecJS("Leaderboard.Show()").
+// Opening and closing the panel calls the event-sheet Functions "OnLeaderboardOpened" /
+// "OnLeaderboardClosed" if the project has them.
+//
+// Backend endpoint (relative to GameConfig's API base; Authorization is optional):
+//   GET /api/leaderboard?gameKey=&campaign_id=&period=daily|weekly|alltime&limit=&around=
+//   -> { period, total, top: [entry], around: [entry], player: entry | null }
+// where entry is { rank, player_id, name, score, is_player }.
+
+(function () {
+
+	const LEADERBOARD_PATH = "/api/leaderboard";
+	const STORAGE_PREFIX = "phoenix-leaderboard:";
+	const CONSOLE_PREFIX = "[Leaderboard] ";
+
+	const PERIODS = [
+		{ id: "daily", label: "Today" },
+		{ id: "weekly", label: "This week" },
+		{ id: "alltime", label: "All time" }
+	];
+
+	const TOP_LIMIT = 10;
+	const AROUND_RANGE = 2;				// rows either side of the player
+	const MAX_CACHE_AGE = 60 * 1000;	// refetch when the cached board is older than this
+
+	const STYLE = `
+.phx-lb-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center;
+	background: rgba(0, 0, 0, 0.6); font: 14px/1.4 sans-serif; color: #fff; }
+.phx-lb-panel { width: min(92vw, 420px); max-height: 90vh; display: flex; flex-direction: column; background: #1d2235;
+	border-radius: 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5); overflow: hidden; }
+.phx-lb-header { display: flex; align-items: center; padding: 12px 16px; font-size: 18px; font-weight: bold; }
+.phx-lb-header span { flex: 1; }
+.phx-lb-close { background: none; border: 0; color: inherit; font-size: 24px; line-height: 1; cursor: pointer; }
+.phx-lb-tabs { display: flex; }
+.phx-lb-tab { flex: 1; padding: 8px; background: #151928; border: 0; border-bottom: 2px solid transparent; color: #aab;
+	font: inherit; cursor: pointer; }
+.phx-lb-tab[aria-selected="true"] { color: #fff; border-bottom-color: #f5b731; }
+.phx-lb-body { overflow-y: auto; padding: 8px 16px; }
+.phx-lb-status { padding: 6px 0; color: #aab; font-size: 12px; }
+.phx-lb-heading { margin: 10px 0 4px; color: #aab; font-size: 12px; text-transform: uppercase; }
+.phx-lb-table { width: 100%; border-collapse: collapse; }
+.phx-lb-table td { padding: 5px 6px; }
+.phx-lb-table td:first-child { width: 3em; color: #aab; }
+.phx-lb-table td:last-child { text-align: right; font-variant-numeric: tabular-nums; }
+.phx-lb-table tr.phx-lb-me td { background: #f5b731; color: #1d2235; font-weight: bold; }
+.phx-lb-footer { padding: 10px 16px; background: #151928; color: #aab; font-size: 12px; }
+.phx-lb-button { position: fixed; top: 10px; right: 10px; z-index: 9999; width: 44px; height: 44px; border: 0;
+	border-radius: 50%; background: rgba(0, 0, 0, 0.5); font-size: 22px; cursor: pointer; }
+`;
+
+	function LoadCached(key)
+	{
+		try {
+			const json = localStorage.getItem(STORAGE_PREFIX + key);
+			return json ? JSON.parse(json) : null;
+		}
+		catch (err)
+		{
+			return null;
+		}
+	};
+
+	function SaveCached(key, data)
+	{
+		try {
+			localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(data));
+		}
+		catch (err)
+		{
+			console.warn(CONSOLE_PREFIX + "Unable to cache leaderboard: ", err);
+		}
+	};
+
+	function CreateElem(tag, className, text)
+	{
+		const elem = document.createElement(tag);
+
+		if (className)
+			elem.className = className;
+		if (text)
+			elem.textContent = text;
+
+		return elem;
+	};
+
+	function FormatTime(time)
+	{
+		try {
+			return new Date(time).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+		}
+		catch (err)
+		{
+			return new Date(time).toLocaleString();
+		}
+	};
+
+	class Leaderboard
+	{
+		constructor(scriptElem)
+		{
+			this._bestVarName = (scriptElem && scriptElem.getAttribute("data-best")) || "";
+			this._wantButton = !!(scriptElem && scriptElem.hasAttribute("data-button"));
+			this._localBest = null;
+			this._period = PERIODS[PERIODS.length - 1].id;
+			this._boards = new Map();		// cache key -> { data, fetchedAt, offline }
+			this._loading = new Map();		// cache key -> Promise
+			this._overlayElem = null;
+			this._buttonElem = null;
+			this._styleAdded = false;
+
+			this._onKeyDown = (e) =>
+			{
+				if (e.key !== "Escape")
+					return;
+
+				e.stopPropagation();
+				this.Hide();
+			};
+
+			if (this._wantButton)
+			{
+				if (document.body)
+					this.ShowButton();
+				else
+					document.addEventListener("DOMContentLoaded", () => this.ShowButton());
+			}
+		}
+
+		_GetCacheKey(period)
+		{
+			const scoreClient = window.ScoreClient;
+			const gameKey = scoreClient ? scoreClient.GetGameKey() : "";
+			const campaignId = window.LaunchContext.GetCampaignId();
+
+			return gameKey + ":" + (campaignId === null ? "" : campaignId) + ":" + period;
+		}
+
+		_GetUrl(period)
+		{
+			const params = new URLSearchParams({
+				"gameKey": window.ScoreClient ? window.ScoreClient.GetGameKey() : "",
+				"period": period,
+				"limit": String(TOP_LIMIT),
+				"around": String(AROUND_RANGE)
+			});
+
+			const campaignId = window.LaunchContext.GetCampaignId();
+			if (campaignId !== null)
+				params.set("campaign_id", String(campaignId));
+
+			return window.GameConfig.GetApiUrl(LEADERBOARD_PATH + "?" + params.toString());
+		}
+
+		// Resolves with { data, fetchedAt, offline } for a period. Falls back to the cached board when
+		// the request fails, and rejects only if there is nothing cached either.
+		Fetch(period)
+		{
+			period = period || this._period;
+			const key = this._GetCacheKey(period);
+
+			if (this._loading.has(key))
+				return this._loading.get(key);
+
+			const promise = this._DoFetch(period, key)
+			.finally(() => this._loading.delete(key));
+
+			this._loading.set(key, promise);
+			return promise;
+		}
+
+		async _DoFetch(period, key)
+		{
+			try {
+				const headers = {};
+				const token = window.ScoreClient ? window.ScoreClient.GetToken() : "";
+				if (token)
+					headers["Authorization"] = token;
+
+				const response = await fetch(this._GetUrl(period), { headers });
+
+				if (!response.ok)
+					throw new Error(LEADERBOARD_PATH + " responded with " + response.status + " " + response.statusText);
+
+				const board = { data: await response.json(), fetchedAt: Date.now(), offline: false };
+				this._boards.set(key, board);
+				SaveCached(key, board);
+				return board;
+			}
+			catch (err)
+			{
+				const cached = this._boards.get(key) || LoadCached(key);
+
+				if (!cached)
+					throw err;
+
+				console.warn(CONSOLE_PREFIX + "Showing cached leaderboard: ", err);
+				const board = Object.assign({}, cached, { offline: true });
+				this._boards.set(key, board);
+				return board;
+			}
+		}
+
+		// Marks cached boards stale so the next Show refetches them; ScoreClient calls this when a
+		// new score is built.
+		Invalidate()
+		{
+			for (const board of this._boards.values())
+				board.fetchedAt = 0;
+		}
+
+		SetLocalBest(score)
+		{
+			const n = Number(score);
+			this._localBest = isFinite(n) ? n : null;
+		}
+
+		GetLocalBest()
+		{
+			if (this._localBest !== null)
+				return this._localBest;
+
+			if (!this._bestVarName)
+				return null;
+
+			const runtime = window["c3runtime"];
+			if (!runtime || !runtime.all_global_vars)
+				return null;
+
+			const v = runtime.all_global_vars.find(v => v.name === this._bestVarName);
+			return v ? Number(v.data) : null;
+		}
+
+		IsShowing()
+		{
+			return !!this._overlayElem;
+		}
+
+		Show(period)
+		{
+			if (period && PERIODS.some(p => p.id === period))
+				this._period = period;
+
+			if (!this._overlayElem)
+			{
+				this._AddStyle();
+				this._overlayElem = this._CreatePanel();
+				document.body.appendChild(this._overlayElem);
+				document.addEventListener("keydown", this._onKeyDown, true);
+
+				if (window.GameFunctions)
+					window.GameFunctions.Call("OnLeaderboardOpened");
+			}
+
+			this._SelectPeriod(this._period);
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		Hide()
+		{
+			if (!this._overlayElem)
+				return 0;
+
+			this._overlayElem.remove();
+			this._overlayElem = null;
+			document.removeEventListener("keydown", this._onKeyDown, true);
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnLeaderboardClosed");
+
+			return 1;
+		}
+
+		Toggle()
+		{
+			return this.IsShowing() ? this.Hide() : this.Show();
+		}
+
+		ShowButton()
+		{
+			if (this._buttonElem)
+				return 1;
+
+			this._AddStyle();
+			const button = CreateElem("button", "phx-lb-button", "🏆");
+			button.type = "button";
+			button.setAttribute("data-phx-ui", "");
+			button.title = "Leaderboard";
+			button.setAttribute("aria-label", "Leaderboard");
+
+			// Keep the click away from the game canvas underneath.
+			button.addEventListener("pointerdown", e => e.stopPropagation());
+			button.addEventListener("click", e =>
+			{
+				e.stopPropagation();
+				this.Show();
+			});
+
+			document.body.appendChild(button);
+			this._buttonElem = button;
+			return 1;
+		}
+
+		HideButton()
+		{
+			if (!this._buttonElem)
+				return 0;
+
+			this._buttonElem.remove();
+			this._buttonElem = null;
+			return 1;
+		}
+
+		_AddStyle()
+		{
+			if (this._styleAdded)
+				return;
+
+			const styleElem = document.createElement("style");
+			styleElem.textContent = STYLE;
+			document.head.appendChild(styleElem);
+			this._styleAdded = true;
+		}
+
+		_CreatePanel()
+		{
+			const overlay = CreateElem("div", "phx-lb-overlay");
+			overlay.setAttribute("data-phx-ui", "");		// stays usable while the game is paused (pause.js)
+			const panel = CreateElem("div", "phx-lb-panel");
+			panel.setAttribute("role", "dialog");
+			panel.setAttribute("aria-label", "Leaderboard");
+
+			const header = CreateElem("div", "phx-lb-header");
+			header.appendChild(CreateElem("span", "", "Leaderboard"));
+			const closeButton = CreateElem("button", "phx-lb-close", "×");
+			closeButton.type = "button";
+			closeButton.setAttribute("aria-label", "Close");
+			closeButton.addEventListener("click", () => this.Hide());
+			header.appendChild(closeButton);
+
+			const tabs = CreateElem("div", "phx-lb-tabs");
+			tabs.setAttribute("role", "tablist");
+
+			for (const period of PERIODS)
+			{
+				const tab = CreateElem("button", "phx-lb-tab", period.label);
+				tab.type = "button";
+				tab.setAttribute("role", "tab");
+				tab.dataset["period"] = period.id;
+				tab.addEventListener("click", () => this._SelectPeriod(period.id));
+				tabs.appendChild(tab);
+			}
+
+			panel.appendChild(header);
+			panel.appendChild(tabs);
+			panel.appendChild(CreateElem("div", "phx-lb-body"));
+			panel.appendChild(CreateElem("div", "phx-lb-footer"));
+			overlay.appendChild(panel);
+
+			// Clicking outside the panel closes it; nothing reaches the game while it is open.
+			overlay.addEventListener("pointerdown", e => e.stopPropagation());
+			overlay.addEventListener("click", e =>
+			{
+				if (e.target === overlay)
+					this.Hide();
+			});
+
+			return overlay;
+		}
+
+		_SelectPeriod(period)
+		{
+			this._period = period;
+
+			if (!this._overlayElem)
+				return;
+
+			for (const tab of this._overlayElem.querySelectorAll(".phx-lb-tab"))
+				tab.setAttribute("aria-selected", tab.dataset["period"] === period ? "true" : "false");
+
+			const key = this._GetCacheKey(period);
+			const board = this._boards.get(key) || LoadCached(key);
+
+			if (board)
+				this._Render(period, board);
+			else
+				this._RenderStatus("Loading…");
+
+			if (board && !board.offline && Date.now() - board.fetchedAt < MAX_CACHE_AGE)
+				return;
+
+			this.Fetch(period)
+			.then(board =>
+			{
+				if (this._overlayElem && this._period === period)
+					this._Render(period, board);
+			})
+			.catch(err =>
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to load leaderboard: ", err);
+
+				if (this._overlayElem && this._period === period)
+					this._RenderStatus(navigator.onLine === false ? "You're offline. Connect to see the leaderboard." : "Couldn't load the leaderboard.");
+			});
+		}
+
+		_RenderStatus(text)
+		{
+			const body = this._overlayElem.querySelector(".phx-lb-body");
+			body.textContent = "";
+			body.appendChild(CreateElem("div", "phx-lb-status", text));
+			this._RenderFooter();
+		}
+
+		_Render(period, board)
+		{
+			const data = board.data || {};
+			const top = data["top"] || [];
+			const around = data["around"] || [];
+			const body = this._overlayElem.querySelector(".phx-lb-body");
+			body.textContent = "";
+
+			if (board.offline)
+				body.appendChild(CreateElem("div", "phx-lb-status", "Offline – showing results from " + FormatTime(board.fetchedAt)));
+
+			if (!top.length)
+			{
+				body.appendChild(CreateElem("div", "phx-lb-status", "No scores yet. Be the first!"));
+				this._RenderFooter();
+				return;
+			}
+
+			body.appendChild(this._CreateTable(top));
+
+			// Only show "around you" when the player is not already visible in the top list.
+			const shownIds = new Set(top.map(e => e["player_id"]));
+			const extra = around.filter(e => !shownIds.has(e["player_id"]));
+
+			if (extra.length && around.some(e => this._IsPlayer(e)))
+			{
+				body.appendChild(CreateElem("div", "phx-lb-heading", "Around you"));
+				body.appendChild(this._CreateTable(around));
+			}
+
+			this._RenderFooter(data["player"]);
+		}
+
+		_CreateTable(entries)
+		{
+			const table = CreateElem("table", "phx-lb-table");
+
+			for (const entry of entries)
+			{
+				const row = table.insertRow();
+				if (this._IsPlayer(entry))
+					row.className = "phx-lb-me";
+
+				row.insertCell().textContent = "#" + entry["rank"];
+				row.insertCell().textContent = entry["name"] || "Player";
+				row.insertCell().textContent = Number(entry["score"] || 0).toLocaleString();
+			}
+
+			return table;
+		}
+
+		_IsPlayer(entry)
+		{
+			if (entry["is_player"])
+				return true;
+
+			const userId = window.PlayerAuth ? window.PlayerAuth.GetUserId() : "";
+			return !!userId && entry["player_id"] === userId;
+		}
+
+		_RenderFooter(player)
+		{
+			const footer = this._overlayElem.querySelector(".phx-lb-footer");
+			const parts = [];
+
+			if (player)
+				parts.push("Your rank: #" + player["rank"] + " (" + Number(player["score"] || 0).toLocaleString() + ")");
+
+			const localBest = this.GetLocalBest();
+			if (localBest !== null && isFinite(localBest))
+				parts.push("Best on this device: " + localBest.toLocaleString());
+
+			if (window.LaunchContext.IsPracticeMode())
+				parts.push("Practice mode – scores aren't submitted");
+
+			footer.textContent = parts.join(" · ");
+			footer.hidden = !parts.length;
+		}
+	};
+
+	window.Leaderboard = new Leaderboard(document.currentScript);
+
+}());
@@ -0,0 +1,400 @@
+"use strict";
+
+// Common pause subsystem. Several sources can pause a game at once and each is tracked as a
+// separate reason; the game only resumes when every reason has been cleared:
+//
+//   "host"        the host page, through HostBridge's pause/resume commands (or the legacy
+//                 ctlArcadePause/ctlArcadeResume globals c2ctl.js still defines)
+//   "visibility"  the tab or app going into the background
+//   "audio-focus" audio being interrupted, e.g. by an incoming phone call (iOS reports this as
+//                 an "interrupted" AudioContext or audio session)
+//   "button"      the game's own pause button: Browser.ExecJS("GamePause.Toggle('button')"), or
+//                 for a game without one, the shared button (see below)
+//
+// Pausing suspends the runtime (cr_setSuspended on C2, the runtime's suspend on C3), which stops
+// ticking altogether, so time, tweens, timers and behaviors freeze where they are rather than
+// having their time scale changed, and the Audio plugin pauses its sounds. Any Web Audio context
+// still running is suspended too, and input is swallowed so taps made while paused don't leak
+// into the game when it resumes. Resuming undoes exactly what pausing did.
+//
+// While paused for a reason the player can clear ("button" or "audio-focus") a "tap to resume"
+// overlay is shown, since a suspended game cannot draw its own. Every change calls the
+// event-sheet Function "OnPauseChanged" with 1 or 0 if the project has one, and is reported to
+// the host page as a pause/resume action. Load before the runtime so the engine's own
+// visibility handling and audio contexts can be routed through here:
+//
+//   <script src="../shared/pause.js"></script>
+//
+// A game with no pause button of its own can show a small shared one while it is being played
+// with Browser.ExecJS("GamePause.ShowButton()") and take it away again on menus and game-over
+// screens with ("GamePause.HideButton()"). data-button on the script tag shows it from the
+// start, for games that never need to hide it.
+
+(function () {
+
+	const CONSOLE_PREFIX = "[GamePause] ";
+
+	const REASON_HOST = "host";
+	const REASON_VISIBILITY = "visibility";
+	const REASON_AUDIO_FOCUS = "audio-focus";
+	const REASON_BUTTON = "button";
+
+	// Reasons that show the resume overlay, i.e. ones nothing else will clear for the player.
+	const PLAYER_REASONS = [REASON_BUTTON, REASON_AUDIO_FOCUS];
+
+	// Input swallowed while paused. Releases (keyup, pointerup...) still go through so nothing is
+	// left held down on resume.
+	const BLOCKED_EVENTS = ["keydown", "keypress", "pointerdown", "mousedown", "touchstart", "click", "dblclick", "wheel", "contextmenu"];
+
+	const STYLE = `
+.phx-pause-overlay { position: fixed; inset: 0; z-index: 10001; display: flex; flex-direction: column; align-items: center;
+	justify-content: center; background: rgba(0, 0, 0, 0.6); color: #fff; font: bold 28px/1.4 sans-serif; cursor: pointer;
+	user-select: none; -webkit-user-select: none; }
+.phx-pause-overlay small { font-size: 16px; font-weight: normal; opacity: 0.8; }
+.phx-pause-button { position: fixed; top: 10px; left: 10px; z-index: 9999; width: 44px; height: 44px; border: 0;
+	border-radius: 50%; background: rgba(0, 0, 0, 0.5); color: #fff; font: bold 16px sans-serif; cursor: pointer; }
+`;
+
+	function IsPageHidden()
+	{
+		return !!(document.hidden || document.webkitHidden || document.mozHidden || document.msHidden);
+	};
+
+	class GamePause
+	{
+		constructor(scriptElem)
+		{
+			this._reasons = new Set();
+			this._engineSuspended = false;
+			this._c2SetSuspended = null;			// the C2 runtime's own cr_setSuspended
+			this._c3Suspended = false;
+			this._audioContexts = [];
+			this._suspendedContexts = [];			// contexts we suspended, to resume on resume
+			this._overlayElem = null;
+			this._buttonElem = null;
+			this._changeCallbacks = [];
+
+			this._InterceptC2Suspend();
+			this._TrackAudioContexts();
+			this._AttachInputBlocker();
+
+			// C3 handles page visibility itself; C2 does too, but its calls are routed through
+			// _InterceptC2Suspend so they become a reason here. This covers either before the runtime starts.
+			document.addEventListener("visibilitychange", () => this._SetReason(REASON_VISIBILITY, IsPageHidden()));
+
+			if (navigator.audioSession)
+			{
+				navigator.audioSession.addEventListener("statechange", () =>
+					this._SetReason(REASON_AUDIO_FOCUS, navigator.audioSession.state === "interrupted"));
+			}
+
+			if (window.HostBridge)
+			{
+				window.HostBridge.OnCommand("pause", () => { this.Pause(REASON_HOST); });
+				window.HostBridge.OnCommand("resume", () => { this.Resume(REASON_HOST); });
+			}
+
+			if (scriptElem && scriptElem.hasAttribute("data-button"))
+			{
+				if (document.body)
+					this.ShowButton();
+				else
+					document.addEventListener("DOMContentLoaded", () => this.ShowButton());
+			}
+		}
+
+		// The C2 runtime defines window.cr_setSuspended and calls it from its own visibility
+		// handler (as do the exported index.html pages). Capture the definition so those calls feed
+		// the visibility reason instead of resuming a game something else still wants paused.
+		_InterceptC2Suspend()
+		{
+			Object.defineProperty(window, "cr_setSuspended", {
+				configurable: true,
+				get: () => (this._c2SetSuspended ? (s => this._SetReason(REASON_VISIBILITY, !!s)) : undefined),
+				set: f => { this._c2SetSuspended = f; }
+			});
+		}
+
+		// Keep track of every AudioContext the game creates, to suspend them with the game and to
+		// notice audio being interrupted.
+		_TrackAudioContexts()
+		{
+			const self = this;
+
+			for (const name of ["AudioContext", "webkitAudioContext"])
+			{
+				const NativeAudioContext = window[name];
+
+				if (typeof NativeAudioContext !== "function")
+					continue;
+
+				const TrackedAudioContext = class extends NativeAudioContext
+				{
+					constructor(...args)
+					{
+						super(...args);
+						self._AddAudioContext(this);
+					}
+				};
+
+				window[name] = TrackedAudioContext;
+			}
+		}
+
+		_AddAudioContext(context)
+		{
+			this._audioContexts.push(context);
+
+			context.addEventListener("statechange", () =>
+			{
+				if (context.state === "interrupted")
+					this._SetReason(REASON_AUDIO_FOCUS, true);
+			});
+		}
+
+		_AttachInputBlocker()
+		{
+			const onInput = (e) =>
+			{
+				if (!this.IsPaused())
+					return;
+
+				// Let our own UI (the resume overlay, leaderboard) through.
+				if (e.target && e.target.closest && e.target.closest("[data-phx-ui]"))
+					return;
+
+				e.stopImmediatePropagation();
+				if (e.cancelable && e.type !== "keydown")
+					e.preventDefault();
+			};
+
+			for (const type of BLOCKED_EVENTS)
+				window.addEventListener(type, onInput, { capture: true, passive: false });
+		}
+
+		Pause(reason)
+		{
+			this._SetReason(reason || REASON_BUTTON, true);
+			return this.IsPaused() ? 1 : 0;		// Browser.ExecJS needs a return value
+		}
+
+		Resume(reason)
+		{
+			this._SetReason(reason || REASON_BUTTON, false);
+			return this.IsPaused() ? 1 : 0;
+		}
+
+		Toggle(reason)
+		{
+			reason = reason || REASON_BUTTON;
+			return this._reasons.has(reason) ? this.Resume(reason) : this.Pause(reason);
+		}
+
+		ShowButton()
+		{
+			if (this._buttonElem)
+				return 1;
+
+			this._AddStyle();
+			const button = document.createElement("button");
+			button.className = "phx-pause-button";
+			button.type = "button";
+			button.textContent = "II";
+			button.setAttribute("data-phx-ui", "");
+			button.title = "Pause";
+			button.setAttribute("aria-label", "Pause");
+
+			// Keep the click away from the game canvas underneath.
+			button.addEventListener("pointerdown", e => e.stopPropagation());
+			button.addEventListener("click", e =>
+			{
+				e.stopPropagation();
+				this.Toggle(REASON_BUTTON);
+			});
+
+			document.body.appendChild(button);
+			this._buttonElem = button;
+			return 1;
+		}
+
+		HideButton()
+		{
+			if (!this._buttonElem)
+				return 0;
+
+			this._buttonElem.remove();
+			this._buttonElem = null;
+			return 1;
+		}
+
+		// Clears every reason the player can clear themselves; used by the resume overlay.
+		ResumeByPlayer()
+		{
+			for (const reason of PLAYER_REASONS)
+				this._reasons.delete(reason);
+
+			this._Update();
+			return this.IsPaused() ? 1 : 0;
+		}
+
+		IsPaused()
+		{
+			return this._reasons.size > 0;
+		}
+
+		GetReasons()
+		{
+			return Array.from(this._reasons);
+		}
+
+		OnChange(f)
+		{
+			this._changeCallbacks.push(f);
+		}
+
+		_SetReason(reason, isSet)
+		{
+			if (isSet === this._reasons.has(reason))
+				return;
+
+			if (isSet)
+				this._reasons.add(reason);
+			else
+				this._reasons.delete(reason);
+
+			this._Update();
+		}
+
+		_Update()
+		{
+			const paused = this.IsPaused();
+			const wasPaused = this._engineSuspended;
+
+			this._UpdateOverlay();
+			this._UpdateC3Suspend();
+
+			if (paused === wasPaused)
+				return;
+
+			console.log(CONSOLE_PREFIX + (paused ? "Paused (" + this.GetReasons().join(", ") + ")" : "Resumed"));
+
+			if (paused)
+			{
+				// Let the event sheet react while it can still run, then stop everything.
+				this._Notify(true);
+				this._SuspendEngine(true);
+				this._SuspendAudio(true);
+			}
+			else
+			{
+				this._SuspendAudio(false);
+				this._SuspendEngine(false);
+				this._Notify(false);
+			}
+		}
+
+		_SuspendEngine(s)
+		{
+			this._engineSuspended = s;
+
+			if (this._c2SetSuspended)
+				this._c2SetSuspended(s);
+		}
+
+		// C3 keeps a suspend count of its own and already counts page visibility, so it is only told
+		// about the other reasons, once each time they start or stop applying.
+		_UpdateC3Suspend()
+		{
+			const runtimeInterface = window["c3_runtimeInterface"];
+			if (!runtimeInterface)
+				return;
+
+			const suspend = this.GetReasons().some(r => r !== REASON_VISIBILITY);
+			if (suspend === this._c3Suspended)
+				return;
+
+			this._c3Suspended = suspend;
+			runtimeInterface["PostToRuntimeComponent"]("runtime", "visibilitychange", { "hidden": suspend });
+		}
+
+		_SuspendAudio(s)
+		{
+			if (s)
+			{
+				this._suspendedContexts = this._audioContexts.filter(c => c.state === "running");
+				for (const context of this._suspendedContexts)
+					context.suspend().catch(() => {});
+			}
+			else
+			{
+				for (const context of this._suspendedContexts)
+					context.resume().catch(() => {});
+				this._suspendedContexts = [];
+			}
+		}
+
+		_Notify(paused)
+		{
+			for (const f of this._changeCallbacks)
+				f(paused);
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnPauseChanged", [paused ? 1 : 0]);
+
+			// Tell the host, unless it asked for this itself.
+			if (window.HostBridge && !this._reasons.has(REASON_HOST))
+			{
+				if (paused)
+					window.HostBridge.NotifyPaused();
+				else
+					window.HostBridge.NotifyResumed();
+			}
+		}
+
+		_UpdateOverlay()
+		{
+			const show = PLAYER_REASONS.some(r => this._reasons.has(r)) && !this._reasons.has(REASON_HOST);
+
+			if (show && !this._overlayElem)
+			{
+				this._AddStyle();
+				const overlay = document.createElement("div");
+				overlay.className = "phx-pause-overlay";
+				overlay.setAttribute("data-phx-ui", "");
+				overlay.setAttribute("role", "button");
+				overlay.setAttribute("aria-label", "Paused. Tap to resume");
+				overlay.tabIndex = 0;
+				overlay.innerHTML = "Paused<small>Tap to resume</small>";
+				overlay.addEventListener("click", () => this.ResumeByPlayer());
+				overlay.addEventListener("keydown", e =>
+				{
+					if (e.key === "Enter" || e.key === " ")
+						this.ResumeByPlayer();
+				});
+
+				document.body.appendChild(overlay);
+				overlay.focus();
+				this._overlayElem = overlay;
+			}
+			else if (!show && this._overlayElem)
+			{
+				this._overlayElem.remove();
+				this._overlayElem = null;
+			}
+		}
+
+		_AddStyle()
+		{
+			if (document.getElementById("phx-pause-style"))
+				return;
+
+			const styleElem = document.createElement("style");
+			styleElem.id = "phx-pause-style";
+			styleElem.textContent = STYLE;
+			document.head.appendChild(styleElem);
+		}
+	};
+
+	window.GamePause = new GamePause(document.currentScript);
+
+}());
@@ -0,0 +1,211 @@
+"use strict";
+
+// Shared client for the campaign score API (/api/userScore).
+// Load after config.js, launchcontext.js and devicemetadata.js and before the runtime, naming the
+// game's key on the tag:
+//
+//   <script src="../shared/config.js"></script>
+//   <script src="../shared/launchcontext.js"></script>
+//   <script src="../shared/devicemetadata.js"></script>
+//   <script src="../shared/scoreclient.js" data-game-key="Boat Rush"></script>
+//
+// The event sheets build the request body with Browser.ExecJS("ScoreClient.BuildBody(" & Score & ")")
+// and post it to Browser.ExecJS("ScoreClient.GetEndpoint()") when Browser.ExecJS("ScoreClient.CanSubmit()")
+// is 1; anything else can call ScoreClient.Submit(score) directly.
+
+(function () {
+
+	const SCORE_PATH = "/api/userScore";
+	const CONSOLE_PREFIX = "[ScoreClient] ";
+
+	function ToNumberOrNull(value)
+	{
+		if (value === null || value === undefined || value === "")
+			return null;
+
+		const n = Number(value);
+		return isFinite(n) ? n : null;
+	};
+
+	class ScoreClient
+	{
+		constructor(scriptElem)
+		{
+			// Per-export defaults, taken from data- attributes on the script tag.
+			this._gameKey = (scriptElem && scriptElem.getAttribute("data-game-key")) || "";
+		}
+
+		Configure(opts)
+		{
+			if (opts && typeof opts.gameKey === "string")
+				this._gameKey = opts.gameKey;
+		}
+
+		GetGameKey()
+		{
+			return this._gameKey || window.LaunchContext.GetGameKey() || window.LaunchContext.GetGameId();
+		}
+
+		GetEndpoint()
+		{
+			return window.GameConfig.GetApiUrl(SCORE_PATH);
+		}
+
+		// The signed-in player's token (auth.js) takes precedence over the one from the launch URL.
+		GetToken()
+		{
+			if (window.PlayerAuth && window.PlayerAuth.IsSignedIn())
+				return window.PlayerAuth.GetAccessTokenSync();
+
+			return window.LaunchContext.GetToken();
+		}
+
+		// Scores are only submitted with a complete, valid launch context.
+		CanSubmit()
+		{
+			return !window.LaunchContext.IsPracticeMode();
+		}
+
+		GetMetadata()
+		{
+			return window.DeviceMetadata.Collect();
+		}
+
+		// Returns the request body as a plain object. The game key comes from the script tag,
+		// falling back to the host's gameKey or game_id launch parameters. With scoresession.js
+		// loaded the payload also carries the run summary and signature.
+		BuildPayload(score, level, extraMetadata)
+		{
+			const launchContext = window.LaunchContext;
+			const gameId = launchContext.GetGameId();
+
+			const payload = {
+				"gameKey": this.GetGameKey(),
+				"campaign_id": launchContext.GetCampaignId(),
+				"level": ToNumberOrNull(level) || 1,
+				"score": ToNumberOrNull(score) || 0,
+				"timestamp": new Date().toISOString(),
+				"metadata": Object.assign(this.GetMetadata(), extraMetadata || {})
+			};
+
+			if (gameId)
+				payload["game_id"] = ToNumberOrNull(gameId) === null ? gameId : Number(gameId);
+
+			if (window.ScoreSession)
+				window.ScoreSession.Sign(payload);
+
+			// A new score is on its way, so cached leaderboards are out of date.
+			if (window.Leaderboard)
+				window.Leaderboard.Invalidate();
+
+			return payload;
+		}
+
+		BuildBody(score, level, extraMetadata)
+		{
+			return JSON.stringify(this.BuildPayload(score, level, extraMetadata));
+		}
+
+		// Brings a submission ScoreQueue is about to replay up to date: the player's current token
+		// replaces the one it was queued with, and with scoresession.js loaded it is signed again with
+		// the current session, since the nonce it carries may already have been used. Resolves with
+		// the { headers, body } to send.
+		async PrepareReplay(headers, body)
+		{
+			await window.LaunchContext.Ready();
+
+			if (window.PlayerAuth && window.PlayerAuth.IsSignedIn())
+				await window.PlayerAuth.GetAccessToken();
+
+			const token = this.GetToken();
+			const newHeaders = {};
+
+			for (const name of Object.keys(headers))
+			{
+				if (!token || name.toLowerCase() !== "authorization")
+					newHeaders[name] = headers[name];
+			}
+
+			if (token)
+				newHeaders["Authorization"] = token;
+
+			if (window.ScoreSession)
+			{
+				await window.ScoreSession.Ready();
+
+				let payload = null;
+
+				try {
+					payload = JSON.parse(body);
+				}
+				catch (e)
+				{
+					// not JSON, send it as it was queued
+				}
+
+				if (payload && typeof payload === "object")
+					body = JSON.stringify(window.ScoreSession.Resign(payload));
+			}
+
+			return { headers: newHeaders, body };
+		}
+
+		// Posts a score and resolves with the parsed response. When the service worker is in control
+		// it queues failed submissions itself and answers { queued: true }; without one, network
+		// failures are queued here (if scorequeue.js is loaded). Other failures reject.
+		async Submit(score, level, extraMetadata)
+		{
+			await window.LaunchContext.Ready();
+
+			if (window.ScoreSession)
+				await window.ScoreSession.Ready();
+
+			if (!this.CanSubmit())
+			{
+				console.log(CONSOLE_PREFIX + "Practice mode, score not submitted");
+				return { "practice": true };
+			}
+
+			// Refresh an expired sign-in first so the token we send is current.
+			if (window.PlayerAuth && window.PlayerAuth.IsSignedIn())
+				await window.PlayerAuth.GetAccessToken();
+
+			const url = this.GetEndpoint();
+			const headers = {
+				"Content-Type": "application/json",
+				"Authorization": this.GetToken()
+			};
+			const body = this.BuildBody(score, level, extraMetadata);
+			let response;
+
+			try {
+				response = await fetch(url, { method: "POST", headers, body });
+			}
+			catch (err)
+			{
+				if (!window.ScoreQueue)
+					throw err;
+
+				console.warn(CONSOLE_PREFIX + "Submission failed, queueing: ", err);
+				await window.ScoreQueue.Enqueue({ url, headers, body });
+				return { "queued": true };
+			}
+
+			const text = await response.text();
+
+			if (!response.ok)
+				throw new Error(CONSOLE_PREFIX + SCORE_PATH + " responded with " + response.status + " " + response.statusText);
+
+			try {
+				return JSON.parse(text);
+			}
+			catch (e)
+			{
+				return text;		// not JSON, hand back the raw body
+			}
+		}
+	};
+
+	window.ScoreClient = new ScoreClient(document.currentScript);
+
+}());
@@ -0,0 +1,414 @@
+"use strict";
+
+// Persistent queue for /api/userScore submissions that could not be delivered.
+// The same file runs in two places, sharing one IndexedDB store:
+//  - in the service worker (importScripts), which intercepts score POSTs, queues them when
+//    the network or server fails and replays them with exponential backoff or Background Sync;
+//  - in the page (<script> tag), where it reports how many submissions are pending and
+//    queues failed submissions itself when no service worker is controlling the page.
+//
+// Only the page can read the player's current token and score session, so while a game page is
+// open the service worker hands replays to it, and the page sends each submission with the
+// current token and signed again (ScoreClient.PrepareReplay). With no page open the service
+// worker replays what it stored; a rejected token then keeps the submission for the next page.
+//
+// Event sheets can show an "uploading score" indicator with
+// Browser.ExecJS("ScoreQueue.GetPendingCountSync()").
+
+(function () {
+
+	const DB_NAME = "score-queue";
+	const DB_VERSION = 1;
+	const STORE_NAME = "submissions";
+	const SYNC_TAG = "score-queue";
+	const BROADCASTCHANNEL_NAME = "score-queue";
+	const CONSOLE_PREFIX = "[ScoreQueue] ";
+	const SCORE_PATH = "/api/userScore";
+
+	const BASE_RETRY_DELAY = 5 * 1000;
+	const MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+	// Only these headers are persisted with a queued submission.
+	const KEPT_HEADERS = ["content-type", "authorization"];
+
+	const isServiceWorker = (typeof ServiceWorkerGlobalScope !== "undefined" && self instanceof ServiceWorkerGlobalScope);
+
+	let dbPromise = null;
+
+	function OpenDatabase()
+	{
+		if (dbPromise)
+			return dbPromise;
+
+		dbPromise = new Promise((resolve, reject) =>
+		{
+			const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+			request.onupgradeneeded = () =>
+			{
+				const db = request.result;
+				if (!db.objectStoreNames.contains(STORE_NAME))
+					db.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+			};
+
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () =>
+			{
+				dbPromise = null;		// allow a later retry
+				reject(request.error);
+			};
+		});
+
+		return dbPromise;
+	};
+
+	// Run fn(store) in a transaction and resolve with the value of the request it returns, if any,
+	// once the transaction has completed.
+	async function RunTransaction(mode, fn)
+	{
+		const db = await OpenDatabase();
+
+		return new Promise((resolve, reject) =>
+		{
+			const tx = db.transaction(STORE_NAME, mode);
+			const request = fn(tx.objectStore(STORE_NAME));
+
+			tx.oncomplete = () => resolve(request ? request.result : undefined);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	};
+
+	function GetRetryDelay(attempts)
+	{
+		const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts), MAX_RETRY_DELAY);
+
+		// Add up to 20% jitter so many clients coming back online don't all retry in lockstep.
+		return delay + Math.floor(Math.random() * delay * 0.2);
+	};
+
+	// Client errors mean the server understood and refused the submission; resending it unchanged won't help.
+	// 401 and 403 are the exception: the token or signature has gone stale, and the replay from the
+	// page will send a current one.
+	function IsPermanentFailure(status)
+	{
+		return status >= 400 && status < 500 && status !== 401 && status !== 403 && status !== 408 && status !== 429;
+	};
+
+	function PickHeaders(headers)
+	{
+		const ret = {};
+
+		for (const name of KEPT_HEADERS)
+		{
+			const value = headers.get(name);
+			if (value !== null)
+				ret[name] = value;
+		}
+
+		return ret;
+	};
+
+	class ScoreQueue
+	{
+		constructor()
+		{
+			this._pendingCount = 0;
+			this._isFlushing = false;
+			this._retryTimerId = -1;
+			this._changeCallbacks = [];
+
+			this._broadcastChannel = (typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(BROADCASTCHANNEL_NAME));
+
+			if (this._broadcastChannel)
+			{
+				this._broadcastChannel.onmessage = (e) =>
+				{
+					if (e.data && e.data["type"] === "pending-count")
+						this._SetPendingCount(e.data["count"]);
+				};
+			}
+
+			if (!isServiceWorker && typeof window !== "undefined")
+				window.addEventListener("online", () => this.RequestFlush(true));
+
+			// The service worker hands flushes to the page (see Flush).
+			if (!isServiceWorker && typeof navigator !== "undefined" && navigator.serviceWorker)
+			{
+				navigator.serviceWorker.addEventListener("message", (e) =>
+				{
+					if (e.data && e.data["type"] === "score-queue-flush")
+						this.Flush(e.data["force"] !== false).catch(err => console.warn(CONSOLE_PREFIX + "Flush failed: ", err));
+				});
+			}
+
+			if (typeof indexedDB !== "undefined")
+				this._RefreshPendingCount();
+		}
+
+		IsSyncTag(tag)
+		{
+			return tag === SYNC_TAG;
+		}
+
+		IsScoreRequest(request)
+		{
+			return request.method === "POST" && new URL(request.url).pathname.endsWith(SCORE_PATH);
+		}
+
+		// Service worker fetch handler for score POSTs. Network errors and server errors queue the
+		// submission and answer 202 so the game can carry on (e.g. follow redirect_url).
+		async HandleFetch(request)
+		{
+			const copy = request.clone();
+			let response = null;
+
+			try {
+				response = await fetch(request);
+
+				if (response.status < 500)
+					return response;
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Score submission failed, queueing: ", err);
+			}
+
+			await this.Enqueue({
+				url: copy.url,
+				headers: PickHeaders(copy.headers),
+				body: await copy.text()
+			});
+
+			return new Response(JSON.stringify({ "queued": true }), {
+				status: 202,
+				statusText: "Accepted",
+				headers: { "Content-Type": "application/json" }
+			});
+		}
+
+		async Enqueue(submission)
+		{
+			await RunTransaction("readwrite", store => store.add({
+				url: submission.url,
+				headers: submission.headers || {},
+				body: submission.body,
+				createdAt: Date.now(),
+				attempts: 0,
+				nextAttemptAt: Date.now() + BASE_RETRY_DELAY
+			}));
+
+			await this._RefreshPendingCount();
+			await this._RegisterSync();
+			this._ScheduleRetry(BASE_RETRY_DELAY);
+		}
+
+		async GetPendingCount()
+		{
+			return await RunTransaction("readonly", store => store.count());
+		}
+
+		// Last known pending count, for callers that can't wait on a promise (e.g. event sheets).
+		GetPendingCountSync()
+		{
+			return this._pendingCount;
+		}
+
+		OnChange(f)
+		{
+			this._changeCallbacks.push(f);
+		}
+
+		// From the page: hand the flush to the service worker when one is in control, so the two
+		// never replay the same submission concurrently.
+		RequestFlush(force)
+		{
+			if (!isServiceWorker && navigator.serviceWorker && navigator.serviceWorker.controller)
+			{
+				navigator.serviceWorker.controller.postMessage({ "type": "score-queue-flush" });
+				return Promise.resolve();
+			}
+
+			return this.Flush(force !== false);
+		}
+
+		// Replay queued submissions. Unless force is set, only those whose backoff has elapsed are sent.
+		// Resolves with the number still pending afterwards. In the service worker the flush is passed
+		// to an open page instead, if there is one, and resolves with the count as it stands.
+		async Flush(force)
+		{
+			if (this._isFlushing)
+				return this._pendingCount;
+
+			if (isServiceWorker && await this._FlushInPage(force))
+				return await this._RefreshPendingCount();
+
+			this._isFlushing = true;
+
+			try {
+				const entries = await RunTransaction("readonly", store => store.getAll());
+				const now = Date.now();
+
+				for (const entry of entries)
+				{
+					if (!force && entry.nextAttemptAt > now)
+						continue;
+
+					await this._Replay(entry);
+				}
+			}
+			finally {
+				this._isFlushing = false;
+			}
+
+			const remaining = await this._RefreshPendingCount();
+
+			if (remaining > 0)
+				await this._ScheduleNextRetry();
+
+			return remaining;
+		}
+
+		// Ask one open page to flush, so the submissions go out with the player's current token.
+		// Resolves false if there is no page to ask.
+		async _FlushInPage(force)
+		{
+			const windowClients = await self.clients.matchAll({ type: "window" });
+
+			if (!windowClients.length)
+				return false;
+
+			windowClients[0].postMessage({ "type": "score-queue-flush", "force": force !== false });
+			return true;
+		}
+
+		// In the page, bring the stored headers and body up to date with ScoreClient. When a service
+		// worker is in control the replay goes through it, and a failure is queued there afresh
+		// (answering 202), so the entry here is done with either way.
+		async _PrepareReplay(entry)
+		{
+			if (isServiceWorker || !window.ScoreClient)
+				return { headers: entry.headers, body: entry.body };
+
+			try {
+				return await window.ScoreClient.PrepareReplay(entry.headers, entry.body);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to update queued score, sending it as stored: ", err);
+				return { headers: entry.headers, body: entry.body };
+			}
+		}
+
+		async _Replay(entry)
+		{
+			let status = 0;
+
+			try {
+				const submission = await this._PrepareReplay(entry);
+				const response = await fetch(entry.url, {
+					method: "POST",
+					headers: submission.headers,
+					body: submission.body
+				});
+				status = response.status;
+			}
+			catch (err)
+			{
+				status = 0;		// still offline
+			}
+
+			if ((status >= 200 && status < 300) || IsPermanentFailure(status))
+			{
+				if (status >= 400)
+					console.warn(CONSOLE_PREFIX + "Dropping queued score rejected with status " + status);
+
+				await RunTransaction("readwrite", store => store.delete(entry.id));
+				return;
+			}
+
+			entry.attempts++;
+			entry.nextAttemptAt = Date.now() + GetRetryDelay(entry.attempts);
+			await RunTransaction("readwrite", store => store.put(entry));
+		}
+
+		async _ScheduleNextRetry()
+		{
+			const entries = await RunTransaction("readonly", store => store.getAll());
+
+			if (!entries.length)
+				return;
+
+			const nextAt = Math.min.apply(null, entries.map(e => e.nextAttemptAt));
+			this._ScheduleRetry(Math.max(nextAt - Date.now(), 0));
+		}
+
+		// Timers are best-effort: a service worker can be stopped while idle, in which case Background
+		// Sync, the next navigation or the page's "online" event picks the queue up again.
+		_ScheduleRetry(delay)
+		{
+			if (this._retryTimerId !== -1)
+				clearTimeout(this._retryTimerId);
+
+			this._retryTimerId = setTimeout(() =>
+			{
+				this._retryTimerId = -1;
+				this.RequestFlush(false).catch(err => console.warn(CONSOLE_PREFIX + "Retry failed: ", err));
+			}, delay);
+		}
+
+		async _RegisterSync()
+		{
+			try {
+				let registration = null;
+
+				if (isServiceWorker)
+					registration = self.registration;
+				else if (navigator.serviceWorker && navigator.serviceWorker.controller)
+					registration = await navigator.serviceWorker.ready;
+
+				if (registration && registration.sync)
+					await registration.sync.register(SYNC_TAG);
+			}
+			catch (err)
+			{
+				// Background Sync unsupported or denied: the retry timer still covers it.
+			}
+		}
+
+		async _RefreshPendingCount()
+		{
+			let count = 0;
+
+			try {
+				count = await this.GetPendingCount();
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read queue: ", err);
+				return this._pendingCount;
+			}
+
+			this._SetPendingCount(count);
+
+			if (this._broadcastChannel)
+				this._broadcastChannel.postMessage({ "type": "pending-count", "count": count });
+
+			return count;
+		}
+
+		_SetPendingCount(count)
+		{
+			if (count === this._pendingCount)
+				return;
+
+			this._pendingCount = count;
+
+			for (const f of this._changeCallbacks)
+				f(count);
+		}
+	};
+
+	self.ScoreQueue = new ScoreQueue();
+
+}());
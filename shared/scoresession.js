@@ -0,0 +1,346 @@
+"use strict";
+
+// Score session: ties each score submission to one run.
+// At game start a session is opened with the score API (POST /api/session/start), which returns a
+// session id, a single-use nonce and a per-session signing key. While the game runs the session
+// keeps a run summary (duration, input/game event count, level reached and game stats). When
+// ScoreClient builds a payload the summary is attached and the whole payload is signed with
+// HMAC-SHA256.
+//
+// The signature only stops a submission being replayed or reused for another session: the key is
+// handed to the page, so anyone who can read it can sign whatever score they like. Catching edited
+// or implausible scores is up to the backend's checks on the run summary.
+//
+// Signature: hex HMAC-SHA256(key, CanonicalJSON(payload without "signature")), where CanonicalJSON
+// is JSON.stringify with object keys sorted at every level.
+//
+// Game stats are read from C2 global variables named on the script tag, e.g.
+//   <script src="../shared/scoresession.js" data-stats="Highscore,Coins,Stars"></script>
+// C3 games report them from the event sheet before building the body, with
+// Browser.ExecJS("ScoreSession.SetStat(""Score"", " & Score & ")") and ScoreSession.SetLevel(n).
+
+(function () {
+
+	const SESSION_PATH = "/api/session/start";
+	const CONSOLE_PREFIX = "[ScoreSession] ";
+
+	//////////////////////////////////////
+	// SHA-256 / HMAC. Synchronous so ScoreClient.BuildBody can be used from Browser.ExecJS.
+	const K = [
+		0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+		0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+		0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+		0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+		0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+		0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+		0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+		0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+	];
+
+	function Sha256(bytes)
+	{
+		const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+		// Pad: 0x80, zeros, then the 64-bit big-endian bit length.
+		const bitLength = bytes.length * 8;
+		const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+		const data = new Uint8Array(paddedLength);
+		data.set(bytes);
+		data[bytes.length] = 0x80;
+		const view = new DataView(data.buffer);
+		view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+		view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+		const w = new Uint32Array(64);
+
+		for (let offset = 0; offset < paddedLength; offset += 64)
+		{
+			for (let i = 0; i < 16; ++i)
+				w[i] = view.getUint32(offset + i * 4);
+
+			for (let i = 16; i < 64; ++i)
+			{
+				const s0 = RotR(w[i - 15], 7) ^ RotR(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+				const s1 = RotR(w[i - 2], 17) ^ RotR(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+				w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+			}
+
+			let [a, b, c, d, e, f, g, hh] = h;
+
+			for (let i = 0; i < 64; ++i)
+			{
+				const t1 = (hh + (RotR(e, 6) ^ RotR(e, 11) ^ RotR(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+				const t2 = ((RotR(a, 2) ^ RotR(a, 13) ^ RotR(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+				hh = g;
+				g = f;
+				f = e;
+				e = (d + t1) >>> 0;
+				d = c;
+				c = b;
+				b = a;
+				a = (t1 + t2) >>> 0;
+			}
+
+			h[0] = (h[0] + a) >>> 0;
+			h[1] = (h[1] + b) >>> 0;
+			h[2] = (h[2] + c) >>> 0;
+			h[3] = (h[3] + d) >>> 0;
+			h[4] = (h[4] + e) >>> 0;
+			h[5] = (h[5] + f) >>> 0;
+			h[6] = (h[6] + g) >>> 0;
+			h[7] = (h[7] + hh) >>> 0;
+		}
+
+		const out = new Uint8Array(32);
+		const outView = new DataView(out.buffer);
+		for (let i = 0; i < 8; ++i)
+			outView.setUint32(i * 4, h[i]);
+
+		return out;
+	};
+
+	function RotR(x, n)
+	{
+		return (x >>> n) | (x << (32 - n));
+	};
+
+	function HmacSha256(keyBytes, messageBytes)
+	{
+		const BLOCK_SIZE = 64;
+
+		if (keyBytes.length > BLOCK_SIZE)
+			keyBytes = Sha256(keyBytes);
+
+		const inner = new Uint8Array(BLOCK_SIZE + messageBytes.length);
+		const outer = new Uint8Array(BLOCK_SIZE + 32);
+
+		for (let i = 0; i < BLOCK_SIZE; ++i)
+		{
+			const k = i < keyBytes.length ? keyBytes[i] : 0;
+			inner[i] = k ^ 0x36;
+			outer[i] = k ^ 0x5c;
+		}
+
+		inner.set(messageBytes, BLOCK_SIZE);
+		outer.set(Sha256(inner), BLOCK_SIZE);
+		return Sha256(outer);
+	};
+
+	function ToHex(bytes)
+	{
+		let ret = "";
+		for (const b of bytes)
+			ret += (b < 16 ? "0" : "") + b.toString(16);
+		return ret;
+	};
+
+	// JSON.stringify with sorted object keys, so client and server agree on the signed bytes.
+	function CanonicalJSON(value)
+	{
+		if (Array.isArray(value))
+			return "[" + value.map(CanonicalJSON).join(",") + "]";
+
+		if (value && typeof value === "object")
+		{
+			return "{" + Object.keys(value).sort()
+				.filter(k => value[k] !== undefined)
+				.map(k => JSON.stringify(k) + ":" + CanonicalJSON(value[k]))
+				.join(",") + "}";
+		}
+
+		return JSON.stringify(value);
+	};
+
+	function ReadC2Global(name)
+	{
+		const runtime = window["c3runtime"];		// the C2 runtime registers itself under this name too
+
+		if (!runtime || !runtime.all_global_vars)
+			return undefined;
+
+		for (const v of runtime.all_global_vars)
+		{
+			if (v.name === name)
+				return v.data;
+		}
+
+		return undefined;
+	};
+
+	class ScoreSession
+	{
+		constructor(scriptElem)
+		{
+			const statsAttr = (scriptElem && scriptElem.getAttribute("data-stats")) || "";
+			this._statNames = statsAttr.split(",").map(s => s.trim()).filter(s => s);
+
+			this._sessionId = "";
+			this._nonce = "";
+			this._key = null;
+			this._startPromise = null;
+
+			this._ResetRun();
+
+			// Player input counts as activity in the run summary; a score with no input is implausible.
+			for (const type of ["pointerdown", "keydown"])
+				window.addEventListener(type, () => this._eventCount++, true);
+
+			window.LaunchContext.Ready().then(() => this.Start());
+		}
+
+		_ResetRun()
+		{
+			this._startTime = Date.now();
+			this._eventCount = 0;
+			this._levelReached = 0;
+			this._stats = {};
+		}
+
+		// Open a new session for the next run. Outside campaign launches (practice mode) nothing is
+		// requested and payloads go out unsigned.
+		Start()
+		{
+			this._ResetRun();
+			return this._OpenSession();
+		}
+
+		_OpenSession()
+		{
+			this._sessionId = "";
+			this._nonce = "";
+			this._key = null;
+
+			if (window.LaunchContext.IsPracticeMode())
+			{
+				this._startPromise = Promise.resolve();
+				return this._startPromise;
+			}
+
+			this._startPromise = this._RequestSession()
+				.catch(err => console.warn(CONSOLE_PREFIX + "Unable to start session, scores will be unsigned: ", err));
+
+			return this._startPromise;
+		}
+
+		async _RequestSession()
+		{
+			// Refresh an expired sign-in first so the token we send is current.
+			if (window.PlayerAuth && window.PlayerAuth.IsSignedIn())
+				await window.PlayerAuth.GetAccessToken();
+
+			const scoreClient = window.ScoreClient;
+			const response = await fetch(window.GameConfig.GetApiUrl(SESSION_PATH), {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					"Authorization": scoreClient.GetToken()
+				},
+				body: JSON.stringify({
+					"gameKey": scoreClient.GetGameKey(),
+					"campaign_id": window.LaunchContext.GetCampaignId()
+				})
+			});
+
+			if (!response.ok)
+				throw new Error(SESSION_PATH + " responded with " + response.status + " " + response.statusText);
+
+			const data = await response.json();
+
+			if (typeof data["session_id"] !== "string" || typeof data["nonce"] !== "string" || typeof data["key"] !== "string")
+				throw new Error(SESSION_PATH + " returned an invalid session");
+
+			this._sessionId = data["session_id"];
+			this._nonce = data["nonce"];
+			this._key = new TextEncoder().encode(data["key"]);
+		}
+
+		Ready()
+		{
+			return this._startPromise || Promise.resolve();
+		}
+
+		HasSession()
+		{
+			return !!this._key;
+		}
+
+		RecordEvent()
+		{
+			this._eventCount++;
+		}
+
+		SetLevel(level)
+		{
+			level = Number(level);
+			if (isFinite(level) && level > this._levelReached)
+				this._levelReached = level;
+		}
+
+		SetStat(name, value)
+		{
+			this._stats[name] = value;
+		}
+
+		GetSummary()
+		{
+			const stats = Object.assign({}, this._stats);
+
+			for (const name of this._statNames)
+			{
+				const value = ReadC2Global(name);
+				if (value !== undefined)
+					stats[name] = value;
+			}
+
+			return {
+				"duration_ms": Date.now() - this._startTime,
+				"events": this._eventCount,
+				"level_reached": this._levelReached,
+				"stats": stats
+			};
+		}
+
+		// Attach the session and run summary to a score payload and sign it. The nonce is single-use,
+		// so a fresh session is started straight away for the next run.
+		Sign(payload)
+		{
+			this.SetLevel(payload["level"]);
+
+			payload["run"] = this.GetSummary();
+
+			if (!this.HasSession())
+				return payload;
+
+			this._SignWithSession(payload);
+
+			this.Start();
+			return payload;
+		}
+
+		// Sign a payload from an earlier run again, keeping its run summary. Used when a queued
+		// submission is replayed. A new session is opened without resetting the run in progress.
+		Resign(payload)
+		{
+			if (!this.HasSession())
+				return payload;
+
+			this._SignWithSession(payload);
+
+			this._OpenSession();
+			return payload;
+		}
+
+		_SignWithSession(payload)
+		{
+			payload["session_id"] = this._sessionId;
+			payload["nonce"] = this._nonce;
+			delete payload["signature"];
+
+			const message = new TextEncoder().encode(CanonicalJSON(payload));
+			payload["signature"] = ToHex(HmacSha256(this._key, message));
+		}
+	};
+
+	window.ScoreSession = new ScoreSession(document.currentScript);
+
+}());
@@ -0,0 +1,287 @@
+"use strict";
+
+// Screen-reader layer for the Custom Wordle builds. The game is drawn on a canvas, which a screen
+// reader can't see into, so the board and keyboard are mirrored in an off-screen HTML structure:
+// the board as a grid of rows and cells, the keyboard as buttons that type like the on-screen
+// keys. Each submitted guess is read out letter by letter with its result ("S correct, T present,
+// A absent…"), as are the game's messages: a guess that can't be played, hints, the missed word
+// and the end of a run. Wording comes from the language pack (language.js). Load after
+// language.js, scoring.js and grid.js:
+//
+//   <script src="../shared/wordle/a11y.js"></script>
+//
+// WordleGame (game.js) calls it for the sheets: Build() and Reset() as each word begins,
+// SetRow(<row>, <the row's letters>) as letters are typed, RecordRow(<row>, <the row's letters>,
+// <its colours>) as each row is scored, Announce(<message>) with its messages and RefreshKeys()
+// after an "absent" hint.
+//
+// The keyboard buttons call the same Function "OnPhysicalKey" as a hardware keyboard (see
+// keyinput.js), with the key's label, "Enter" or "Backspace". Rows are numbered from 0.
+
+(function () {
+
+	const KEY_ENTER = "Enter";
+	const KEY_BACKSPACE = "Backspace";
+
+	// Off screen but still read, and reachable with Tab.
+	const STYLE = `
+.phx-a11y-root { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden;
+	clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap; }
+`;
+
+	function CreateElem(tag, className, text)
+	{
+		const elem = document.createElement(tag);
+
+		if (className)
+			elem.className = className;
+		if (text)
+			elem.textContent = text;
+
+		return elem;
+	};
+
+	class WordleA11y
+	{
+		constructor()
+		{
+			this._rootElem = null;
+			this._gridElem = null;
+			this._keyboardElem = null;
+			this._statusElem = null;		// guess results, polite
+			this._alertElem = null;			// Text_msg messages, read straight away
+			this._rows = [];				// per row, its cell elements
+			this._keyButtons = [];			// { elem, label }
+			this._styleAdded = false;
+		}
+
+		_GetString(key, params)
+		{
+			return window.WordleLanguage.GetString(key, params);
+		}
+
+		_AddStyle()
+		{
+			if (this._styleAdded)
+				return;
+
+			const style = document.createElement("style");
+			style.textContent = STYLE;
+			document.head.appendChild(style);
+			this._styleAdded = true;
+		}
+
+		_CreateRoot()
+		{
+			this._AddStyle();
+
+			const root = CreateElem("div", "phx-a11y-root");
+			root.setAttribute("data-phx-ui", "");
+
+			this._gridElem = CreateElem("div");
+			this._gridElem.setAttribute("role", "grid");
+
+			this._keyboardElem = CreateElem("div");
+			this._keyboardElem.setAttribute("role", "group");
+
+			this._statusElem = CreateElem("div");
+			this._statusElem.setAttribute("role", "status");
+			this._statusElem.setAttribute("aria-live", "polite");
+
+			this._alertElem = CreateElem("div");
+			this._alertElem.setAttribute("role", "alert");
+			this._alertElem.setAttribute("aria-live", "assertive");
+
+			root.append(this._gridElem, this._keyboardElem, this._statusElem, this._alertElem);
+			document.body.appendChild(root);
+			this._rootElem = root;
+		}
+
+		// (Re)creates the board and keyboard for the current board size and language.
+		Build()
+		{
+			if (!this._rootElem)
+				this._CreateRoot();
+
+			const length = window.WordleGrid ? window.WordleGrid.GetLength() : 5;
+			const rows = window.WordleGrid ? window.WordleGrid.GetRows() : 6;
+
+			this._rootElem.setAttribute("dir", window.WordleLanguage.IsRTL() ? "rtl" : "ltr");
+			this._gridElem.setAttribute("aria-label", this._GetString("boardLabel"));
+			this._gridElem.textContent = "";
+			this._rows = [];
+
+			for (let r = 0; r < rows; ++r)
+			{
+				const rowElem = CreateElem("div");
+				rowElem.setAttribute("role", "row");
+				rowElem.setAttribute("aria-label", this._GetString("rowLabel", { n: r + 1 }));
+
+				const cells = [];
+				for (let i = 0; i < length; ++i)
+				{
+					const cell = CreateElem("div", "", this._GetString("emptyCell"));
+					cell.setAttribute("role", "gridcell");
+					rowElem.appendChild(cell);
+					cells.push(cell);
+				}
+
+				this._gridElem.appendChild(rowElem);
+				this._rows.push(cells);
+			}
+
+			this._BuildKeyboard();
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		_BuildKeyboard()
+		{
+			this._keyboardElem.setAttribute("aria-label", this._GetString("keyboardLabel"));
+			this._keyboardElem.textContent = "";
+			this._keyButtons = [];
+
+			const keyboard = window.WordleLanguage.GetKeyboard().split("\n");
+
+			keyboard.forEach((line, j) =>
+			{
+				const rowElem = CreateElem("div");
+
+				for (const label of Array.from(line.trim()))
+					this._AddKey(rowElem, label, label);
+
+				// Enter and Backspace on the last row, as on the screen.
+				if (j === keyboard.length - 1)
+				{
+					this._AddKey(rowElem, KEY_ENTER, this._GetString("keyEnter"));
+					this._AddKey(rowElem, KEY_BACKSPACE, this._GetString("keyBackspace"));
+				}
+
+				this._keyboardElem.appendChild(rowElem);
+			});
+
+			this.RefreshKeys();
+		}
+
+		_AddKey(rowElem, key, text)
+		{
+			const button = CreateElem("button", "", text);
+			button.type = "button";
+			button.addEventListener("click", () =>
+			{
+				if (window.GamePause && window.GamePause.IsPaused())
+					return;
+
+				if (window.GameFunctions)
+					window.GameFunctions.Call("OnPhysicalKey", [key]);
+			});
+
+			rowElem.appendChild(button);
+			this._keyButtons.push({ elem: button, label: key });
+		}
+
+		// Names each letter key with its result so far, from WordleScoring's keyboard colours.
+		RefreshKeys()
+		{
+			for (const key of this._keyButtons)
+			{
+				if (key.label === KEY_ENTER || key.label === KEY_BACKSPACE)
+					continue;
+
+				const result = window.WordleScoring.GetKeyColor(key.label);
+				key.elem.setAttribute("aria-label", result === WordleColors.UNSCORED ? key.label : this._DescribeLetter(key.label, result));
+			}
+
+			return 1;
+		}
+
+		Reset()
+		{
+			for (let r = 0; r < this._rows.length; ++r)
+				this.SetRow(r, "");
+
+			this.RefreshKeys();
+			return 1;
+		}
+
+		// The letters typed so far in a row, before it is submitted.
+		SetRow(row, letters)
+		{
+			const cells = this._rows[Number(row)];
+
+			if (!cells)
+				return 0;
+
+			const chars = Array.from(String(letters || "").replace(/\s/g, ""));
+
+			cells.forEach((cell, i) =>
+			{
+				cell.textContent = chars[i] || this._GetString("emptyCell");
+				cell.removeAttribute("aria-label");
+			});
+
+			return 1;
+		}
+
+		// A submitted row: each cell gets its result, and the whole guess is read out.
+		RecordRow(row, guess, arrayJson)
+		{
+			let colors;
+
+			try {
+				colors = WordleColors.ParseRow(arrayJson);
+			}
+			catch (err)
+			{
+				return 0;
+			}
+
+			const chars = Array.from(String(guess || "").replace(/\s/g, ""));
+			const parts = chars.map((letter, i) => this._DescribeLetter(letter, colors[i]));
+			const cells = this._rows[Number(row)] || [];
+
+			cells.forEach((cell, i) =>
+			{
+				cell.textContent = chars[i] || "";
+				if (parts[i])
+					cell.setAttribute("aria-label", parts[i]);
+			});
+
+			this.RefreshKeys();
+			this._Speak(this._statusElem, parts.join(", "));
+			return 1;
+		}
+
+		Announce(text)
+		{
+			if (text)
+				this._Speak(this._alertElem, String(text));
+
+			return 1;
+		}
+
+		_DescribeLetter(letter, result)
+		{
+			if (result === WordleColors.CORRECT)
+				return this._GetString("resultCorrect", { letter: letter });
+			if (result === WordleColors.PRESENT)
+				return this._GetString("resultPresent", { letter: letter });
+			if (result === WordleColors.ABSENT)
+				return this._GetString("resultAbsent", { letter: letter });
+
+			return letter;
+		}
+
+		// Clears the region first, so the same message twice in a row is still read.
+		_Speak(elem, text)
+		{
+			if (!elem)
+				return;
+
+			elem.textContent = "";
+			setTimeout(() => { elem.textContent = text; }, 50);
+		}
+	};
+
+	window.WordleA11y = new WordleA11y();
+
+}());
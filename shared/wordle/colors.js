@@ -0,0 +1,34 @@
+"use strict";
+
+// Letter result values shared by the Wordle modules. They match what the event sheets store in
+// Array_color (one value per letter of the current row) and the key_color frames:
+// 3 = right letter in the right place, 2 = in the word elsewhere, 1 = not in the word, 0 = not yet
+// scored.
+
+(function (global) {
+
+	const WordleColors = {
+		UNSCORED: 0,
+		ABSENT: 1,
+		PRESENT: 2,
+		CORRECT: 3,
+
+		// Reads one row of results from a C3 Array's AsJSON (string or parsed) or a plain array.
+		ParseRow(row)
+		{
+			if (typeof row === "string")
+				row = JSON.parse(row);
+
+			if (row && row["c2array"])
+				return row["data"].map(column => Number(column[0][0]) || 0);
+
+			return Array.from(row || [], v => Number(v) || 0);
+		}
+	};
+
+	global.WordleColors = WordleColors;
+
+	if (typeof module === "object" && module.exports)
+		module.exports = WordleColors;
+
+}(typeof self !== "undefined" ? self : globalThis));
@@ -0,0 +1,345 @@
+"use strict";
+
+// Daily mode for the Custom Wordle builds: every player gets the same word on the same day,
+// chosen deterministically from the date and the language, with one attempt per day kept in
+// LocalStorage (for each build, see storage.js) and an emoji result grid to share at the end.
+//
+// Words come from the language pack's answers (through wordlists.js, which must be loaded first,
+// with colors.js) rather than the build's own list, so every build has the same word of the day:
+//
+//   <script src="../shared/wordle/colors.js"></script>
+//   <script src="../shared/wordle/wordlists.js" data-answers="{lang}.txt"></script>
+//   <script src="../shared/wordle/daily.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "New word"   in daily mode (WordleDaily.IsDaily()), call WordleDaily.Start(Language) instead of
+//                picking from Array_Words. It answers by calling the Function "OnDailyWord" with the
+//                word, or "OnDailyPlayed" with the share text if today's puzzle is already done.
+//                If the word can't be loaded it calls "OnDailyFailed", and the sheet goes back to
+//                the menu. Starting over after leaving mid-game counts as today's attempt, unless
+//                the game is continued through resume.js. The "New word" button is disabled while
+//                WordleDaily.IsDaily() returns 1: there is only one word a day.
+//   "Set color"  after Array_color is filled for a row: WordleDaily.RecordRow(Array_color.AsJSON)
+//   "Level Win" / "Game Over":  WordleDaily.Finish(1) / WordleDaily.Finish(0), then
+//                WordleDaily.Share() from the share button. Hints used (hints.js) are shown after
+//                the score, and the squares are in the player's palette (palette.js).
+//
+// Array_color holds one value per letter of the current row (see colors.js).
+
+(function () {
+
+	const STORAGE_PREFIX = "wordle-daily:";
+	const MODE_STORAGE_KEY = "wordle-mode";
+	const CONSOLE_PREFIX = "[WordleDaily] ";
+
+	// Day 1 of the daily puzzle. Changing it changes every player's word, so leave it alone.
+	const EPOCH = Date.UTC(2025, 0, 1);
+	const DAY_MS = 24 * 60 * 60 * 1000;
+
+	const EMOJI = { [WordleColors.CORRECT]: "🟩", [WordleColors.PRESENT]: "🟨", "default": "⬛" };
+	const HINT_EMOJI = "💡";
+
+	// The share squares follow the player's palette (palette.js) where it is loaded.
+	function GetEmoji(result)
+	{
+		if (window.WordlePalette)
+			return window.WordlePalette.GetEmoji(result);
+
+		return EMOJI[result] || EMOJI["default"];
+	};
+
+	// FNV-1a, to turn the language into a seed.
+	function HashString(str)
+	{
+		let h = 0x811c9dc5;
+
+		for (let i = 0; i < str.length; ++i)
+		{
+			h ^= str.charCodeAt(i);
+			h = Math.imul(h, 0x01000193);
+		}
+
+		return h >>> 0;
+	};
+
+	// mulberry32: small seeded PRNG returning floats in [0, 1).
+	function CreateRandom(seed)
+	{
+		return function ()
+		{
+			seed = (seed + 0x6d2b79f5) | 0;
+			let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+			t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	};
+
+	// Day number for a date in the player's own time zone, so the word changes at local midnight.
+	function GetDayNumber(date)
+	{
+		date = date || new Date();
+		const localMidnight = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+		return Math.floor((localMidnight - EPOCH) / DAY_MS) + 1;
+	};
+
+	// Words are taken from a seeded shuffle of the list, so no word repeats until the list runs out.
+	// The salt is the language alone, so the order doesn't depend on the list or the build.
+	function PickDailyWord(words, dayNumber, salt)
+	{
+		if (!words.length)
+			return "";
+
+		const order = words.map((w, i) => i);
+		const random = CreateRandom(HashString(salt || ""));
+
+		for (let i = order.length - 1; i > 0; --i)
+		{
+			const j = Math.floor(random() * (i + 1));
+			const tmp = order[i];
+			order[i] = order[j];
+			order[j] = tmp;
+		}
+
+		const cycle = Math.floor((dayNumber - 1) / words.length);
+		const index = ((dayNumber - 1) % words.length + words.length) % words.length;
+
+		// Rotate each time the list is exhausted so later cycles are not identical.
+		return words[order[(index + cycle) % words.length]];
+	};
+
+	function BuildShareText(title, dayNumber, rows, won, maxRows, hints)
+	{
+		const grid = rows.map(row => row.map(v => GetEmoji(v)).join("")).join("\n");
+		const score = (won ? rows.length : "X") + "/" + maxRows + (hints ? " " + HINT_EMOJI + hints : "");
+
+		return title + " #" + dayNumber + " " + score + "\n\n" + grid;
+	};
+
+	class WordleDaily
+	{
+		constructor(scriptElem)
+		{
+			this._title = (scriptElem && scriptElem.getAttribute("data-title")) || document.title || "Wordle";
+			this._maxRows = parseInt((scriptElem && scriptElem.getAttribute("data-rows")) || "6", 10);
+			this._language = "";
+			this._state = null;
+		}
+
+		IsDaily()
+		{
+			try {
+				return localStorage.getItem(MODE_STORAGE_KEY) === "daily" ? 1 : 0;
+			}
+			catch (err)
+			{
+				return 0;
+			}
+		}
+
+		SetDaily(isDaily)
+		{
+			try {
+				localStorage.setItem(MODE_STORAGE_KEY, isDaily ? "daily" : "random");
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save mode: ", err);
+			}
+
+			return this.IsDaily();
+		}
+
+		GetDayNumber()
+		{
+			return GetDayNumber();
+		}
+
+		_GetStorageKey()
+		{
+			return STORAGE_PREFIX + (this._language || "default");
+		}
+
+		_LoadState()
+		{
+			let state = null;
+
+			try {
+				state = JSON.parse(WordleStorage.GetItem(this._GetStorageKey()) || "null");
+			}
+			catch (err)
+			{
+				state = null;
+			}
+
+			// A stored day other than today is yesterday's puzzle, start over.
+			if (!state || state.day !== GetDayNumber())
+				state = { day: GetDayNumber(), rows: [], finished: false, won: false };
+
+			return state;
+		}
+
+		_SaveState()
+		{
+			try {
+				WordleStorage.SetItem(this._GetStorageKey(), JSON.stringify(this._state));
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save progress: ", err);
+			}
+		}
+
+		// Whether today's puzzle can still be played. Guessing then leaving counts as the attempt,
+		// so reloading the page does not give a fresh board.
+		CanPlayToday(language)
+		{
+			if (language !== undefined)
+				this._language = language;
+
+			const state = this._LoadState();
+			return (!state.finished && !state.rows.length) ? 1 : 0;
+		}
+
+		async Start(language)
+		{
+			this._language = language || "";
+			this._state = this._LoadState();
+
+			if (this._state.rows.length && !this._state.finished)
+			{
+				// Left mid-game: that was today's attempt.
+				this._state.finished = true;
+				this._state.won = false;
+				this._SaveState();
+			}
+
+			if (this._state.finished)
+			{
+				this._Call("OnDailyPlayed", [this.GetShareText()]);
+				return "";
+			}
+
+			let word = "";
+
+			try {
+				word = await this.GetWord(language);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to load today's word: ", err);
+			}
+
+			if (!word)
+			{
+				this._Call("OnDailyFailed", []);
+				return "";
+			}
+
+			this._SaveState();
+			this._Call("OnDailyWord", [word]);
+			return word;
+		}
+
+		// Today's word for a language, from the pack's answers for the current board size.
+		async GetWord(language)
+		{
+			language = language || window.WordleLanguage.GetLanguage();
+			const words = await window.WordLists.GetPackAnswers(language);
+			return PickDailyWord(words, GetDayNumber(), language);
+		}
+
+		// Picks today's game back up after a reload (see resume.js) instead of counting it as lost.
+		// Returns 1 if there was one in progress.
+		Resume(language)
+		{
+			this._language = language || "";
+			this._state = this._LoadState();
+			return (this._state.rows.length && !this._state.finished) ? 1 : 0;
+		}
+
+		RecordRow(arrayJson)
+		{
+			if (!this._state || this._state.finished)
+				return 0;
+
+			try {
+				this._state.rows.push(WordleColors.ParseRow(arrayJson));
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read row: ", err);
+				return 0;
+			}
+
+			this._SaveState();
+			return this._state.rows.length;
+		}
+
+		Finish(won)
+		{
+			if (!this._state)
+				return "";
+
+			this._state.finished = true;
+			this._state.won = !!Number(won);
+			this._state.hints = window.WordleHints ? window.WordleHints.GetUsedCount() : 0;
+			this._SaveState();
+			return this.GetShareText();
+		}
+
+		GetShareText()
+		{
+			const state = this._state || this._LoadState();
+			const maxRows = window.WordleGrid ? window.WordleGrid.GetRows() : this._maxRows;
+			return BuildShareText(this._title, state.day, state.rows, state.won, maxRows, state.hints || 0);
+		}
+
+		// Milliseconds until the next puzzle, for a countdown on the "already played" screen.
+		GetTimeToNextWord()
+		{
+			const now = new Date();
+			const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+			return tomorrow - now;
+		}
+
+		// Shares the result with the Web Share API where available, otherwise copies it to the
+		// clipboard. Calls the Function "OnDailyShared" with "shared", "copied" or "failed".
+		Share()
+		{
+			const text = this.GetShareText();
+
+			let promise;
+			if (navigator.share)
+			{
+				promise = navigator.share({ text: text }).then(() => "shared");
+			}
+			else if (navigator.clipboard && navigator.clipboard.writeText)
+			{
+				promise = navigator.clipboard.writeText(text).then(() => "copied");
+			}
+			else
+			{
+				promise = Promise.reject(new Error("no share or clipboard support"));
+			}
+
+			promise
+			.catch(err =>
+			{
+				console.warn(CONSOLE_PREFIX + "Share failed: ", err);
+				return "failed";
+			})
+			.then(result => this._Call("OnDailyShared", [result]));
+
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		_Call(name, params)
+		{
+			if (window.GameFunctions)
+				window.GameFunctions.Call(name, params);
+		}
+	};
+
+	window.WordleDaily = new WordleDaily(document.currentScript);
+
+}());
@@ -0,0 +1,380 @@
+"use strict";
+
+// Game flow for the Custom Wordle builds: the event sheets call WordleGame at a handful of points
+// and it makes the calls the other Wordle modules list as their hook points, in order, so every
+// build's sheet needs the same few events rather than one per module. Load after the other Wordle
+// modules:
+//
+//   <script src="../shared/wordle/game.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "Grid"        WordleGame.Begin(Language): sets the language, starts a blitz or endless run
+//                 unless one is going or it is the daily puzzle (modes.js, daily.js) and finds
+//                 the board size, which calls the Function "OnGridReady" (grid.js), where
+//                 "Build grid" runs.
+//   "Keyboard"    the keys are built from the rows of WordleGame.GetKeyboard(Language), one
+//                 per line, in place of keyboard.txt / keyboard2.txt.
+//   "Words"       WordleGame.LoadWords(Language); "OnWordListsLoaded" then calls "New word".
+//   "New word"    Word = WordleGame.NewWord(). It is "" in daily mode, where "OnDailyWord" brings
+//                 the word (daily.js). With Word set, WordleGame.BeginWord(Word) returns how many
+//                 rows of a continued game (resume.js) to fill in with WordleGame.GetRestoredLetter
+//                 and GetRestoredColor before play.
+//   Typing        WordleGame.Type(Text_current.Text) after a letter is added or removed.
+//   "Search"      Text_msg = WordleGame.Check(Text_current.Text): "" when the guess may be played,
+//                 otherwise why not (not in the list, lists still loading, hard mode).
+//   "Set color"   Array_color Load from JSON WordleGame.ScoreRow(Text_current.Text, Score)
+//                 (or WordleGame.GetColor(i) for each letter in a sheet without one)
+//   "Check"       the word is found when WordleGame.IsSolved() returns 1.
+//   "Level Win" / "Game Over":  Score = WordleGame.Finish(1 | 0, Score)
+//   "OnHint"      Text_msg = WordleGame.DescribeHint(kind, position, letters)
+//   "OnHintPicked"  Score = WordleGame.UseHint(kind, Score)
+//   "OnModeOver"  Text_msg = WordleGame.GetModeOverMessage(score, isNewHigh)
+//   "OnDailyShared"  Text_msg = WordleGame.DescribeShare(result)
+//
+// The option buttons on the menu and the hint button in the game are in menu.js.
+
+(function () {
+
+	const CONSOLE_PREFIX = "[WordleGame] ";
+	const MODE_ENDLESS = "endless";
+
+	class WordleGame
+	{
+		constructor()
+		{
+			this._language = "";
+			this._word = "";
+			this._row = 0;				// rows played of the current word
+			this._lastColors = [];
+			this._restored = null;		// { word, rows } of a game being continued (resume.js)
+		}
+
+		async Begin(language)
+		{
+			const strings = window.WordleLanguage;
+
+			await strings.LoadPacks();
+			this._language = strings.SetLanguage(language);
+
+			if (window.WordleMenu)
+				window.WordleMenu.Hide();
+
+			const modes = window.WordleModes;
+			const grid = window.WordleGrid;
+			const daily = window.WordleDaily && window.WordleDaily.IsDaily();
+
+			// The daily puzzle is always classic.
+			if (modes && daily)
+				modes.Stop();
+
+			// A continued game is played as it was saved, outside any run.
+			if (modes && !this._restored && !daily && !modes.IsRunning())
+			{
+				modes.Start();
+
+				// Starting endless has already set the board for level 1.
+				if (modes.IsRunning() && modes.GetMode() === MODE_ENDLESS)
+					return 1;
+			}
+
+			// The next word of an endless run is played on the board its level has reached.
+			if (modes && modes.IsRunning() && modes.GetMode() === MODE_ENDLESS)
+				grid.Use(grid.GetLength(), grid.GetRows());
+			else
+				await grid.Load();
+
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		GetLanguage()
+		{
+			return this._language;
+		}
+
+		// The pack's keyboard rows, one per line, each listed from its leftmost key. Packs list
+		// rows in reading order and the sheets lay the keys out left to right, so a right-to-left
+		// language's rows are turned round.
+		GetKeyboard(language)
+		{
+			const strings = window.WordleLanguage;
+			let rows = strings.GetKeyboard(language).split("\n");
+
+			if (strings.IsRTL(language))
+				rows = rows.map(row => Array.from(row).reverse().join(""));
+
+			return rows.join("\n");
+		}
+
+		// Loads the lists for the board's length. Only the first load of a language and length
+		// calls "OnWordListsLoaded", so for lists already loaded it is called here, after a
+		// timeout: the board and keys "Grid" has just made can't be picked until its event ends.
+		LoadWords(language)
+		{
+			const lists = window.WordLists;
+			const length = window.WordleGrid.GetLength();
+			const loaded = lists.IsLoaded(language || this._language, length);
+
+			lists.Load(language || this._language, length)
+			.then(words =>
+			{
+				if (loaded && window.GameFunctions)
+					setTimeout(() => window.GameFunctions.Call("OnWordListsLoaded", [words.answers.length, words.allowed.size]), 0);
+			})
+			.catch(err => console.warn(CONSOLE_PREFIX + "Unable to load word lists: ", err));
+
+			return 1;
+		}
+
+		NewWord()
+		{
+			if (this._restored)
+				return this._restored.word;
+
+			if (window.WordleDaily && window.WordleDaily.IsDaily())
+			{
+				window.WordleDaily.Start(this._language);
+				return "";
+			}
+
+			return window.WordLists.GetRandomAnswer(this._language);
+		}
+
+		// Called with the word once it is in Word. Returns the rows a continued game already has.
+		BeginWord(word)
+		{
+			const restored = this._restored;
+			const language = this._language;
+
+			this._word = String(word || "");
+			this._row = 0;
+			this._lastColors = [];
+			this._restored = null;
+
+			if (window.WordleA11y)
+				window.WordleA11y.Build();
+
+			if (window.WordleMenu)
+				window.WordleMenu.ShowGame();
+
+			// Restore() has already put back the keyboard, hard mode, hints and daily progress.
+			if (restored)
+			{
+				for (let r = 0; r < restored.rows; ++r)
+				{
+					const colors = window.WordleResume.GetColors(r);
+
+					if (window.WordleSolver)
+						window.WordleSolver.AddRow(window.WordleResume.GetGuess(r), colors);
+					if (window.WordleA11y)
+						window.WordleA11y.RecordRow(r, window.WordleResume.GetGuess(r), colors);
+
+					this._lastColors = WordleColors.ParseRow(colors);
+				}
+
+				this._row = restored.rows;
+				return restored.rows;
+			}
+
+			window.WordleScoring.Reset();
+
+			if (window.WordleHardMode)
+				window.WordleHardMode.Reset();
+			if (window.WordleHints)
+				window.WordleHints.Begin(this._word, language);
+			if (window.WordleResume)
+				window.WordleResume.Begin(this._word, language);
+			if (window.WordleSolver)
+				window.WordleSolver.Reset(language);
+			if (window.WordleA11y)
+				window.WordleA11y.Reset();
+
+			return 0;
+		}
+
+		// Continues the saved game from the menu. Restore() calls "OnResumeGame" or "OnResumeFailed".
+		async Continue()
+		{
+			const word = await window.WordleResume.Restore();
+
+			this._restored = word ? { word: word, rows: window.WordleResume.GetRowCount() } : null;
+			return word ? 1 : 0;
+		}
+
+		GetRestoredLetter(r, i)
+		{
+			const letters = Array.from(window.WordleResume.GetGuess(r));
+			return letters[Number(i)] || "";
+		}
+
+		GetRestoredColor(r, i)
+		{
+			const colors = WordleColors.ParseRow(window.WordleResume.GetColors(r));
+			return colors[Number(i)] || WordleColors.UNSCORED;
+		}
+
+		Type(letters)
+		{
+			if (window.WordleA11y)
+				window.WordleA11y.SetRow(this._row, letters);
+
+			return 1;
+		}
+
+		Check(guess)
+		{
+			const allowed = window.WordLists.IsAllowed(guess, this._language);
+			let message = "";
+
+			if (allowed < 0)
+				message = window.WordLists.GetLoadingMessage(this._language);
+			else if (!allowed)
+				message = window.WordLists.GetNotInListMessage(this._language);
+			else if (window.WordleHardMode)
+				message = window.WordleHardMode.Validate(guess, this._language);
+
+			if (message && window.WordleA11y)
+				window.WordleA11y.Announce(message);
+
+			return message;
+		}
+
+		// Scores a row that passed Check() and records it with every module. Returns the row's
+		// colours as Array JSON for Array_color.
+		ScoreRow(guess, score)
+		{
+			const language = this._language;
+			const json = window.WordleScoring.ScoreRow(guess, this._word, language);
+
+			if (window.WordleHardMode)
+				window.WordleHardMode.RecordRow(guess, json, language);
+			if (window.WordleHints)
+				window.WordleHints.RecordRow(guess, json);
+			if (window.WordleDaily && window.WordleDaily.IsDaily())
+				window.WordleDaily.RecordRow(json);
+			if (window.WordleSolver)
+				window.WordleSolver.AddRow(guess, json);
+			if (window.WordleA11y)
+				window.WordleA11y.RecordRow(this._row, guess, json);
+
+			// Only single games are saved: a blitz or endless run can't be picked up again.
+			if (window.WordleResume && !(window.WordleModes && window.WordleModes.IsRunning()))
+				window.WordleResume.RecordRow(guess, json, score, 0);
+
+			this._lastColors = WordleColors.ParseRow(json);
+			this._row++;
+			return json;
+		}
+
+		// The colour of a letter of the last row scored, for a sheet with no Array_color.
+		GetColor(i)
+		{
+			return this._lastColors[Number(i)] || WordleColors.UNSCORED;
+		}
+
+		IsSolved()
+		{
+			const colors = this._lastColors;
+			return (colors.length && colors.every(color => color === WordleColors.CORRECT)) ? 1 : 0;
+		}
+
+		// Records the end of a word everywhere and returns the score to keep in Score: the run's
+		// in blitz and endless, otherwise Score plus the word's points.
+		Finish(won, score)
+		{
+			const language = this._language;
+			const modes = window.WordleModes;
+			const rows = this._row;
+
+			won = !!Number(won);
+			score = Number(score) || 0;
+
+			window.WordleStats.RecordGame(won ? 1 : 0, won ? rows : 0, language);
+
+			if (window.WordleDaily && window.WordleDaily.IsDaily())
+				window.WordleDaily.Finish(won ? 1 : 0);
+			if (window.WordleResume)
+				window.WordleResume.Discard();
+
+			if (!won && window.WordleA11y)
+				window.WordleA11y.Announce(this._word);
+
+			if (modes && modes.IsRunning())
+			{
+				// Both may end the run, which calls "OnModeOver".
+				score = won ? modes.WordSolved(rows) : modes.WordFailed();
+
+				if (modes.IsRunning())
+					return score;
+			}
+			else if (won)
+			{
+				score += modes ? modes.GetWordPoints(rows) : 0;
+			}
+
+			window.WordleStats.Show(language);
+
+			if (window.WordleMenu)
+				window.WordleMenu.ShowGameOver();
+
+			return score;
+		}
+
+		// Gives a hint from the hint menu; returns the score left, or score as it was if the hint
+		// wasn't given. WordleHints.Use() calls "OnHint".
+		UseHint(kind, score)
+		{
+			const left = window.WordleHints.Use(kind, score);
+			return left < 0 ? Number(score) || 0 : left;
+		}
+
+		// What a hint revealed, for Text_msg; it is also read out.
+		DescribeHint(kind, position, letters)
+		{
+			const strings = window.WordleLanguage;
+			let message;
+
+			if (Number(position) < 0)
+			{
+				message = strings.GetString("hintAbsent", { letter: Array.from(String(letters || "")).join(" ") }, this._language);
+
+				if (window.WordleA11y)
+					window.WordleA11y.RefreshKeys();
+			}
+			else
+			{
+				message = strings.GetString("hintLetter", { n: Number(position) + 1, letter: letters }, this._language);
+			}
+
+			if (window.WordleA11y)
+				window.WordleA11y.Announce(message);
+
+			return message;
+		}
+
+		// What came of sharing the daily result (daily.js), for Text_msg.
+		DescribeShare(result)
+		{
+			const key = { "shared": "dailyShared", "copied": "dailyCopied" }[result] || "dailyShareFailed";
+			const message = window.WordleLanguage.GetString(key, {}, this._language);
+
+			if (window.WordleA11y)
+				window.WordleA11y.Announce(message);
+
+			return message;
+		}
+
+		GetModeOverMessage(score, isNewHigh)
+		{
+			const message = window.WordleLanguage.GetString(Number(isNewHigh) ? "modeNewHighScore" : "modeOver", { score: score }, this._language);
+
+			if (window.WordleA11y)
+				window.WordleA11y.Announce(message);
+
+			console.log(CONSOLE_PREFIX + message);
+			return message;
+		}
+	};
+
+	window.WordleGame = new WordleGame();
+
+}());
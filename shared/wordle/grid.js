@@ -0,0 +1,314 @@
+"use strict";
+
+// Board size for the Custom Wordle builds: the word length (4 to 8 letters) and number of attempts
+// come from the build's grid.txt ("5x6" = five letters, six rows), or from a choice the player
+// made in the menu, which is kept in LocalStorage and wins over grid.txt.
+//
+//   <script src="../shared/wordle/grid.js" data-grid="grid.txt"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "Build"       WordleGrid.Load() instead of reading grid.txt with AJAX; it calls the Function
+//                 "OnGridReady" with the length and rows, where "Words" loads the lists for that
+//                 length (see wordlists.js) and "Build grid" runs.
+//   "Build grid"  WordleGrid.Layout(<play area width>, <play area height>, <keyboard text>), then
+//                 size Array_line_uid and Array_line_letter to WordleGrid.GetLength() by
+//                 WordleGrid.GetRows() and create each cell at WordleGrid.GetCellX(x),
+//                 WordleGrid.GetCellY(y), WordleGrid.GetCellSize() in place of the fixed 5 × 6 loop.
+//   "Keyboard"    place key i of keyboard row j at WordleGrid.GetKeyX(j, i), WordleGrid.GetKeyY(j),
+//                 sized WordleGrid.GetKeyWidth() × WordleGrid.GetKeyHeight(), so the keyboard fits
+//                 under however many rows the board has.
+//   "Check"       a row is complete at WordleGrid.GetLength() letters, and the game is lost after
+//                 WordleGrid.GetRows() rows.
+//   Menu          offers the lengths in WordleGrid.GetLengths() (those the language has answers
+//                 for); WordleGrid.SetChoice(length, rows) and WordleGrid.ClearChoice() both call
+//                 "OnGridReady" again, after which the game restarts. A saved length the language
+//                 doesn't have is played at the nearest one it does.
+//
+// Positions are relative to the top-left of the play area passed to Layout(). Cells and keys are
+// numbered in reading order, so in a right-to-left language (see language.js) cell 0 is the
+// rightmost one and the row fills towards the left. Keys are numbered from the left, in the order
+// WordleGame.GetKeyboard() lists them.
+
+(function () {
+
+	const CONSOLE_PREFIX = "[WordleGrid] ";
+	const STORAGE_KEY = "wordle-grid";
+
+	const MIN_LENGTH = 4;
+	const MAX_LENGTH = 8;
+	const MIN_ROWS = 3;
+	const MAX_ROWS = 10;
+	const DEFAULT_LENGTH = 5;
+	const DEFAULT_ROWS = 6;
+
+	const GAP_RATIO = 0.1;			// space between cells and keys, as a fraction of their size
+	const KEY_ASPECT = 1.35;		// key height / key width
+	const MAX_KEY_SHARE = 0.4;		// most of the play area height the keyboard may take
+
+	function Clamp(x, lower, upper)
+	{
+		return Math.min(Math.max(x, lower), upper);
+	};
+
+	// "5x6", "5 x 6" or "5×6"; anything unreadable falls back to the classic board.
+	function ParseGrid(text)
+	{
+		const match = /(\d+)\s*[x×*]\s*(\d+)/i.exec(String(text || ""));
+
+		if (!match)
+			return null;
+
+		return {
+			length: Clamp(parseInt(match[1], 10), MIN_LENGTH, MAX_LENGTH),
+			rows: Clamp(parseInt(match[2], 10), MIN_ROWS, MAX_ROWS)
+		};
+	};
+
+	class WordleGrid
+	{
+		constructor(scriptElem)
+		{
+			this._gridUrl = (scriptElem && scriptElem.getAttribute("data-grid")) || "grid.txt";
+			this._length = DEFAULT_LENGTH;
+			this._rows = DEFAULT_ROWS;
+
+			this._cellSize = 0;
+			this._gridLeft = 0;
+			this._gridTop = 0;
+			this._keyWidth = 0;
+			this._keyHeight = 0;
+			this._keyboardTop = 0;
+			this._keyRowLengths = [];
+			this._areaWidth = 0;
+		}
+
+		// Applies the menu choice if there is one, otherwise grid.txt.
+		async Load()
+		{
+			if (window.WordleLanguage)
+				await window.WordleLanguage.LoadPacks();
+
+			let grid = this._LoadChoice();
+
+			if (!grid)
+			{
+				try {
+					const response = await fetch(this._gridUrl);
+
+					if (!response.ok)
+						throw new Error("status " + response.status);
+
+					grid = ParseGrid(await response.text());
+				}
+				catch (err)
+				{
+					console.warn(CONSOLE_PREFIX + "Unable to read " + this._gridUrl + ", using the default board: ", err);
+				}
+			}
+
+			this._Apply(grid || { length: DEFAULT_LENGTH, rows: DEFAULT_ROWS });
+			return this.GetLength() + "x" + this.GetRows();
+		}
+
+		SetChoice(length, rows)
+		{
+			const grid = ParseGrid(length + "x" + (rows || this._rows));
+
+			// Only lengths the language has answers for (see GetLengths()).
+			if (!grid || this._FitLength(grid.length) !== grid.length)
+				return 0;
+
+			try {
+				localStorage.setItem(STORAGE_KEY, grid.length + "x" + grid.rows);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save board size: ", err);
+			}
+
+			this._Apply(grid);
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		// Plays a size for now without changing the player's choice, e.g. for endless mode's
+		// levels (modes.js). Load() goes back to the saved size.
+		Use(length, rows)
+		{
+			const grid = ParseGrid(length + "x" + (rows || this._rows));
+
+			if (!grid)
+				return 0;
+
+			this._Apply(grid);
+			return 1;
+		}
+
+		// Goes back to the build's own grid.txt.
+		ClearChoice()
+		{
+			try {
+				localStorage.removeItem(STORAGE_KEY);
+			}
+			catch (err)
+			{
+				// nothing saved then
+			}
+
+			this.Load();
+			return 1;
+		}
+
+		HasChoice()
+		{
+			return this._LoadChoice() ? 1 : 0;
+		}
+
+		_LoadChoice()
+		{
+			try {
+				return ParseGrid(localStorage.getItem(STORAGE_KEY));
+			}
+			catch (err)
+			{
+				return null;
+			}
+		}
+
+		// The word lengths the menu can offer for the current language, e.g. "4,5,6,7,8".
+		GetLengths()
+		{
+			const lengths = window.WordleLanguage ? window.WordleLanguage.GetLengths() : [];
+			return (lengths.length ? lengths : [DEFAULT_LENGTH]).join(",");
+		}
+
+		// length if the language has answers of that length, otherwise the nearest one it has.
+		_FitLength(length)
+		{
+			const lengths = window.WordleLanguage ? window.WordleLanguage.GetLengths() : [];
+
+			if (!lengths.length || lengths.includes(length))
+				return length;
+
+			return lengths.reduce((best, l) => Math.abs(l - length) < Math.abs(best - length) ? l : best);
+		}
+
+		_Apply(grid)
+		{
+			grid = { length: this._FitLength(grid.length), rows: grid.rows };
+
+			this._length = grid.length;
+			this._rows = grid.rows;
+
+			console.log(CONSOLE_PREFIX + this._length + " letters, " + this._rows + " rows");
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnGridReady", [this._length, this._rows]);
+		}
+
+		GetLength()
+		{
+			return this._length;
+		}
+
+		GetRows()
+		{
+			return this._rows;
+		}
+
+		// Works out cell and key sizes for a play area: the keyboard takes the bottom (at most
+		// MAX_KEY_SHARE of the height) and the board is as large as fits in the rest.
+		Layout(areaWidth, areaHeight, keyboardText)
+		{
+			areaWidth = Number(areaWidth) || 0;
+			areaHeight = Number(areaHeight) || 0;
+			this._areaWidth = areaWidth;
+
+			this._keyRowLengths = String(keyboardText || "")
+				.split(/\r\n|\r|\n/)
+				.map(line => Array.from(line.trim()).length)
+				.filter(n => n > 0);
+
+			const keyRows = this._keyRowLengths.length;
+			const maxKeys = Math.max(1, ...this._keyRowLengths);
+
+			if (keyRows)
+			{
+				this._keyWidth = areaWidth / maxKeys;
+				this._keyHeight = this._keyWidth * KEY_ASPECT;
+
+				// Too tall: shrink the keys to fit their share of the height.
+				const maxKeyHeight = (areaHeight * MAX_KEY_SHARE) / keyRows;
+				if (this._keyHeight > maxKeyHeight)
+				{
+					this._keyHeight = maxKeyHeight;
+					this._keyWidth = maxKeyHeight / KEY_ASPECT;
+				}
+			}
+			else
+			{
+				this._keyWidth = 0;
+				this._keyHeight = 0;
+			}
+
+			const keyboardHeight = this._keyHeight * keyRows;
+			this._keyboardTop = areaHeight - keyboardHeight;
+
+			const gridHeight = Math.max(0, this._keyboardTop - this._keyHeight * GAP_RATIO * 2);
+			this._cellSize = Math.min(areaWidth / this._length, gridHeight / this._rows);
+			this._gridLeft = (areaWidth - this._cellSize * this._length) / 2;
+			this._gridTop = (gridHeight - this._cellSize * this._rows) / 2;
+
+			return this._cellSize;
+		}
+
+		// Size of a cell without its share of the gap.
+		GetCellSize()
+		{
+			return this._cellSize * (1 - GAP_RATIO);
+		}
+
+		// Column from the left for position i (reading order) of a row of count.
+		_GetColumn(i, count)
+		{
+			i = Number(i);
+			return (window.WordleLanguage && window.WordleLanguage.IsRTL()) ? count - 1 - i : i;
+		}
+
+		// Centre of cell x (0 based, reading order) of row y.
+		GetCellX(x)
+		{
+			return this._gridLeft + this._cellSize * (this._GetColumn(x, this._length) + 0.5);
+		}
+
+		GetCellY(y)
+		{
+			return this._gridTop + this._cellSize * (Number(y) + 0.5);
+		}
+
+		GetKeyWidth()
+		{
+			return this._keyWidth * (1 - GAP_RATIO);
+		}
+
+		GetKeyHeight()
+		{
+			return this._keyHeight * (1 - GAP_RATIO);
+		}
+
+		// Centre of key i (from the left) of keyboard row j; shorter rows are centred.
+		GetKeyX(j, i)
+		{
+			const count = this._keyRowLengths[Number(j)] || 0;
+			const left = (this._areaWidth - this._keyWidth * count) / 2;
+			return left + this._keyWidth * (Number(i) + 0.5);
+		}
+
+		GetKeyY(j)
+		{
+			return this._keyboardTop + this._keyHeight * (Number(j) + 0.5);
+		}
+	};
+
+	window.WordleGrid = new WordleGrid(document.currentScript);
+
+}());
@@ -0,0 +1,175 @@
+"use strict";
+
+// Hard mode for the Custom Wordle builds: once a hint is revealed every later guess must use it.
+// A green letter has to stay in its place and a yellow letter has to appear somewhere in the
+// guess (as many times as it was hinted in one row). The messages come from the language pack.
+// Load after colors.js, language.js and scoring.js:
+//
+//   <script src="../shared/wordle/colors.js"></script>
+//   <script src="../shared/wordle/language.js"></script>
+//   <script src="../shared/wordle/scoring.js"></script>
+//   <script src="../shared/wordle/hardmode.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   Options         the hard mode toggle calls WordleHardMode.Toggle() and shows what it returns;
+//                   the setting is kept in LocalStorage here, so it needs no event of its own.
+//   "New word"      WordleHardMode.Reset()
+//   "Check"         before scoring a row that passed "Search":
+//                   WordleHardMode.Validate(<the row's letters from Array_line_letter>, Language).
+//                   An empty result means the guess is fine; otherwise show it in Text_msg and
+//                   leave the row open, as for a word that is not in the list.
+//   "Set color"     after Array_color is filled for the row:
+//                   WordleHardMode.RecordRow(<the row's letters>, Array_color.AsJSON, Language)
+//
+// Turning hard mode on mid-game only takes effect from the next word, so hints the player has
+// already used freely can't make the rest of the board unsolvable. Turning it off applies at once.
+
+(function () {
+
+	const STORAGE_KEY = "wordle-hard-mode";
+	const CONSOLE_PREFIX = "[WordleHardMode] ";
+
+	function SplitLetters(word, language)
+	{
+		return WordleScoring.SplitLetters(word, language);
+	};
+
+	function CountLetters(letters)
+	{
+		const counts = new Map();
+
+		for (const letter of letters)
+			counts.set(letter, (counts.get(letter) || 0) + 1);
+
+		return counts;
+	};
+
+	class WordleHardMode
+	{
+		constructor()
+		{
+			this._enabled = this._LoadEnabled();	// the player's setting
+			this._active = this._enabled;			// whether the current word is played in hard mode
+			this._hasGuessed = false;
+			this._fixed = [];				// position -> letter that must be there
+			this._required = new Map();		// letter -> minimum times it must appear
+		}
+
+		_LoadEnabled()
+		{
+			try {
+				return localStorage.getItem(STORAGE_KEY) === "1";
+			}
+			catch (err)
+			{
+				return false;
+			}
+		}
+
+		IsEnabled()
+		{
+			return this._enabled ? 1 : 0;
+		}
+
+		IsActive()
+		{
+			return this._active ? 1 : 0;
+		}
+
+		SetEnabled(enabled)
+		{
+			this._enabled = !!Number(enabled);
+
+			// Off applies straight away; on waits for the next word unless nothing is revealed yet.
+			if (!this._enabled || !this._hasGuessed)
+				this._active = this._enabled;
+
+			try {
+				localStorage.setItem(STORAGE_KEY, this._enabled ? "1" : "0");
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save setting: ", err);
+			}
+
+			return this.IsEnabled();
+		}
+
+		Toggle()
+		{
+			return this.SetEnabled(!this._enabled);
+		}
+
+		Reset()
+		{
+			this._active = this._enabled;
+			this._hasGuessed = false;
+			this._fixed = [];
+			this._required = new Map();
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		// Returns the message naming the first rule the guess breaks, or "" if it may be played.
+		Validate(guess, language)
+		{
+			if (!this._active)
+				return "";
+
+			const letters = SplitLetters(guess, language);
+			const strings = window.WordleLanguage;
+
+			for (let i = 0; i < this._fixed.length; ++i)
+			{
+				if (this._fixed[i] && letters[i] !== this._fixed[i])
+					return strings.GetString("mustBeAt", { n: i + 1, letter: this._fixed[i].toLocaleUpperCase() }, language);
+			}
+
+			const counts = CountLetters(letters);
+
+			for (const [letter, count] of this._required)
+			{
+				if ((counts.get(letter) || 0) < count)
+					return strings.GetString(count > 1 ? "mustContainCount" : "mustContain", { letter: letter.toLocaleUpperCase(), count: count }, language);
+			}
+
+			return "";
+		}
+
+		// Adds the hints revealed by a scored row to the rules for the following guesses.
+		RecordRow(guess, arrayJson, language)
+		{
+			let colors;
+
+			try {
+				colors = WordleColors.ParseRow(arrayJson);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read row: ", err);
+				return 0;
+			}
+
+			const letters = SplitLetters(guess, language);
+			const hinted = new Map();
+
+			this._hasGuessed = true;
+
+			letters.forEach((letter, i) =>
+			{
+				if (colors[i] === WordleColors.CORRECT)
+					this._fixed[i] = letter;
+
+				if (colors[i] === WordleColors.CORRECT || colors[i] === WordleColors.PRESENT)
+					hinted.set(letter, (hinted.get(letter) || 0) + 1);
+			});
+
+			for (const [letter, count] of hinted)
+				this._required.set(letter, Math.max(this._required.get(letter) || 0, count));
+
+			return 1;
+		}
+	};
+
+	window.WordleHardMode = new WordleHardMode();
+
+}());
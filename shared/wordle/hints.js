@@ -0,0 +1,269 @@
+"use strict";
+
+// Hints for the Custom Wordle builds, bought with points from Score:
+//   "letter"   reveals one letter of the word in its place, one not found yet
+//   "absent"   greys out a few keyboard keys whose letters aren't in the word
+//   "first"    shows the word's first letter
+// What each costs comes from the cost table on the script tag (kind:points, comma separated),
+// falling back to DEFAULT_COSTS. Hints used are counted in the statistics (stats.js) and in the
+// daily share text (daily.js). Load after scoring.js and language.js:
+//
+//   <script src="../shared/wordle/hints.js" data-costs="letter:50,absent:30,first:20"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "New word"    WordleHints.Begin(Word, Language)
+//   "Set color"   WordleHints.RecordRow(<the row's letters>, Array_color.AsJSON), as for hard mode
+//   Hint button   the game layout's hint menu shows each kind with WordleHints.GetCost(kind), greyed
+//                 out while WordleHints.CanUse(kind, Score) returns 0. Choosing one calls
+//                 WordleHints.Use(kind, Score), which pays for the hint and returns the score left
+//                 to set Score to, or -1 if the player can't afford it or no hint of that kind is
+//                 left to give (Score is then unchanged). The sheet doesn't subtract anything itself.
+//
+// In blitz and endless the cost comes off the mode's own score (modes.js) instead of the Score
+// passed in, and Use() returns that.
+//
+// Use() answers by calling the Function "OnHint" with the kind, the letter's position (0 based,
+// -1 for "absent") and the letter as shown on its key (for "absent", the keys greyed out, one per
+// character). For "letter" and "first" the sheet shows the letter in that cell of the current row;
+// for "absent" it sets key_color on every key again from WordleScoring.GetKeyColor(), which
+// already has the new keys as absent.
+
+(function () {
+
+	const CONSOLE_PREFIX = "[WordleHints] ";
+
+	const HINT_LETTER = "letter";
+	const HINT_ABSENT = "absent";
+	const HINT_FIRST = "first";
+
+	const DEFAULT_COSTS = { [HINT_LETTER]: 50, [HINT_ABSENT]: 30, [HINT_FIRST]: 20 };
+
+	// How many keys an "absent" hint greys out.
+	const ABSENT_KEYS = 3;
+
+	// "letter:50, absent:30" -> { letter: 50, absent: 30, first: 20 }
+	function ParseCosts(text)
+	{
+		const costs = Object.assign({}, DEFAULT_COSTS);
+
+		for (const entry of (text || "").split(","))
+		{
+			const [kind, value] = entry.split(":").map(s => s.trim());
+			const cost = parseInt(value, 10);
+
+			if (!(kind in DEFAULT_COSTS) || !(cost >= 0))
+			{
+				if (entry.trim())
+					console.warn(CONSOLE_PREFIX + "Ignoring cost '" + entry.trim() + "'");
+				continue;
+			}
+
+			costs[kind] = cost;
+		}
+
+		return costs;
+	};
+
+	function PickRandom(items)
+	{
+		return items[Math.floor(Math.random() * items.length)];
+	};
+
+	class WordleHints
+	{
+		constructor(scriptElem)
+		{
+			this._costs = ParseCosts(scriptElem && scriptElem.getAttribute("data-costs"));
+			this._language = "";
+			this._answer = [];				// normalised letters of the word
+			this._known = new Set();		// positions the player has (correct in a row, or revealed)
+			this._used = [];				// { kind, position } per hint given for this word
+		}
+
+		Begin(word, language)
+		{
+			this._language = language || window.WordleLanguage.GetLanguage();
+			this._answer = window.WordleScoring.SplitLetters(word, this._language);
+			this._known.clear();
+			this._used = [];
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		RecordRow(guess, arrayJson)
+		{
+			let colors;
+
+			try {
+				colors = WordleColors.ParseRow(arrayJson);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read row: ", err);
+				return 0;
+			}
+
+			colors.forEach((color, i) =>
+			{
+				if (color === WordleColors.CORRECT)
+					this._known.add(i);
+			});
+
+			return 1;
+		}
+
+		GetCost(kind)
+		{
+			return (kind in this._costs) ? this._costs[kind] : -1;
+		}
+
+		CanUse(kind, score)
+		{
+			return (this._CanAfford(kind, score) && this._GetCandidates(kind).length) ? 1 : 0;
+		}
+
+		// The score the hint is paid from: the mode's while one is running, otherwise the one given.
+		_GetScore(score)
+		{
+			if (window.WordleModes && window.WordleModes.IsRunning())
+				return window.WordleModes.GetScore();
+
+			return Number(score) || 0;
+		}
+
+		_CanAfford(kind, score)
+		{
+			return (kind in this._costs) && this._GetScore(score) >= this._costs[kind];
+		}
+
+		// Gives a hint of that kind and pays for it. Returns the score left, or -1 if the hint
+		// can't be afforded or there is nothing left to give.
+		Use(kind, score)
+		{
+			if (!this._CanAfford(kind, score))
+				return -1;
+
+			const candidates = this._GetCandidates(kind);
+
+			if (!candidates.length)
+				return -1;
+
+			let position = -1;
+			let letters;
+
+			if (kind === HINT_ABSENT)
+			{
+				const picked = [];
+				while (picked.length < ABSENT_KEYS && candidates.length)
+					picked.push(candidates.splice(Math.floor(Math.random() * candidates.length), 1)[0]);
+
+				window.WordleScoring.UpdateKeys(picked.map(key => key.letter).join(""),
+					picked.map(() => WordleColors.ABSENT), this._language);
+				letters = picked.map(key => key.label).join("");
+			}
+			else
+			{
+				position = (kind === HINT_FIRST) ? 0 : PickRandom(candidates);
+				this._known.add(position);
+				letters = this._GetLabel(this._answer[position]);
+			}
+
+			this._used.push({ kind: kind, position: position });
+
+			let scoreLeft = this._GetScore(score) - this._costs[kind];
+
+			// Blitz and endless keep their own score (modes.js).
+			if (window.WordleModes && window.WordleModes.IsRunning())
+				scoreLeft = window.WordleModes.Deduct(this._costs[kind]);
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnHint", [kind, position, letters, this._costs[kind]]);
+
+			return scoreLeft;
+		}
+
+		GetUsedCount()
+		{
+			return this._used.length;
+		}
+
+		// The hints used for this word, as JSON, for saving a game in progress (resume.js).
+		GetUsed()
+		{
+			return JSON.stringify(this._used);
+		}
+
+		SetUsed(json)
+		{
+			let used;
+
+			try {
+				used = (typeof json === "string") ? JSON.parse(json || "[]") : json;
+			}
+			catch (err)
+			{
+				used = null;
+			}
+
+			this._used = Array.isArray(used) ? used.filter(hint => hint && (hint.kind in DEFAULT_COSTS)) : [];
+
+			for (const hint of this._used)
+			{
+				if (hint.position >= 0)
+					this._known.add(hint.position);
+			}
+
+			return this._used.length;
+		}
+
+		// Positions a hint could reveal, or for "absent" the keys it could grey out.
+		_GetCandidates(kind)
+		{
+			if (!this._answer.length)
+				return [];
+
+			if (kind === HINT_LETTER)
+				return this._answer.map((letter, i) => i).filter(i => !this._known.has(i));
+
+			if (kind === HINT_FIRST)
+				return this._known.has(0) ? [] : [0];
+
+			if (kind === HINT_ABSENT)
+			{
+				const inWord = new Set(this._answer);
+				const seen = new Set();
+				const keys = [];
+
+				for (const label of Array.from(window.WordleLanguage.GetKeyboard(this._language).replace(/\s/g, "")))
+				{
+					const letter = window.WordleScoring.SplitLetters(label, this._language).join("");
+
+					if (!letter || seen.has(letter) || inWord.has(letter) ||
+						window.WordleScoring.GetKeyColor(letter, this._language) !== WordleColors.UNSCORED)
+						continue;
+
+					seen.add(letter);
+					keys.push({ letter: letter, label: label });
+				}
+
+				return keys;
+			}
+
+			return [];
+		}
+
+		// The key a letter of the word is typed with, so the revealed letter looks like a typed one.
+		_GetLabel(letter)
+		{
+			for (const label of Array.from(window.WordleLanguage.GetKeyboard(this._language).replace(/\s/g, "")))
+			{
+				if (window.WordleScoring.SplitLetters(label, this._language).join("") === letter)
+					return label;
+			}
+
+			return letter.toLocaleUpperCase();
+		}
+	};
+
+	window.WordleHints = new WordleHints(document.currentScript);
+
+}());
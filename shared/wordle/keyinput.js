@@ -0,0 +1,236 @@
+"use strict";
+
+// Physical keyboard input for the Custom Wordle builds, for every language pack. The Keyboard
+// plugin only saw Latin letters; here letters are taken from what the player's keyboard layout
+// produces (KeyboardEvent.key), so an Arabic or Spanish layout types its own letters, including
+// ones composed through an IME or dead keys. When the layout doesn't produce the pack's letters
+// (an Arabic game on an English keyboard) the pack's physicalKeys map the key positions instead.
+// Load after language.js:
+//
+//   <script src="../shared/wordle/keyinput.js"></script>
+//
+// Each key is passed to the event-sheet Function "OnPhysicalKey" with the label of the matching
+// on-screen key (the Text_key text, e.g. "A" or "ا"), or "Enter" / "Backspace". The Function runs
+// the same actions as tapping that Key, including its pressed animation, so the on-screen key
+// lights up as it is typed. Disable the old Keyboard plugin events so letters aren't typed twice.
+//
+// Holding a letter or Enter down doesn't repeat it (so a row can't be submitted twice by
+// accident); holding Backspace does. Input is ignored while the game is paused (pause.js) or a
+// panel of ours has focus.
+//
+// Focus is left where the player puts it. Only a key that needs composing (an IME, or a dead key
+// for an accent) moves it to an off-screen text field, which lets go of it once the character
+// is typed, so the runtime's own Keyboard plugin isn't told the keyboard has gone.
+
+(function () {
+
+	const KEY_ENTER = "Enter";
+	const KEY_BACKSPACE = "Backspace";
+
+	// Keeps the IME's composition somewhere that isn't the game; placed off screen but focusable.
+	const INPUT_STYLE = "position: fixed; left: -1000px; top: 0; width: 1px; height: 1px; opacity: 0; border: 0; padding: 0;";
+
+	class WordleKeyInput
+	{
+		constructor()
+		{
+			this._enabled = true;
+			this._composing = false;
+			this._inputElem = null;
+			this._previousFocus = null;
+			this._labels = null;			// normalised letter -> on-screen label, for the current pack
+			this._labelsLanguage = "";
+
+			window.addEventListener("keydown", e => this._OnKeyDown(e));
+
+			if (document.readyState === "loading")
+				document.addEventListener("DOMContentLoaded", () => this._CreateInput());
+			else
+				this._CreateInput();
+		}
+
+		SetEnabled(enabled)
+		{
+			this._enabled = !!Number(enabled);
+			return this._enabled ? 1 : 0;
+		}
+
+		IsEnabled()
+		{
+			return this._enabled ? 1 : 0;
+		}
+
+		// Only where there is a hardware keyboard to type with: focusing an input on a touch
+		// device would bring up its on-screen keyboard over the game.
+		_HasPhysicalKeyboard()
+		{
+			return !!(window.matchMedia && window.matchMedia("(pointer: fine)").matches);
+		}
+
+		_CreateInput()
+		{
+			if (!this._HasPhysicalKeyboard())
+				return;
+
+			const input = document.createElement("input");
+			input.type = "text";
+			input.setAttribute("style", INPUT_STYLE);
+			input.setAttribute("autocomplete", "off");
+			input.setAttribute("autocapitalize", "off");
+			input.setAttribute("spellcheck", "false");
+			input.setAttribute("aria-hidden", "true");
+			input.tabIndex = -1;
+
+			input.addEventListener("compositionstart", () => { this._composing = true; });
+			input.addEventListener("compositionend", e =>
+			{
+				this._composing = false;
+				this._TypeText(e.data);
+				input.value = "";
+				this._Release();
+			});
+
+			// Text that arrived without a keydown we could use, e.g. from a dead key.
+			input.addEventListener("input", e =>
+			{
+				if (this._composing || e.isComposing)
+					return;
+
+				this._TypeText(input.value);
+				input.value = "";
+				this._Release();
+			});
+
+			document.body.appendChild(input);
+			this._inputElem = input;
+		}
+
+		// Gives the IME somewhere to compose, for the key that started it and the ones after.
+		_Focus()
+		{
+			if (!this._inputElem || document.activeElement === this._inputElem)
+				return;
+
+			this._previousFocus = document.activeElement;
+			this._inputElem.focus({ preventScroll: true });
+		}
+
+		// Back to wherever focus was before composing.
+		_Release()
+		{
+			if (!this._inputElem || document.activeElement !== this._inputElem)
+				return;
+
+			const previous = this._previousFocus;
+			this._previousFocus = null;
+
+			if (previous && previous !== document.body && previous.focus)
+				previous.focus({ preventScroll: true });
+			else
+				this._inputElem.blur();
+		}
+
+		_IsBlocked(e)
+		{
+			if (!this._enabled)
+				return true;
+
+			if (window.GamePause && window.GamePause.IsPaused())
+				return true;
+
+			// Typing in one of our panels, or some other field.
+			const target = e.target;
+			if (target !== this._inputElem && target && target.closest && target.closest("[data-phx-ui], input, textarea, select"))
+				return true;
+
+			return false;
+		}
+
+		_OnKeyDown(e)
+		{
+			if (this._IsBlocked(e) || e.defaultPrevented)
+				return;
+
+			// The IME is working on it; compositionend delivers the result.
+			if (this._composing || e.isComposing)
+				return;
+
+			// A key the IME or a dead key will turn into a character: let the text field take it.
+			if (e.keyCode === 229 || e.key === "Process" || e.key === "Dead")
+			{
+				this._Focus();
+				return;
+			}
+
+			if (e.key === KEY_ENTER)
+			{
+				if (e.repeat || this._Send(KEY_ENTER))
+					e.preventDefault();
+				return;
+			}
+
+			if (e.key === KEY_BACKSPACE)
+			{
+				if (this._Send(KEY_BACKSPACE))
+					e.preventDefault();
+				return;
+			}
+
+			// Leave shortcuts alone; AltGr reports Ctrl+Alt on Windows but types letters.
+			if ((e.ctrlKey || e.metaKey || e.altKey) && !(e.getModifierState && e.getModifierState("AltGraph")))
+				return;
+
+			const label = this._GetLabel(e.key) || this._GetLabel(window.WordleLanguage.GetPhysicalKey(e.code));
+
+			if (!label)
+				return;
+
+			if (e.repeat || this._Send(label))
+				e.preventDefault();
+		}
+
+		_TypeText(text)
+		{
+			for (const ch of Array.from(text || ""))
+			{
+				const label = this._GetLabel(ch);
+				if (label)
+					this._Send(label);
+			}
+		}
+
+		// The on-screen key for a typed character, matched after normalisation so that, say, أ
+		// presses the ا key when the pack folds hamza.
+		_GetLabel(ch)
+		{
+			if (!ch || Array.from(ch).length !== 1)
+				return "";
+
+			const language = window.WordleLanguage.GetLanguage();
+
+			if (!this._labels || this._labelsLanguage !== language)
+			{
+				this._labels = new Map();
+				this._labelsLanguage = language;
+
+				for (const label of Array.from(window.WordleLanguage.GetKeyboard(language).replace(/\s/g, "")))
+				{
+					const key = window.WordleLanguage.Normalise(label, language);
+					if (key && !this._labels.has(key))
+						this._labels.set(key, label);
+				}
+			}
+
+			return this._labels.get(window.WordleLanguage.Normalise(ch, language)) || "";
+		}
+
+		// Whether the key reached the runtime; until it has started the browser keeps the key.
+		_Send(key)
+		{
+			return !!(window.GameFunctions && window.GameFunctions.Call("OnPhysicalKey", [key]));
+		}
+	};
+
+	window.WordleKeyInput = new WordleKeyInput();
+
+}());
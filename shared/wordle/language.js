@@ -0,0 +1,404 @@
+"use strict";
+
+// Language packs for the Custom Wordle builds. A pack describes everything that differs between
+// languages, so adding one means adding a folder rather than another branch in the event sheets:
+//
+//   shared/wordle/languages/index.json       { "default": "USA", "packs": ["USA", "ARABIC", ...] }
+//   shared/wordle/languages/<ID>/pack.json
+//   {
+//     "id": "SPANISH",                  the value of the game's Language variable
+//     "name": "Español",                shown in the language picker
+//     "tag": "es", "direction": "ltr",  BCP 47 tag and reading direction ("rtl" mirrors the board)
+//     "alphabet": "abc…ñ…z",            letters a normalised word may contain
+//     "answers": { "5": "answers-5.txt", … },   curated answers per word length, used when the
+//                                       build has none of its own
+//     "allowed": { "5": "allowed-5.txt", … },   allowed-guess list per word length
+//                                       (a length is only played when it has both lists)
+//     "keyboard": ["QWERTYUIOP", …],    keyboard rows in reading order, so a right-to-left
+//                                       pack lists each row from its rightmost key
+//     "physicalKeys": { "KeyQ": "ض", … },   optional: letters by KeyboardEvent.code, for typing
+//                                       the language on a keyboard set to another layout
+//     "normalise": {
+//       "rules": { "accents": { "map": { "á": "a", … } }, "diacritics": { "strip": "<regexp class>" } },
+//       "default": ["accents"]           rules applied unless configured otherwise
+//     },
+//     "strings": { "notInList", "listsLoading", "mustBeAt", "mustContain", "mustContainCount", "ordinals", … }
+//   }
+//
+// Paths in a pack are relative to its folder. Strings take {n}, {nth} (from "ordinals"),
+// {letter} and {count}. Every module compares words and letters through Normalise(), so a guess
+// typed with أ matches an answer spelled with ا, and word lists are cleaned with the same rules
+// when they load.
+//
+//   <script src="../shared/wordle/language.js" data-normalise='{"ARABIC": ["diacritics", "hamza"]}'></script>
+//
+// data-normalise is optional and replaces the default rules of the packs it names.
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "Build"      WordleLanguage.LoadPacks() before anything else; it calls the Function
+//                "OnLanguagesReady" with the language the player last chose, to set Language to.
+//   "Keyboard"   build the keys from WordleLanguage.GetKeyboard(Language) instead of
+//                keyboard.txt / keyboard2.txt.
+//   Options      WordleLanguage.SetRules(Language, "hamza,ta-marbuta") to change the rules, then
+//                reload the word lists. The language picker is in languagepicker.js.
+
+(function (global) {
+
+	const CONSOLE_PREFIX = "[WordleLanguage] ";
+	const STORAGE_KEY = "wordle-language";
+	const PACKS_DIR = "languages/";
+
+	// Used until the packs have loaded, and under Node.
+	const FALLBACK_PACK = {
+		"id": "USA",
+		"name": "English",
+		"tag": "en",
+		"direction": "ltr",
+		"alphabet": "abcdefghijklmnopqrstuvwxyz",
+		"allowed": {},
+		"keyboard": ["QWERTYUIOP", "ASDFGHJKL", "ZXCVBNM"],
+		"normalise": { "rules": {}, "default": [] },
+		"strings": {}
+	};
+
+	function ParseRules(rules)
+	{
+		if (Array.isArray(rules))
+			return rules.slice();
+
+		return String(rules || "").split(",").map(r => r.trim()).filter(r => r);
+	};
+
+	// Replaces {name} placeholders with params; unknown ones are left in place.
+	function Format(text, params)
+	{
+		return String(text).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+	};
+
+	async function FetchJSON(url)
+	{
+		const response = await fetch(url);
+
+		if (!response.ok)
+			throw new Error("Unable to load " + url + ": " + response.status);
+
+		return response.json();
+	};
+
+	class WordleLanguage
+	{
+		constructor(scriptElem)
+		{
+			this._packsBase = scriptElem ? new URL(PACKS_DIR, scriptElem.src).href : "";
+			this._overrides = {};
+			this._packs = new Map();		// id -> pack
+			this._compiled = new Map();		// id -> { alphabet: Set, strip: RegExp|null, map: Map }
+			this._rules = new Map();		// id -> [rule]
+			this._defaultLanguage = FALLBACK_PACK["id"];
+			this._language = this._defaultLanguage;
+			this._loadPromise = null;
+
+			const overrides = scriptElem && scriptElem.getAttribute("data-normalise");
+			if (overrides)
+			{
+				try {
+					this._overrides = JSON.parse(overrides);
+				}
+				catch (err)
+				{
+					console.warn(CONSOLE_PREFIX + "Ignoring unreadable data-normalise: ", err);
+				}
+			}
+
+			this.AddPack(FALLBACK_PACK, "");
+		}
+
+		// Reads languages/index.json and every pack it lists. Packs that fail to load are skipped.
+		LoadPacks()
+		{
+			if (!this._loadPromise)
+			{
+				this._loadPromise = FetchJSON(this._packsBase + "index.json")
+				.then(index =>
+				{
+					if (index["default"])
+						this._defaultLanguage = index["default"];
+
+					return Promise.all((index["packs"] || []).map(id =>
+					{
+						const baseUrl = this._packsBase + id + "/";
+
+						return FetchJSON(baseUrl + "pack.json")
+						.then(pack => this.AddPack(pack, baseUrl))
+						.catch(err => console.warn(CONSOLE_PREFIX + "Skipping language pack " + id + ": ", err));
+					}));
+				})
+				.catch(err => console.warn(CONSOLE_PREFIX + "Unable to load language packs: ", err))
+				.then(() =>
+				{
+					this._Call("OnLanguagesReady", [this.GetSavedLanguage()]);
+					return this.GetLanguages();
+				});
+			}
+
+			return this._loadPromise;
+		}
+
+		// Registers a pack; baseUrl is where its lists are. Also how tests provide packs.
+		AddPack(pack, baseUrl)
+		{
+			const id = pack["id"];
+			pack = Object.assign({}, pack, { baseUrl: baseUrl || "" });
+
+			this._packs.set(id, pack);
+			this._compiled.delete(id);
+			this._rules.set(id, ParseRules(this._overrides[id] || (pack["normalise"] && pack["normalise"]["default"])));
+			return id;
+		}
+
+		GetPack(language)
+		{
+			return this._packs.get(this._GetLanguage(language));
+		}
+
+		// [{ id, name, tag, direction }] for every pack, for the language picker.
+		GetLanguages()
+		{
+			return Array.from(this._packs.values(), pack => ({
+				id: pack["id"],
+				name: pack["name"],
+				tag: pack["tag"],
+				direction: pack["direction"]
+			}));
+		}
+
+		HasLanguage(language)
+		{
+			return this._packs.has(language) ? 1 : 0;
+		}
+
+		_GetLanguage(language)
+		{
+			if (!language)
+				return this._language;
+
+			return this._packs.has(language) ? language : this._defaultLanguage;
+		}
+
+		_Compile(language)
+		{
+			language = this._GetLanguage(language);
+
+			if (!this._compiled.has(language))
+			{
+				const pack = this._packs.get(language) || FALLBACK_PACK;
+				const definitions = (pack["normalise"] && pack["normalise"]["rules"]) || {};
+				const strip = [];
+				const map = new Map();
+
+				for (const rule of this._rules.get(language) || [])
+				{
+					const definition = definitions[rule];
+
+					if (!definition)
+					{
+						console.warn(CONSOLE_PREFIX + "Unknown rule ignored: " + rule);
+						continue;
+					}
+
+					if (definition["strip"])
+						strip.push(definition["strip"]);
+
+					for (const from of Object.keys(definition["map"] || {}))
+						map.set(from, definition["map"][from]);
+				}
+
+				this._compiled.set(language, {
+					alphabet: new Set(Array.from(pack["alphabet"] || "")),
+					strip: strip.length ? new RegExp("[" + strip.join("") + "]", "g") : null,
+					map: map
+				});
+			}
+
+			return this._compiled.get(language);
+		}
+
+		SetLanguage(language)
+		{
+			this._language = this._GetLanguage(language || this._defaultLanguage);
+
+			const pack = this.GetPack();
+			if (typeof document !== "undefined" && pack)
+			{
+				document.documentElement.lang = pack["tag"] || "";
+				document.documentElement.dir = pack["direction"] || "ltr";
+			}
+
+			return this._language;
+		}
+
+		GetLanguage()
+		{
+			return this._language;
+		}
+
+		GetDefaultLanguage()
+		{
+			return this._defaultLanguage;
+		}
+
+		// The language the player last picked, or the default pack.
+		GetSavedLanguage()
+		{
+			let saved = "";
+
+			try {
+				saved = localStorage.getItem(STORAGE_KEY) || "";
+			}
+			catch (err)
+			{
+				saved = "";
+			}
+
+			return this._packs.has(saved) ? saved : this._defaultLanguage;
+		}
+
+		SaveLanguage(language)
+		{
+			try {
+				localStorage.setItem(STORAGE_KEY, language);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save language: ", err);
+			}
+
+			return this.SetLanguage(language);
+		}
+
+		IsRTL(language)
+		{
+			const pack = this.GetPack(language);
+			return (pack && pack["direction"] === "rtl") ? 1 : 0;
+		}
+
+		SetRules(language, rules)
+		{
+			language = this._GetLanguage(language);
+			this._rules.set(language, ParseRules(rules));
+			this._compiled.delete(language);
+			return this.GetRules(language);
+		}
+
+		GetRules(language)
+		{
+			return (this._rules.get(this._GetLanguage(language)) || []).join(",");
+		}
+
+		// The form every word and letter is compared in.
+		Normalise(word, language)
+		{
+			const compiled = this._Compile(language);
+			let result = String(word || "").trim().normalize("NFC").toLocaleLowerCase();
+
+			if (compiled.strip)
+				result = result.replace(compiled.strip, "");
+
+			if (compiled.map.size)
+				result = Array.from(result, ch => compiled.map.get(ch) || ch).join("");
+
+			return result;
+		}
+
+		// Whether a normalised word only uses the language's letters (and has the length, if given).
+		IsValidWord(word, language, length)
+		{
+			const letters = Array.from(word || "");
+			const alphabet = this._Compile(language).alphabet;
+
+			if (!letters.length || (alphabet.size && !letters.every(ch => alphabet.has(ch))))
+				return 0;
+
+			if (length && letters.length !== Number(length))
+				return 0;
+
+			return 1;
+		}
+
+		// The keyboard rows as keyboard.txt text, in reading order.
+		GetKeyboard(language)
+		{
+			const pack = this.GetPack(language) || FALLBACK_PACK;
+			return (pack["keyboard"] || []).join("\n");
+		}
+
+		// The letter a physical key (KeyboardEvent.code) stands for in the pack, or "".
+		GetPhysicalKey(code, language)
+		{
+			const pack = this.GetPack(language);
+			return (pack && pack["physicalKeys"] && pack["physicalKeys"][code]) || "";
+		}
+
+		// URL of the pack's answer list for a word length, or "" if it has none.
+		GetAnswersUrl(language, length)
+		{
+			const pack = this.GetPack(language);
+			const file = pack && pack["answers"] && pack["answers"][length];
+			return file ? pack.baseUrl + file : "";
+		}
+
+		// The word lengths the pack has both answers and allowed guesses for, smallest first.
+		GetLengths(language)
+		{
+			const pack = this.GetPack(language);
+
+			if (!pack || !pack["answers"] || !pack["allowed"])
+				return [];
+
+			return Object.keys(pack["answers"]).map(Number)
+				.filter(length => length > 0 && pack["allowed"][length])
+				.sort((a, b) => a - b);
+		}
+
+		// URL of the pack's allowed-guess list for a word length, or "" if it has none.
+		GetAllowedUrl(language, length)
+		{
+			const pack = this.GetPack(language);
+			const file = pack && pack["allowed"] && pack["allowed"][length];
+			return file ? pack.baseUrl + file : "";
+		}
+
+		// A UI string from the pack, falling back to the default pack's, with {placeholders} filled.
+		GetString(key, params, language)
+		{
+			const pack = this.GetPack(language) || FALLBACK_PACK;
+			const fallback = this._packs.get(this._defaultLanguage) || FALLBACK_PACK;
+			const strings = pack["strings"] || {};
+			const text = (key in strings) ? strings[key] : (fallback["strings"] || {})[key];
+
+			if (text === undefined)
+				return "";
+
+			params = Object.assign({}, params);
+			if ("n" in params)
+			{
+				const ordinals = strings["ordinals"] || [];
+				params["nth"] = ordinals[params["n"] - 1] || params["n"];
+			}
+
+			return Format(text, params);
+		}
+
+		_Call(name, params)
+		{
+			if (global.GameFunctions)
+				global.GameFunctions.Call(name, params);
+		}
+	};
+
+	global.WordleLanguage = new WordleLanguage(typeof document !== "undefined" ? document.currentScript : null);
+
+	if (typeof module === "object" && module.exports)
+		module.exports = global.WordleLanguage;
+
+}(typeof self !== "undefined" ? self : globalThis));
@@ -0,0 +1,172 @@
+"use strict";
+
+// Language picker for the Custom Wordle menu: lists every language pack language.js found and
+// remembers the player's choice. Load after language.js:
+//
+//   <script src="../shared/wordle/languagepicker.js"></script>
+//
+// The menu's language button opens it with Browser.ExecJS("WordleLanguagePicker.Show()"). Picking
+// a language calls the event-sheet Function "OnLanguageChanged" with the pack id, where the
+// sheet sets Language and restarts, so "Words" and "Keyboard" load the new pack.
+
+(function () {
+
+	const STYLE = `
+.phx-lang-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center;
+	background: rgba(0, 0, 0, 0.6); font: 16px/1.4 sans-serif; color: #fff; }
+.phx-lang-panel { width: min(92vw, 320px); max-height: 90vh; display: flex; flex-direction: column; background: #1d2235;
+	border-radius: 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5); overflow: hidden; }
+.phx-lang-header { display: flex; align-items: center; padding: 12px 16px; font-size: 18px; font-weight: bold; }
+.phx-lang-header span { flex: 1; }
+.phx-lang-close { background: none; border: 0; color: inherit; font-size: 24px; line-height: 1; cursor: pointer; }
+.phx-lang-list { overflow-y: auto; padding: 0 16px 16px; }
+.phx-lang-option { display: block; width: 100%; margin-top: 8px; padding: 10px 12px; background: #151928; border: 2px solid transparent;
+	border-radius: 8px; color: inherit; font: inherit; text-align: start; cursor: pointer; }
+.phx-lang-option[aria-checked="true"] { border-color: #f5b731; }
+`;
+
+	function CreateElem(tag, className, text)
+	{
+		const elem = document.createElement(tag);
+
+		if (className)
+			elem.className = className;
+		if (text)
+			elem.textContent = text;
+
+		return elem;
+	};
+
+	class WordleLanguagePicker
+	{
+		constructor()
+		{
+			this._overlayElem = null;
+			this._styleAdded = false;
+
+			this._onKeyDown = (e) =>
+			{
+				if (e.key !== "Escape")
+					return;
+
+				e.stopPropagation();
+				this.Hide();
+			};
+		}
+
+		Show()
+		{
+			if (this._overlayElem)
+				return 1;
+
+			this._AddStyle();
+			this._overlayElem = this._CreatePanel();
+			document.body.appendChild(this._overlayElem);
+			document.addEventListener("keydown", this._onKeyDown, true);
+
+			// The packs may still be loading; fill the list when they are.
+			window.WordleLanguage.LoadPacks().then(() => this._RenderList());
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		Hide()
+		{
+			if (!this._overlayElem)
+				return 0;
+
+			document.removeEventListener("keydown", this._onKeyDown, true);
+			this._overlayElem.remove();
+			this._overlayElem = null;
+			return 1;
+		}
+
+		IsShowing()
+		{
+			return this._overlayElem ? 1 : 0;
+		}
+
+		Select(language)
+		{
+			language = window.WordleLanguage.SaveLanguage(language);
+			this.Hide();
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnLanguageChanged", [language]);
+
+			return language;
+		}
+
+		_AddStyle()
+		{
+			if (this._styleAdded)
+				return;
+
+			const styleElem = document.createElement("style");
+			styleElem.textContent = STYLE;
+			document.head.appendChild(styleElem);
+			this._styleAdded = true;
+		}
+
+		_CreatePanel()
+		{
+			const overlay = CreateElem("div", "phx-lang-overlay");
+			overlay.setAttribute("data-phx-ui", "");		// stays usable while the game is paused (pause.js)
+			const panel = CreateElem("div", "phx-lang-panel");
+			panel.setAttribute("role", "dialog");
+			panel.setAttribute("aria-label", "Language");
+
+			const header = CreateElem("div", "phx-lang-header");
+			header.appendChild(CreateElem("span", "", "Language"));
+			const closeButton = CreateElem("button", "phx-lang-close", "×");
+			closeButton.type = "button";
+			closeButton.setAttribute("aria-label", "Close");
+			closeButton.addEventListener("click", () => this.Hide());
+			header.appendChild(closeButton);
+
+			const list = CreateElem("div", "phx-lang-list");
+			list.setAttribute("role", "radiogroup");
+
+			panel.appendChild(header);
+			panel.appendChild(list);
+			overlay.appendChild(panel);
+
+			overlay.addEventListener("pointerdown", e => e.stopPropagation());
+			overlay.addEventListener("click", e =>
+			{
+				if (e.target === overlay)
+					this.Hide();
+			});
+
+			return overlay;
+		}
+
+		_RenderList()
+		{
+			if (!this._overlayElem)
+				return;
+
+			const list = this._overlayElem.querySelector(".phx-lang-list");
+			const current = window.WordleLanguage.GetSavedLanguage();
+			list.textContent = "";
+
+			for (const language of window.WordleLanguage.GetLanguages())
+			{
+				const option = CreateElem("button", "phx-lang-option", language.name);
+				option.type = "button";
+				option.lang = language.tag || "";
+				option.dir = language.direction || "ltr";
+				option.setAttribute("role", "radio");
+				option.setAttribute("aria-checked", language.id === current ? "true" : "false");
+				option.addEventListener("click", () => this.Select(language.id));
+				list.appendChild(option);
+			}
+
+			const checked = list.querySelector("[aria-checked='true']");
+			if (checked)
+				checked.focus();
+		}
+	};
+
+	window.WordleLanguagePicker = new WordleLanguagePicker();
+
+}());
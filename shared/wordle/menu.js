@@ -0,0 +1,329 @@
+"use strict";
+
+// Option buttons for the Custom Wordle builds, as a bar over the page: the layouts themselves only
+// have the language buttons, so the options the other Wordle modules offer are reached from here.
+//   menu        Continue (resume.js), Daily (daily.js), mode and its best (modes.js), word length
+//               (grid.js), Hard mode, colours (palette.js), language picker, statistics, and Share
+//               once today's puzzle is played; Solver too where solver.js is loaded
+//   game        the hint button, and the score and time left in blitz and endless
+//   game over   Share for the daily puzzle, and statistics
+// The labels come from the language pack (language.js). Load after game.js:
+//
+//   <script src="../shared/wordle/menu.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "Menu"        WordleMenu.Show() when the menu layout starts.
+//   "OnHintMenu"  WordleMenu.ShowHints(Score): the hint button calls this Function, so the sheet
+//                 can leave it alone while a row is animating (Control). Each kind shows its cost and
+//                 is greyed out while WordleHints.CanUse(kind, Score) returns 0; choosing one calls
+//                 the Function "OnHintPicked" with the kind.
+// game.js shows the game and game over bars itself and hides the bar when a game begins.
+
+(function () {
+
+	const TICK_MS = 250;
+	const HINT_KINDS = ["letter", "first", "absent"];
+	const HINT_LABELS = { letter: "hintKindLetter", first: "hintKindFirst", absent: "hintKindAbsent" };
+	const MODE_LABELS = { classic: "modeClassic", blitz: "modeBlitz", endless: "modeEndless" };
+
+	const STYLE = `
+.phx-menu-bar { position: fixed; left: 0; right: 0; bottom: 0; z-index: 9998; display: flex; flex-wrap: wrap; gap: 6px;
+	justify-content: center; padding: 8px; background: rgba(21, 25, 40, 0.9); font: 14px/1.4 sans-serif; color: #fff; }
+.phx-menu-bar.phx-menu-top { top: 0; bottom: auto; justify-content: flex-start; background: none; }
+.phx-menu-bar button { padding: 6px 10px; background: #3a3f52; border: 0; border-radius: 6px; color: #fff; font: inherit; cursor: pointer; }
+.phx-menu-bar button[aria-pressed="true"] { box-shadow: inset 0 0 0 2px #f5b731; }
+.phx-menu-info { align-self: center; padding: 0 6px; color: #aab; font-variant-numeric: tabular-nums; }
+.phx-menu-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center;
+	background: rgba(0, 0, 0, 0.6); font: 16px/1.4 sans-serif; color: #fff; }
+.phx-menu-panel { width: min(92vw, 320px); background: #1d2235; border-radius: 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+	padding: 0 16px 16px; }
+.phx-menu-header { display: flex; align-items: center; padding: 12px 0 4px; font-size: 18px; font-weight: bold; }
+.phx-menu-header span { flex: 1; }
+.phx-menu-close { background: none; border: 0; color: inherit; font-size: 24px; line-height: 1; cursor: pointer; }
+.phx-menu-option { display: flex; justify-content: space-between; width: 100%; margin-top: 8px; padding: 10px 12px; background: #151928;
+	border: 0; border-radius: 8px; color: inherit; font: inherit; text-align: start; cursor: pointer; }
+.phx-menu-option:disabled { opacity: 0.4; cursor: default; }
+.phx-menu-option span:last-child { color: #aab; }
+`;
+
+	function CreateElem(tag, className, text)
+	{
+		const elem = document.createElement(tag);
+
+		if (className)
+			elem.className = className;
+		if (text !== undefined && text !== "")
+			elem.textContent = text;
+
+		return elem;
+	};
+
+	function GetString(key, params)
+	{
+		return window.WordleLanguage.GetString(key, params);
+	};
+
+	function FormatTime(seconds)
+	{
+		return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0");
+	};
+
+	class WordleMenu
+	{
+		constructor()
+		{
+			this._barElem = null;
+			this._overlayElem = null;
+			this._infoElem = null;
+			this._timer = null;
+			this._styleAdded = false;
+
+			this._onKeyDown = (e) =>
+			{
+				if (e.key !== "Escape")
+					return;
+
+				e.stopPropagation();
+				this.HideHints();
+			};
+		}
+
+		// The menu layout's buttons.
+		Show()
+		{
+			// The packs may still be loading; the labels come from them.
+			window.WordleLanguage.LoadPacks().then(() => this._ShowBar(false, bar => this._AddMenuButtons(bar)));
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		// The hint button, with the score and clock of a blitz or endless run.
+		ShowGame()
+		{
+			this._ShowBar(true, bar =>
+			{
+				if (window.WordleHints)
+					this._AddButton(bar, GetString("menuHints"), () => window.GameFunctions.Call("OnHintMenu", []));
+
+				const modes = window.WordleModes;
+				if (modes && modes.IsRunning())
+				{
+					this._infoElem = bar.appendChild(CreateElem("span", "phx-menu-info"));
+					this._UpdateInfo();
+					this._timer = setInterval(() => this._UpdateInfo(), TICK_MS);
+				}
+			});
+
+			return 1;
+		}
+
+		ShowGameOver()
+		{
+			this._ShowBar(false, bar =>
+			{
+				if (window.WordleDaily && window.WordleDaily.IsDaily())
+					this._AddButton(bar, GetString("menuShare"), () => window.WordleDaily.Share());
+
+				this._AddButton(bar, GetString("statsTitle"), () => window.WordleStats.Show());
+			});
+
+			return 1;
+		}
+
+		Hide()
+		{
+			this.HideHints();
+
+			if (this._timer)
+			{
+				clearInterval(this._timer);
+				this._timer = null;
+			}
+
+			if (!this._barElem)
+				return 0;
+
+			this._barElem.remove();
+			this._barElem = null;
+			this._infoElem = null;
+			return 1;
+		}
+
+		ShowHints(score)
+		{
+			const hints = window.WordleHints;
+
+			if (this._overlayElem || !hints)
+				return 0;
+
+			this._AddStyle();
+
+			const overlay = CreateElem("div", "phx-menu-overlay");
+			overlay.setAttribute("data-phx-ui", "");		// stays usable while the game is paused (pause.js)
+			const panel = CreateElem("div", "phx-menu-panel");
+			panel.setAttribute("role", "dialog");
+			panel.setAttribute("aria-label", GetString("menuHints"));
+
+			const header = CreateElem("div", "phx-menu-header");
+			header.appendChild(CreateElem("span", "", GetString("menuHints")));
+			const closeButton = CreateElem("button", "phx-menu-close", "×");
+			closeButton.type = "button";
+			closeButton.setAttribute("aria-label", GetString("statsClose"));
+			closeButton.addEventListener("click", () => this.HideHints());
+			header.appendChild(closeButton);
+			panel.appendChild(header);
+
+			for (const kind of HINT_KINDS)
+			{
+				const option = CreateElem("button", "phx-menu-option");
+				option.type = "button";
+				option.disabled = !hints.CanUse(kind, score);
+				option.appendChild(CreateElem("span", "", GetString(HINT_LABELS[kind])));
+				option.appendChild(CreateElem("span", "", GetString("hintCost", { cost: hints.GetCost(kind) })));
+				option.addEventListener("click", () =>
+				{
+					this.HideHints();
+					window.GameFunctions.Call("OnHintPicked", [kind]);
+				});
+				panel.appendChild(option);
+			}
+
+			overlay.appendChild(panel);
+			overlay.addEventListener("pointerdown", e => e.stopPropagation());
+			overlay.addEventListener("click", e =>
+			{
+				if (e.target === overlay)
+					this.HideHints();
+			});
+
+			this._overlayElem = overlay;
+			document.body.appendChild(overlay);
+			document.addEventListener("keydown", this._onKeyDown, true);
+			closeButton.focus();
+			return 1;
+		}
+
+		HideHints()
+		{
+			if (!this._overlayElem)
+				return 0;
+
+			document.removeEventListener("keydown", this._onKeyDown, true);
+			this._overlayElem.remove();
+			this._overlayElem = null;
+			return 1;
+		}
+
+		_AddStyle()
+		{
+			if (this._styleAdded)
+				return;
+
+			const styleElem = document.createElement("style");
+			styleElem.textContent = STYLE;
+			document.head.appendChild(styleElem);
+			this._styleAdded = true;
+		}
+
+		_ShowBar(isTop, fill)
+		{
+			this.Hide();
+			this._AddStyle();
+
+			const bar = CreateElem("div", "phx-menu-bar" + (isTop ? " phx-menu-top" : ""));
+			bar.setAttribute("data-phx-ui", "");
+			bar.addEventListener("pointerdown", e => e.stopPropagation());
+			fill(bar);
+
+			this._barElem = bar;
+			document.body.appendChild(bar);
+		}
+
+		_AddButton(bar, label, onClick, pressed)
+		{
+			const button = CreateElem("button", "", label);
+			button.type = "button";
+
+			if (pressed !== undefined)
+				button.setAttribute("aria-pressed", pressed ? "true" : "false");
+
+			button.addEventListener("click", onClick);
+			bar.appendChild(button);
+			return button;
+		}
+
+		// Each option shows its new state straight away, so the bar is drawn again after it.
+		_AddMenuButtons(bar)
+		{
+			const refresh = () => this.Show();
+			const daily = window.WordleDaily;
+			const modes = window.WordleModes;
+			const grid = window.WordleGrid;
+
+			if (window.WordleResume && window.WordleResume.HasGame())
+				this._AddButton(bar, GetString("menuContinue"), () => window.WordleGame.Continue());
+
+			if (daily)
+			{
+				this._AddButton(bar, GetString("modeDaily"), () => { daily.SetDaily(!daily.IsDaily()); refresh(); }, daily.IsDaily());
+
+				if (daily.IsDaily() && !daily.CanPlayToday(window.WordleLanguage.GetLanguage()))
+					this._AddButton(bar, GetString("menuShare"), () => daily.Share());
+			}
+
+			if (modes && !(daily && daily.IsDaily()))
+			{
+				const mode = modes.GetMode();
+				const list = modes.GetModes().split("\n");
+				const label = GetString(MODE_LABELS[mode]) + (modes.GetHighScore(mode) ? " · " + GetString("menuBest", { score: modes.GetHighScore(mode) }) : "");
+
+				this._AddButton(bar, label, () => { modes.SetMode(list[(list.indexOf(mode) + 1) % list.length]); refresh(); });
+			}
+
+			// Endless sets the length itself.
+			if (grid && !(modes && modes.GetMode() === "endless"))
+			{
+				const lengths = grid.GetLengths().split(",").map(Number);
+				const length = grid.GetLength();
+
+				this._AddButton(bar, GetString("menuLength", { n: length }), () =>
+				{
+					grid.SetChoice(lengths[(lengths.indexOf(length) + 1) % lengths.length], grid.GetRows());
+					refresh();
+				});
+			}
+
+			if (window.WordleHardMode)
+				this._AddButton(bar, GetString("menuHardMode"), () => { window.WordleHardMode.Toggle(); refresh(); }, window.WordleHardMode.IsEnabled());
+
+			if (window.WordleSolver)
+				this._AddButton(bar, GetString("menuSolver"), () => { window.WordleSolver.Toggle(); refresh(); }, window.WordleSolver.IsEnabled());
+
+			if (window.WordlePalette)
+				this._AddButton(bar, GetString("menuPalette", { name: window.WordlePalette.GetName() }), () => { window.WordlePalette.Next(); refresh(); });
+
+			if (window.WordleLanguagePicker)
+				this._AddButton(bar, GetString("menuLanguage"), () => window.WordleLanguagePicker.Show());
+
+			if (window.WordleStats)
+				this._AddButton(bar, GetString("statsTitle"), () => window.WordleStats.Show());
+		}
+
+		_UpdateInfo()
+		{
+			const modes = window.WordleModes;
+
+			if (!this._infoElem || !modes.IsRunning())
+				return;
+
+			let text = GetString("menuScore", { score: modes.GetScore() });
+
+			if (modes.GetMode() === "blitz")
+				text += " · " + FormatTime(modes.GetTimeLeft());
+
+			this._infoElem.textContent = text;
+		}
+	};
+
+	window.WordleMenu = new WordleMenu();
+
+}());
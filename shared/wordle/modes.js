@@ -0,0 +1,332 @@
+"use strict";
+
+// Game modes for the Custom Wordle builds, chosen from the menu:
+//   "classic"  one word at a time, as before; a solved word adds WordleModes.GetWordPoints(<rows
+//              used>) to Score and the best stays in the Hiscore global
+//   "blitz"    solve as many words as possible before the clock runs out. Every solved word adds
+//              time, more the fewer rows it took; a missed word just moves on to the next one.
+//   "endless"  words keep coming until one is missed, and get harder: longer words and fewer
+//              rows as the level goes up (see LEVELS).
+// Blitz and endless each keep their own high score per language and build (storage.js). The daily
+// puzzle is always classic. Load after grid.js and language.js:
+//
+//   <script src="../shared/wordle/modes.js" data-blitz-minutes="3"></script>
+//
+// The mode is chosen on the menu bar (menu.js), which shows WordleModes.GetHighScore(mode) for
+// each and, during a run, the score and WordleModes.GetTimeLeft(). WordleGame (game.js) calls
+// Start() as a game begins (in endless mode this may change the board size, calling "OnGridReady"
+// (grid.js) before the first word), and WordSolved(<rows used>) or WordFailed() as each word
+// ends: in blitz the next word follows either way, in endless a missed word ends the run.
+//
+// The run ending (time up in blitz, a missed word in endless) calls the Function "OnModeOver"
+// with the score and 1 if it is a new high score. The clock stops while the game is paused
+// (pause.js).
+
+(function () {
+
+	const MODE_CLASSIC = "classic";
+	const MODE_BLITZ = "blitz";
+	const MODE_ENDLESS = "endless";
+	const MODES = [MODE_CLASSIC, MODE_BLITZ, MODE_ENDLESS];
+
+	const STORAGE_KEY = "wordle-game-mode";
+	const HIGHSCORE_PREFIX = "wordle-highscore:";
+	const CONSOLE_PREFIX = "[WordleModes] ";
+
+	const DEFAULT_BLITZ_MINUTES = 3;
+	const TICK_MS = 250;
+
+	// Blitz: seconds added for a solved word, plus more for every row left unused.
+	const BLITZ_BONUS_SECONDS = 10;
+	const BLITZ_BONUS_PER_ROW = 5;
+
+	// Points for a solved word, plus more for every row left unused; endless multiplies by level.
+	const WORD_POINTS = 100;
+	const ROW_POINTS = 25;
+
+	// Endless: the board from a level onwards. Where a language pack has no answers of a length, the
+	// longest shorter one it has is played, with the level's rows.
+	const LEVELS = [
+		{ level: 1, length: 5, rows: 6 },
+		{ level: 4, length: 6, rows: 6 },
+		{ level: 7, length: 6, rows: 5 },
+		{ level: 10, length: 7, rows: 5 },
+		{ level: 13, length: 7, rows: 4 },
+		{ level: 16, length: 8, rows: 4 }
+	];
+
+	class WordleModes
+	{
+		constructor(scriptElem)
+		{
+			const minutes = parseFloat((scriptElem && scriptElem.getAttribute("data-blitz-minutes")) || "");
+			this._blitzSeconds = (minutes > 0 ? minutes : DEFAULT_BLITZ_MINUTES) * 60;
+
+			this._mode = this._LoadMode();
+			this._running = false;
+			this._score = 0;
+			this._level = 1;
+			this._words = 0;
+
+			// Blitz clock: time left is counted down only while running and not paused.
+			this._timeLeft = 0;
+			this._lastTick = 0;
+			this._timer = null;
+		}
+
+		_LoadMode()
+		{
+			try {
+				const mode = localStorage.getItem(STORAGE_KEY);
+				return MODES.includes(mode) ? mode : MODE_CLASSIC;
+			}
+			catch (err)
+			{
+				return MODE_CLASSIC;
+			}
+		}
+
+		GetMode()
+		{
+			if (window.WordleDaily && window.WordleDaily.IsDaily())
+				return MODE_CLASSIC;
+
+			return this._mode;
+		}
+
+		GetModes()
+		{
+			return MODES.join("\n");
+		}
+
+		SetMode(mode)
+		{
+			if (!MODES.includes(mode))
+				return this.GetMode();
+
+			this.Stop();
+			this._mode = mode;
+
+			try {
+				localStorage.setItem(STORAGE_KEY, mode);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save mode: ", err);
+			}
+
+			// Back to the player's own board when leaving endless.
+			if (mode !== MODE_ENDLESS && window.WordleGrid)
+				window.WordleGrid.Load();
+
+			return this.GetMode();
+		}
+
+		Start()
+		{
+			this.Stop();
+			this._score = 0;
+			this._level = 1;
+			this._words = 0;
+
+			const mode = this.GetMode();
+			if (mode === MODE_CLASSIC)
+				return 1;
+
+			this._running = true;
+
+			if (mode === MODE_BLITZ)
+			{
+				this._timeLeft = this._blitzSeconds;
+				this._lastTick = Date.now();
+				this._timer = setInterval(() => this._Tick(), TICK_MS);
+			}
+			else
+			{
+				this._ApplyLevel(true);
+			}
+
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		Stop()
+		{
+			this._running = false;
+
+			if (this._timer)
+			{
+				clearInterval(this._timer);
+				this._timer = null;
+			}
+
+			return 1;
+		}
+
+		IsRunning()
+		{
+			return this._running ? 1 : 0;
+		}
+
+		WordSolved(rowsUsed)
+		{
+			if (!this._running)
+				return this._score;
+
+			const rowsLeft = this._GetRowsLeft(rowsUsed);
+
+			this._words++;
+
+			if (this.GetMode() === MODE_BLITZ)
+			{
+				this._score += this.GetWordPoints(rowsUsed);
+				this._timeLeft += BLITZ_BONUS_SECONDS + BLITZ_BONUS_PER_ROW * rowsLeft;
+			}
+			else
+			{
+				this._score += this.GetWordPoints(rowsUsed) * this._level;
+				this._level++;
+				this._ApplyLevel(false);
+			}
+
+			return this._score;
+		}
+
+		_GetRowsLeft(rowsUsed)
+		{
+			const maxRows = window.WordleGrid ? window.WordleGrid.GetRows() : 6;
+			return Math.max(0, maxRows - (parseInt(rowsUsed, 10) || maxRows));
+		}
+
+		// Points for a word solved in rowsUsed rows; classic adds them to Score (game.js).
+		GetWordPoints(rowsUsed)
+		{
+			return WORD_POINTS + ROW_POINTS * this._GetRowsLeft(rowsUsed);
+		}
+
+		WordFailed()
+		{
+			if (this._running && this.GetMode() === MODE_ENDLESS)
+				this._End();
+
+			return this._score;
+		}
+
+		// Points spent on a hint (hints.js); the score doesn't go below zero.
+		Deduct(points)
+		{
+			this._score = Math.max(0, this._score - (Number(points) || 0));
+			return this._score;
+		}
+
+		GetScore()
+		{
+			return this._score;
+		}
+
+		GetLevel()
+		{
+			return this._level;
+		}
+
+		GetWordsSolved()
+		{
+			return this._words;
+		}
+
+		GetTimeLeft()
+		{
+			return Math.max(0, Math.ceil(this._timeLeft));
+		}
+
+		GetHighScore(mode)
+		{
+			mode = mode || this.GetMode();
+
+			if (mode === MODE_CLASSIC)
+				return 0;		// kept by the event sheet in Hiscore
+
+			try {
+				return parseInt(WordleStorage.GetItem(this._GetHighScoreKey(mode)), 10) || 0;
+			}
+			catch (err)
+			{
+				return 0;
+			}
+		}
+
+		_GetHighScoreKey(mode)
+		{
+			const language = window.WordleLanguage ? window.WordleLanguage.GetLanguage() : "";
+			return HIGHSCORE_PREFIX + mode + ":" + language;
+		}
+
+		_Tick()
+		{
+			const now = Date.now();
+			const elapsed = (now - this._lastTick) / 1000;
+			this._lastTick = now;
+
+			if (window.GamePause && window.GamePause.IsPaused())
+				return;
+
+			this._timeLeft -= elapsed;
+
+			if (this._timeLeft <= 0)
+			{
+				this._timeLeft = 0;
+				this._End();
+			}
+		}
+
+		// The board for the current level.
+		_ApplyLevel(force)
+		{
+			if (!window.WordleGrid)
+				return;
+
+			const current = LEVELS.filter(entry => entry.level <= this._level).pop();
+			const length = this._FitLength(current.length);
+
+			if (force || length !== window.WordleGrid.GetLength() || current.rows !== window.WordleGrid.GetRows())
+				window.WordleGrid.Use(length, current.rows);
+		}
+
+		// The longest length up to length that the language has answers for.
+		_FitLength(length)
+		{
+			const lengths = window.WordleLanguage ? window.WordleLanguage.GetLengths() : [];
+
+			if (!lengths.length)
+				return length;
+
+			return lengths.filter(l => l <= length).pop() || lengths[0];
+		}
+
+		_End()
+		{
+			const mode = this.GetMode();
+			const isNewHigh = this._score > this.GetHighScore(mode);
+
+			this.Stop();
+
+			if (isNewHigh)
+			{
+				try {
+					WordleStorage.SetItem(this._GetHighScoreKey(mode), String(this._score));
+				}
+				catch (err)
+				{
+					console.warn(CONSOLE_PREFIX + "Unable to save high score: ", err);
+				}
+			}
+
+			console.log(CONSOLE_PREFIX + mode + " over: " + this._score + (isNewHigh ? " (new high score)" : ""));
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnModeOver", [this._score, isNewHigh ? 1 : 0]);
+		}
+	};
+
+	window.WordleModes = new WordleModes(document.currentScript);
+
+}());
@@ -0,0 +1,200 @@
+"use strict";
+
+// Tile palettes for the Custom Wordle builds, for players who can't easily tell the standard green,
+// yellow and grey apart:
+//   "standard"  the usual colours, drawn by the Item and key_color animation frames as before
+//   "contrast"  orange for the right place, blue for elsewhere in the word
+//   "mono"      shades of grey; GetGlyph() gives each result a glyph for text
+// The choice is kept in LocalStorage. Until the player picks one, "contrast" is used when the
+// system asks for more contrast (prefers-contrast), following that setting as it changes. Load
+// after colors.js:
+//
+//   <script src="../shared/wordle/palette.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   Menu          the palette button on the menu bar (menu.js) calls WordlePalette.Next();
+//                 WordlePalette.Set(id) picks one directly.
+//   "Color cell" / "Color key"  called with a cell's or key's result: the animation frame is set as
+//                 before; unless WordlePalette.IsStandard() returns 1, the sprite then goes to frame 0
+//                 and its colour is set to rgbEx255(WordlePalette.GetRGB(result, 0),
+//                 WordlePalette.GetRGB(result, 1), WordlePalette.GetRGB(result, 2)).
+//
+// Changing the palette calls the Function "OnPaletteChanged" with its id, where the sheet calls
+// "Color cell" for every scored cell and "Color keys" again. The daily share grid (daily.js) and
+// the statistics panel (stats.js) use the palette too, and <html> gets a data-palette attribute
+// for any page CSS.
+
+(function () {
+
+	const STORAGE_KEY = "wordle-palette";
+	const CONSOLE_PREFIX = "[WordlePalette] ";
+
+	const PALETTE_STANDARD = "standard";
+	const PALETTE_CONTRAST = "contrast";
+
+	const C = WordleColors;
+
+	const PALETTES = [
+		{
+			id: PALETTE_STANDARD,
+			name: "Standard",
+			rgb: { [C.CORRECT]: [83, 141, 78], [C.PRESENT]: [181, 159, 59], [C.ABSENT]: [58, 58, 60], [C.UNSCORED]: [129, 131, 132] },
+			glyphs: {},
+			emoji: { [C.CORRECT]: "🟩", [C.PRESENT]: "🟨", [C.ABSENT]: "⬛" }
+		},
+		{
+			id: PALETTE_CONTRAST,
+			name: "High contrast",
+			rgb: { [C.CORRECT]: [245, 121, 58], [C.PRESENT]: [133, 192, 249], [C.ABSENT]: [58, 58, 60], [C.UNSCORED]: [129, 131, 132] },
+			glyphs: {},
+			emoji: { [C.CORRECT]: "🟧", [C.PRESENT]: "🟦", [C.ABSENT]: "⬛" }
+		},
+		{
+			id: "mono",
+			name: "Monochrome",
+			rgb: { [C.CORRECT]: [235, 235, 235], [C.PRESENT]: [150, 150, 150], [C.ABSENT]: [45, 45, 45], [C.UNSCORED]: [100, 100, 100] },
+			glyphs: { [C.CORRECT]: "✓", [C.PRESENT]: "↔", [C.ABSENT]: "✕" },
+			emoji: { [C.CORRECT]: "⬜", [C.PRESENT]: "🔳", [C.ABSENT]: "⬛" }
+		}
+	];
+
+	class WordlePalette
+	{
+		constructor()
+		{
+			this._saved = this._LoadSaved();
+			this._contrastQuery = window.matchMedia ? window.matchMedia("(prefers-contrast: more)") : null;
+			this._palette = this._GetPalette(this._saved || this._GetSystemDefault());
+
+			// Follow the system setting, until the player has chosen for themselves.
+			if (this._contrastQuery && this._contrastQuery.addEventListener)
+			{
+				this._contrastQuery.addEventListener("change", () =>
+				{
+					if (!this._saved)
+						this._Apply(this._GetSystemDefault());
+				});
+			}
+
+			this._SetAttribute();
+		}
+
+		_LoadSaved()
+		{
+			try {
+				const id = localStorage.getItem(STORAGE_KEY);
+				return PALETTES.some(p => p.id === id) ? id : "";
+			}
+			catch (err)
+			{
+				return "";
+			}
+		}
+
+		_GetSystemDefault()
+		{
+			return (this._contrastQuery && this._contrastQuery.matches) ? PALETTE_CONTRAST : PALETTE_STANDARD;
+		}
+
+		_GetPalette(id)
+		{
+			return PALETTES.find(p => p.id === id) || PALETTES[0];
+		}
+
+		_SetAttribute()
+		{
+			if (document.documentElement)
+				document.documentElement.setAttribute("data-palette", this._palette.id);
+		}
+
+		_Apply(id)
+		{
+			const palette = this._GetPalette(id);
+
+			if (palette === this._palette)
+				return;
+
+			this._palette = palette;
+			this._SetAttribute();
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnPaletteChanged", [palette.id]);
+		}
+
+		Set(id)
+		{
+			if (!PALETTES.some(p => p.id === id))
+			{
+				console.warn(CONSOLE_PREFIX + "Unknown palette '" + id + "'");
+				return this.GetPalette();
+			}
+
+			this._saved = id;
+
+			try {
+				localStorage.setItem(STORAGE_KEY, id);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save palette: ", err);
+			}
+
+			this._Apply(id);
+			return this.GetPalette();
+		}
+
+		// The palette after the current one, for a menu button that cycles through them.
+		Next()
+		{
+			const index = PALETTES.indexOf(this._palette);
+			return this.Set(PALETTES[(index + 1) % PALETTES.length].id);
+		}
+
+		GetPalette()
+		{
+			return this._palette.id;
+		}
+
+		GetName()
+		{
+			return this._palette.name;
+		}
+
+		GetPalettes()
+		{
+			return PALETTES.map(p => p.id).join("\n");
+		}
+
+		IsStandard()
+		{
+			return this._palette.id === PALETTE_STANDARD ? 1 : 0;
+		}
+
+		// One channel (0 red, 1 green, 2 blue) of a result's colour, 0-255.
+		GetRGB(result, channel)
+		{
+			const rgb = this._palette.rgb[Number(result)] || this._palette.rgb[C.UNSCORED];
+			return rgb[Number(channel)] || 0;
+		}
+
+		// A result's colour for CSS, for the HTML panels.
+		GetColor(result)
+		{
+			return "rgb(" + [0, 1, 2].map(channel => this.GetRGB(result, channel)).join(", ") + ")";
+		}
+
+		GetGlyph(result)
+		{
+			return this._palette.glyphs[Number(result)] || "";
+		}
+
+		// A result as a square in the share grid.
+		GetEmoji(result)
+		{
+			return this._palette.emoji[Number(result)] || this._palette.emoji[C.ABSENT];
+		}
+	};
+
+	window.WordlePalette = new WordlePalette();
+
+}());
@@ -0,0 +1,248 @@
+"use strict";
+
+// Continue an unfinished Custom Wordle game after a reload or after the tab was killed. The board
+// is saved to LocalStorage after every submitted row: which answer it was (by its place in the
+// answer list, or the day for the daily puzzle, with a checksum, so the word itself isn't readable
+// from storage), the language and board size, each guess with its colours, the keyboard colours,
+// the hints used, and the score and timer. Each build keeps its own (storage.js). Load after the
+// other Wordle modules:
+//
+//   <script src="../shared/wordle/resume.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   Menu          show the Continue button when WordleResume.HasGame() returns 1. Continue calls
+//                 WordleResume.Restore(); new game calls WordleResume.Discard().
+//   "New word"    WordleResume.Begin(Word, Language)
+//   "Set color"   after each row is scored:
+//                 WordleResume.RecordRow(<the row's letters>, Array_color.AsJSON, Score, <timer>)
+//   "Level Win" / "Game Over":  WordleResume.Discard()
+//
+// Restore() answers by calling the Function "OnResumeGame" with the word, language, number of
+// rows played, score and timer. The sheet then sets Word and, for each row r below that count,
+// fills Array_line_letter from WordleResume.GetGuess(r) and Array_color from
+// WordleResume.GetColors(r) (Array JSON) before colouring the row's cells. The keyboard colours,
+// hard mode hints, hints used (hints.js) and the daily puzzle's progress are restored by Restore()
+// itself. If the saved game can't be restored, "OnResumeFailed" is called instead and the save is
+// dropped.
+
+(function () {
+
+	const STORAGE_KEY = "wordle-resume";
+	const CONSOLE_PREFIX = "[WordleResume] ";
+	const SAVE_VERSION = 1;
+
+	// FNV-1a, to check the saved answer id still points at the same word.
+	function HashString(str)
+	{
+		let h = 0x811c9dc5;
+
+		for (let i = 0; i < str.length; ++i)
+		{
+			h ^= str.charCodeAt(i);
+			h = Math.imul(h, 0x01000193);
+		}
+
+		return h >>> 0;
+	};
+
+	class WordleResume
+	{
+		constructor()
+		{
+			this._game = null;			// the game being played, as saved
+			this._restored = null;		// the saved game Restore() loaded
+		}
+
+		_Load()
+		{
+			try {
+				const game = JSON.parse(WordleStorage.GetItem(STORAGE_KEY) || "null");
+				return (game && game.version === SAVE_VERSION) ? game : null;
+			}
+			catch (err)
+			{
+				return null;
+			}
+		}
+
+		_Save()
+		{
+			try {
+				WordleStorage.SetItem(STORAGE_KEY, JSON.stringify(this._game));
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save game: ", err);
+			}
+		}
+
+		// Whether there is an unfinished game to continue for the current board size. One that
+		// was saved on another size is left for when that size is played again.
+		HasGame()
+		{
+			const game = this._Load();
+
+			if (!game || !game.rows.length)
+				return 0;
+
+			if (window.WordleGrid && (game.length !== window.WordleGrid.GetLength() || game.maxRows !== window.WordleGrid.GetRows()))
+				return 0;
+
+			return 1;
+		}
+
+		Begin(word, language)
+		{
+			language = language || window.WordleLanguage.GetLanguage();
+			const normalised = window.WordLists.NormaliseWord(word, language);
+			const length = Array.from(normalised).length;
+
+			this._game = {
+				version: SAVE_VERSION,
+				language: language,
+				length: length,
+				maxRows: window.WordleGrid ? window.WordleGrid.GetRows() : 6,
+				wordId: window.WordLists.GetAnswerId(normalised, language, length),
+				check: HashString(normalised),
+				daily: (window.WordleDaily && window.WordleDaily.IsDaily()) ? window.WordleDaily.GetDayNumber() : 0,
+				rows: [],
+				keys: "{}",
+				hints: "[]",
+				score: 0,
+				time: 0,
+				savedAt: 0
+			};
+
+			// Not from the answer list (e.g. a custom word): nothing to save it by.
+			if (!this._CanSave())
+				console.warn(CONSOLE_PREFIX + "Word isn't in the answer list, the game can't be resumed");
+
+			// Nothing to resume until a row has been played.
+			this.Discard();
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		RecordRow(guess, arrayJson, score, time)
+		{
+			if (!this._game || !this._CanSave())
+				return 0;
+
+			let colors;
+
+			try {
+				colors = WordleColors.ParseRow(arrayJson);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read row: ", err);
+				return 0;
+			}
+
+			this._game.rows.push({ guess: String(guess || ""), colors: colors });
+			this._game.keys = window.WordleScoring.GetKeyColors();
+			this._game.hints = window.WordleHints ? window.WordleHints.GetUsed() : "[]";
+			this._game.score = Number(score) || 0;
+			this._game.time = Number(time) || 0;
+			this._game.savedAt = Date.now();
+			this._Save();
+			return this._game.rows.length;
+		}
+
+		// The daily word is found again from the day; any other word by its place in the list.
+		_CanSave()
+		{
+			return this._game.wordId >= 0 || this._game.daily > 0;
+		}
+
+		Discard()
+		{
+			try {
+				WordleStorage.RemoveItem(STORAGE_KEY);
+			}
+			catch (err)
+			{
+				// nothing saved then
+			}
+
+			return 1;
+		}
+
+		async Restore()
+		{
+			const game = this._Load();
+
+			try {
+				if (!game)
+					throw new Error("no saved game");
+
+				if (game.daily && (!window.WordleDaily || game.daily !== window.WordleDaily.GetDayNumber()))
+					throw new Error("yesterday's daily puzzle");
+
+				const word = game.daily ? await window.WordleDaily.GetWord(game.language)
+					: await window.WordLists.GetAnswerById(game.wordId, game.language, game.length);
+
+				if (!word || HashString(word) !== game.check)
+					throw new Error("the word list has changed");
+
+				window.WordleScoring.SetKeyColors(game.keys);
+
+				if (window.WordleHardMode)
+				{
+					window.WordleHardMode.Reset();
+					for (const row of game.rows)
+						window.WordleHardMode.RecordRow(row.guess, row.colors, game.language);
+				}
+
+				if (window.WordleHints)
+				{
+					window.WordleHints.Begin(word, game.language);
+					for (const row of game.rows)
+						window.WordleHints.RecordRow(row.guess, row.colors);
+					window.WordleHints.SetUsed(game.hints || "[]");
+				}
+
+				if (game.daily)
+					window.WordleDaily.Resume(game.language);
+
+				this._game = game;
+				this._restored = game;
+
+				if (window.GameFunctions)
+					window.GameFunctions.Call("OnResumeGame", [word, game.language, game.rows.length, game.score, game.time]);
+
+				return word;
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to resume: ", err);
+				this.Discard();
+
+				if (window.GameFunctions)
+					window.GameFunctions.Call("OnResumeFailed", []);
+
+				return "";
+			}
+		}
+
+		// Rows played in the restored game.
+		GetRowCount()
+		{
+			return this._restored ? this._restored.rows.length : 0;
+		}
+
+		GetGuess(r)
+		{
+			const row = this._restored && this._restored.rows[Number(r)];
+			return row ? row.guess : "";
+		}
+
+		GetColors(r)
+		{
+			const row = this._restored && this._restored.rows[Number(r)];
+			return window.WordleScoring.ToArrayJSON(row ? row.colors : []);
+		}
+	};
+
+	window.WordleResume = new WordleResume();
+
+}());
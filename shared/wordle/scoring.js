@@ -0,0 +1,181 @@
+"use strict";
+
+// Scoring for the Custom Wordle builds, replacing the per-letter colouring in "Set color", which
+// marked every repeat of a letter yellow ("EERIE" against "THEME" gave three yellow E's). A guess
+// is scored in two passes: exact matches first, then each remaining letter is yellow only while
+// the answer still has unmatched copies of it. Letters are compared after the language's
+// normalisation (language.js), so أ in a guess scores as the ا of the answer. Load after colors.js
+// and language.js:
+//
+//   <script src="../shared/wordle/colors.js"></script>
+//   <script src="../shared/wordle/language.js"></script>
+//   <script src="../shared/wordle/scoring.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "Set color"  Array_color Load from JSON WordleScoring.ScoreRow(<the row's letters>, Word)
+//                instead of comparing each letter of Array_line_letter with Word on its own; the
+//                same call updates the keyboard.
+//   "Keyboard"   colour each key (the key_color frame and its Array_key entry) with
+//                WordleScoring.GetKeyColor(<key letter>). A key only ever goes up, so a green key
+//                stays green when a later guess has that letter elsewhere.
+//   "New word"   WordleScoring.Reset()
+//
+// Score() and the other functions have no DOM or runtime dependencies, so they are tested under
+// Node: see scoring.test.js (node --test shared/wordle/).
+
+(function (global) {
+
+	const Colors = global.WordleColors || require("./colors.js");
+
+	// Letters are compared the same way wordlists.js compares words. Without language.js (e.g. in a
+	// test) that is just trimmed and lower case.
+	function SplitLetters(word, language)
+	{
+		if (global.WordleLanguage)
+			return Array.from(global.WordleLanguage.Normalise(word, language));
+
+		return Array.from(String(word || "").trim().normalize("NFC").toLocaleLowerCase());
+	};
+
+	// Returns one WordleColors value per letter of the guess.
+	function Score(guess, answer, language)
+	{
+		return ScoreLetters(SplitLetters(guess, language), SplitLetters(answer, language));
+	};
+
+	// Score() for words already split into normalised letters, for callers scoring many words.
+	function ScoreLetters(guessLetters, answerLetters)
+	{
+		const result = guessLetters.map(() => Colors.ABSENT);
+		const remaining = new Map();		// answer letter -> copies not matched exactly
+
+		// First pass: right letter, right place.
+		guessLetters.forEach((letter, i) =>
+		{
+			if (letter === answerLetters[i])
+				result[i] = Colors.CORRECT;
+			else if (i < answerLetters.length)
+				remaining.set(answerLetters[i], (remaining.get(answerLetters[i]) || 0) + 1);
+		});
+
+		for (let i = guessLetters.length; i < answerLetters.length; ++i)
+			remaining.set(answerLetters[i], (remaining.get(answerLetters[i]) || 0) + 1);
+
+		// Second pass: present elsewhere, left to right, while copies are left over.
+		guessLetters.forEach((letter, i) =>
+		{
+			if (result[i] === Colors.CORRECT)
+				return;
+
+			const count = remaining.get(letter) || 0;
+			if (count > 0)
+			{
+				result[i] = Colors.PRESENT;
+				remaining.set(letter, count - 1);
+			}
+		});
+
+		return result;
+	};
+
+	// A C3 Array's JSON for one row of values, for "Load from JSON" into Array_color.
+	function ToArrayJSON(values)
+	{
+		return JSON.stringify({
+			"c2array": true,
+			"size": [values.length, 1, 1],
+			"data": values.map(v => [[v]])
+		});
+	};
+
+	// The better of two results for a keyboard key.
+	function MergeKeyColor(current, next)
+	{
+		return Math.max(current || Colors.UNSCORED, next || Colors.UNSCORED);
+	};
+
+	class WordleScoring
+	{
+		constructor()
+		{
+			this._keys = new Map();			// letter -> best result so far
+		}
+
+		Score(guess, answer, language)
+		{
+			return Score(guess, answer, language);
+		}
+
+		ScoreLetters(guessLetters, answerLetters)
+		{
+			return ScoreLetters(guessLetters, answerLetters);
+		}
+
+		// Scores a row, records it for the keyboard and returns it as Array JSON.
+		ScoreRow(guess, answer, language)
+		{
+			const colors = Score(guess, answer, language);
+			this.UpdateKeys(guess, colors, language);
+			return ToArrayJSON(colors);
+		}
+
+		// Adds a scored row to the keyboard colours; accepts Array_color.AsJSON or a plain array.
+		UpdateKeys(guess, colors, language)
+		{
+			colors = Colors.ParseRow(colors);
+
+			SplitLetters(guess, language).forEach((letter, i) =>
+			{
+				this._keys.set(letter, MergeKeyColor(this._keys.get(letter), colors[i]));
+			});
+
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		// Keys for letter forms that normalise to the same letter (ة and ه) share a colour.
+		GetKeyColor(letter, language)
+		{
+			return this._keys.get(SplitLetters(letter, language).join("")) || Colors.UNSCORED;
+		}
+
+		Reset()
+		{
+			this._keys.clear();
+			return 1;
+		}
+
+		// The keyboard colours as JSON ({ letter: result }), for saving a game in progress.
+		GetKeyColors()
+		{
+			return JSON.stringify(Object.fromEntries(this._keys));
+		}
+
+		SetKeyColors(json)
+		{
+			const keys = (typeof json === "string") ? JSON.parse(json || "{}") : (json || {});
+			this._keys = new Map(Object.keys(keys).map(letter => [letter, Number(keys[letter]) || Colors.UNSCORED]));
+			return 1;
+		}
+
+		MergeKeyColor(current, next)
+		{
+			return MergeKeyColor(current, next);
+		}
+
+		ToArrayJSON(values)
+		{
+			return ToArrayJSON(values);
+		}
+
+		SplitLetters(word, language)
+		{
+			return SplitLetters(word, language);
+		}
+	};
+
+	global.WordleScoring = new WordleScoring();
+
+	if (typeof module === "object" && module.exports)
+		module.exports = global.WordleScoring;
+
+}(typeof self !== "undefined" ? self : globalThis));
@@ -0,0 +1,80 @@
+"use strict";
+
+// Tests for scoring.js, run with Node (no dependencies):
+//
+//   node --test shared/wordle/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const WordleColors = require("./colors.js");
+const WordleScoring = require("./scoring.js");
+
+const { CORRECT: G, PRESENT: Y, ABSENT: X, UNSCORED } = WordleColors;
+
+test("exact and misplaced letters", () =>
+{
+	assert.deepEqual(WordleScoring.Score("crane", "crane"), [G, G, G, G, G]);
+	assert.deepEqual(WordleScoring.Score("react", "crane"), [Y, Y, G, Y, X]);
+	assert.deepEqual(WordleScoring.Score("fluff", "crane"), [X, X, X, X, X]);
+});
+
+test("repeated letters are only yellow while the answer has copies left", () =>
+{
+	assert.deepEqual(WordleScoring.Score("EERIE", "THEME"), [Y, X, X, X, G]);
+	assert.deepEqual(WordleScoring.Score("SPEED", "ABIDE"), [X, X, Y, X, Y]);
+	assert.deepEqual(WordleScoring.Score("ABBEY", "BABES"), [Y, Y, G, G, X]);
+	assert.deepEqual(WordleScoring.Score("LLAMA", "HELLO"), [Y, Y, X, X, X]);
+});
+
+test("an exact match takes the copy before a misplaced one", () =>
+{
+	assert.deepEqual(WordleScoring.Score("ROBOT", "FLOOR"), [Y, Y, X, G, X]);
+	assert.deepEqual(WordleScoring.Score("OTTER", "TOAST"), [Y, Y, Y, X, X]);
+});
+
+test("case and surrounding spaces don't matter", () =>
+{
+	assert.deepEqual(WordleScoring.Score(" Crane ", "CRANE"), [G, G, G, G, G]);
+});
+
+test("row JSON for Array_color", () =>
+{
+	const json = WordleScoring.ToArrayJSON([G, Y, X]);
+	assert.deepEqual(JSON.parse(json), { "c2array": true, "size": [3, 1, 1], "data": [[[G]], [[Y]], [[X]]] });
+	assert.deepEqual(WordleColors.ParseRow(json), [G, Y, X]);
+});
+
+test("keyboard colours never go down", () =>
+{
+	WordleScoring.Reset();
+	WordleScoring.UpdateKeys("crane", [G, X, Y, X, X]);
+	WordleScoring.UpdateKeys("cabin", [Y, Y, X, X, X]);
+
+	assert.equal(WordleScoring.GetKeyColor("c"), G);
+	assert.equal(WordleScoring.GetKeyColor("a"), Y);
+	assert.equal(WordleScoring.GetKeyColor("r"), X);
+	assert.equal(WordleScoring.GetKeyColor("z"), UNSCORED);
+
+	const saved = WordleScoring.GetKeyColors();
+	WordleScoring.Reset();
+	assert.equal(WordleScoring.GetKeyColor("c"), UNSCORED);
+	WordleScoring.SetKeyColors(saved);
+	assert.equal(WordleScoring.GetKeyColor("c"), G);
+});
+
+test("letters are compared after the language pack's normalisation", () =>
+{
+	const WordleLanguage = require("./language.js");
+
+	for (const id of ["SPANISH", "ARABIC"])
+	{
+		const file = path.join(__dirname, "languages", id, "pack.json");
+		WordleLanguage.AddPack(JSON.parse(fs.readFileSync(file, "utf8")), "");
+	}
+
+	assert.deepEqual(WordleScoring.Score("árbol", "arbol", "SPANISH"), [G, G, G, G, G]);
+	assert.deepEqual(WordleScoring.Score("أمير", "امير", "ARABIC"), [G, G, G, G]);
+});
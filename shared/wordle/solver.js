@@ -0,0 +1,260 @@
+"use strict";
+
+// Possible-matches solver for worlde_new, replacing the prefix-only "SearchPrefix" search. From every
+// guess played so far and its colours it works out which words of the answer list are still
+// possible, and can suggest the guess expected to narrow them down the most (the one whose colour
+// patterns split the remaining words most evenly, i.e. with the highest entropy). It can be
+// switched on and off from the menu; games played with it on are practice games, counted in the
+// statistics only under their own "solver" mode. Load after scoring.js and wordlists.js:
+//
+//   <script src="../shared/wordle/solver.js"></script>
+//
+// WordleGame (game.js) resets it for each new word and adds each row as it is scored, and the
+// solver button on the menu bar (menu.js) calls WordleSolver.Toggle(). WordleSolver.GetSample(
+// offset, n) gives a newline separated page of the remaining words and
+// WordleSolver.GetSuggestion() the suggested next guess.
+//
+// After each row (and Reset) the candidates are worked out again and the Function
+// "OnSolverUpdated" is called with the count and suggestion, while the solver is enabled; the
+// sheet shows them in Text_match.
+
+(function (global) {
+
+	const STORAGE_KEY = "wordle-solver";
+	const CONSOLE_PREFIX = "[WordleSolver] ";
+
+	// Upper limit on guess × candidate scorings per suggestion, to keep it fast enough to run
+	// between rows. With more candidates, fewer guesses are tried (the most promising first).
+	const SUGGEST_BUDGET = 250000;
+	const MIN_GUESS_POOL = 20;
+
+	const Scoring = global.WordleScoring || require("./scoring.js");
+
+	// Pattern of colours as a number, so patterns can be counted in a Map.
+	function PatternKey(colors)
+	{
+		let key = 0;
+
+		for (const c of colors)
+			key = key * 4 + c;
+
+		return key;
+	};
+
+	// Words (as letter arrays) consistent with every row: scoring the row's guess against the word
+	// gives exactly the colours the row got.
+	function FilterCandidates(words, rows)
+	{
+		const patterns = rows.map(row => PatternKey(row.colors));
+
+		return words.filter(word => rows.every((row, i) =>
+			word.length === row.letters.length && PatternKey(Scoring.ScoreLetters(row.letters, word)) === patterns[i]));
+	};
+
+	// Expected information (bits) from playing guess when the answer is one of candidates.
+	function Entropy(guess, candidates)
+	{
+		const counts = new Map();
+
+		for (const word of candidates)
+		{
+			const key = PatternKey(Scoring.ScoreLetters(guess, word));
+			counts.set(key, (counts.get(key) || 0) + 1);
+		}
+
+		let entropy = 0;
+		for (const count of counts.values())
+		{
+			const p = count / candidates.length;
+			entropy -= p * Math.log2(p);
+		}
+
+		return entropy;
+	};
+
+	// Orders words by how common their distinct letters are among the candidates, as a cheap
+	// first guess at which are worth the full entropy calculation.
+	function RankByLetterFrequency(words, candidates)
+	{
+		const frequency = new Map();
+
+		for (const word of candidates)
+		{
+			for (const letter of new Set(word))
+				frequency.set(letter, (frequency.get(letter) || 0) + 1);
+		}
+
+		const score = word => Array.from(new Set(word)).reduce((sum, letter) => sum + (frequency.get(letter) || 0), 0);
+		return words.map(word => ({ word: word, score: score(word) }))
+			.sort((a, b) => b.score - a.score)
+			.map(entry => entry.word);
+	};
+
+	// The guess from pool with the most expected information; a candidate wins ties, since it
+	// might be the answer.
+	function BestGuess(candidates, pool)
+	{
+		if (candidates.length <= 2)
+			return candidates[0] || null;
+
+		const poolSize = Math.max(MIN_GUESS_POOL, Math.floor(SUGGEST_BUDGET / candidates.length));
+		const guesses = RankByLetterFrequency(pool, candidates).slice(0, poolSize);
+		const candidateSet = new Set(candidates);
+
+		let best = null;
+		let bestEntropy = -1;
+
+		for (const guess of guesses)
+		{
+			const entropy = Entropy(guess, candidates) + (candidateSet.has(guess) ? 1e-6 : 0);
+
+			if (entropy > bestEntropy)
+			{
+				best = guess;
+				bestEntropy = entropy;
+			}
+		}
+
+		return best;
+	};
+
+	class WordleSolver
+	{
+		constructor()
+		{
+			this._enabled = this._LoadEnabled();
+			this._language = "";
+			this._rows = [];				// { letters, colors }
+			this._candidates = [];			// letter arrays
+			this._suggestion = "";
+			this._updateId = 0;
+		}
+
+		_LoadEnabled()
+		{
+			try {
+				return global.localStorage ? localStorage.getItem(STORAGE_KEY) === "on" : false;
+			}
+			catch (err)
+			{
+				return false;
+			}
+		}
+
+		IsEnabled()
+		{
+			return this._enabled ? 1 : 0;
+		}
+
+		SetEnabled(enabled)
+		{
+			this._enabled = !!Number(enabled);
+
+			try {
+				localStorage.setItem(STORAGE_KEY, this._enabled ? "on" : "off");
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save setting: ", err);
+			}
+
+			if (this._enabled)
+				this.Update();
+
+			return this.IsEnabled();
+		}
+
+		Toggle()
+		{
+			return this.SetEnabled(!this._enabled);
+		}
+
+		Reset(language)
+		{
+			this._language = language || "";
+			this._rows = [];
+			this.Update();
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		AddRow(guess, arrayJson)
+		{
+			let colors;
+
+			try {
+				colors = WordleColors.ParseRow(arrayJson);
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read row: ", err);
+				return 0;
+			}
+
+			this._rows.push({ letters: Scoring.SplitLetters(guess, this._language || undefined), colors: colors });
+			this.Update();
+			return this._rows.length;
+		}
+
+		// Works the candidates and suggestion out again from the loaded answer list.
+		async Update()
+		{
+			if (!this._enabled || !global.WordLists)
+				return 0;
+
+			const updateId = ++this._updateId;
+			const lists = await global.WordLists.Load(this._language || undefined);
+
+			// A newer row arrived while the list was loading.
+			if (updateId !== this._updateId)
+				return 0;
+
+			const words = lists.answers.map(word => Array.from(word));
+			this._candidates = FilterCandidates(words, this._rows);
+
+			const best = BestGuess(this._candidates, this._rows.length ? this._candidates : words);
+			this._suggestion = best ? best.join("") : "";
+
+			if (global.GameFunctions)
+				global.GameFunctions.Call("OnSolverUpdated", [this._candidates.length, this._suggestion]);
+
+			return this._candidates.length;
+		}
+
+		GetCount()
+		{
+			return this._candidates.length;
+		}
+
+		// A page of the remaining words, one per line, in list order.
+		GetSample(offset, count)
+		{
+			offset = Math.max(0, parseInt(offset, 10) || 0);
+			count = Math.max(1, parseInt(count, 10) || 10);
+			return this._candidates.slice(offset, offset + count).map(w => w.join("").toLocaleUpperCase()).join("\n");
+		}
+
+		GetSuggestion()
+		{
+			return this._suggestion.toLocaleUpperCase();
+		}
+
+		// The same calculations on plain word lists, for tests and tools.
+		FilterWords(words, rows)
+		{
+			return FilterCandidates(words.map(w => Array.from(w)),
+				rows.map(row => ({ letters: Array.from(row.guess), colors: WordleColors.ParseRow(row.colors) }))).map(w => w.join(""));
+		}
+
+		SuggestGuess(candidates, pool)
+		{
+			const best = BestGuess(candidates.map(w => Array.from(w)), (pool || candidates).map(w => Array.from(w)));
+			return best ? best.join("") : "";
+		}
+	};
+
+	global.WordleSolver = new WordleSolver();
+
+	if (typeof module === "object" && module.exports)
+		module.exports = global.WordleSolver;
+
+}(typeof self !== "undefined" ? self : globalThis));
@@ -0,0 +1,502 @@
+"use strict";
+
+// Statistics for the Custom Wordle builds, per language: games played, win percentage, current and
+// longest winning streak, and how many guesses each win took. Kept in LocalStorage for each build
+// (storage.js) and shown in a panel after each game and from the menu, with export/import as a
+// JSON file so players can take their statistics to another device. Load after language.js (and
+// grid.js, to size the guess distribution to the board):
+//
+//   <script src="../shared/wordle/stats.js"></script>
+//
+// Event-sheet hook points, all through Browser.ExecJS:
+//   "Level Win"   WordleStats.RecordGame(1, <row the word was found on, 1 based>, Language)
+//   "Game Over"   WordleStats.RecordGame(0, 0, Language)
+//                 (hints used for the word are read from hints.js)
+//   then, and from the menu's stats button, WordleStats.Show(Language). Closing the panel calls the
+//   Function "OnStatsClosed".
+//
+// Each result is also counted under the mode it was played in: classic, daily, blitz or endless
+// (modes.js, daily.js), or solver when the solver was on (solver.js). Games played with the solver
+// are practice, so they only count there and not in the totals, streaks or guess distribution.
+// The panel's wording comes from the language pack (language.js).
+//
+// Export() / Import(json) are also callable directly; Import replaces the languages in the file
+// and calls "OnStatsImported" with how many languages it read.
+
+(function () {
+
+	const STORAGE_PREFIX = "wordle-stats:";
+	const CONSOLE_PREFIX = "[WordleStats] ";
+	const EXPORT_FORMAT = "wordle-stats";
+	const EXPORT_VERSION = 1;
+	const DEFAULT_ROWS = 6;
+
+	const MODE_SOLVER = "solver";
+	const MODES = ["classic", "daily", "blitz", "endless", MODE_SOLVER];
+	const MODE_LABELS = { classic: "modeClassic", daily: "modeDaily", blitz: "modeBlitz", endless: "modeEndless", [MODE_SOLVER]: "modeSolver" };
+
+	const STYLE = `
+.phx-stats-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center;
+	background: rgba(0, 0, 0, 0.6); font: 14px/1.4 sans-serif; color: #fff; }
+.phx-stats-panel { width: min(92vw, 380px); max-height: 90vh; display: flex; flex-direction: column; background: #1d2235;
+	border-radius: 12px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5); overflow: hidden; }
+.phx-stats-header { display: flex; align-items: center; padding: 12px 16px; font-size: 18px; font-weight: bold; }
+.phx-stats-header span { flex: 1; }
+.phx-stats-close { background: none; border: 0; color: inherit; font-size: 24px; line-height: 1; cursor: pointer; }
+.phx-stats-body { overflow-y: auto; padding: 0 16px 12px; }
+.phx-stats-totals { display: flex; text-align: center; }
+.phx-stats-totals div { flex: 1; font-size: 11px; color: #aab; }
+.phx-stats-totals b { display: block; font-size: 26px; color: #fff; font-variant-numeric: tabular-nums; }
+.phx-stats-heading { margin: 14px 0 6px; color: #aab; font-size: 12px; text-transform: uppercase; }
+.phx-stats-bar { display: flex; align-items: center; margin: 3px 0; }
+.phx-stats-bar span:first-child { width: 1.5em; color: #aab; }
+.phx-stats-bar span:last-child { min-width: 1.5em; padding: 1px 6px; background: #3a3f52; text-align: end; font-weight: bold; }
+.phx-stats-bar.phx-stats-latest span:last-child { background: #538d4e; }
+.phx-stats-mode { display: flex; justify-content: space-between; margin: 3px 0; }
+.phx-stats-mode span:last-child { color: #aab; font-variant-numeric: tabular-nums; }
+.phx-stats-footer { display: flex; gap: 8px; padding: 10px 16px; background: #151928; }
+.phx-stats-footer button { flex: 1; padding: 8px; background: #3a3f52; border: 0; border-radius: 6px; color: #fff; font: inherit; cursor: pointer; }
+.phx-stats-status { padding: 0 16px 8px; background: #151928; color: #aab; font-size: 12px; }
+`;
+
+	function CreateElem(tag, className, text)
+	{
+		const elem = document.createElement(tag);
+
+		if (className)
+			elem.className = className;
+		if (text !== undefined && text !== "")
+			elem.textContent = text;
+
+		return elem;
+	};
+
+	function EmptyStats()
+	{
+		return { played: 0, won: 0, currentStreak: 0, maxStreak: 0, distribution: {}, lastGuesses: 0, hintsUsed: 0, hintedGames: 0, modes: {} };
+	};
+
+	// Anything read back from storage or an imported file, made safe to use.
+	function SanitiseStats(stats)
+	{
+		const result = EmptyStats();
+
+		if (!stats || typeof stats !== "object")
+			return result;
+
+		for (const key of ["played", "won", "currentStreak", "maxStreak", "lastGuesses", "hintsUsed", "hintedGames"])
+			result[key] = Math.max(0, parseInt(stats[key], 10) || 0);
+
+		for (const guesses of Object.keys(stats.distribution || {}))
+		{
+			const count = parseInt(stats.distribution[guesses], 10);
+			if (parseInt(guesses, 10) > 0 && count > 0)
+				result.distribution[parseInt(guesses, 10)] = count;
+		}
+
+		for (const mode of MODES)
+		{
+			const entry = stats.modes && stats.modes[mode];
+			if (!entry || typeof entry !== "object")
+				continue;
+
+			const played = Math.max(0, parseInt(entry.played, 10) || 0);
+			if (played)
+				result.modes[mode] = { played: played, won: Math.min(played, Math.max(0, parseInt(entry.won, 10) || 0)) };
+		}
+
+		result.won = Math.min(result.won, result.played);
+		result.maxStreak = Math.max(result.maxStreak, result.currentStreak);
+		result.hintedGames = Math.min(result.hintedGames, result.played, result.hintsUsed);
+		return result;
+	};
+
+	class WordleStats
+	{
+		constructor()
+		{
+			this._overlayElem = null;
+			this._styleAdded = false;
+			this._language = "";
+
+			this._onKeyDown = (e) =>
+			{
+				if (e.key !== "Escape")
+					return;
+
+				e.stopPropagation();
+				this.Hide();
+			};
+		}
+
+		_GetLanguage(language)
+		{
+			return language || (window.WordleLanguage ? window.WordleLanguage.GetLanguage() : "") || "default";
+		}
+
+		Get(language)
+		{
+			try {
+				return SanitiseStats(JSON.parse(WordleStorage.GetItem(STORAGE_PREFIX + this._GetLanguage(language)) || "null"));
+			}
+			catch (err)
+			{
+				return EmptyStats();
+			}
+		}
+
+		_Save(language, stats)
+		{
+			try {
+				WordleStorage.SetItem(STORAGE_PREFIX + this._GetLanguage(language), JSON.stringify(stats));
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to save statistics: ", err);
+			}
+		}
+
+		// The mode the current game is played in, as counted in the statistics.
+		GetMode()
+		{
+			if (window.WordleSolver && window.WordleSolver.IsEnabled())
+				return MODE_SOLVER;
+
+			if (window.WordleDaily && window.WordleDaily.IsDaily())
+				return "daily";
+
+			return window.WordleModes ? window.WordleModes.GetMode() : "classic";
+		}
+
+		RecordGame(won, guesses, language)
+		{
+			const stats = this.Get(language);
+			const mode = this.GetMode();
+			won = !!Number(won);
+			guesses = parseInt(guesses, 10) || 0;
+
+			const entry = stats.modes[mode] || { played: 0, won: 0 };
+			entry.played++;
+			if (won)
+				entry.won++;
+			stats.modes[mode] = entry;
+
+			// Played with the solver's help (solver.js): practice, only counted under its mode.
+			if (mode === MODE_SOLVER)
+			{
+				this._Save(language, stats);
+				return 0;
+			}
+
+			stats.played++;
+
+			if (won)
+			{
+				stats.won++;
+				stats.currentStreak++;
+				stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+
+				if (guesses > 0)
+					stats.distribution[guesses] = (stats.distribution[guesses] || 0) + 1;
+			}
+			else
+			{
+				stats.currentStreak = 0;
+			}
+
+			stats.lastGuesses = won ? guesses : 0;
+
+			const hints = window.WordleHints ? window.WordleHints.GetUsedCount() : 0;
+			if (hints > 0)
+			{
+				stats.hintsUsed += hints;
+				stats.hintedGames++;
+			}
+
+			this._Save(language, stats);
+			return stats.played;
+		}
+
+		GetWinPercent(language)
+		{
+			const stats = this.Get(language);
+			return stats.played ? Math.round(stats.won * 100 / stats.played) : 0;
+		}
+
+		GetCurrentStreak(language)
+		{
+			return this.Get(language).currentStreak;
+		}
+
+		GetMaxStreak(language)
+		{
+			return this.Get(language).maxStreak;
+		}
+
+		// Every language's statistics as a JSON document.
+		Export()
+		{
+			const languages = {};
+
+			try {
+				for (const name of WordleStorage.GetNames(STORAGE_PREFIX))
+					languages[name.slice(STORAGE_PREFIX.length)] = this.Get(name.slice(STORAGE_PREFIX.length));
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unable to read statistics: ", err);
+			}
+
+			return JSON.stringify({
+				format: EXPORT_FORMAT,
+				version: EXPORT_VERSION,
+				exportedAt: new Date().toISOString(),
+				languages: languages
+			}, null, 2);
+		}
+
+		// Replaces the statistics of each language in an exported document. Returns how many
+		// languages were imported, or -1 if the document isn't a statistics export.
+		Import(json)
+		{
+			let data;
+
+			try {
+				data = (typeof json === "string") ? JSON.parse(json) : json;
+			}
+			catch (err)
+			{
+				console.warn(CONSOLE_PREFIX + "Unreadable statistics file: ", err);
+				return -1;
+			}
+
+			if (!data || data.format !== EXPORT_FORMAT || !data.languages || typeof data.languages !== "object" || data.version > EXPORT_VERSION)
+				return -1;
+
+			const languages = Object.keys(data.languages);
+
+			for (const language of languages)
+				this._Save(language, SanitiseStats(data.languages[language]));
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnStatsImported", [languages.length]);
+
+			return languages.length;
+		}
+
+		Show(language)
+		{
+			this._language = this._GetLanguage(language);
+
+			if (!this._overlayElem)
+			{
+				this._AddStyle();
+				this._overlayElem = this._CreatePanel();
+				document.body.appendChild(this._overlayElem);
+				document.addEventListener("keydown", this._onKeyDown, true);
+			}
+
+			this._Render();
+			this._overlayElem.querySelector(".phx-stats-close").focus();
+			return 1;		// Browser.ExecJS needs a return value
+		}
+
+		Hide()
+		{
+			if (!this._overlayElem)
+				return 0;
+
+			document.removeEventListener("keydown", this._onKeyDown, true);
+			this._overlayElem.remove();
+			this._overlayElem = null;
+
+			if (window.GameFunctions)
+				window.GameFunctions.Call("OnStatsClosed", []);
+
+			return 1;
+		}
+
+		IsShowing()
+		{
+			return this._overlayElem ? 1 : 0;
+		}
+
+		_AddStyle()
+		{
+			if (this._styleAdded)
+				return;
+
+			const styleElem = document.createElement("style");
+			styleElem.textContent = STYLE;
+			document.head.appendChild(styleElem);
+			this._styleAdded = true;
+		}
+
+		_CreatePanel()
+		{
+			const overlay = CreateElem("div", "phx-stats-overlay");
+			overlay.setAttribute("data-phx-ui", "");		// stays usable while the game is paused (pause.js)
+			const panel = CreateElem("div", "phx-stats-panel");
+			panel.setAttribute("role", "dialog");
+			panel.setAttribute("aria-label", this._GetString("statsTitle"));
+			panel.setAttribute("dir", window.WordleLanguage.IsRTL(this._language) ? "rtl" : "ltr");
+
+			const header = CreateElem("div", "phx-stats-header");
+			header.appendChild(CreateElem("span", "", this._GetString("statsTitle")));
+			const closeButton = CreateElem("button", "phx-stats-close", "×");
+			closeButton.type = "button";
+			closeButton.setAttribute("aria-label", this._GetString("statsClose"));
+			closeButton.addEventListener("click", () => this.Hide());
+			header.appendChild(closeButton);
+
+			const footer = CreateElem("div", "phx-stats-footer");
+			const exportButton = CreateElem("button", "", this._GetString("statsExport"));
+			exportButton.type = "button";
+			exportButton.addEventListener("click", () => this._ExportFile());
+			const importButton = CreateElem("button", "", this._GetString("statsImport"));
+			importButton.type = "button";
+			importButton.addEventListener("click", () => this._ImportFile());
+			footer.appendChild(exportButton);
+			footer.appendChild(importButton);
+
+			const status = CreateElem("div", "phx-stats-status");
+			status.setAttribute("role", "status");
+
+			panel.appendChild(header);
+			panel.appendChild(CreateElem("div", "phx-stats-body"));
+			panel.appendChild(footer);
+			panel.appendChild(status);
+			overlay.appendChild(panel);
+
+			overlay.addEventListener("pointerdown", e => e.stopPropagation());
+			overlay.addEventListener("click", e =>
+			{
+				if (e.target === overlay)
+					this.Hide();
+			});
+
+			return overlay;
+		}
+
+		_Render()
+		{
+			const stats = this.Get(this._language);
+			const body = this._overlayElem.querySelector(".phx-stats-body");
+			body.textContent = "";
+
+			const totals = CreateElem("div", "phx-stats-totals");
+			const values = [
+				[stats.played, this._GetString("statsPlayed")],
+				[this.GetWinPercent(this._language), this._GetString("statsWinPercent")],
+				[stats.currentStreak, this._GetString("statsCurrentStreak")],
+				[stats.maxStreak, this._GetString("statsMaxStreak")]
+			];
+
+			for (const [value, label] of values)
+			{
+				const cell = CreateElem("div", "", "");
+				cell.appendChild(CreateElem("b", "", String(value)));
+				cell.appendChild(document.createTextNode(label));
+				totals.appendChild(cell);
+			}
+
+			body.appendChild(totals);
+			body.appendChild(CreateElem("div", "phx-stats-heading", this._GetString("statsDistribution")));
+
+			const rows = Math.max(window.WordleGrid ? window.WordleGrid.GetRows() : DEFAULT_ROWS,
+				...Object.keys(stats.distribution).map(Number));
+			const most = Math.max(1, ...Object.values(stats.distribution));
+
+			for (let guesses = 1; guesses <= rows; ++guesses)
+			{
+				const count = stats.distribution[guesses] || 0;
+				const bar = CreateElem("div", "phx-stats-bar" + (guesses === stats.lastGuesses ? " phx-stats-latest" : ""));
+				bar.appendChild(CreateElem("span", "", String(guesses)));
+
+				const fill = CreateElem("span", "", String(count));
+				fill.style.width = Math.round(count * 100 / most) + "%";
+				if (guesses === stats.lastGuesses && window.WordlePalette)
+					fill.style.background = window.WordlePalette.GetColor(WordleColors.CORRECT);
+				bar.appendChild(fill);
+				body.appendChild(bar);
+			}
+
+			if (stats.hintsUsed)
+			{
+				body.appendChild(CreateElem("div", "phx-stats-heading", this._GetString("statsHints")));
+				body.appendChild(CreateElem("div", "", this._GetString("statsHintsSummary", { hints: stats.hintsUsed, games: stats.hintedGames })));
+			}
+
+			const modes = MODES.filter(mode => stats.modes[mode]);
+			if (modes.length)
+			{
+				body.appendChild(CreateElem("div", "phx-stats-heading", this._GetString("statsModes")));
+
+				for (const mode of modes)
+				{
+					const row = CreateElem("div", "phx-stats-mode");
+					row.appendChild(CreateElem("span", "", this._GetString(MODE_LABELS[mode])));
+					row.appendChild(CreateElem("span", "", this._GetString("statsModeSummary", stats.modes[mode])));
+					body.appendChild(row);
+				}
+			}
+		}
+
+		_GetString(key, params)
+		{
+			return window.WordleLanguage.GetString(key, params, this._language);
+		}
+
+		_SetStatus(text)
+		{
+			if (this._overlayElem)
+				this._overlayElem.querySelector(".phx-stats-status").textContent = text;
+		}
+
+		_ExportFile()
+		{
+			const blob = new Blob([this.Export()], { type: "application/json" });
+			const url = URL.createObjectURL(blob);
+			const link = CreateElem("a");
+			link.href = url;
+			link.download = "wordle-stats.json";
+			document.body.appendChild(link);
+			link.click();
+			link.remove();
+			setTimeout(() => URL.revokeObjectURL(url), 0);
+			this._SetStatus(this._GetString("statsExported", { file: link.download }));
+		}
+
+		_ImportFile()
+		{
+			const input = CreateElem("input");
+			input.type = "file";
+			input.accept = "application/json,.json";
+			input.addEventListener("change", () =>
+			{
+				const file = input.files && input.files[0];
+				if (!file)
+					return;
+
+				file.text()
+				.then(text =>
+				{
+					const count = this.Import(text);
+					this._SetStatus(this._GetString(count < 0 ? "statsNotExport" : "statsImported"));
+
+					if (count >= 0 && this._overlayElem)
+						this._Render();
+				})
+				.catch(err =>
+				{
+					console.warn(CONSOLE_PREFIX + "Unable to read file: ", err);
+					this._SetStatus(this._GetString("statsUnreadable"));
+				});
+			});
+			input.click();
+		}
+	};
+
+	window.WordleStats = new WordleStats();
+
+}());
@@ -0,0 +1,91 @@
+"use strict";
+
+// LocalStorage for the Custom Wordle builds, kept apart per build. The builds are served from the
+// same origin, so a saved game or statistics under a plain key would turn up in every other build,
+// with its own board size and word list. Keys here get the build's id in front: data-build on the
+// script tag, or else the name of the folder the page is in. Load before the other Wordle modules:
+//
+//   <script src="../shared/wordle/storage.js"></script>
+//
+// Data saved before keys were split is still read under its old plain key, until the build saves
+// its own; removing an item removes the old one too. Settings that should follow the player from
+// one build to another (palette, hard mode, language) keep using localStorage directly.
+//
+// The methods throw as localStorage does, so callers keep their own error handling.
+
+(function () {
+
+	const DEFAULT_BUILD = "default";
+
+	// The last folder of the page's path: "/games/wordle_final/index.html" -> "wordle_final".
+	function GetFolderName()
+	{
+		const folders = (location.pathname || "").split("/").slice(0, -1).filter(Boolean);
+
+		try {
+			return decodeURIComponent(folders.pop() || "");
+		}
+		catch (err)
+		{
+			return "";
+		}
+	};
+
+	class WordleStorage
+	{
+		constructor(scriptElem)
+		{
+			this._build = (scriptElem && scriptElem.getAttribute("data-build")) || GetFolderName() || DEFAULT_BUILD;
+		}
+
+		GetBuild()
+		{
+			return this._build;
+		}
+
+		Key(name)
+		{
+			return this._build + "/" + name;
+		}
+
+		GetItem(name)
+		{
+			const value = localStorage.getItem(this.Key(name));
+			return value !== null ? value : localStorage.getItem(name);
+		}
+
+		SetItem(name, value)
+		{
+			localStorage.setItem(this.Key(name), value);
+		}
+
+		RemoveItem(name)
+		{
+			localStorage.removeItem(this.Key(name));
+			localStorage.removeItem(name);
+		}
+
+		// Names (without the build's id) of this build's items starting with prefix, including
+		// ones only saved under the old plain keys.
+		GetNames(prefix)
+		{
+			const names = new Set();
+			const own = this.Key(prefix);
+
+			for (let i = 0; i < localStorage.length; ++i)
+			{
+				const key = localStorage.key(i);
+
+				if (key && key.startsWith(own))
+					names.add(key.slice(this._build.length + 1));
+				else if (key && key.startsWith(prefix))
+					names.add(key);
+			}
+
+			return Array.from(names);
+		}
+	};
+
+	window.WordleStorage = new WordleStorage(document.currentScript);
+
+}());
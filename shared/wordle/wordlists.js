@@ -0,0 +1,307 @@
+"use strict";
+
+// Word lists for the Custom Wordle builds. Each language and word length has two lists: the
+// curated answers the game picks from, and a much larger list of words accepted as guesses. Both
+// come from the selected language pack (see language.js), though a build's own answer list
+// (USA.txt / ARABIC.txt / words.txt) is used in preference when it has words of that length.
+// Answers are always allowed as guesses too. Lists are loaded the first time a language and
+// length are played and guesses are checked against a Set, instead of the "Search" group scanning
+// Array_Words on every guess.
+//
+//   <script src="../shared/wordle/wordlists.js" data-answers="{lang}.txt"></script>
+//
+// "{lang}" is replaced with the pack id (the game's Language variable); a data-answers without it
+// only applies to the default language. The length defaults to the one WordleGrid (grid.js) was
+// set up with. Only the lengths the pack has curated answers for can be played (see
+// WordleLanguage.GetLengths()); the allowed lists are never used to pick answers from.
+//
+// Event-sheet hook points, through Browser.ExecJS:
+//   "Words"   WordLists.Load(Language, WordleGrid.GetLength()) in place of the AJAX request for
+//             USA.txt / ARABIC.txt; it calls the Function "OnWordListsLoaded" with the answer and
+//             allowed-guess counts when ready.
+//   "New word"  Word = WordLists.GetRandomAnswer() instead of picking from Array_Words, so the word
+//             comes from the cleaned list.
+//   "Search"  WordLists.IsAllowed(Text_current.Text) instead of the Array_Words loop; when it
+//             returns 0, set Text_msg to WordLists.GetNotInListMessage(Language). While the lists
+//             are still loading it returns -1: the row stays as typed, Text_msg shows
+//             WordLists.GetLoadingMessage(Language), and the guess can be sent again once
+//             "OnWordListsLoaded" has been called.
+//
+// Lists are cleaned as they load, with the rules in language.js: every word is trimmed and
+// normalised, and words with letters outside the language's alphabet are dropped (with a console
+// warning), so stray spaces or diacritics in a list can't produce an unguessable answer.
+
+(function () {
+
+	const CONSOLE_PREFIX = "[WordLists] ";
+	const DEFAULT_LENGTH = 5;
+
+	function NormaliseWord(word, language)
+	{
+		return window.WordleLanguage.Normalise(word, language);
+	};
+
+	// Normalised, de-duplicated words of the list, without the ones the language doesn't allow.
+	function SplitWords(text, language, url)
+	{
+		const words = new Set();
+		const rejected = [];
+
+		for (const line of text.split(/\r\n|\r|\n/))
+		{
+			const word = NormaliseWord(line, language);
+
+			if (!word)
+				continue;
+
+			if (window.WordleLanguage.IsValidWord(word, language))
+				words.add(word);
+			else
+				rejected.push(line.trim());
+		}
+
+		if (rejected.length)
+			console.warn(CONSOLE_PREFIX + "Dropped " + rejected.length + " invalid words from " + url + ": " + rejected.slice(0, 10).join(", "));
+
+		return Array.from(words);
+	};
+
+	async function FetchList(url, language)
+	{
+		const response = await fetch(url);
+
+		if (!response.ok)
+			throw new Error("Unable to load " + url + ": " + response.status);
+
+		return SplitWords(await response.text(), language, url);
+	};
+
+	class WordLists
+	{
+		constructor(scriptElem)
+		{
+			this._answersPattern = (scriptElem && scriptElem.getAttribute("data-answers")) || "";
+			this._buildAnswers = new Map();	// language -> Promise of the build's answers, any length
+			this._packAnswers = new Map();	// "language:length" -> Promise of the pack's answers
+			this._lists = new Map();		// "language:length" -> Promise of { answers, allowed }
+			this._loaded = new Map();		// "language:length" -> { answers, allowed } once ready
+			this._language = "";
+			this._length = DEFAULT_LENGTH;
+		}
+
+		_GetLanguage(language)
+		{
+			return language || this._language || window.WordleLanguage.GetLanguage();
+		}
+
+		_GetLength(length)
+		{
+			length = parseInt(length, 10);
+
+			if (length > 0)
+				return length;
+
+			return window.WordleGrid ? window.WordleGrid.GetLength() : DEFAULT_LENGTH;
+		}
+
+		_GetKey(language, length)
+		{
+			return this._GetLanguage(language) + ":" + this._GetLength(length);
+		}
+
+		// The build's own answer list for the language, or [] if it has none.
+		_LoadBuildAnswers(language)
+		{
+			if (!this._buildAnswers.has(language))
+			{
+				let buildUrl = "";
+
+				if (this._answersPattern.includes("{lang}"))
+					buildUrl = this._answersPattern.replace("{lang}", language);
+				else if (this._answersPattern && language === window.WordleLanguage.GetDefaultLanguage())
+					buildUrl = this._answersPattern;
+
+				const promise = (buildUrl ? FetchList(buildUrl, language) : Promise.resolve([]))
+				.catch(err =>
+				{
+					console.warn(CONSOLE_PREFIX + "Unable to load the build's answers, using the pack's: ", err);
+					return [];
+				});
+
+				this._buildAnswers.set(language, promise);
+			}
+
+			return this._buildAnswers.get(language);
+		}
+
+		// Answers of one length: the build's, if it has words of that length, otherwise the pack's.
+		async _LoadAnswers(language, length)
+		{
+			const buildAnswers = (await this._LoadBuildAnswers(language)).filter(w => Array.from(w).length === length);
+
+			if (buildAnswers.length)
+				return buildAnswers;
+
+			return this._LoadPackAnswers(language, length);
+		}
+
+		_LoadPackAnswers(language, length)
+		{
+			const key = language + ":" + length;
+
+			if (!this._packAnswers.has(key))
+			{
+				const packUrl = window.WordleLanguage.GetAnswersUrl(language, length);
+
+				const promise = (packUrl ? FetchList(packUrl, language) : Promise.reject(new Error("the pack has no " + length + " letter answers")))
+				.then(words => words.filter(w => Array.from(w).length === length))
+				.catch(err =>
+				{
+					this._packAnswers.delete(key);		// allow a retry
+					throw err;
+				});
+
+				this._packAnswers.set(key, promise);
+			}
+
+			return this._packAnswers.get(key);
+		}
+
+		// Resolves with { answers: [word], allowed: Set } for a language and word length. Without
+		// an allowed-guess list for them, only the answers are accepted.
+		Load(language, length)
+		{
+			length = this._GetLength(length);
+			this._length = length;
+
+			return window.WordleLanguage.LoadPacks().then(() =>
+			{
+				language = window.WordleLanguage.SetLanguage(language || this._language);
+				this._language = language;
+				return this._LoadLists(language, length);
+			});
+		}
+
+		_LoadLists(language, length)
+		{
+			const key = this._GetKey(language, length);
+
+			if (!this._lists.has(key))
+			{
+				const allowedUrl = window.WordleLanguage.GetAllowedUrl(language, length);
+
+				const promise = Promise.all([
+					this._LoadAnswers(language, length),
+					(allowedUrl ? FetchList(allowedUrl, language) : Promise.reject(new Error("the pack has no " + length + " letter list")))
+					.catch(err =>
+					{
+						console.warn(CONSOLE_PREFIX + "No allowed-guess list, accepting answers only: ", err);
+						return [];
+					}),
+					// The daily word (daily.js) comes from the pack's answers, so those can be guessed too.
+					this._LoadPackAnswers(language, length).catch(() => [])
+				])
+				.then(([answers, allowed, packAnswers]) =>
+				{
+					if (!answers.length)
+						throw new Error("no " + length + " letter answers for " + language);
+
+					const lists = { answers: answers, allowed: new Set(allowed.concat(answers, packAnswers)) };
+					this._loaded.set(key, lists);
+					this._Call("OnWordListsLoaded", [lists.answers.length, lists.allowed.size]);
+					return lists;
+				})
+				.catch(err =>
+				{
+					this._lists.delete(key);		// allow a retry
+					throw err;
+				});
+
+				this._lists.set(key, promise);
+			}
+
+			return this._lists.get(key);
+		}
+
+		async GetAnswers(language, length)
+		{
+			return (await this.Load(language, length)).answers;
+		}
+
+		// The language pack's own answers, the same in every build whatever its answer list.
+		async GetPackAnswers(language, length)
+		{
+			await this.Load(language, length);
+			return this._LoadPackAnswers(this._GetLanguage(language), this._GetLength(length));
+		}
+
+		IsLoaded(language, length)
+		{
+			return this._loaded.has(this._GetKey(language || this._language, length || this._length)) ? 1 : 0;
+		}
+
+		// Whether a guess is a real word: 1 or 0, or -1 while the lists haven't loaded yet (the
+		// guess can't be checked, so it mustn't be played). Synchronous for Browser.ExecJS.
+		IsAllowed(word, language, length)
+		{
+			const lists = this._loaded.get(this._GetKey(language || this._language, length || this._length));
+
+			if (!lists)
+			{
+				this.Load(language || this._language, length || this._length).catch(err =>
+					console.warn(CONSOLE_PREFIX + "Unable to load word lists: ", err));
+				return -1;
+			}
+
+			return lists.allowed.has(NormaliseWord(word, language || this._language)) ? 1 : 0;
+		}
+
+		// A random answer from the loaded list, or "" if it hasn't loaded yet.
+		GetRandomAnswer(language, length)
+		{
+			const lists = this._loaded.get(this._GetKey(language || this._language, length || this._length));
+
+			if (!lists || !lists.answers.length)
+				return "";
+
+			return lists.answers[Math.floor(Math.random() * lists.answers.length)];
+		}
+
+		// Position of an answer in its list (-1 if it isn't one), so a saved game can refer to the
+		// word without storing it.
+		GetAnswerId(word, language, length)
+		{
+			const lists = this._loaded.get(this._GetKey(language || this._language, length || this._length));
+			return lists ? lists.answers.indexOf(NormaliseWord(word, language || this._language)) : -1;
+		}
+
+		async GetAnswerById(id, language, length)
+		{
+			return (await this.Load(language, length)).answers[Number(id)] || "";
+		}
+
+		GetNotInListMessage(language)
+		{
+			return window.WordleLanguage.GetString("notInList", {}, language);
+		}
+
+		GetLoadingMessage(language)
+		{
+			return window.WordleLanguage.GetString("listsLoading", {}, language);
+		}
+
+		NormaliseWord(word, language)
+		{
+			return NormaliseWord(word, language || this._language);
+		}
+
+		_Call(name, params)
+		{
+			if (window.GameFunctions)
+				window.GameFunctions.Call(name, params);
+		}
+	};
+
+	window.WordLists = new WordLists(document.currentScript);
+
+}());
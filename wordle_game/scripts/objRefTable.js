@@ -126,7 +126,13 @@ self.C3_GetObjectRefTable = function () {
 		C3.Plugins.Sprite.Cnds.OnCreated,
 		C3.Plugins.Sprite.Acts.SetDefaultColor,
 		C3.Plugins.Sprite.Cnds.CompareInstanceVar,
-		C3.Plugins.Sprite.Acts.SetAnim
+		C3.Plugins.Sprite.Acts.SetAnim,
+		C3.Plugins.Browser.Exps.ExecJS,
+		C3.Plugins.Browser.Acts.ExecJs,
+		C3.Plugins.Arr.Acts.JSONLoad,
+		C3.Plugins.System.Exps.rgbex255,
+		C3.Plugins.System.Cnds.ForEach,
+		C3.Plugins.Sprite.Exps.Count
 	];
 };
 self.C3_JsPropNameTable = [
@@ -189,7 +195,26 @@ self.C3_JsPropNameTable = [
 	{Variable1: 0},
 	{Variable2: 0},
 	{Variable3: 0},
-	{In_Out: 0}
+	{In_Out: 0},
+	{Rows: 0},
+	{r: 0},
+	{length: 0},
+	{rows: 0},
+	{answers: 0},
+	{allowed: 0},
+	{word: 0},
+	{share: 0},
+	{result: 0},
+	{language: 0},
+	{score: 0},
+	{time: 0},
+	{kind: 0},
+	{position: 0},
+	{letters: 0},
+	{cost: 0},
+	{isNewHigh: 0},
+	{id: 0},
+	{key: 0}
 ];
 
 self.InstanceType = {
@@ -1637,7 +1637,199 @@ self.C3_ExpressionFuncs = [
 		() => 1943780,
 		() => 4694083,
 		() => "Default",
-		() => "Animation 1"
+		() => "Animation 1",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((("WordleLanguage.IsRTL(\"" + v1.GetValue()) + "\")"));
+		},
+		() => "WordleMenu.Show()",
+		() => "WordleResume.Discard()",
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (("WordleGame.Begin(\"" + v0.GetValue()) + "\")");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((("WordleGame.GetKeyboard(\"" + v1.GetValue()) + "\")"));
+		},
+		() => "row",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => (f0(v1.GetValue(), "\n") - 1);
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const f1 = p._GetNode(1).GetBoundMethod();
+			const v2 = p._GetNode(2).GetVar();
+			const f3 = p._GetNode(3).GetBoundMethod();
+			return () => (f0(f1(v2.GetValue(), f3("row"), "\n")) - 1);
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const f1 = p._GetNode(1).GetBoundMethod();
+			const v2 = p._GetNode(2).GetVar();
+			const f3 = p._GetNode(3).GetBoundMethod();
+			const f4 = p._GetNode(4).GetBoundMethod();
+			const f5 = p._GetNode(5).GetBoundMethod();
+			const f6 = p._GetNode(6).GetBoundMethod();
+			const v7 = p._GetNode(7).GetVar();
+			const f8 = p._GetNode(8).GetBoundMethod();
+			return () => (540 + ((((f0(f6(v7.GetValue(), f8("row"), "\n")) > 10) ? 1 : 0) ? 90 : 100) * (f4("key") - ((f5(f6(v7.GetValue(), f8("row"), "\n")) - 1) / 2))));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => (1420 + (120 * f0("row")));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const f1 = p._GetNode(1).GetBoundMethod();
+			const f2 = p._GetNode(2).GetBoundMethod();
+			const v3 = p._GetNode(3).GetVar();
+			const f4 = p._GetNode(4).GetBoundMethod();
+			const f5 = p._GetNode(5).GetBoundMethod();
+			return () => f0(f1(f2(v3.GetValue(), f4("row"), "\n"), f5("key"), 1));
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (("WordleGame.LoadWords(\"" + v0.GetValue()) + "\")");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const f1 = p._GetNode(1).GetBoundMethod();
+			return () => f0(f1("WordleGame.NewWord()"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((("WordleGame.BeginWord(\"" + v1.GetValue()) + "\")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			const f2 = p._GetNode(2).GetBoundMethod();
+			return () => f0((and((and("WordleGame.GetRestoredColor(", v1.GetValue()) + ", "), f2()) + ")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			const f2 = p._GetNode(2).GetBoundMethod();
+			return () => f0((and((and("WordleGame.GetRestoredLetter(", v1.GetValue()) + ", "), f2()) + ")"));
+		},
+		p => {
+			const n0 = p._GetNode(0);
+			return () => (("WordleGame.Type(\"" + n0.ExpObject()) + "\")");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const n1 = p._GetNode(1);
+			return () => f0((("WordleGame.Check(\"" + n1.ExpObject()) + "\")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const n1 = p._GetNode(1);
+			const v2 = p._GetNode(2).GetVar();
+			return () => f0((and((("WordleGame.ScoreRow(\"" + n1.ExpObject()) + "\", "), v2.GetValue()) + ")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("WordlePalette.IsStandard()");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const f1 = p._GetNode(1).GetBoundMethod();
+			const v2 = p._GetNode(2).GetVar();
+			const f3 = p._GetNode(3).GetBoundMethod();
+			const v4 = p._GetNode(4).GetVar();
+			const f5 = p._GetNode(5).GetBoundMethod();
+			const v6 = p._GetNode(6).GetVar();
+			return () => f0(f1((and("WordlePalette.GetRGB(", v6.GetValue()) + ", 0)")), f3((and("WordlePalette.GetRGB(", v6.GetValue()) + ", 1)")), f5((and("WordlePalette.GetRGB(", v6.GetValue()) + ", 2)")));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0(255, 255, 255);
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("WordleGame.IsSolved()");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((and("WordleGame.Finish(1, ", v1.GetValue()) + ")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((and("WordleGame.Finish(0, ", v1.GetValue()) + ")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("WordleModes.GetMode()");
+		},
+		() => "classic",
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const n1 = p._GetNode(1);
+			const v2 = p._GetNode(2).GetVar();
+			return () => f0((((("WordleScoring.GetKeyColor(\"" + n1.ExpObject()) + "\", \"") + v2.GetValue()) + "\")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			return () => f0("WordleGame.GetLanguage()");
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (600 - (60 * v0.GetValue()));
+		},
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (("WordleStats.Show(\"" + v0.GetValue()) + "\")");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			return () => f0((("WordleGame.DescribeShare(\"" + v1.GetValue()) + "\")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			const v2 = p._GetNode(2).GetVar();
+			const v3 = p._GetNode(3).GetVar();
+			return () => f0((((and((("WordleGame.DescribeHint(\"" + v1.GetValue()) + "\", "), v2.GetValue()) + ", \"") + v3.GetValue()) + "\")"));
+		},
+		() => "absent",
+		p => {
+			const v0 = p._GetNode(0).GetVar();
+			return () => (and("WordleMenu.ShowHints(", v0.GetValue()) + ")");
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			const v2 = p._GetNode(2).GetVar();
+			return () => f0((and((("WordleGame.UseHint(\"" + v1.GetValue()) + "\", "), v2.GetValue()) + ")"));
+		},
+		p => {
+			const f0 = p._GetNode(0).GetBoundMethod();
+			const v1 = p._GetNode(1).GetVar();
+			const v2 = p._GetNode(2).GetVar();
+			return () => f0((and((and("WordleGame.GetModeOverMessage(", v1.GetValue()) + ", "), v2.GetValue()) + ")"));
+		},
+		() => "Backspace",
+		() => "Enter",
+		p => {
+			const n0 = p._GetNode(0);
+			const f1 = p._GetNode(1).GetBoundMethod();
+			const v2 = p._GetNode(2).GetVar();
+			return () => (n0.ExpInstVar() + (120 * (f1(v2.GetValue()) - 1)));
+		},
+		p => {
+			const n0 = p._GetNode(0);
+			const v1 = p._GetNode(1).GetVar();
+			return () => ((n0.ExpInstVar() + (120 * v1.GetValue())) - 120);
+		}
 ];
 
 
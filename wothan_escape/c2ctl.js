@@ -1,69 +1,52 @@
- function ctlArcadeSaveScore(iScore){
-        if(parent.__ctlArcadeSaveScore){
-            parent.__ctlArcadeSaveScore({score:iScore});
-        }
-    }
+// Construct 2 glue for the host page. The event sheets call these ctlArcade* functions through
+// Browser.ExecJS; they forward to the shared HostBridge (../shared/hostbridge.js), which talks to
+// the host with postMessage and still honours a same-origin host's parent.__ctlArcade* globals.
+// Hosts using the old API call ctlArcadePause/ctlArcadeResume on this window directly.
 
+function ctlArcadeSaveScore(iScore){
+	HostBridge.SaveScore(iScore);
+}
 
-    function ctlArcadeStartSession(){
-        if(parent.__ctlArcadeStartSession){
-            parent.__ctlArcadeStartSession();
-        }
-    }
+function ctlArcadeStartSession(){
+	HostBridge.StartSession();
+}
 
-    function ctlArcadeEndSession(){
-        if(parent.__ctlArcadeEndSession){
-            parent.__ctlArcadeEndSession();
-        }
-    }
+function ctlArcadeEndSession(){
+	HostBridge.EndSession();
+}
 
-    function ctlArcadeRestartLevel(){
-        if(parent.__ctlArcadeRestartLevel){
-            parent.__ctlArcadeRestartLevel();
-        }
-    }
-	
-    function ctlArcadeStartLevel(){
-        if(parent.__ctlArcadeStartLevel){
-            parent.__ctlArcadeStartLevel();
-        }
-    }
-	
-    function ctlArcadeEndLevel(){
-        if(parent.__ctlArcadeEndLevel){
-            parent.__ctlArcadeEndLevel();
-        }
-    }
+function ctlArcadeRestartLevel(){
+	HostBridge.RestartLevel();
+}
 
-	function ctlArcadeShowInterlevelAD(){
-        if(parent.__ctlArcadeShowInterlevelAD){
-            parent.__ctlArcadeShowInterlevelAD();
-        }
-    }
-	
-	    function ctlArcadeShareEvent(szImg, szTitle, szMsg, szMsgShare){
-			console.log (szImg);
-			console.log (szTitle);
-			console.log (szMsg);
-			console.log (szMsgShare);
-        if(parent.__ctlArcadeShareEvent){
-            parent.__ctlArcadeShareEvent({ img : szImg, title: szTitle, msg : szMsg, msg_share: szMsgShare });
-        }
-    }
-	
-	function ctlArcadeResume(){
-		c2_callFunction("c2ctlArcadeResume");
-	}
+function ctlArcadeStartLevel(){
+	HostBridge.StartLevel();
+}
+
+function ctlArcadeEndLevel(){
+	HostBridge.EndLevel();
+}
+
+function ctlArcadeShowInterlevelAD(){
+	HostBridge.ShowAd("interlevel");
+}
+
+function ctlArcadeShareEvent(szImg, szTitle, szMsg, szMsgShare){
+	HostBridge.Share(szImg, szTitle, szMsg, szMsgShare);
+}
+
+function ctlArcadeResume(){
+	HostBridge.RunCommand("resume").catch(function (err) { console.warn("[c2ctl] " + err.message); });
+}
+
+function ctlArcadePause(){
+	HostBridge.RunCommand("pause").catch(function (err) { console.warn("[c2ctl] " + err.message); });
+}
 
-	function ctlArcadePause(){
-		c2_callFunction("c2ctlArcadePause");
+function inIframe() {
+	try {
+		return window.self !== window.top;
+	} catch (e) {
+		return true;
 	}
-	
-	function inIframe() {
-		console.log ('enter');
-	   try {
-		   return window.self !== window.top;
-	   } catch (e) {
-		   return true;
-	   }
-	}
\ No newline at end of file
+}
@@ -1,5 +1,5 @@
 ﻿{
-	"version": 1485536119,
+	"version": 1792438925,
 	"fileList": [
 		"data.js",
 		"c2runtime.js",
@@ -96,6 +96,10 @@
 		"icon-128.png",
 		"icon-256.png",
 		"loading-logo.png",
-		"c2ctl.js"
+		"c2ctl.js",
+		"../shared/config.js",
+		"../shared/gamefunctions.js",
+		"../shared/hostbridge.js",
+		"../shared/pause.js"
 	]
 }
\ No newline at end of file